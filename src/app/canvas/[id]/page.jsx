@@ -5,47 +5,381 @@
 
 'use client';
 
-import React, { useState, useRef, useCallback, useEffect } from 'react';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { flushSync } from 'react-dom';
 import { useParams, useRouter } from 'next/navigation';
-import { Stage, Layer, Line, Rect, Circle, Star, RegularPolygon, Text, Arrow, Image as KonvaImage, Transformer, Group } from 'react-konva';
+import Konva from 'konva';
+import { Stage, Layer, Line, Rect, Circle, Star, RegularPolygon, Text, Arrow, Image as KonvaImage, Transformer, Group, Label, Tag } from 'react-konva';
 import {
     MousePointer2, Pencil, Type, Square, Circle as CircleIcon, Triangle,
     Star as StarIcon, ArrowRight, Minus, Hexagon, Pentagon, Trash2,
     ZoomIn, ZoomOut, Maximize2, Eraser, Undo, Redo, Save, Check, ArrowLeft, Image as ImageIcon,
     Copy, Clipboard, Download, AlignLeft, AlignCenter, AlignRight, AlignStartVertical,
     AlignCenterVertical, AlignEndVertical, Layers, Grid3X3, Eye, EyeOff, Lock, Unlock,
-    ChevronUp, ChevronDown, ChevronsUp, ChevronsDown, Group as GroupIcon, Ungroup, RotateCw
+    ChevronUp, ChevronDown, ChevronsUp, ChevronsDown, Group as GroupIcon, Ungroup, RotateCw,
+    WifiOff, RefreshCw, Magnet, Network, StickyNote, Frame as FrameIcon, Highlighter, Brush, PenLine
 } from 'lucide-react';
 import { onAuthStateChanged } from 'firebase/auth';
-import { doc, setDoc, getDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
-import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
-import { auth, db, storage } from '@/lib/firebase';
+import { doc, getDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+import { auth, db } from '@/lib/firebase';
 import LayersPanel from '@/components/LayersPanel';
+import FrameNavigator from '@/components/FrameNavigator';
 import LiveCursors from '@/components/LiveCursors';
 import CollaborationPanel from '@/components/CollaborationPanel';
+import ExportDialog from '@/components/ExportDialog';
+import VersionHistoryPanel from '@/components/VersionHistoryPanel';
 import { useShortcuts } from '@/contexts/ShortcutContext';
 import useCollaboration from '@/hooks/useCollaboration';
+import useCanvasSync from '@/hooks/useCanvasSync';
+import useOfflineQueue from '@/hooks/useOfflineQueue';
+import useVersionHistory, { loadVersionElements } from '@/hooks/useVersionHistory';
+import useUndoManager from '@/hooks/useUndoManager';
+import { diffElements, applyOps } from '@/lib/canvasOps';
+import { createMergeMeta, mergeOps } from '@/lib/canvasMerge';
+import {
+    GROUP_TYPE, CENTER_RENDERED_TYPES, getChildren, getRootElements, getSelectableId, getDescendantIds,
+    groupElements, ungroupElements, removeElements, getSubtrees, cloneSubtrees, toCanvasSpace, fromCanvasSpace,
+    createElementId
+} from '@/lib/groups';
+import { getElementBox } from '@/lib/bounds';
+import { normalizeRect, getMarqueeSelection } from '@/lib/selection';
+import { SNAP_THRESHOLD, getSnap, getUnionBox, snapToGrid } from '@/lib/snapping';
+import {
+    CONNECTOR_TYPES, ROUTING_STYLES, isConnector, getAnchorCandidates, findNearestAnchor, getConnectorEnds,
+    routeConnector, getLabelPosition, refreshConnectors, transformConnector, remapBindings
+} from '@/lib/connectors';
+import {
+    MIND_MAP_TYPE, MIND_MAP_LAYOUTS, isMindMapNode, createMindMapNode, addMindMapChild, addMindMapSibling,
+    layoutMindMaps, getMindRootId, getMindChildren, getMindDescendantIds, getCollapsedHiddenIds, getBranchEnds
+} from '@/lib/mindMap';
+import {
+    STICKY_TYPE, STICKY_COLORS, STICKY_PADDING, STICKY_LINE_HEIGHT, isStickyNote, createStickyNote, fitFontSize
+} from '@/lib/stickyNotes';
+import {
+    FRAME_TYPE, isFrame, getFrames, getNextFrameName, createFrame, getCanvasBox, assignToFrames, adoptIntoFrame
+} from '@/lib/frames';
+import { exportToSvg } from '@/lib/svgExport';
+import { getExportScope } from '@/lib/exportGeometry';
+import { createPdf, PDF_PAGE_SIZES, PDF_BACKGROUNDS } from '@/lib/pdfExport';
+import {
+    createPrismapFile, parsePrismapFile, getImageUrls, PRISMAP_EXTENSION, createClipboardPayload, parseClipboardPayload
+} from '@/lib/prismapFile';
+import { parseExcalidrawFile, isExcalidrawFile } from '@/lib/excalidrawImport';
+import { uploadImageFile, uploadEmbeddedImages, dataUrlToBlob } from '@/lib/imageStorage';
+import { IMAGE_MAX_DIMENSIONS, DEFAULT_IMAGE_MAX_DIMENSION, THUMBNAIL_MAX_DIMENSION } from '@/lib/imageProcessing';
+import { DEFAULT_RASTER_OPTIONS, getExportRegion, fitPixelRatio, getGridLines, getGridDots } from '@/lib/rasterExport';
+import { getCullingItems, createSpatialIndex, querySpatialIndex } from '@/lib/spatialIndex';
+import { getRenderedPoints, isTextTooSmall } from '@/lib/levelOfDetail';
+import {
+    DEFAULT_STREAMLINE, SIMPLIFY_TOLERANCE, streamlinePoint, getPointerPressure, finishStroke,
+    buildStrokeOutline, getStrokeOutline, hasPressure
+} from '@/lib/penStrokes';
+import {
+    BRUSH_LABELS, DEFAULT_BRUSH_SETTINGS, isBrush, usesPressure, getBrushStyle, getDrawingOrder
+} from '@/lib/brushes';
+import {
+    ERASER_MODES, DEFAULT_ERASER_MODE, findTouchedElements, findLassoedElements, eraseElements, eraseStrokes
+} from '@/lib/eraser';
 
 const CANVAS_WIDTH = typeof window !== 'undefined' ? window.innerWidth - 480 : 1200;
 const CANVAS_HEIGHT = typeof window !== 'undefined' ? window.innerHeight - 56 : 800;
 
-const URLImage = ({ shape, ...props }) => {
-    const [img, setImg] = useState(null);
+/** Spacing of the background grid/dots, also used for snapping */
+const GRID_SIZE = 50;
+
+/** Screen pixels around the view in which elements stay mounted, so panning doesn't show them popping in */
+const CULLING_MARGIN = 200;
+
+/** How close (in screen pixels) a connector end must come to an anchor to attach */
+const ANCHOR_SNAP_DISTANCE = 16;
+
+/** Space (in screen pixels) left around a frame the navigator zooms to */
+const FRAME_FIT_PADDING = 40;
+
+/** Outline of selected elements */
+const SELECTION_STROKE = '#8b3dff';
+
+/** Stroke an element is drawn with when it isn't selected */
+const getPlainStroke = (shape, strokeColor, strokeWidth) => ({
+    stroke: shape.stroke || (shape.type === 'text' ? undefined : strokeColor),
+    strokeWidth: shape.type === 'text' && !shape.stroke ? undefined : (shape.strokeWidth || strokeWidth)
+});
+
+/** Clicks on the stage or a frame's background land on the canvas itself */
+const isCanvasBackground = (target) => target === target.getStage() || target.name() === 'frame-background';
+
+/**
+ * Reads a Konva node's position back into element fields.
+ * Center-rendered shapes are stored by the top-left corner of their box.
+ */
+const getNodePosition = (node, el) => {
+    if (CENTER_RENDERED_TYPES.includes(el.type) && el.width && el.height) {
+        return { x: node.x() - el.width / 2, y: node.y() - el.height / 2 };
+    }
+    return { x: node.x(), y: node.y() };
+};
+
+/**
+ * How far a node being dragged has moved from its element's saved position.
+ * Strokes and connectors keep absolute points and render at 0,0, so their
+ * offset is the node position itself.
+ */
+const getDragOffset = (node, el) => {
+    if (el.type === 'pen' || isConnector(el)) return { x: node.x(), y: node.y() };
+    const position = getNodePosition(node, el);
+    return { x: position.x - (el.x || 0), y: position.y - (el.y || 0) };
+};
+
+/**
+ * Applies a moved/transformed stroke's node transform to its points and
+ * resets the node, so strokes always store absolute points (the eraser
+ * and getBoundingBox rely on that).
+ */
+const bakePenTransform = (node, el) => {
+    const transform = node.getTransform();
+    const points = [];
+    for (let i = 0; i < (el.points || []).length; i += 2) {
+        const p = transform.point({ x: el.points[i], y: el.points[i + 1] });
+        points.push(p.x, p.y);
+    }
+    node.setAttrs({ x: 0, y: 0, rotation: 0, scaleX: 1, scaleY: 1 });
+    return { points, rotation: 0 };
+};
+
+/**
+ * bakePenTransform for connectors: ends bound to an element that moved
+ * along (in movedIds) stay bound, the others come loose and move with the
+ * connector.
+ */
+const bakeConnectorTransform = (node, el, elements, movedIds) => {
+    const transform = node.getTransform().copy();
+    node.setAttrs({ x: 0, y: 0, rotation: 0, scaleX: 1, scaleY: 1 });
+    return { ...transformConnector(elements, el, p => transform.point(p), movedIds), rotation: 0 };
+};
+
+let measureContext;
+
+/**
+ * Width of a string in a font, measured on an offscreen canvas (estimated
+ * where there is no canvas, e.g. in tests)
+ */
+const measureText = (text, fontSize, fontFamily = 'Arial') => {
+    if (measureContext === undefined) {
+        measureContext = typeof document !== 'undefined' ? document.createElement('canvas').getContext('2d') : null;
+    }
+    if (!measureContext) return text.length * fontSize * 0.6;
+    measureContext.font = `${fontSize}px ${fontFamily}`;
+    return measureContext.measureText(text).width;
+};
+
+/** What each eraser mode does, for its button's tooltip */
+const ERASER_MODE_TITLES = {
+    partial: 'Erase parts of pen strokes',
+    stroke: 'Erase whole elements the eraser touches',
+    lasso: 'Erase the elements inside a loop you draw'
+};
+
+/** Margins offered for PDF export, in points */
+const PDF_MARGINS = [{ label: 'None', value: 0 }, { label: 'Narrow', value: 18 }, { label: 'Normal', value: 36 }, { label: 'Wide', value: 72 }];
+
+/**
+ * Loads an image and re-encodes it as JPEG bytes for PDF export (on white,
+ * as JPEG has no transparency). Resolves to null if the image can't be
+ * loaded or read back (e.g. a host without CORS headers).
+ */
+const loadJpeg = (url) => new Promise(resolve => {
+    const img = new window.Image();
+    img.crossOrigin = 'Anonymous';
+    img.onload = () => {
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = img.naturalWidth;
+            canvas.height = img.naturalHeight;
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(img, 0, 0);
+            const binary = atob(canvas.toDataURL('image/jpeg', 0.9).split(',')[1]);
+            resolve({ data: Uint8Array.from(binary, char => char.charCodeAt(0)), width: canvas.width, height: canvas.height });
+        } catch (error) {
+            console.error('Failed to read image for PDF export:', url, error);
+            resolve(null);
+        }
+    };
+    img.onerror = () => resolve(null);
+    img.src = url;
+});
+
+/** Saves a file the export built in the browser, under the given name */
+const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Downloads an image as a data URL for embedding in a .prismap file.
+ * Resolves to null if it can't be fetched, so the file references it instead.
+ */
+const fetchDataUrl = async (url) => {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        const blob = await response.blob();
+        return await new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => resolve(null);
+            reader.readAsDataURL(blob);
+        });
+    } catch (error) {
+        console.error('Failed to embed image:', url, error);
+        return null;
+    }
+};
+
+/**
+ * Draws a canvas region to an image data URL from a copy of the rendered
+ * elements, so the live stage (view, selection, overlays) is left alone.
+ *
+ * @param {Konva.Group} content - The group holding all rendered elements
+ * @param {{x: number, y: number, width: number, height: number}} region - In canvas units
+ * @param {object} options
+ * @param {Array<object>} options.elements
+ * @param {{included: Set, wrappersOnly: Set}|null} options.scope - Only draw these elements (selection export)
+ * @param {number} options.pixelRatio - Image pixels per canvas unit
+ * @param {string} options.mimeType
+ * @param {string|null} options.background - Fill behind everything; transparent if null
+ * @param {'grid'|'dots'|null} options.pattern - Background pattern to draw
+ */
+const renderExportImage = (content, region, { elements, scope, pixelRatio, mimeType, background, pattern }) => {
+    const stage = new Konva.Stage({ container: document.createElement('div'), width: region.width, height: region.height });
+    const layer = new Konva.Layer({ x: -region.x, y: -region.y });
+    stage.add(layer);
+
+    if (background) layer.add(new Konva.Rect({ ...region, fill: background }));
+    if (pattern === 'grid') {
+        getGridLines(region, GRID_SIZE).forEach(points => layer.add(new Konva.Line({ points, stroke: '#e5e7eb', strokeWidth: 1 })));
+    } else if (pattern === 'dots') {
+        getGridDots(region, GRID_SIZE).forEach(dot => layer.add(new Konva.Circle({ ...dot, radius: 2, fill: '#d1d5db' })));
+    }
+
+    const copy = content.clone();
+    copy.find('.export-hidden').forEach(node => node.destroy());
+    copy.find(node => node.getAttr('unselectedStyle')).forEach(node => node.setAttrs(node.getAttr('unselectedStyle')));
+    if (scope) {
+        elements.forEach(el => {
+            const isWrapperFrame = scope.wrappersOnly.has(el.id) && el.type === FRAME_TYPE;
+            if (scope.included.has(el.id) && !isWrapperFrame) return;
+            // A frame only wrapping selected children loses its background, but keeps them
+            const selector = isWrapperFrame ? `#shape-${el.id}` : `#shape-${el.id}, #text-${el.id}, .part-${el.id}`;
+            copy.find(selector).forEach(node => node.hide());
+        });
+    }
+    layer.add(copy);
+
+    const uri = stage.toDataURL({ pixelRatio, mimeType, quality: 0.9 });
+    stage.destroy();
+    return uri;
+};
+
+/**
+ * One repeat of the background pattern at a zoom level: a grid cell with
+ * its lines along two edges, or a dot split over its four corners, drawn at
+ * a constant screen size. Null where there is no canvas (e.g. in tests).
+ */
+const createBackgroundTile = (pattern, scale) => {
+    if (typeof document === 'undefined') return null;
+    const pixelRatio = window.devicePixelRatio || 1;
+    const size = Math.max(1, Math.round(GRID_SIZE * scale * pixelRatio));
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+
+    if (pattern === 'grid') {
+        context.fillStyle = '#e5e7eb';
+        context.fillRect(0, 0, size, pixelRatio);
+        context.fillRect(0, 0, pixelRatio, size);
+    } else {
+        context.fillStyle = '#d1d5db';
+        [[0, 0], [size, 0], [0, size], [size, size]].forEach(([x, y]) => {
+            context.beginPath();
+            context.arc(x, y, 2 * pixelRatio, 0, Math.PI * 2);
+            context.fill();
+        });
+    }
+    return canvas;
+};
+
+/** Loads an image for drawing on a canvas; resolves to null if it can't be loaded */
+const loadImage = (url) => new Promise(resolve => {
+    const img = new window.Image();
+    img.crossOrigin = 'Anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = url;
+});
+
+/**
+ * Runs a synchronous export of a node with its images at full resolution:
+ * images currently shown as their thumbnail (zoomed out), or not loaded yet,
+ * get the full image for the duration of `render`.
+ */
+const withFullImages = async (node, render) => {
+    const thumbnails = node.find(child => child.getAttr('fullImageUrl'));
+    const fullImages = await Promise.all(thumbnails.map(child => loadImage(child.getAttr('fullImageUrl'))));
+    const shown = thumbnails.map(child => child.image());
+    thumbnails.forEach((child, i) => {
+        if (fullImages[i]) child.image(fullImages[i]);
+    });
+    try {
+        return render();
+    } finally {
+        thumbnails.forEach((child, i) => child.image(shown[i]));
+    }
+};
+
+/** Centers a Konva label on its position once it has been measured */
+const centerLabel = (node) => {
+    if (node) node.offset({ x: node.width() / 2, y: node.height() / 2 });
+};
+
+/**
+ * An image element. With `preferThumbnail` (shown small) it loads the
+ * element's thumbnail instead, if it has one; the previous image stays up
+ * until the new one has loaded.
+ */
+const URLImage = ({ shape, preferThumbnail, ...props }) => {
+    const [loaded, setLoaded] = useState(null); // { image, src }
+    const src = preferThumbnail && shape.thumbnailUrl ? shape.thumbnailUrl : shape.url;
     useEffect(() => {
+        let active = true;
         const i = new window.Image();
         i.crossOrigin = "Anonymous";
-        i.src = shape.url;
+        i.src = src;
         i.onload = () => {
-            setImg(i);
+            if (active) setLoaded({ image: i, src });
         };
         i.onerror = (e) => {
-            console.error("Failed to load image:", shape.url, e);
+            console.error("Failed to load image:", src, e);
         };
-    }, [shape.url]);
+        return () => {
+            active = false;
+        };
+    }, [src]);
 
     return (
         <KonvaImage
-            image={img}
+            image={loaded?.image}
+            // Until the full image is drawn, exports load it themselves (see withFullImages)
+            fullImageUrl={loaded?.src !== shape.url ? shape.url : undefined}
             x={shape.x}
             y={shape.y}
             width={shape.width}
@@ -64,13 +398,22 @@ export default function CanvasPage() {
     const canvasId = params.id;
 
     const stageRef = useRef(null);
+    const dragLayerRef = useRef(null);   // Holds dragged elements while they move
+    const liftedNodesRef = useRef([]);   // Nodes moved onto the drag layer
+    const routesRef = useRef(new Map()); // Last connector/branch route by id: { key, route }
     const fileInputRef = useRef(null);
     const [tool, setTool] = useState('pen');
     const [elements, setElements] = useState([]);
-    const [history, setHistory] = useState([[]]);
-    const [historyStep, setHistoryStep] = useState(0);
+    const undoManager = useUndoManager(canvasId);
     const [isDrawing, setIsDrawing] = useState(false);
     const [currentPoints, setCurrentPoints] = useState([]);
+    const eraseStrokeRef = useRef(null);    // Elements when erasing started, and with only this erase applied
+    const eraserPathRef = useRef(null);     // Eraser positions this drag, grown in place
+    const lassoPreviewRef = useRef(null);   // Lasso eraser outline, redrawn without re-rendering
+    const penStrokeRef = useRef(null);      // Pen stroke being drawn: { points, pressures }, grown in place
+    const penPreviewRef = useRef(null);     // Its preview line, redrawn without re-rendering
+    const pointerPressureRef = useRef(null); // Pressure of the last pen sample; null for mice and touch
+    const pointerRef = useRef(null); // Last pointer position on the canvas, where pasted content goes
     const [selectedId, setSelectedId] = useState(null);
 
     // Canvas title state
@@ -100,13 +443,53 @@ export default function CanvasPage() {
 
     // New feature states
     const [selectedIds, setSelectedIds] = useState([]);  // Multi-selection
+    const [enteredGroupId, setEnteredGroupId] = useState(null); // Group opened by double-click
+    const [selectionRect, setSelectionRect] = useState(null);   // Marquee corners while dragging
+    const [isSpacePressed, setIsSpacePressed] = useState(false); // Space + drag pans the canvas
+    const [snapToGridEnabled, setSnapToGridEnabled] = useState(false);
+    const [smartGuidesEnabled, setSmartGuidesEnabled] = useState(true);
+    const [guides, setGuides] = useState([]);                   // Smart guide lines while dragging
+    const [connectorRouting, setConnectorRouting] = useState('straight'); // Routing for new connectors
+    const [penSmoothing, setPenSmoothing] = useState(DEFAULT_STREAMLINE); // Streamline for new pen strokes
+    const [penPressure, setPenPressure] = useState(true);  // Pens draw with pressure and tilt
+    const [brushSettings, setBrushSettings] = useState(DEFAULT_BRUSH_SETTINGS); // Color and width of each brush
+    const [eraserMode, setEraserMode] = useState(DEFAULT_ERASER_MODE); // partial, stroke or lasso (see eraser.js)
+    const [connectorDraft, setConnectorDraft] = useState(null); // Bindings of the connector being drawn
+    const [anchorHint, setAnchorHint] = useState(null);         // Anchor a connector end would attach to
+    const [dragOffsets, setDragOffsets] = useState(null);       // Live shift of dragged elements, by id
+    const [endpointDrag, setEndpointDrag] = useState(null);     // Connector end being moved by its handle
+    const [pendingTextEdit, setPendingTextEdit] = useState(null); // Text to edit, from DOM events or new nodes/notes
+    const [stickyColor, setStickyColor] = useState(STICKY_COLORS[0]); // Color for new sticky notes
     const [clipboard, setClipboard] = useState(null);    // Copy/paste
+    const [uploads, setUploads] = useState([]);          // Image upload placeholders: { id, name, x, y, width, height, progress, error }
+    const [maxImageDimension, setMaxImageDimension] = useState(DEFAULT_IMAGE_MAX_DIMENSION); // Longest side of uploaded photos
     const [backgroundPattern, setBackgroundPattern] = useState('grid'); // 'grid' or 'dots'
-    const [rightPanelTab, setRightPanelTab] = useState('design'); // 'design' | 'layers' | 'export'
+    const [rightPanelTab, setRightPanelTab] = useState('design'); // 'design' | 'layers' | 'history' | 'export'
+    const [pdfOptions, setPdfOptions] = useState({ pages: 'canvas', pageSize: 'A4', margin: 36, background: 'none' });
+    const [isExportingPdf, setIsExportingPdf] = useState(false);
+    const [embedImages, setEmbedImages] = useState(true); // .prismap: embed images or keep their addresses
+    const [isExportingPrismap, setIsExportingPrismap] = useState(false);
+    const [exportDialogFormat, setExportDialogFormat] = useState(null); // 'png' | 'jpg' while the dialog is open
+    const [rasterOptions, setRasterOptions] = useState(DEFAULT_RASTER_OPTIONS);
+    const [fullDetail, setFullDetail] = useState(false); // Every element at full detail, for exports
     const transformerRef = useRef(null);
     const [showSharePanel, setShowSharePanel] = useState(false);
     const [accessDenied, setAccessDenied] = useState(false);
 
+    // Brushes draw with a color and width of their own; the other tools share one
+    const activeBrush = isBrush(tool) ? tool : null;
+    const drawColor = activeBrush ? brushSettings[activeBrush].stroke : strokeColor;
+    const drawWidth = activeBrush ? brushSettings[activeBrush].strokeWidth : strokeWidth;
+    const activeBrushStyle = activeBrush ? getBrushStyle({ type: 'pen', brush: activeBrush, strokeWidth: drawWidth }) : null;
+    const setDrawStyle = (updates) => {
+        if (activeBrush) {
+            setBrushSettings(prev => ({ ...prev, [activeBrush]: { ...prev[activeBrush], ...updates } }));
+            return;
+        }
+        if (updates.stroke !== undefined) setStrokeColor(updates.stroke);
+        if (updates.strokeWidth !== undefined) setStrokeWidth(updates.strokeWidth);
+    };
+
     // Font settings for text elements
     const [fontFamily, setFontFamily] = useState('Arial');
     const [fontSize, setFontSize] = useState(24);
@@ -133,10 +516,52 @@ export default function CanvasPage() {
         return () => unsubscribe();
     }, [router]);
 
+    /**
+     * Element sync — local changes are published as ops, remote ops are
+     * merged into local state. syncedElementsRef is the last state known to
+     * be shared with everyone; saves diff against it. mergeMetaRef holds the
+     * per-field stamps for last-writer-wins (src/lib/canvasMerge.js).
+     */
+    const syncedElementsRef = useRef([]);
+    const mergeMetaRef = useRef(createMergeMeta());
+    const [syncSince, setSyncSince] = useState(null);
+
+    const handleRemoteOps = useCallback((ops) => {
+        const base = syncedElementsRef.current;
+        const merged = mergeOps(base, mergeMetaRef.current, ops);
+        syncedElementsRef.current = merged.elements;
+        mergeMetaRef.current = merged.meta;
+        // Rebase unsaved local edits on top — they'll publish with a newer clock
+        setElements(prev => applyOps(merged.elements, diffElements(base, prev)));
+    }, []);
+
+    const { seedClock, fetchMissedOps, publishOps } = useCanvasSync(canvasId, user, syncSince, handleRemoteOps);
+
+    // Offline queue — edits made without connectivity wait in IndexedDB
+    const { isOnline, pendingCount, queueOps, clearQueue, restoreQueue } = useOfflineQueue(canvasId);
+
+    /**
+     * Latest local elements, read when the auto-save timer fires so remote
+     * ops merged in during the debounce aren't diffed away as deletions.
+     */
+    const elementsRef = useRef(elements);
+    useEffect(() => {
+        elementsRef.current = elements;
+    }, [elements]);
+
+    // Version history — named and periodic snapshots in canvases/{id}/versions
+    const getVersionSnapshot = useCallback(() => ({
+        elements: elementsRef.current,
+        title: canvasTitle,
+        thumbnail: stageRef.current?.toDataURL({ pixelRatio: 0.2, mimeType: 'image/jpeg', quality: 0.6 }) || null
+    }), [canvasTitle]);
+    const { versions, saveVersion, markChanged, copyVersionToCanvas } =
+        useVersionHistory(canvasId, user, getVersionSnapshot);
+
     /**
      * Load canvas data from Firestore (real-time listener).
-     * Uses onSnapshot instead of getDoc so remote changes appear live.
-     * Skips updates from the local user (_lastModifiedBy check) to prevent echo.
+     * The first snapshot provides the elements checkpoint; later snapshots
+     * only update the title, since elements arrive as ops (useCanvasSync).
      */
     const isFirstLoad = useRef(true);
     const canvasOwnerRef = useRef(null);  // tracks who the real owner is
@@ -182,43 +607,64 @@ export default function CanvasPage() {
 
                 setCanvasTitle(data.title || 'Untitled');
                 setElements(data.elements || []);
-                setHistory([data.elements || []]);
-                setHistoryStep(0);
+                syncedElementsRef.current = data.elements || [];
+                seedClock(data.clock);
+                setSyncSince(data.checkpointAt?.toMillis?.() ?? 0);
                 canvasOwnerRef.current = data.ownerId || null;
                 setLoading(false);
+
+                // Re-apply edits an earlier session queued while offline
+                restoreQueue().then((pendingOps) => {
+                    if (pendingOps.length > 0) setElements(prev => applyOps(prev, pendingOps));
+                });
                 return;
             }
 
-            // On subsequent updates, skip if WE made this change (prevents echo)
-            if (data._lastModifiedBy === user.uid) return;
+            // Skip our own not-yet-committed writes (prevents echo)
+            if (docSnap.metadata?.hasPendingWrites) return;
 
-            // Remote change — update elements and title
+            // Remote change — elements arrive as ops, only the title lives here
             setCanvasTitle(data.title || 'Untitled');
-            setElements(data.elements || []);
         }, (error) => {
             console.error('[Collaboration] Canvas listener error:', error.code, error.message);
             setLoading(false);
         });
 
         return () => unsubscribe();
-    }, [user, canvasId]);
+    }, [user, canvasId, restoreQueue, seedClock]);
 
     /**
-     * Save canvas to Firestore
+     * Save canvas to Firestore — publishes the ops between the last synced
+     * state and elementsToSave, plus a checkpoint of the merged result.
+     * While offline the ops go to the IndexedDB queue instead; publishing the
+     * queue first merges what others did meanwhile, so the checkpoint keeps it.
      */
     const saveCanvas = useCallback(async (elementsToSave, titleToSave) => {
         if (!user || !canvasId) return;
 
+        const ops = diffElements(syncedElementsRef.current, elementsToSave || elements);
         setSaving(true);
         try {
-            const docRef = doc(db, 'canvases', canvasId);
+            // Offline: keep the full diff since the last sync until we reconnect
+            if (!navigator.onLine) {
+                await queueOps(ops);
+                return;
+            }
+
+            // Back online with a queue: the listener may still be behind, so
+            // rebase onto the ops we missed, as if they had arrived first
+            if (pendingCount > 0) {
+                const missed = await fetchMissedOps();
+                if (missed.length > 0) handleRemoteOps(missed);
+            }
+
+            const checkpoint = applyOps(syncedElementsRef.current, ops);
 
             // Build save data — never overwrite ownerId for collaborators
             const saveData = {
                 id: canvasId,
                 title: titleToSave || canvasTitle,
-                elements: elementsToSave || elements,
-                _lastModifiedBy: user.uid,
+                elements: checkpoint,
                 updatedAt: serverTimestamp()
             };
 
@@ -228,40 +674,64 @@ export default function CanvasPage() {
                 saveData.createdAt = serverTimestamp();
             }
 
-            await setDoc(docRef, saveData, { merge: true });
+            const published = await publishOps(ops, saveData);
+            // Re-read the refs: remote ops may have been merged in while we awaited
+            const merged = mergeOps(syncedElementsRef.current, mergeMetaRef.current, published);
+            syncedElementsRef.current = merged.elements;
+            mergeMetaRef.current = merged.meta;
+            if (pendingCount > 0) await clearQueue();
+            if (ops.length > 0) markChanged();
 
             setLastSaved(new Date());
             console.log('Canvas saved successfully');
         } catch (error) {
             console.error('[Collaboration] Save error:', error.code, error.message);
+            // Connection dropped mid-save — queue it and retry on reconnect
+            if (error.code === 'unavailable') {
+                await queueOps(ops);
+            }
         } finally {
             setSaving(false);
         }
-    }, [user, canvasId, canvasTitle, elements]);
+    }, [user, canvasId, canvasTitle, elements, fetchMissedOps, handleRemoteOps, publishOps, pendingCount, queueOps, clearQueue, markChanged]);
 
     /**
      * Auto-save with debounce (2 seconds)
      */
-    const triggerAutoSave = useCallback((newElements) => {
+    const triggerAutoSave = useCallback(() => {
         if (saveTimeoutRef.current) {
             clearTimeout(saveTimeoutRef.current);
         }
         saveTimeoutRef.current = setTimeout(() => {
-            saveCanvas(newElements, canvasTitle);
+            saveCanvas(elementsRef.current, canvasTitle);
         }, 2000);
     }, [saveCanvas, canvasTitle]);
 
     /**
-     * Save current state to history and trigger auto-save
+     * Replay queued offline edits once we're back online
      */
-    const saveToHistory = useCallback((newElements) => {
-        const newHistory = history.slice(0, historyStep + 1);
-        newHistory.push(newElements);
-        setHistory(newHistory);
-        setHistoryStep(newHistory.length - 1);
-        setElements(newElements);
-        triggerAutoSave(newElements);
-    }, [history, historyStep, triggerAutoSave]);
+    useEffect(() => {
+        if (isOnline && pendingCount > 0) triggerAutoSave();
+    }, [isOnline, pendingCount, triggerAutoSave]);
+
+    /**
+     * Record the change for undo and trigger auto-save.
+     * previousElements defaults to the current state; pass it when the
+     * change was already applied live (e.g. erasing), or when newElements
+     * were built from elementsRef after an await (uploads, pastes).
+     * Returns the elements as recorded, after mind map and connector layout.
+     */
+    const { record: recordUndo } = undoManager;
+    const saveToHistory = useCallback((newElements, previousElements = elements) => {
+        // Reflow mind maps, then keep the saved ends of bound connectors in step with their targets
+        const refreshed = refreshConnectors(layoutMindMaps(newElements));
+        recordUndo(previousElements, refreshed);
+        // Uploads can finish faster than renders; the next one must add to this
+        elementsRef.current = refreshed;
+        setElements(refreshed);
+        triggerAutoSave();
+        return refreshed;
+    }, [elements, recordUndo, triggerAutoSave]);
 
     /**
      * Handle title submit
@@ -296,62 +766,119 @@ export default function CanvasPage() {
     }, [isEditingTitle]);
 
     /**
-     * Undo last action
+     * Undo this user's last action (collaborators' edits are left alone)
      */
+    const { undo: undoChange, redo: redoChange, canUndo, canRedo } = undoManager;
     const undo = useCallback(() => {
-        if (historyStep > 0) {
-            const newStep = historyStep - 1;
-            setHistoryStep(newStep);
-            setElements(history[newStep]);
+        const newElements = undoChange(elements);
+        if (newElements) {
+            setElements(newElements);
             setSelectedId(null);
-            triggerAutoSave(history[newStep]);
+            setSelectedIds([]);
+            triggerAutoSave();
         }
-    }, [history, historyStep, triggerAutoSave]);
+    }, [elements, undoChange, triggerAutoSave]);
 
     /**
-     * Redo last undone action
+     * Redo this user's last undone action
      */
     const redo = useCallback(() => {
-        if (historyStep < history.length - 1) {
-            const newStep = historyStep + 1;
-            setHistoryStep(newStep);
-            setElements(history[newStep]);
+        const newElements = redoChange(elements);
+        if (newElements) {
+            setElements(newElements);
             setSelectedId(null);
-            triggerAutoSave(history[newStep]);
+            setSelectedIds([]);
+            triggerAutoSave();
         }
-    }, [history, historyStep, triggerAutoSave]);
+    }, [elements, redoChange, triggerAutoSave]);
+
+    // ===== VERSION HISTORY =====
+    const restoreVersion = useCallback(async (version) => {
+        if (!window.confirm('Restore this version? The current canvas is saved as a version first.')) return;
+
+        let restoredElements;
+        try {
+            restoredElements = await loadVersionElements(version);
+        } catch (error) {
+            console.error('[Versions] Failed to load version:', error.code, error.message);
+            alert('Could not load this version. Please try again.');
+            return;
+        }
+        if (!await saveVersion(`Before restoring "${version.name || 'Autosave'}"`, { auto: true })) {
+            alert('Could not save the current canvas as a version, so nothing was restored.');
+            return;
+        }
+        const restoredTitle = version.title || 'Untitled';
+        const restored = saveToHistory(restoredElements);
+        setCanvasTitle(restoredTitle);
+        setSelectedId(null);
+        setSelectedIds([]);
+        // Save right away with the restored title (the debounced save would use the old one)
+        clearTimeout(saveTimeoutRef.current);
+        saveCanvas(restored, restoredTitle);
+    }, [saveVersion, saveToHistory, saveCanvas]);
+
+    const saveNamedVersion = useCallback(async (name) => {
+        if (!await saveVersion(name)) alert('Could not save the version. Please try again.');
+    }, [saveVersion]);
+
+    const restoreVersionAsCopy = useCallback(async (version) => {
+        const newId = await copyVersionToCanvas(version);
+        if (newId) router.push(`/canvas/${newId}`);
+        else alert('Could not copy this version. Please try again.');
+    }, [copyVersionToCanvas, router]);
 
     // ===== CLIPBOARD OPERATIONS =====
+    // Groups are copied with everything nested in them
     const copySelected = useCallback(() => {
         if (!selectedId) return;
-        const el = elements.find(e => e.id === selectedId);
-        if (el) setClipboard(JSON.parse(JSON.stringify(el)));
+        const subtree = getSubtrees(elements, [selectedId]);
+        if (subtree.length === 0) return;
+        const copied = JSON.parse(JSON.stringify(subtree));
+        setClipboard(copied);
+        // Also on the system clipboard, to paste in other tabs and canvases
+        navigator.clipboard?.writeText(createClipboardPayload(copied)).catch(error => {
+            console.warn('Could not write to the system clipboard:', error);
+        });
     }, [selectedId, elements]);
 
+    /**
+     * Adds copies of copied elements (from this canvas or another) and
+     * selects them: next to the originals, or with their top-left corner at
+     * a canvas point
+     */
+    const pasteElements = useCallback((copied, at) => {
+        // Latest elements: pasting can follow an upload
+        const current = elementsRef.current;
+        const roots = copied.filter(el => !copied.some(other => other.id === el.parentId));
+        // Copies of a frame's children go back into that frame
+        const sourceFrame = current.find(el => el.id === roots[0]?.parentId && isFrame(el));
+        const parentId = enteredGroupId ?? sourceFrame?.id ?? null;
+
+        let offset = 20;
+        if (at) {
+            const box = getUnionBox(roots.map(el => getElementBox(copied, el)));
+            const target = fromCanvasSpace(current, parentId, at);
+            offset = { x: target.x - box.x, y: target.y - box.y };
+        }
+        const { elements: pasted, rootIds, idMap } = cloneSubtrees(copied, { offset, parentId });
+        saveToHistory([...current, ...remapBindings(pasted, idMap)], current);
+        setSelectedId(rootIds[0]);
+        setSelectedIds(rootIds);
+    }, [enteredGroupId, saveToHistory]);
+
     const pasteClipboard = useCallback(() => {
-        if (!clipboard) return;
-        const newEl = {
-            ...clipboard,
-            id: Date.now(),
-            x: (clipboard.x || 0) + 20,
-            y: (clipboard.y || 0) + 20
-        };
-        saveToHistory([...elements, newEl]);
-        setSelectedId(newEl.id);
-    }, [clipboard, elements, saveToHistory]);
+        if (clipboard) pasteElements(clipboard);
+    }, [clipboard, pasteElements]);
 
     const duplicateSelected = useCallback(() => {
         if (!selectedId) return;
-        const el = elements.find(e => e.id === selectedId);
-        if (!el) return;
-        const newEl = {
-            ...JSON.parse(JSON.stringify(el)),
-            id: Date.now(),
-            x: (el.x || 0) + 20,
-            y: (el.y || 0) + 20
-        };
-        saveToHistory([...elements, newEl]);
-        setSelectedId(newEl.id);
+        const subtree = getSubtrees(elements, [selectedId]);
+        if (subtree.length === 0) return;
+        const { elements: copies, rootIds, idMap } = cloneSubtrees(subtree);
+        saveToHistory([...elements, ...remapBindings(copies, idMap)]);
+        setSelectedId(rootIds[0]);
+        setSelectedIds(rootIds);
     }, [selectedId, elements, saveToHistory]);
 
     // ===== Z-INDEX OPERATIONS =====
@@ -399,26 +926,7 @@ export default function CanvasPage() {
         return elements.filter(el => ids.includes(el.id));
     }, [selectedIds, selectedId, elements]);
 
-    const getBoundingBox = useCallback((el) => {
-        // Get bounding box for any element type
-        if (el.type === 'circle') {
-            const radius = Math.min(el.width || 50, el.height || 50) / 2;
-            return { x: el.x - radius, y: el.y - radius, width: radius * 2, height: radius * 2 };
-        } else if (el.type === 'text') {
-            return { x: el.x, y: el.y, width: 100, height: el.fontSize || 24 };
-        } else if (el.type === 'pen') {
-            const points = el.points || [];
-            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-            for (let i = 0; i < points.length; i += 2) {
-                minX = Math.min(minX, points[i]);
-                maxX = Math.max(maxX, points[i]);
-                minY = Math.min(minY, points[i + 1]);
-                maxY = Math.max(maxY, points[i + 1]);
-            }
-            return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
-        }
-        return { x: el.x, y: el.y, width: el.width || 50, height: el.height || 50 };
-    }, []);
+    const getBoundingBox = useCallback(el => getElementBox(elements, el), [elements]);
 
     const alignElements = useCallback((direction) => {
         const selected = getSelectedElements();
@@ -539,6 +1047,83 @@ export default function CanvasPage() {
         }
     }, [getSelectedElements, getBoundingBox, elements, saveToHistory]);
 
+    /**
+     * Delete every selected element (and anything grouped inside it)
+     */
+    const deleteSelected = useCallback(() => {
+        const ids = getSelectedElements().map(el => el.id);
+        if (ids.length === 0) return;
+        // Removing a mind map node removes its branch
+        saveToHistory(removeElements(elements, [...ids, ...getMindDescendantIds(elements, ids)]));
+        setSelectedId(null);
+        setSelectedIds([]);
+    }, [getSelectedElements, elements, saveToHistory]);
+
+    // ===== MIND MAPS =====
+    /** Add a child or sibling to the selected mind map node and start editing it */
+    const addMindMapNode = useCallback((relation) => {
+        const selected = elements.find(el => el.id === selectedId);
+        if (!isMindMapNode(selected)) return false;
+
+        const node = createMindMapNode({ id: createElementId(), mindParentId: selected.id }, {
+            fill: '#ffffff',
+            stroke: selected.stroke || strokeColor,
+            strokeWidth: 2,
+            textColor: selected.textColor
+        });
+        const add = relation === 'child' ? addMindMapChild : addMindMapSibling;
+        saveToHistory(add(elements, selected.id, node));
+        setSelectedId(node.id);
+        setSelectedIds([node.id]);
+        setPendingTextEdit(node.id);
+        return true;
+    }, [elements, selectedId, strokeColor, saveToHistory]);
+
+    const toggleMindMapCollapsed = useCallback((id) => {
+        saveToHistory(elements.map(el => el.id === id ? { ...el, collapsed: !el.collapsed } : el));
+    }, [elements, saveToHistory]);
+
+    /** Switch the layout of the map the selected node belongs to */
+    const setMindMapLayout = useCallback((layout) => {
+        if (!isMindMapNode(elements.find(el => el.id === selectedId))) return;
+        const rootId = getMindRootId(elements, selectedId);
+        saveToHistory(elements.map(el => el.id === rootId ? { ...el, layout } : el));
+    }, [elements, selectedId, saveToHistory]);
+
+    // ===== GROUPING =====
+    const groupSelected = useCallback(() => {
+        const ids = getSelectedElements().map(el => el.id);
+        if (ids.length === 0) return;
+        const groupId = createElementId();
+        const newElements = groupElements(elements, ids, groupId);
+        if (!newElements) return;
+        saveToHistory(newElements);
+        setSelectedId(groupId);
+        setSelectedIds([groupId]);
+    }, [getSelectedElements, elements, saveToHistory]);
+
+    const ungroupSelected = useCallback(() => {
+        const groups = getSelectedElements().filter(el => el.type === GROUP_TYPE);
+        if (groups.length === 0) return;
+        let newElements = elements;
+        const childIds = [];
+        groups.forEach(group => {
+            const result = ungroupElements(newElements, group.id);
+            newElements = result.elements;
+            childIds.push(...result.childIds);
+        });
+        saveToHistory(newElements);
+        setSelectedId(childIds[0] ?? null);
+        setSelectedIds(childIds);
+    }, [getSelectedElements, elements, saveToHistory]);
+
+    /** Opens a group so its children can be selected and edited */
+    const enterGroup = useCallback((groupId, childId) => {
+        setEnteredGroupId(groupId);
+        setSelectedId(childId);
+        setSelectedIds(childId ? [childId] : []);
+    }, []);
+
     // ===== LAYER MANAGEMENT =====
     const toggleVisibility = useCallback((id) => {
         setElements(prev => prev.map(el =>
@@ -565,44 +1150,160 @@ export default function CanvasPage() {
         ));
     }, [selectedId]);
 
+    // Layers swap with their neighbour in the same group
+    const isSibling = (a, b) => (a.parentId ?? null) === (b.parentId ?? null);
+
     const moveLayerUp = useCallback((id) => {
         const idx = elements.findIndex(e => e.id === id);
-        if (idx === elements.length - 1) return;
+        if (idx === -1) return;
+        const swapIdx = elements.findIndex((e, i) => i > idx && isSibling(e, elements[idx]));
+        if (swapIdx === -1) return;
         const newElements = [...elements];
-        [newElements[idx], newElements[idx + 1]] = [newElements[idx + 1], newElements[idx]];
+        [newElements[idx], newElements[swapIdx]] = [newElements[swapIdx], newElements[idx]];
         setElements(newElements);
     }, [elements]);
 
     const moveLayerDown = useCallback((id) => {
         const idx = elements.findIndex(e => e.id === id);
         if (idx <= 0) return;
+        const swapIdx = elements.findLastIndex((e, i) => i < idx && isSibling(e, elements[idx]));
+        if (swapIdx === -1) return;
         const newElements = [...elements];
-        [newElements[idx], newElements[idx - 1]] = [newElements[idx - 1], newElements[idx]];
+        [newElements[idx], newElements[swapIdx]] = [newElements[swapIdx], newElements[idx]];
         setElements(newElements);
     }, [elements]);
 
     // ===== EXPORT FUNCTIONS =====
-    const exportAsPNG = useCallback(() => {
-        if (!stageRef.current) return;
-        const uri = stageRef.current.toDataURL({ pixelRatio: 2 });
-        const link = document.createElement('a');
-        link.download = `${canvasTitle || 'canvas'}.png`;
-        link.href = uri;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-    }, [canvasTitle]);
-
-    const exportAsJPG = useCallback(() => {
-        if (!stageRef.current) return;
-        const uri = stageRef.current.toDataURL({ pixelRatio: 2, mimeType: 'image/jpeg', quality: 0.9 });
-        const link = document.createElement('a');
-        link.download = `${canvasTitle || 'canvas'}.jpg`;
-        link.href = uri;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-    }, [canvasTitle]);
+    /** Runs a stage export with every element mounted and drawn at full detail */
+    const withFullDetail = useCallback(async (render) => {
+        flushSync(() => setFullDetail(true));
+        try {
+            return await render();
+        } finally {
+            setFullDetail(false);
+        }
+    }, []);
+
+    /** PNG/JPG export with the options of the export dialog */
+    const exportAsImage = useCallback(async () => {
+        const content = stageRef.current?.findOne('.canvas-content');
+        if (!content) return;
+        const ids = selectedIds.length > 0 ? selectedIds : (selectedId ? [selectedId] : []);
+        const selectionIds = rasterOptions.selectionOnly && ids.length > 0 ? ids : undefined;
+        const region = getExportRegion(elements, {
+            area: rasterOptions.area,
+            ids: selectionIds,
+            padding: rasterOptions.padding,
+            viewport: {
+                x: -stagePos.x / stageScale,
+                y: -stagePos.y / stageScale,
+                width: CANVAS_WIDTH / stageScale,
+                height: CANVAS_HEIGHT / stageScale
+            }
+        });
+        if (!region) return;
+
+        const isJpg = exportDialogFormat === 'jpg';
+        const uri = await withFullDetail(() => withFullImages(content, () => renderExportImage(content, region, {
+            elements,
+            scope: selectionIds ? getExportScope(elements, selectionIds) : null,
+            pixelRatio: fitPixelRatio(region, rasterOptions.scale),
+            mimeType: isJpg ? 'image/jpeg' : 'image/png',
+            background: isJpg || !rasterOptions.transparent ? '#ffffff' : null,
+            pattern: rasterOptions.includeGrid ? backgroundPattern : null
+        })));
+        downloadBlob(dataUrlToBlob(uri), `${canvasTitle || 'canvas'}${selectionIds ? '-selection' : ''}.${isJpg ? 'jpg' : 'png'}`);
+        setExportDialogFormat(null);
+    }, [elements, selectedId, selectedIds, rasterOptions, exportDialogFormat, stagePos, stageScale, backgroundPattern, canvasTitle, withFullDetail]);
+
+    /** Vector export of the whole canvas, or of the selected elements */
+    const exportAsSVG = useCallback((selectionOnly) => {
+        const ids = selectedIds.length > 0 ? selectedIds : (selectedId ? [selectedId] : []);
+        const svg = exportToSvg(elements, {
+            ids: selectionOnly ? ids : undefined,
+            measureText,
+            stroke: strokeColor,
+            strokeWidth
+        });
+        if (!svg) return;
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${canvasTitle || 'canvas'}${selectionOnly ? '-selection' : ''}.svg`);
+    }, [elements, selectedId, selectedIds, strokeColor, strokeWidth, canvasTitle]);
+
+    /** Vector PDF of the whole canvas, or of each frame on its own page */
+    const exportAsPDF = useCallback(async () => {
+        setIsExportingPdf(true);
+        try {
+            const urls = getImageUrls(elements);
+            const loaded = await Promise.all(urls.map(loadJpeg));
+            const images = new Map(urls.map((url, i) => [url, loaded[i]]).filter(([, image]) => image));
+            const pdf = createPdf(elements, {
+                ...pdfOptions,
+                title: canvasTitle || 'Canvas',
+                measureText,
+                stroke: strokeColor,
+                strokeWidth,
+                images
+            });
+            if (!pdf) return;
+            downloadBlob(new Blob([pdf], { type: 'application/pdf' }), `${canvasTitle || 'canvas'}.pdf`);
+        } finally {
+            setIsExportingPdf(false);
+        }
+    }, [elements, pdfOptions, strokeColor, strokeWidth, canvasTitle]);
+
+    /** Native .prismap backup of the canvas, re-importable from the dashboard */
+    const exportAsPrismap = useCallback(async () => {
+        setIsExportingPrismap(true);
+        try {
+            const embedded = new Map();
+            if (embedImages) {
+                const urls = getImageUrls(elements);
+                const data = await Promise.all(urls.map(fetchDataUrl));
+                urls.forEach((url, i) => data[i] && embedded.set(url, data[i]));
+            }
+            const file = createPrismapFile({ title: canvasTitle, elements, embedded });
+            downloadBlob(new Blob([JSON.stringify(file)], { type: 'application/json' }), `${canvasTitle || 'canvas'}${PRISMAP_EXTENSION}`);
+        } finally {
+            setIsExportingPrismap(false);
+        }
+    }, [elements, embedImages, canvasTitle]);
+
+    /** Exports one frame and its clipped contents at twice its own size */
+    const exportFrame = useCallback(async (frame) => {
+        const uri = await withFullDetail(() => {
+            // Found once everything is mounted, as the frame may be off screen
+            const stage = stageRef.current;
+            const box = stage?.findOne(`#shape-${frame.id}`);
+            const wrapper = stage?.findOne(`.frame-${frame.id}`);
+            if (!box || !wrapper) return null;
+            // Node exports are in screen pixels; undo the zoom
+            return withFullImages(wrapper, () => wrapper.toDataURL({
+                ...box.getClientRect({ skipShadow: true, skipStroke: true }),
+                pixelRatio: 2 / stageScale
+            }));
+        });
+        if (!uri) return;
+        downloadBlob(dataUrlToBlob(uri), `${frame.name || 'frame'}.png`);
+    }, [stageScale, withFullDetail]);
+
+    /** Zooms and pans so a frame fills the canvas, and selects it */
+    const zoomToFrame = useCallback((frameId) => {
+        const frame = elements.find(el => el.id === frameId);
+        if (!frame) return;
+        const box = getCanvasBox(elements, frame);
+        const scale = Math.max(0.1, Math.min(5, Math.min(
+            (CANVAS_WIDTH - FRAME_FIT_PADDING * 2) / box.width,
+            (CANVAS_HEIGHT - FRAME_FIT_PADDING * 2) / box.height
+        )));
+        setStageScale(scale);
+        setStagePos({
+            x: CANVAS_WIDTH / 2 - (box.x + box.width / 2) * scale,
+            y: CANVAS_HEIGHT / 2 - (box.y + box.height / 2) * scale
+        });
+        enterGroup(frame.parentId ?? null, frame.id);
+        setTool('select');
+    }, [elements, enterGroup]);
+
     // ===== ALIGNMENT WRAPPER =====
     const alignSelected = useCallback((alignment) => {
         // Use multi-element alignment if multiple selected
@@ -638,26 +1339,250 @@ export default function CanvasPage() {
 
     // ===== POSITION HELPER =====
     const snapPosition = useCallback((pos) => {
-        return pos; // Free positioning (snap to grid removed)
-    }, []);
+        if (!snapToGridEnabled) return pos;
+        return { x: snapToGrid(pos.x, GRID_SIZE), y: snapToGrid(pos.y, GRID_SIZE) };
+    }, [snapToGridEnabled]);
 
-    // Transformer effect - attach to selected element
+    // Transformer effect - attach to every selected element
     useEffect(() => {
-        if (selectedId && transformerRef.current) {
-            const stage = stageRef.current;
-            if (!stage) return;
-            const selectedNode = stage.findOne(`#shape-${selectedId}`) || stage.findOne(`#text-${selectedId}`);
-            if (selectedNode) {
-                transformerRef.current.nodes([selectedNode]);
-                transformerRef.current.getLayer()?.batchDraw();
+        const transformer = transformerRef.current;
+        const stage = stageRef.current;
+        if (!transformer || !stage) return;
+
+        const ids = selectedIds.length > 0 ? selectedIds : (selectedId ? [selectedId] : []);
+        // A lone connector is edited with its end handles instead
+        const onlyConnector = ids.length === 1 && isConnector(elements.find(el => el.id === ids[0]));
+        const nodes = onlyConnector ? [] : ids
+            .map(id => stage.findOne(`#shape-${id}`) || stage.findOne(`#text-${id}`))
+            .filter(Boolean);
+        transformer.nodes(nodes);
+        transformer.getLayer()?.batchDraw();
+    }, [selectedId, selectedIds, elements]);
+
+    /** The element a Konva node was rendered for */
+    const findNodeElement = useCallback((node) => {
+        // Parts without an id (the box of a mind map node) belong to their parent group
+        let current = node;
+        while (current && !current.id?.() && current.getParent) current = current.getParent();
+        const nodeId = current?.id ? current.id() : '';
+        return elements.find(el => nodeId === `shape-${el.id}` || nodeId === `text-${el.id}`);
+    }, [elements]);
+
+    /** Elements moved by moving these nodes, nested ones included */
+    const getMovedIds = useCallback((nodes) => {
+        const ids = nodes.map(node => findNodeElement(node)?.id).filter(id => id !== undefined);
+        return new Set([...ids, ...getDescendantIds(elements, ids)]);
+    }, [elements, findNodeElement]);
+
+    /**
+     * Save the positions of dragged nodes. Dragging one of several selected
+     * nodes moves them all (the Transformer drags the rest along).
+     */
+    const commitNodePositions = useCallback((nodes) => {
+        const movedIds = getMovedIds(nodes);
+        const positions = new Map();
+        nodes.forEach(node => {
+            const el = findNodeElement(node);
+            if (!el) return;
+            if (el.type === 'pen') {
+                positions.set(el.id, bakePenTransform(node, el));
+            } else if (isConnector(el)) {
+                positions.set(el.id, bakeConnectorTransform(node, el, elements, movedIds));
+            } else {
+                positions.set(el.id, getNodePosition(node, el));
             }
-        } else if (transformerRef.current) {
-            transformerRef.current.nodes([]);
-        }
-    }, [selectedId, elements]);
+        });
+        // Elements dropped on a frame join it; those dragged out of their frame leave it
+        const moved = elements.map(el => positions.has(el.id) ? { ...el, ...positions.get(el.id) } : el);
+        saveToHistory(assignToFrames(moved, [...positions.keys()]));
+    }, [elements, findNodeElement, getMovedIds, saveToHistory]);
 
-    // State to trigger text editing from DOM events
-    const [pendingTextEdit, setPendingTextEdit] = useState(null);
+    /**
+     * Snap a dragged node (and whatever is selected with it) to the grid and
+     * to its siblings' edges, centers and spacing, showing smart guides
+     */
+    const snapDraggedNode = useCallback((node, shape) => {
+        if (!snapToGridEnabled && !smartGuidesEnabled) return;
+
+        const selectedNodes = transformerRef.current?.nodes() || [];
+        const movingIds = selectedNodes.includes(node)
+            ? selectedNodes.map(n => findNodeElement(n)?.id)
+            : [shape.id];
+        const offset = getDragOffset(node, shape);
+        const box = getUnionBox(elements.filter(el => movingIds.includes(el.id)).map(getBoundingBox));
+        if (!box) return;
+
+        const parentId = shape.parentId ?? null;
+        const others = elements
+            .filter(el => !movingIds.includes(el.id) && (el.parentId ?? null) === parentId && el.visible !== false)
+            .map(getBoundingBox);
+
+        const { dx, dy, guides: lines } = getSnap(
+            { ...box, x: box.x + offset.x, y: box.y + offset.y },
+            others,
+            { threshold: SNAP_THRESHOLD / stageScale, gridSize: snapToGridEnabled ? GRID_SIZE : null, smartGuides: smartGuidesEnabled }
+        );
+        if (dx || dy) node.position({ x: node.x() + dx, y: node.y() + dy });
+
+        // Guides are computed in the parent group's space; draw them on the canvas
+        const transform = node.getParent().getAbsoluteTransform(stageRef.current);
+        setGuides(lines.map(({ points }) => {
+            const start = transform.point({ x: points[0], y: points[1] });
+            const end = transform.point({ x: points[2], y: points[3] });
+            return [start.x, start.y, end.x, end.y];
+        }));
+    }, [snapToGridEnabled, smartGuidesEnabled, findNodeElement, elements, getBoundingBox, stageScale]);
+
+    /**
+     * While elements are dragged, shift what follows them: the bound ends of
+     * connectors that aren't moving, and the rest of a mind map whose root
+     * is dragged
+     */
+    const trackDragOffsets = useCallback((node, shape) => {
+        const selectedNodes = transformerRef.current?.nodes() || [];
+        const movingNodes = selectedNodes.includes(node) ? selectedNodes : [node];
+
+        const offsets = new Map();
+        const moving = new Set();
+        movingNodes.forEach(n => {
+            const el = n === node ? shape : findNodeElement(n);
+            if (!el) return;
+            // Drag offsets are in the parent group's space; connector ends are resolved on the canvas
+            const offset = getDragOffset(n, el);
+            const transform = n.getParent().getAbsoluteTransform(stageRef.current);
+            const origin = transform.point({ x: 0, y: 0 });
+            const moved = transform.point(offset);
+            const shift = { x: moved.x - origin.x, y: moved.y - origin.y };
+            [el.id, ...getDescendantIds(elements, [el.id])].forEach(id => {
+                offsets.set(id, shift);
+                moving.add(id);
+            });
+            if (isMindMapNode(el)) {
+                getMindDescendantIds(elements, [el.id]).forEach(id => {
+                    if (!offsets.has(id)) offsets.set(id, shift);
+                });
+            }
+        });
+
+        // Frames draw their title and children apart from the dragged box
+        const followers = offsets.size > moving.size || elements.some(el => isFrame(el) && moving.has(el.id));
+        const affected = followers || elements.some(el => isConnector(el) && !moving.has(el.id) &&
+            [el.startBinding, el.endBinding].some(binding => binding && offsets.has(binding.elementId)));
+        if (affected) setDragOffsets({ offsets, moving });
+    }, [elements, findNodeElement]);
+
+    /** The anchor a connector end at this canvas point attaches to, if any */
+    const findAnchorAt = useCallback((point, excludeIds = []) => (
+        findNearestAnchor(getAnchorCandidates(elements, { excludeIds }), point, ANCHOR_SNAP_DISTANCE / stageScale)
+    ), [elements, stageScale]);
+
+    const updateAnchorHint = useCallback((anchor) => {
+        // Keep the same object while the pointer stays on one anchor, to skip re-renders
+        setAnchorHint(prev => (
+            prev?.elementId === anchor?.elementId && prev?.anchor === anchor?.anchor ? prev : anchor
+        ));
+    }, []);
+
+    /** Follow a connector end handle, attaching it to anchors it comes close to */
+    const dragConnectorEnd = useCallback((connector, end, position) => {
+        const anchor = findAnchorAt(position);
+        updateAnchorHint(anchor);
+        setEndpointDrag({ id: connector.id, end, x: anchor?.x ?? position.x, y: anchor?.y ?? position.y });
+    }, [findAnchorAt, updateAnchorHint]);
+
+    /**
+     * Save where a connector end handle was dropped, bound or free.
+     * Returns the canvas point the end was placed at.
+     */
+    const commitConnectorEnd = useCallback((connector, end, position) => {
+        const anchor = findAnchorAt(position);
+        const ends = getConnectorEnds(elements, connector);
+        ends[end] = fromCanvasSpace(elements, connector.parentId ?? null, anchor || position);
+
+        setEndpointDrag(null);
+        updateAnchorHint(null);
+        saveToHistory(elements.map(el => el.id === connector.id ? {
+            ...el,
+            points: [ends.start.x, ends.start.y, ends.end.x, ends.end.y],
+            [`${end}Binding`]: anchor ? { elementId: anchor.elementId, anchor: anchor.anchor } : null
+        } : el));
+        return anchor ? { x: anchor.x, y: anchor.y } : position;
+    }, [elements, findAnchorAt, updateAnchorHint, saveToHistory]);
+
+    /** Change the selected connector, or the routing used for new ones */
+    const updateSelectedConnector = useCallback((updates) => {
+        if (updates.routing) setConnectorRouting(updates.routing);
+        const selected = elements.find(el => el.id === selectedId);
+        if (!isConnector(selected)) return;
+        saveToHistory(elements.map(el => el.id === selectedId ? { ...el, ...updates } : el));
+    }, [elements, selectedId, saveToHistory]);
+
+    /**
+     * Save size/rotation of every node the Transformer just transformed
+     */
+    const commitTransform = useCallback((nodes) => {
+        const movedIds = getMovedIds(nodes);
+        const updates = new Map();
+        nodes.forEach(node => {
+            const el = findNodeElement(node);
+            if (!el) return;
+
+            if (el.type === GROUP_TYPE) {
+                // Groups keep their scale so children stay untouched
+                updates.set(el.id, {
+                    x: node.x(),
+                    y: node.y(),
+                    rotation: node.rotation(),
+                    scaleX: node.scaleX(),
+                    scaleY: node.scaleY()
+                });
+                return;
+            }
+
+            if (el.type === 'pen') {
+                updates.set(el.id, bakePenTransform(node, el));
+                return;
+            }
+
+            if (isConnector(el)) {
+                updates.set(el.id, bakeConnectorTransform(node, el, elements, movedIds));
+                return;
+            }
+
+            if (isMindMapNode(el) || isStickyNote(el) || isFrame(el)) {
+                // Drawn as a group, which has no size of its own
+                const scaleX = node.scaleX();
+                const scaleY = node.scaleY();
+                node.scale({ x: 1, y: 1 });
+                updates.set(el.id, {
+                    x: node.x(),
+                    y: node.y(),
+                    rotation: node.rotation(),
+                    width: Math.max(40, el.width * scaleX),
+                    height: Math.max(24, el.height * scaleY)
+                });
+                return;
+            }
+
+            const scaleX = node.scaleX();
+            const scaleY = node.scaleY();
+
+            // Reset scale and apply to width/height
+            node.scaleX(1);
+            node.scaleY(1);
+
+            const update = {
+                rotation: node.rotation(),
+                width: Math.max(10, node.width() * scaleX),
+                height: Math.max(10, node.height() * scaleY)
+            };
+            if (el.type === 'text') {
+                update.fontSize = Math.max(8, (el.fontSize || 24) * scaleY);
+            }
+            updates.set(el.id, { ...update, ...getNodePosition(node, { ...el, ...update }) });
+        });
+        saveToHistory(elements.map(el => updates.has(el.id) ? { ...el, ...updates.get(el.id) } : el));
+    }, [elements, findNodeElement, getMovedIds, saveToHistory]);
 
     // Direct DOM dblclick listener for text editing (workaround for Konva event issues)
     useEffect(() => {
@@ -681,7 +1606,8 @@ export default function CanvasPage() {
             // Find if any text element is at this position (check from top to bottom in z-order)
             for (let i = elements.length - 1; i >= 0; i--) {
                 const el = elements[i];
-                if (el.type === 'text') {
+                // Grouped text is positioned in its group's space; Konva's own dblclick handles it
+                if (el.type === 'text' && el.parentId == null) {
                     // Estimate text bounds (rough approximation)
                     const textWidth = (el.text?.length || 10) * (el.fontSize || 24) * 0.6;
                     const textHeight = (el.fontSize || 24) * 1.2;
@@ -712,6 +1638,80 @@ export default function CanvasPage() {
         saveToHistory(newElements);
     }, [selectedId, elements, saveToHistory]);
 
+    /**
+     * Uploads an image file to Storage (processed and deduplicated, see
+     * imageStorage.js) and adds it centered on a canvas point (the middle of
+     * the view by default). A placeholder shows the progress meanwhile, and
+     * stays as an error box if the upload fails.
+     */
+    const uploadImage = useCallback(async (file, center) => {
+        const at = center || {
+            x: (-stagePos.x + CANVAS_WIDTH / 2) / stageScale,
+            y: (-stagePos.y + CANVAS_HEIGHT / 2) / stageScale
+        };
+        // Placeholder box until the image size is known
+        const fitBox = ({ width, height }) => {
+            const shown = Math.min(width, 500); // Limit max width
+            return { x: at.x - shown / 2, y: at.y - (height * shown / width) / 2, width: shown, height: height * shown / width };
+        };
+
+        const uploadId = `upload-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const updateUpload = (changes) => setUploads(prev => prev.map(upload => (upload.id === uploadId ? { ...upload, ...changes } : upload)));
+        setUploads(prev => [...prev, { id: uploadId, name: file.name, ...fitBox({ width: 200, height: 120 }), progress: 0, error: null }]);
+
+        try {
+            const image = await uploadImageFile(file, canvasId, {
+                maxDimension: maxImageDimension,
+                onSize: size => updateUpload(fitBox(size)),
+                onProgress: progress => updateUpload({ progress })
+            });
+
+            const element = { id: createElementId(), type: 'image', ...fitBox(image), url: image.url };
+            if (image.thumbnailUrl) element.thumbnailUrl = image.thumbnailUrl;
+            // Read the latest elements: others may have been added during the upload,
+            // and they are the undo baseline too, so undo only takes the image out
+            const current = elementsRef.current;
+            saveToHistory([...current, element], current);
+            setUploads(prev => prev.filter(upload => upload.id !== uploadId));
+            setTool('select');
+        } catch (error) {
+            console.error("Error uploading image: ", error);
+            updateUpload({ error: error.message === 'Not a readable image' ? error.message : 'Upload failed' });
+        }
+    }, [canvasId, stagePos, stageScale, maxImageDimension, saveToHistory]);
+
+    /** Adds the contents of a .prismap or .excalidraw file at a canvas point */
+    const importFile = useCallback(async (file, at) => {
+        try {
+            const text = await file.text();
+            const { elements: imported } = isExcalidrawFile(text) ? parseExcalidrawFile(text) : parsePrismapFile(text);
+            if (imported.length === 0) return;
+            pasteElements(await uploadEmbeddedImages(imported, canvasId), at);
+        } catch (error) {
+            console.error('Error importing file:', error);
+            alert(`Could not import ${file.name}. ${error.message}`);
+        }
+    }, [canvasId, pasteElements]);
+
+    /** Files dropped on the canvas: images (SVG too) are uploaded, PrisMap/Excalidraw files imported */
+    const handleDrop = (e) => {
+        const files = [...e.dataTransfer.files];
+        if (files.length === 0) return;
+        e.preventDefault();
+
+        const container = stageRef.current.container().getBoundingClientRect();
+        const at = {
+            x: (e.clientX - container.left - stagePos.x) / stageScale,
+            y: (e.clientY - container.top - stagePos.y) / stageScale,
+        };
+        // Several files fan out from the drop point
+        files.forEach((file, i) => {
+            const point = { x: at.x + i * 20, y: at.y + i * 20 };
+            if (file.type.startsWith('image/')) uploadImage(file, point);
+            else importFile(file, point);
+        });
+    };
+
     /**
      * Handle Image Upload
      */
@@ -722,36 +1722,64 @@ export default function CanvasPage() {
         // Reset file input
         e.target.value = null;
 
-        // Optional: set a local loading state if you want to show a spinner
-        // setLoading(true); 
+        await uploadImage(file);
+    };
 
-        try {
-            const storageRef = ref(storage, `canvases/${canvasId}/${Date.now()}_${file.name}`);
-            await uploadBytes(storageRef, file);
-            const url = await getDownloadURL(storageRef);
-
-            // Get image dimensions to set initial size
-            const img = new window.Image();
-            img.onload = () => {
-                const newImage = {
-                    id: Date.now(),
-                    type: 'image',
-                    x: (-stagePos.x + CANVAS_WIDTH / 2) / stageScale - (img.width > 500 ? 250 : img.width / 2),
-                    y: (-stagePos.y + CANVAS_HEIGHT / 2) / stageScale - (img.width > 500 ? (img.height * (500 / img.width)) / 2 : img.height / 2),
-                    width: img.width > 500 ? 500 : img.width, // Limit max width
-                    height: img.width > 500 ? (img.height * (500 / img.width)) : img.height,
-                    url: url,
-                };
-                saveToHistory([...elements, newImage]);
-                setTool('select');
+    /** Adds pasted plain text as a text element at a canvas point */
+    const pasteText = useCallback((text, at) => {
+        const newText = {
+            id: createElementId(),
+            type: 'text',
+            x: at.x,
+            y: at.y,
+            text,
+            fontSize: fontSize,
+            fontFamily: fontFamily,
+            fontStyle: fontStyle === 'italic' ? (fontWeight === 'bold' ? 'bold italic' : 'italic') : (fontWeight === 'bold' ? 'bold' : 'normal'),
+            fill: strokeColor,
+        };
+        saveToHistory(assignToFrames([...elements, newText], [newText.id]));
+        setSelectedId(newText.id);
+        setSelectedIds([newText.id]);
+    }, [elements, fontSize, fontFamily, fontStyle, fontWeight, strokeColor, saveToHistory]);
+
+    /**
+     * System clipboard paste (Ctrl/Cmd+V): images are uploaded, PrisMap
+     * payloads become copies, other text becomes a text element — at the
+     * pointer, or the middle of the view if it hasn't been over the canvas.
+     */
+    useEffect(() => {
+        const handlePaste = (e) => {
+            const target = e.target;
+            const tagName = target.tagName?.toUpperCase();
+            if (isEditingTitle || tagName === 'INPUT' || tagName === 'TEXTAREA' || target.isContentEditable) return;
+
+            const data = e.clipboardData;
+            const images = [...(data?.files || [])].filter(file => file.type.startsWith('image/'));
+            const text = data?.getData('text/plain') || '';
+            const at = pointerRef.current || {
+                x: (-stagePos.x + CANVAS_WIDTH / 2) / stageScale,
+                y: (-stagePos.y + CANVAS_HEIGHT / 2) / stageScale
             };
-            img.src = url;
 
-        } catch (error) {
-            console.error("Error uploading image: ", error);
-            alert("Failed to upload image. Please try again.");
-        }
-    };
+            const copied = images.length === 0 && parseClipboardPayload(text);
+
+            e.preventDefault();
+            if (images.length > 0) {
+                images.forEach((file, i) => uploadImage(file, { x: at.x + i * 20, y: at.y + i * 20 }));
+            } else if (copied) {
+                pasteElements(copied, at);
+            } else if (text.trim()) {
+                pasteText(text, at);
+            } else {
+                // Nothing usable on the system clipboard (e.g. writing to it was refused)
+                pasteClipboard();
+            }
+        };
+
+        document.addEventListener('paste', handlePaste);
+        return () => document.removeEventListener('paste', handlePaste);
+    }, [isEditingTitle, stagePos, stageScale, uploadImage, pasteElements, pasteText, pasteClipboard]);
 
     /**
      * Keyboard shortcuts — reads bindings from ShortcutContext so user
@@ -776,6 +1804,9 @@ export default function CanvasPage() {
             lineTool: 'line',
             hexagonTool: 'hexagon',
             pentagonTool: 'pentagon',
+            mindMapTool: 'mindmap',
+            stickyTool: 'sticky',
+            frameTool: 'frame',
         };
 
         /** Build combo string from a KeyboardEvent (matches ShortcutContext format) */
@@ -812,18 +1843,36 @@ export default function CanvasPage() {
                     case 'redo': redo(); handled = true; break;
                     case 'save': saveCanvas(elements, canvasTitle); handled = true; break;
                     case 'copy': copySelected(); handled = true; break;
-                    case 'paste': pasteClipboard(); handled = true; break;
+                    case 'paste':
+                        // Ctrl/Cmd+V is left to the browser, which fires a paste event with the system clipboard
+                        if (combo !== 'ctrl+v') {
+                            pasteClipboard();
+                            handled = true;
+                        }
+                        break;
                     case 'duplicate': duplicateSelected(); handled = true; break;
                     case 'delete':
-                        if (selectedId) {
-                            const newElements = elements.filter(el => el.id !== selectedId);
-                            saveToHistory(newElements);
-                            setSelectedId(null);
+                        if (selectedId || selectedIds.length > 0) {
+                            deleteSelected();
                             handled = true;
                         }
                         break;
+                    case 'addChildNode': handled = addMindMapNode('child'); break;
+                    case 'addSiblingNode': handled = addMindMapNode('sibling'); break;
+                    case 'group': groupSelected(); handled = true; break;
+                    case 'ungroup': ungroupSelected(); handled = true; break;
                     case 'escape':
-                        setSelectedId(null);
+                        if (enteredGroupId !== null) {
+                            // Step out of the group, selecting it
+                            const group = elements.find(el => el.id === enteredGroupId);
+                            setEnteredGroupId(group?.parentId ?? null);
+                            setSelectedId(group ? group.id : null);
+                            setSelectedIds(group ? [group.id] : []);
+                        } else {
+                            setSelectedId(null);
+                            setSelectedIds([]);
+                        }
+                        setSelectionRect(null);
                         setIsDrawing(false);
                         setCurrentPoints([]);
                         handled = true;
@@ -853,10 +1902,8 @@ export default function CanvasPage() {
             }
 
             // Also handle Backspace as delete (always, in addition to the customizable delete key)
-            if (!handled && e.key === 'Backspace' && selectedId) {
-                const newElements = elements.filter(el => el.id !== selectedId);
-                saveToHistory(newElements);
-                setSelectedId(null);
+            if (!handled && e.key === 'Backspace' && (selectedId || selectedIds.length > 0)) {
+                deleteSelected();
                 handled = true;
             }
 
@@ -869,20 +1916,98 @@ export default function CanvasPage() {
 
         document.addEventListener('keydown', handleKeyDown, true);
         return () => document.removeEventListener('keydown', handleKeyDown, true);
-    }, [undo, redo, isEditingTitle, saveCanvas, elements, canvasTitle, copySelected, pasteClipboard, duplicateSelected, selectedId, saveToHistory, bringToFront, sendToBack, bringForward, sendBackward, getComboToActionMap]);
+    }, [undo, redo, isEditingTitle, saveCanvas, elements, canvasTitle, copySelected, pasteClipboard, duplicateSelected, addMindMapNode, groupSelected, ungroupSelected, deleteSelected, enteredGroupId, selectedId, selectedIds, bringToFront, sendToBack, bringForward, sendBackward, getComboToActionMap]);
+
+    /**
+     * Hold Space to pan — a plain drag on empty canvas draws a selection box
+     */
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.code !== 'Space' || isEditingTitle) return;
+            const tagName = e.target.tagName.toUpperCase();
+            if (tagName === 'INPUT' || tagName === 'TEXTAREA' || e.target.isContentEditable) return;
+            e.preventDefault();
+            setIsSpacePressed(true);
+        };
+        const handleKeyUp = (e) => {
+            if (e.code === 'Space') setIsSpacePressed(false);
+        };
+        const handleBlur = () => setIsSpacePressed(false);
+
+        window.addEventListener('keydown', handleKeyDown);
+        window.addEventListener('keyup', handleKeyUp);
+        window.addEventListener('blur', handleBlur);
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+            window.removeEventListener('blur', handleBlur);
+        };
+    }, [isEditingTitle]);
+
+    /**
+     * Select the elements under the marquee, at the current group level
+     */
+    const selectInRect = (rect, { contain, additive }) => {
+        const stage = stageRef.current;
+        if (!stage) return;
+
+        const candidates = enteredGroupId !== null ? getChildren(elements, enteredGroupId) : getRootElements(elements);
+        const boxes = candidates
+            .filter(el => el.visible !== false && el.locked !== true)
+            .map(el => {
+                const node = stage.findOne(`#shape-${el.id}`) || stage.findOne(`#text-${el.id}`);
+                return node ? { id: el.id, ...node.getClientRect({ relativeTo: stage, skipShadow: true }) } : null;
+            })
+            .filter(Boolean);
+
+        const hits = getMarqueeSelection(boxes, rect, { contain });
+        const ids = additive ? [...new Set([...selectedIds, ...hits])] : hits;
+        setSelectedIds(ids);
+        setSelectedId(ids[ids.length - 1] ?? null);
+    };
+
+    /**
+     * Remember the pressure of pen samples. Pointer events come just before
+     * the mouse events handled below, which don't carry pressure.
+     */
+    const recordPointerPressure = (e) => {
+        pointerPressureRef.current = penPressure ? getPointerPressure(e.evt) : null;
+    };
+
+    /**
+     * What the preview of the pen stroke being drawn looks like: its
+     * outline for pressure strokes, else the line itself.
+     */
+    const getPenPreviewAttrs = ({ points, pressures }) => (pressures.length > 0
+        ? { points: buildStrokeOutline(points, pressures, drawWidth), closed: true, fill: drawColor, strokeWidth: 0, tension: 0 }
+        : { points, closed: false, fill: undefined, strokeWidth: drawWidth, tension: 0.5 });
+
+    /**
+     * Erase what the eraser passed over between two samples: pieces of pen
+     * strokes, or whole elements in stroke mode. Applied live; mouse up
+     * records the whole erase as one undo step. The erase is also applied
+     * apart from remote edits merged in meanwhile, so undo leaves those be.
+     */
+    const eraseAlong = (from, to) => {
+        const current = elementsRef.current;
+        const radius = strokeWidth * 3;
+        const erased = eraserMode === 'stroke'
+            ? eraseElements(current, findTouchedElements(current, from, to, radius))
+            : eraseStrokes(current, from, to, radius);
+        if (erased === current) return;
+        const stroke = eraseStrokeRef.current;
+        if (stroke) stroke.erased = applyOps(stroke.erased, diffElements(current, erased));
+        // Samples can come faster than renders; the next one must see this erase
+        elementsRef.current = erased;
+        setElements(erased);
+    };
 
     /**
      * Handle mouse down - start drawing
      */
     const handleMouseDown = (e) => {
-        if (tool === 'select') {
-            const clickedOnEmpty = e.target === e.target.getStage();
-            if (clickedOnEmpty) {
-                setSelectedId(null);
-                setSelectedIds([]);
-            }
-            return;
-        }
+        // Space + drag pans the stage
+        if (isSpacePressed) return;
 
         const stage = e.target.getStage();
         const point = stage.getPointerPosition();
@@ -891,18 +2016,65 @@ export default function CanvasPage() {
             y: (point.y - stagePos.y) / stageScale,
         };
 
-        if (tool === 'pen' || tool === 'eraser') {
+        if (tool === 'select') {
+            const clickedOnEmpty = e.target === e.target.getStage();
+            if (clickedOnEmpty) {
+                // Shift keeps the current selection so the marquee adds to it
+                if (!e.evt?.shiftKey) {
+                    setSelectedId(null);
+                    setSelectedIds([]);
+                    setEnteredGroupId(null);
+                }
+                setSelectionRect({ x1: adjustedPoint.x, y1: adjustedPoint.y, x2: adjustedPoint.x, y2: adjustedPoint.y });
+            }
+            return;
+        }
+
+        if (isBrush(tool) || tool === 'eraser') {
             setIsDrawing(true);
             setCurrentPoints([adjustedPoint.x, adjustedPoint.y]);
+            if (isBrush(tool)) {
+                const pressure = usesPressure(tool) ? pointerPressureRef.current : null;
+                penStrokeRef.current = { points: [adjustedPoint.x, adjustedPoint.y], pressures: pressure === null ? [] : [pressure] };
+            }
+            if (tool === 'eraser') {
+                // Erasing edits elements live; remember where the stroke started for undo
+                eraseStrokeRef.current = { start: elements, erased: elements };
+                eraserPathRef.current = [adjustedPoint.x, adjustedPoint.y];
+                if (eraserMode !== 'lasso') eraseAlong(adjustedPoint, adjustedPoint);
+            }
+        } else if (tool === 'mindmap') {
+            // Start a new map on empty canvas; clicks on elements fall through to selection
+            if (!isCanvasBackground(e.target)) return;
+            const root = createMindMapNode({ id: createElementId() }, {
+                fill: '#f3e8ff',
+                stroke: fillColor,
+                strokeWidth: 2,
+                textColor: '#1f2937'
+            });
+            root.x = adjustedPoint.x - root.width / 2;
+            root.y = adjustedPoint.y - root.height / 2;
+            saveToHistory(assignToFrames([...elements, root], [root.id]));
+            setSelectedId(root.id);
+            setSelectedIds([root.id]);
+            setTool('select');
+        } else if (tool === 'sticky') {
+            if (!isCanvasBackground(e.target)) return;
+            const note = createStickyNote({ id: createElementId(), x: adjustedPoint.x, y: adjustedPoint.y, fill: stickyColor });
+            saveToHistory(assignToFrames([...elements, note], [note.id]));
+            setSelectedId(note.id);
+            setSelectedIds([note.id]);
+            setTool('select');
+            setPendingTextEdit(note.id);
         } else if (tool === 'text') {
-            // Only create new text if clicking on empty space (stage background)
-            const clickedOnEmpty = e.target === e.target.getStage();
+            // Only create new text if clicking on empty space (stage or frame background)
+            const clickedOnEmpty = isCanvasBackground(e.target);
             if (!clickedOnEmpty) {
                 // Clicked on an existing element - select it instead
                 return;
             }
             const newText = {
-                id: Date.now(),
+                id: createElementId(),
                 type: 'text',
                 x: adjustedPoint.x,
                 y: adjustedPoint.y,
@@ -912,11 +2084,22 @@ export default function CanvasPage() {
                 fontStyle: fontStyle === 'italic' ? (fontWeight === 'bold' ? 'bold italic' : 'italic') : (fontWeight === 'bold' ? 'bold' : 'normal'),
                 fill: strokeColor,
             };
-            saveToHistory([...elements, newText]);
+            saveToHistory(assignToFrames([...elements, newText], [newText.id]));
             setSelectedId(newText.id);
+        } else if (CONNECTOR_TYPES.includes(tool)) {
+            // Connectors start on the anchor under the pointer, if any
+            const anchor = findAnchorAt(adjustedPoint);
+            const start = anchor || snapPosition(adjustedPoint);
+            setIsDrawing(true);
+            setCurrentPoints([start.x, start.y]);
+            setConnectorDraft({
+                startBinding: anchor ? { elementId: anchor.elementId, anchor: anchor.anchor } : null,
+                endBinding: null
+            });
         } else {
+            const start = snapPosition(adjustedPoint);
             setIsDrawing(true);
-            setCurrentPoints([adjustedPoint.x, adjustedPoint.y]);
+            setCurrentPoints([start.x, start.y]);
         }
     };
 
@@ -933,6 +2116,15 @@ export default function CanvasPage() {
                 y: (pointer.y - stagePos.y) / stageScale,
             };
             updateCursorPosition(cursorPos.x, cursorPos.y);
+            pointerRef.current = cursorPos;
+
+            if (selectionRect) {
+                setSelectionRect({ ...selectionRect, x2: cursorPos.x, y2: cursorPos.y });
+                return;
+            }
+
+            // Show the anchors a new connector would start from
+            if (CONNECTOR_TYPES.includes(tool) && !isDrawing) updateAnchorHint(findAnchorAt(cursorPos));
         }
 
         if (!isDrawing) return;
@@ -943,96 +2135,144 @@ export default function CanvasPage() {
             y: (point.y - stagePos.y) / stageScale,
         };
 
-        if (tool === 'pen' || tool === 'eraser') {
-            setCurrentPoints([...currentPoints, adjustedPoint.x, adjustedPoint.y]);
-
-            // For eraser, split strokes at intersection points
-            if (tool === 'eraser' && currentPoints.length >= 2) {
-                const eraserRadius = strokeWidth * 3;
-                const newElements = [];
-                let segmentCounter = 0;
-
-                elements.forEach(el => {
-                    if (el.type !== 'pen') {
-                        newElements.push(el);
-                        return;
-                    }
-
-                    // Split the stroke into segments, removing points within eraser radius
-                    const segments = [];
-                    let currentSegment = [];
-
-                    for (let i = 0; i < el.points.length; i += 2) {
-                        const dx = el.points[i] - adjustedPoint.x;
-                        const dy = el.points[i + 1] - adjustedPoint.y;
-                        const distance = Math.sqrt(dx * dx + dy * dy);
-
-                        if (distance < eraserRadius) {
-                            // Point is being erased
-                            if (currentSegment.length >= 4) {
-                                // Save current segment if it has at least 2 points
-                                segments.push([...currentSegment]);
-                            }
-                            currentSegment = [];
-                        } else {
-                            // Point survives
-                            currentSegment.push(el.points[i], el.points[i + 1]);
-                        }
-                    }
-
-                    // Don't forget the last segment
-                    if (currentSegment.length >= 4) {
-                        segments.push(currentSegment);
-                    }
-
-                    // Create new stroke elements for each segment
-                    segments.forEach(segmentPoints => {
-                        newElements.push({
-                            ...el,
-                            id: `${Date.now()}-${segmentCounter++}-${Math.random()}`,
-                            points: segmentPoints,
-                        });
-                    });
-                });
-
-                if (newElements.length !== elements.length ||
-                    newElements.some((el, i) => el.id !== elements[i]?.id)) {
-                    setElements(newElements);
+        if (isBrush(tool)) {
+            // Grow the stroke in place and redraw only its preview: no copy
+            // or re-render per pointer sample
+            const stroke = penStrokeRef.current;
+            const { points, pressures } = stroke;
+            const next = streamlinePoint({ x: points[points.length - 2], y: points[points.length - 1] }, adjustedPoint, penSmoothing);
+            points.push(next.x, next.y);
+            if (pressures.length > 0) pressures.push(pointerPressureRef.current ?? pressures[pressures.length - 1]);
+            const preview = penPreviewRef.current;
+            if (preview) {
+                preview.setAttrs(getPenPreviewAttrs(stroke));
+                preview.getLayer()?.batchDraw();
+            }
+        } else if (tool === 'eraser') {
+            // Erase along the whole movement since the last sample
+            const path = eraserPathRef.current;
+            const from = { x: path[path.length - 2], y: path[path.length - 1] };
+            path.push(adjustedPoint.x, adjustedPoint.y);
+            if (eraserMode === 'lasso') {
+                const preview = lassoPreviewRef.current;
+                if (preview) {
+                    preview.points(path);
+                    preview.getLayer()?.batchDraw();
                 }
+            } else {
+                eraseAlong(from, adjustedPoint);
             }
+        } else if (CONNECTOR_TYPES.includes(tool)) {
+            const startBinding = connectorDraft?.startBinding;
+            const anchor = findAnchorAt(adjustedPoint, startBinding ? [startBinding.elementId] : []);
+            const end = anchor || snapPosition(adjustedPoint);
+            updateAnchorHint(anchor);
+            setCurrentPoints([currentPoints[0], currentPoints[1], end.x, end.y]);
+            setConnectorDraft({
+                startBinding: startBinding ?? null,
+                endBinding: anchor ? { elementId: anchor.elementId, anchor: anchor.anchor } : null
+            });
         } else {
-            setCurrentPoints([currentPoints[0], currentPoints[1], adjustedPoint.x, adjustedPoint.y]);
+            const end = snapPosition(adjustedPoint);
+            setCurrentPoints([currentPoints[0], currentPoints[1], end.x, end.y]);
         }
     };
 
     /**
      * Handle mouse up - finish drawing
      */
-    const handleMouseUp = () => {
+    const handleMouseUp = (e) => {
+        if (selectionRect) {
+            const rect = normalizeRect(selectionRect);
+            setSelectionRect(null);
+            // Ignore plain clicks; Alt selects only fully enclosed elements
+            if (rect.width * stageScale > 2 || rect.height * stageScale > 2) {
+                selectInRect(rect, { contain: e.evt?.altKey, additive: e.evt?.shiftKey });
+            }
+            return;
+        }
+
         if (!isDrawing) return;
         setIsDrawing(false);
-
-        if (currentPoints.length < 4) {
+        setConnectorDraft(null);
+        updateAnchorHint(null);
+
+        if (tool === 'frame') {
+            // A click makes a default-sized frame; a drag collects what it was drawn around
+            const [x1, y1, x2 = x1, y2 = y1] = currentPoints;
+            const frame = createFrame({ id: createElementId(), x1, y1, x2, y2, name: getNextFrameName(elements) });
+            saveToHistory(adoptIntoFrame(assignToFrames([...elements, frame], [frame.id]), frame.id));
+            setSelectedId(frame.id);
+            setSelectedIds([frame.id]);
+            setTool('select');
             setCurrentPoints([]);
             return;
         }
 
-        if (tool === 'pen') {
+        if (isBrush(tool)) {
+            const { points, pressures } = penStrokeRef.current;
+            penStrokeRef.current = null;
+            setCurrentPoints([]);
+            if (points.length < 4) return;
+            // Simplify to about half a screen pixel at the zoom it was drawn at
             const newLine = {
-                id: Date.now(),
+                id: createElementId(),
                 type: 'pen',
-                points: currentPoints,
-                stroke: strokeColor,
-                strokeWidth: strokeWidth,
+                ...(tool !== 'pen' && { brush: tool }),
+                ...finishStroke(points, pressures, { tolerance: SIMPLIFY_TOLERANCE / stageScale, size: drawWidth }),
+                stroke: drawColor,
+                strokeWidth: drawWidth,
             };
-            saveToHistory([...elements, newLine]);
-        } else if (tool === 'eraser') {
-            // Save the erased state to history
-            saveToHistory(elements);
+            saveToHistory(assignToFrames([...elements, newLine], [newLine.id]));
+            return;
+        }
+
+        if (tool === 'eraser') {
+            const path = eraserPathRef.current;
+            const stroke = eraseStrokeRef.current;
+            eraserPathRef.current = null;
+            eraseStrokeRef.current = null;
+            setCurrentPoints([]);
+            const current = elementsRef.current;
+            if (eraserMode === 'lasso') {
+                const erased = eraseElements(current, findLassoedElements(current, path));
+                if (erased !== current) saveToHistory(erased, current);
+            } else if (stroke && stroke.erased !== stroke.start) {
+                // Record the whole erase stroke as one undo step, against the
+                // current elements with just this erase taken back
+                saveToHistory(current, applyOps(current, diffElements(stroke.erased, stroke.start)));
+            }
+            return;
+        }
+
+        if (currentPoints.length < 4) {
+            setCurrentPoints([]);
+            return;
+        }
+
+        if (CONNECTOR_TYPES.includes(tool)) {
+            const [x1, y1, x2, y2] = currentPoints;
+            const { startBinding = null, endBinding = null } = connectorDraft || {};
+            // Skip plain clicks, unless they joined two elements
+            if (x1 !== x2 || y1 !== y2 || (startBinding && endBinding)) {
+                const id = createElementId();
+                saveToHistory(assignToFrames([...elements, {
+                    id,
+                    type: tool,
+                    points: [x1, y1, x2, y2],
+                    startBinding,
+                    endBinding,
+                    routing: connectorRouting,
+                    label: '',
+                    fill: fillColor,
+                    stroke: strokeColor,
+                    strokeWidth: strokeWidth,
+                }], [id]));
+            }
         } else if (tool !== 'select' && tool !== 'text') {
             const [x1, y1, x2, y2] = currentPoints;
             const newShape = {
-                id: Date.now(),
+                id: createElementId(),
                 type: tool,
                 x: Math.min(x1, x2),
                 y: Math.min(y1, y2),
@@ -1042,7 +2282,7 @@ export default function CanvasPage() {
                 stroke: strokeColor,
                 strokeWidth: strokeWidth,
             };
-            saveToHistory([...elements, newShape]);
+            saveToHistory(assignToFrames([...elements, newShape], [newShape.id]));
         }
 
         setCurrentPoints([]);
@@ -1107,19 +2347,10 @@ export default function CanvasPage() {
         if (!window.confirm('Clear the entire canvas?')) return;
 
         setSelectedId(null);
+        setSelectedIds([]);
         saveToHistory([]);
     };
 
-    /**
-     * Delete selected element
-     */
-    const deleteSelected = () => {
-        if (!selectedId) return;
-        const newElements = elements.filter(el => el.id !== selectedId);
-        saveToHistory(newElements);
-        setSelectedId(null);
-    };
-
     /**
      * Handle text double click
      */
@@ -1159,13 +2390,16 @@ export default function CanvasPage() {
         textarea.style.padding = '8px';
         textarea.style.margin = '0px';
         textarea.style.overflow = 'hidden';
-        textarea.style.background = 'white';
+        // Notes are edited on their own color
+        textarea.style.background = isStickyNote(textElement) ? textElement.fill : 'white';
         textarea.style.outline = 'none';
         textarea.style.resize = 'none';
         textarea.style.transformOrigin = 'left top';
         textarea.style.zIndex = '10000';
         textarea.style.boxShadow = '0 4px 12px rgba(139, 61, 255, 0.3)';
-        textarea.style.color = textElement?.fill || '#000000';
+        textarea.style.color = isStickyNote(textElement)
+            ? textElement.textColor || '#1f2937'
+            : textElement?.textColor || textElement?.fill || '#000000';
 
         // Hide the text node while editing
         textNode.hide();
@@ -1208,72 +2442,193 @@ export default function CanvasPage() {
         textarea.addEventListener('blur', handleBlur);
     }, [elements, stageScale, stagePos]);
 
-    // Effect to trigger text editing when pendingTextEdit changes
-    useEffect(() => {
-        if (pendingTextEdit !== null) {
-            handleTextDblClick(pendingTextEdit);
-            setPendingTextEdit(null);
-        }
-    }, [pendingTextEdit, handleTextDblClick]);
+    // Effect to trigger text editing when pendingTextEdit changes
+    useEffect(() => {
+        if (pendingTextEdit !== null) {
+            handleTextDblClick(pendingTextEdit);
+            setPendingTextEdit(null);
+        }
+    }, [pendingTextEdit, handleTextDblClick]);
+
+    /**
+     * Double-click on a Konva node: opens the group under the pointer one
+     * level (selecting the child that was hit), or edits a text element
+     */
+    const handleElementDblClick = useCallback((node) => {
+        const clicked = findNodeElement(node);
+        if (!clicked) return;
+
+        const targetId = getSelectableId(elements, clicked.id, enteredGroupId) ??
+            getSelectableId(elements, clicked.id, null);
+        const target = elements.find(el => el.id === targetId);
+        if (target?.type === GROUP_TYPE) {
+            enterGroup(target.id, getSelectableId(elements, clicked.id, target.id));
+        } else if (clicked.type === 'text' || isMindMapNode(clicked) || isStickyNote(clicked)) {
+            handleTextDblClick(clicked.id);
+        }
+    }, [elements, enteredGroupId, enterGroup, findNodeElement, handleTextDblClick]);
+
+    // Mind map nodes inside collapsed branches
+    const collapsedMindMapIds = getCollapsedHiddenIds(elements);
+
+    // Elements that may be left out off screen, and those in (or near) the view
+    const culling = useMemo(() => {
+        const items = getCullingItems(elements);
+        return { ids: new Set(items.map(item => item.id)), index: createSpatialIndex(items) };
+    }, [elements]);
+    const inViewIds = useMemo(() => querySpatialIndex(culling.index, {
+        x: (-stagePos.x - CULLING_MARGIN) / stageScale,
+        y: (-stagePos.y - CULLING_MARGIN) / stageScale,
+        width: (CANVAS_WIDTH + CULLING_MARGIN * 2) / stageScale,
+        height: (CANVAS_HEIGHT + CULLING_MARGIN * 2) / stageScale
+    }), [culling, stagePos, stageScale]);
+
+    // Redrawn only when the zoom or the pattern changes
+    const backgroundTile = useMemo(() => createBackgroundTile(backgroundPattern, stageScale), [backgroundPattern, stageScale]);
+
+    /** Where a mind map node is drawn: its position, plus its root's drag while that is dragged */
+    const getMindMapNodeBox = (node) => {
+        const follow = dragOffsets && !dragOffsets.moving.has(node.id) ? dragOffsets.offsets.get(node.id) : null;
+        return { x: node.x + (follow?.x || 0), y: node.y + (follow?.y || 0), width: node.width, height: node.height };
+    };
+
+    /**
+     * Moves dragged top-level nodes onto the drag layer until they are
+     * dropped, so the drag only redraws that layer. Nodes inside groups or
+     * frames stay put: their parent's offset and clip would be lost.
+     * React doesn't know about the move (remounting would end the drag), so
+     * dropNodes checks each node is still there and restores the stacking.
+     */
+    const liftNodes = (nodes) => {
+        const content = stageRef.current?.findOne('.canvas-content');
+        if (!content || !dragLayerRef.current || !nodes.every(node => node.getParent() === content)) return;
+        // Bottom-most first, so they keep their order on the drag layer
+        liftedNodesRef.current = [...nodes].sort((a, b) => a.zIndex() - b.zIndex());
+        liftedNodesRef.current.forEach(node => node.moveTo(dragLayerRef.current));
+    };
+
+    /**
+     * Puts lifted nodes back among the other elements, then restacks the
+     * elements in drawing order: React may have added or reordered nodes
+     * meanwhile, positioned against the lifted ones.
+     */
+    const dropNodes = () => {
+        const content = stageRef.current?.findOne('.canvas-content');
+        const lifted = liftedNodesRef.current;
+        liftedNodesRef.current = [];
+        if (!content) return;
+
+        // Skip nodes React has destroyed or moved since (e.g. deleted by a collaborator)
+        lifted.filter(node => node.getParent() === dragLayerRef.current).forEach(node => node.moveTo(content));
+
+        const rank = new Map(getDrawingOrder(getRootElements(elements)).map((el, i) => [el.id, i]));
+        // Nodes that aren't elements stay just above the node below them
+        let below = -1;
+        const ranked = content.getChildren().map(node => {
+            below = rank.get(findNodeElement(node)?.id) ?? below;
+            return { node, rank: below };
+        });
+        [...ranked].sort((a, b) => a.rank - b.rank).forEach(({ node }, i) => {
+            if (node.zIndex() !== i) node.zIndex(i);
+        });
+    };
+
+    /**
+     * A connector or branch route, reused while its ends don't move: a new
+     * points array would redraw the elements layer on every render.
+     */
+    const getRoute = (id, start, end, routing) => {
+        const key = JSON.stringify([start, end, routing ?? null]);
+        const cached = routesRef.current.get(id);
+        if (cached?.key === key) return cached.route;
+        const route = routeConnector(start, end, routing);
+        routesRef.current.set(id, { key, route });
+        return route;
+    };
 
     /**
      * Render shape based on type
      */
     const renderShape = (shape) => {
         // Skip hidden elements
-        if (shape.visible === false) return null;
+        if (shape.visible === false || collapsedMindMapIds.has(shape.id)) return null;
 
         const isSelected = shape.id === selectedId || selectedIds.includes(shape.id);
+        // Off-screen elements aren't mounted, except selected ones (the transformer holds their nodes)
+        if (!fullDetail && !isSelected && culling.ids.has(shape.id) && !inViewIds.has(shape.id)) return null;
+        const isSimplified = !fullDetail && !isSelected;
         const isLocked = shape.locked === true;
+        // Only elements at the current group level can be dragged; inside a
+        // closed group, dragging a child moves the group
+        const isAtSelectionLevel = (shape.parentId ?? null) === enteredGroupId ||
+            getSelectableId(elements, shape.id, enteredGroupId) === shape.id;
+
+        const plainStroke = getPlainStroke(shape, strokeColor, strokeWidth);
 
         const commonProps = {
             id: `shape-${shape.id}`,
             opacity: shape.opacity ?? 1,
             onClick: (e) => {
                 // Allow selection with select tool or text tool (for text elements)
-                if ((tool === 'select' || tool === 'text') && !isLocked) {
-                    const isShiftPressed = e.evt?.shiftKey;
-
-                    if (isShiftPressed) {
-                        // Multi-select: toggle selection
-                        setSelectedIds(prev => {
-                            if (prev.includes(shape.id)) {
-                                return prev.filter(id => id !== shape.id);
-                            } else {
-                                return [...prev, shape.id];
-                            }
-                        });
-                        // Also update selectedId for compatibility
-                        setSelectedId(shape.id);
-                    } else {
-                        // Single select: replace selection
-                        setSelectedId(shape.id);
-                        setSelectedIds([shape.id]);
-                    }
+                if (tool !== 'select' && tool !== 'text') return;
+
+                // A click inside a closed group selects the group
+                let targetId = getSelectableId(elements, shape.id, enteredGroupId);
+                if (targetId === null) {
+                    // Clicked outside the entered group: leave it
+                    setEnteredGroupId(null);
+                    targetId = getSelectableId(elements, shape.id, null);
+                }
+                const target = elements.find(el => el.id === targetId);
+                if (!target || target.locked === true) return;
+
+                const isShiftPressed = e.evt?.shiftKey;
 
-                    // Auto-switch to select tool after clicking an element
-                    if (tool === 'text') setTool('select');
+                if (isShiftPressed) {
+                    // Multi-select: toggle selection
+                    setSelectedIds(prev => {
+                        if (prev.includes(targetId)) {
+                            return prev.filter(id => id !== targetId);
+                        } else {
+                            return [...prev, targetId];
+                        }
+                    });
+                    // Also update selectedId for compatibility
+                    setSelectedId(targetId);
+                } else {
+                    // Single select: replace selection
+                    setSelectedId(targetId);
+                    setSelectedIds([targetId]);
                 }
+
+                // Auto-switch to select tool after clicking an element
+                if (tool === 'text') setTool('select');
+            },
+            draggable: tool === 'select' && !isLocked && isAtSelectionLevel,
+            onDragStart: (e) => {
+                if (e.target !== e.currentTarget) return;
+                const selectedNodes = transformerRef.current?.nodes() || [];
+                liftNodes(selectedNodes.includes(e.target) ? selectedNodes : [e.target]);
+            },
+            onDragMove: (e) => {
+                if (e.target !== e.currentTarget) return;
+                snapDraggedNode(e.target, shape);
+                trackDragOffsets(e.target, shape);
             },
-            draggable: tool === 'select' && !isLocked,
             onDragEnd: (e) => {
-                if (isLocked) return;
-                let newPos = { x: e.target.x(), y: e.target.y() };
-                // For center-rendered shapes, convert center position back to top-left
-                const isCenterRendered = ['circle', 'triangle', 'star', 'hexagon', 'pentagon'].includes(shape.type);
-                if (isCenterRendered && shape.width && shape.height) {
-                    newPos.x = newPos.x - shape.width / 2;
-                    newPos.y = newPos.y - shape.height / 2;
-                }
-                setElements(prevElements => prevElements.map(el =>
-                    el.id === shape.id
-                        ? { ...el, x: newPos.x, y: newPos.y }
-                        : el
-                ));
+                // Ignore drags of children bubbling up from inside a group
+                if (isLocked || e.target !== e.currentTarget) return;
+                dropNodes();
+                setGuides([]);
+                setDragOffsets(null);
+                const selectedNodes = transformerRef.current?.nodes() || [];
+                commitNodePositions(selectedNodes.includes(e.target) ? selectedNodes : [e.target]);
             },
-            stroke: isSelected ? '#8b3dff' : (shape.stroke || (shape.type === 'text' ? undefined : strokeColor)),
-            strokeWidth: isSelected ? (shape.strokeWidth || strokeWidth) + 2 : (shape.type === 'text' && !shape.stroke ? undefined : (shape.strokeWidth || strokeWidth)),
+            stroke: isSelected ? SELECTION_STROKE : plainStroke.stroke,
+            strokeWidth: isSelected ? (shape.strokeWidth || strokeWidth) + 2 : plainStroke.strokeWidth,
             dash: isSelected ? [5, 5] : undefined,
+            // Image exports put the element's own stroke back
+            unselectedStyle: isSelected ? { ...plainStroke, dash: undefined } : undefined,
             // Shadow properties
             shadowColor: shape.shadowColor || 'transparent',
             shadowBlur: shape.shadowBlur || 0,
@@ -1285,20 +2640,277 @@ export default function CanvasPage() {
         };
 
         switch (shape.type) {
-            case 'pen':
+            case GROUP_TYPE:
+                // Children are drawn in the group's own coordinate space
+                return (
+                    <Group
+                        key={shape.id}
+                        id={commonProps.id}
+                        x={shape.x || 0}
+                        y={shape.y || 0}
+                        rotation={shape.rotation || 0}
+                        scaleX={shape.scaleX ?? 1}
+                        scaleY={shape.scaleY ?? 1}
+                        opacity={commonProps.opacity}
+                        draggable={commonProps.draggable}
+                        onDragStart={commonProps.onDragStart}
+                        onDragMove={commonProps.onDragMove}
+                        onDragEnd={commonProps.onDragEnd}
+                    >
+                        {getDrawingOrder(getChildren(elements, shape.id)).map(renderShape)}
+                    </Group>
+                );
+
+            case FRAME_TYPE: {
+                // The dragged and transformed box holds only the background, since
+                // Konva measures groups without their clip; the title and the
+                // clipped children are drawn apart and follow it while it moves
+                const follow = dragOffsets?.moving.has(shape.id) ? dragOffsets.offsets.get(shape.id) : null;
+                const frameX = shape.x + (follow?.x || 0);
+                const frameY = shape.y + (follow?.y || 0);
+                return (
+                    <Group key={shape.id} name={`frame-${shape.id}`} opacity={commonProps.opacity}>
+                        <Text
+                            name="export-hidden"
+                            x={frameX}
+                            y={frameY - 18 / stageScale}
+                            text={shape.name || 'Frame'}
+                            fontSize={12 / stageScale}
+                            fill={isSelected ? '#8b3dff' : '#6b7280'}
+                            onClick={commonProps.onClick}
+                        />
+                        <Group
+                            id={commonProps.id}
+                            x={shape.x}
+                            y={shape.y}
+                            draggable={commonProps.draggable}
+                            onDragStart={commonProps.onDragStart}
+                            onDragMove={commonProps.onDragMove}
+                            onDragEnd={commonProps.onDragEnd}
+                        >
+                            <Rect
+                                name="frame-background"
+                                width={shape.width}
+                                height={shape.height}
+                                fill={shape.fill || '#ffffff'}
+                                stroke={shape.stroke || '#d1d5db'}
+                                strokeWidth={1 / stageScale}
+                                shadowColor="#000000"
+                                shadowBlur={8}
+                                shadowOpacity={0.08}
+                                onClick={commonProps.onClick}
+                            />
+                        </Group>
+                        <Group x={frameX} y={frameY} clipX={0} clipY={0} clipWidth={shape.width} clipHeight={shape.height}>
+                            {getDrawingOrder(getChildren(elements, shape.id)).map(renderShape)}
+                        </Group>
+                    </Group>
+                );
+            }
+
+            case MIND_MAP_TYPE: {
+                const rootId = getMindRootId(elements, shape.id);
+                const root = elements.find(el => el.id === rootId);
+                const layout = root?.layout || 'balanced';
+                const isRoot = rootId === shape.id;
+                const box = getMindMapNodeBox(shape);
+                const parent = elements.find(el => el.id === shape.mindParentId && isMindMapNode(el));
+                const branch = parent && (() => {
+                    const { start, end } = getBranchEnds(getMindMapNodeBox(parent), box, layout);
+                    return getRoute(`branch-${shape.id}`, start, end, 'curved');
+                })();
+
+                // The collapse toggle sits on the side the children grow from
+                const hasChildren = getMindChildren(elements, shape.id).length > 0;
+                const rootBox = root ? getMindMapNodeBox(root) : box;
+                let togglePosition = { x: box.x + box.width / 2, y: box.y + box.height + 10 };
+                if (layout !== 'down' && !isRoot) {
+                    togglePosition = box.x + box.width / 2 >= rootBox.x + rootBox.width / 2
+                        ? { x: box.x + box.width + 10, y: box.y + box.height / 2 }
+                        : { x: box.x - 10, y: box.y + box.height / 2 };
+                }
+
+                return (
+                    <React.Fragment key={shape.id}>
+                        {branch && (
+                            <Line
+                                name={`part-${shape.id}`}
+                                points={branch.points}
+                                bezier
+                                stroke={parent.stroke || strokeColor}
+                                strokeWidth={2}
+                                opacity={commonProps.opacity}
+                                listening={false}
+                            />
+                        )}
+                        <Group
+                            id={commonProps.id}
+                            x={box.x}
+                            y={box.y}
+                            rotation={commonProps.rotation}
+                            opacity={commonProps.opacity}
+                            draggable={commonProps.draggable && isRoot}
+                            onClick={commonProps.onClick}
+                            onDragStart={commonProps.onDragStart}
+                            onDragMove={commonProps.onDragMove}
+                            onDragEnd={commonProps.onDragEnd}
+                        >
+                            <Rect
+                                width={shape.width}
+                                height={shape.height}
+                                fill={shape.fill}
+                                stroke={commonProps.stroke}
+                                strokeWidth={commonProps.strokeWidth}
+                                dash={commonProps.dash}
+                                unselectedStyle={commonProps.unselectedStyle}
+                                cornerRadius={isRoot ? 16 : 10}
+                                shadowColor={commonProps.shadowColor}
+                                shadowBlur={commonProps.shadowBlur}
+                                shadowOffsetX={commonProps.shadowOffsetX}
+                                shadowOffsetY={commonProps.shadowOffsetY}
+                                shadowOpacity={commonProps.shadowOpacity}
+                            />
+                            <Text
+                                id={`text-${shape.id}`}
+                                width={shape.width}
+                                height={shape.height}
+                                text={shape.text}
+                                fontSize={isRoot ? 18 : 14}
+                                fontStyle={isRoot ? 'bold' : 'normal'}
+                                fill={shape.textColor || '#1f2937'}
+                                align="center"
+                                verticalAlign="middle"
+                                padding={8}
+                                wrap="word"
+                                ellipsis
+                                listening={false}
+                            />
+                        </Group>
+                        {hasChildren && (
+                            <Group
+                                name="export-hidden"
+                                x={togglePosition.x}
+                                y={togglePosition.y}
+                                opacity={commonProps.opacity}
+                                onClick={(e) => {
+                                    e.cancelBubble = true;
+                                    toggleMindMapCollapsed(shape.id);
+                                }}
+                            >
+                                <Circle radius={8} fill="#ffffff" stroke={shape.stroke || strokeColor} strokeWidth={1.5} />
+                                <Text
+                                    text={shape.collapsed ? '+' : '−'}
+                                    fontSize={14}
+                                    width={16}
+                                    height={16}
+                                    offsetX={8}
+                                    offsetY={8}
+                                    align="center"
+                                    verticalAlign="middle"
+                                    fill={shape.stroke || strokeColor}
+                                    listening={false}
+                                />
+                            </Group>
+                        )}
+                    </React.Fragment>
+                );
+            }
+
+            case STICKY_TYPE: {
+                const textWidth = shape.width - STICKY_PADDING * 2;
+                const textHeight = shape.height - STICKY_PADDING * 2;
+                const fontFamily = shape.fontFamily || 'Arial';
+                const noteFontSize = fitFontSize(shape.text, textWidth, textHeight, (text, size) => measureText(text, size, fontFamily));
+                return (
+                    <Group
+                        key={shape.id}
+                        id={commonProps.id}
+                        x={shape.x}
+                        y={shape.y}
+                        rotation={commonProps.rotation}
+                        opacity={commonProps.opacity}
+                        draggable={commonProps.draggable}
+                        onClick={commonProps.onClick}
+                        onDragStart={commonProps.onDragStart}
+                        onDragMove={commonProps.onDragMove}
+                        onDragEnd={commonProps.onDragEnd}
+                    >
+                        <Rect
+                            width={shape.width}
+                            height={shape.height}
+                            fill={shape.fill}
+                            stroke={isSelected ? SELECTION_STROKE : undefined}
+                            strokeWidth={isSelected ? 2 : 0}
+                            dash={commonProps.dash}
+                            unselectedStyle={isSelected ? { stroke: undefined, strokeWidth: 0, dash: undefined } : undefined}
+                            cornerRadius={4}
+                            shadowColor={shape.shadowColor || '#000000'}
+                            shadowBlur={shape.shadowBlur ?? 8}
+                            shadowOffsetX={shape.shadowOffsetX ?? 2}
+                            shadowOffsetY={shape.shadowOffsetY ?? 4}
+                            shadowOpacity={shape.shadowOpacity ?? 0.2}
+                        />
+                        <Text
+                            id={`text-${shape.id}`}
+                            x={STICKY_PADDING}
+                            y={STICKY_PADDING}
+                            width={textWidth}
+                            height={textHeight}
+                            text={shape.text}
+                            visible={!(isSimplified && isTextTooSmall(noteFontSize, stageScale))}
+                            fontSize={noteFontSize}
+                            fontFamily={fontFamily}
+                            lineHeight={STICKY_LINE_HEIGHT}
+                            fill={shape.textColor || '#1f2937'}
+                            wrap="word"
+                            listening={false}
+                        />
+                    </Group>
+                );
+            }
+
+            case 'pen': {
+                // Brushes change how a stroke is blended and ended (see brushes.js)
+                const brushStyle = getBrushStyle(shape);
+                const brushProps = {
+                    opacity: (shape.opacity ?? 1) * brushStyle.opacity,
+                    globalCompositeOperation: brushStyle.blendMode || 'source-over'
+                };
+                if (hasPressure(shape)) {
+                    // Pressure strokes are filled outlines; only the selection is stroked
+                    const outline = getStrokeOutline(shape.points, shape.pressures, shape.strokeWidth);
+                    return (
+                        <Line
+                            key={shape.id}
+                            {...commonProps}
+                            {...brushProps}
+                            points={isSimplified ? getRenderedPoints(outline, stageScale) : outline}
+                            closed
+                            fill={shape.stroke}
+                            stroke={isSelected ? SELECTION_STROKE : undefined}
+                            strokeWidth={isSelected ? 2 : 0}
+                            unselectedStyle={isSelected ? { stroke: undefined, strokeWidth: 0, dash: undefined } : undefined}
+                            hitStrokeWidth={20}
+                        />
+                    );
+                }
                 return (
                     <Line
                         key={shape.id}
                         {...commonProps}
-                        points={shape.points}
+                        {...brushProps}
+                        points={isSimplified ? getRenderedPoints(shape.points, stageScale) : shape.points}
                         stroke={shape.stroke}
                         strokeWidth={shape.strokeWidth}
+                        dash={isSelected ? commonProps.dash : brushStyle.dash ?? undefined}
+                        unselectedStyle={isSelected ? { ...commonProps.unselectedStyle, dash: brushStyle.dash ?? undefined } : undefined}
                         tension={0.5}
-                        lineCap="round"
+                        lineCap={brushStyle.lineCap}
                         lineJoin="round"
                         hitStrokeWidth={20}
                     />
                 );
+            }
 
             case 'rectangle':
                 return (
@@ -1380,33 +2992,54 @@ export default function CanvasPage() {
                 );
 
             case 'arrow':
-                if (shape.width && shape.height) {
-                    return (
-                        <Arrow
-                            key={shape.id}
-                            {...commonProps}
-                            points={[shape.x, shape.y, shape.x + shape.width, shape.y + shape.height]}
-                            fill={shape.fill}
-                            pointerLength={20}
-                            pointerWidth={20}
-                        />
-                    );
-                }
-                return null;
-
-            case 'line':
-                if (shape.width && shape.height) {
-                    return (
-                        <Line
-                            key={shape.id}
-                            {...commonProps}
-                            points={[shape.x, shape.y, shape.x + shape.width, shape.y + shape.height]}
-                        />
-                    );
-                }
-                return null;
+            case 'line': {
+                // Bound ends follow their targets, including targets being dragged
+                const { start, end } = getConnectorEnds(elements, shape, {
+                    offsets: dragOffsets && !dragOffsets.moving.has(shape.id) ? dragOffsets.offsets : null,
+                    overrides: endpointDrag?.id === shape.id ? { [endpointDrag.end]: endpointDrag } : {}
+                });
+                const route = getRoute(shape.id, start, end, shape.routing);
+                const labelPosition = shape.label ? getLabelPosition(route) : null;
+                return (
+                    <React.Fragment key={shape.id}>
+                        {shape.type === 'arrow' ? (
+                            <Arrow
+                                {...commonProps}
+                                points={route.points}
+                                bezier={route.bezier}
+                                fill={shape.fill}
+                                pointerLength={20}
+                                pointerWidth={20}
+                                hitStrokeWidth={20}
+                            />
+                        ) : (
+                            <Line
+                                {...commonProps}
+                                points={route.points}
+                                bezier={route.bezier}
+                                lineCap="round"
+                                hitStrokeWidth={20}
+                            />
+                        )}
+                        {labelPosition && !(isSimplified && isTextTooSmall(14, stageScale)) && (
+                            <Label
+                                name={`part-${shape.id}`}
+                                x={labelPosition.x}
+                                y={labelPosition.y}
+                                opacity={commonProps.opacity}
+                                listening={false}
+                                ref={node => centerLabel(node)}
+                            >
+                                <Tag fill="#ffffff" stroke={shape.stroke || strokeColor} strokeWidth={1} cornerRadius={4} />
+                                <Text text={shape.label} fontSize={14} padding={4} fill={shape.stroke || strokeColor} />
+                            </Label>
+                        )}
+                    </React.Fragment>
+                );
+            }
 
             case 'text':
+                if (isSimplified && isTextTooSmall(shape.fontSize || 24, stageScale)) return null;
                 return (
                     <Text
                         key={shape.id}
@@ -1423,12 +3056,12 @@ export default function CanvasPage() {
                         onDblClick={(e) => {
                             e.cancelBubble = true;
                             console.log('Double click detected on text:', shape.id);
-                            handleTextDblClick(shape.id);
+                            handleElementDblClick(e.target);
                         }}
                         onDblTap={(e) => {
                             e.cancelBubble = true;
                             console.log('Double tap detected on text:', shape.id);
-                            handleTextDblClick(shape.id);
+                            handleElementDblClick(e.target);
                         }}
                     />
                 );
@@ -1438,6 +3071,7 @@ export default function CanvasPage() {
                     <URLImage
                         key={shape.id}
                         shape={shape}
+                        preferThumbnail={Math.max(shape.width, shape.height) * stageScale * (window.devicePixelRatio || 1) <= THUMBNAIL_MAX_DIMENSION}
                         {...commonProps}
                     />
                 );
@@ -1449,10 +3083,16 @@ export default function CanvasPage() {
 
     const tools = [
         { id: 'select', icon: MousePointer2, label: 'Select' },
-        { id: 'pen', icon: Pencil, label: 'Pen' },
+        { id: 'pen', icon: Pencil, label: BRUSH_LABELS.pen },
+        { id: 'highlighter', icon: Highlighter, label: BRUSH_LABELS.highlighter },
+        { id: 'marker', icon: Brush, label: BRUSH_LABELS.marker },
+        { id: 'dashed', icon: PenLine, label: BRUSH_LABELS.dashed },
         { id: 'eraser', icon: Eraser, label: 'Eraser' },
         { id: 'text', icon: Type, label: 'Text' },
         { id: 'image', icon: ImageIcon, label: 'Image' },
+        { id: 'mindmap', icon: Network, label: 'Mind Map' },
+        { id: 'sticky', icon: StickyNote, label: 'Sticky Note' },
+        { id: 'frame', icon: FrameIcon, label: 'Frame' },
     ];
 
     const shapes = [
@@ -1467,6 +3107,8 @@ export default function CanvasPage() {
     ];
 
     const selectedElement = elements.find(el => el.id === selectedId);
+    // Frames never rotate
+    const selectionHasFrame = [selectedId, ...selectedIds].some(id => isFrame(elements.find(el => el.id === id)));
 
     if (loading) {
         return (
@@ -1551,7 +3193,17 @@ export default function CanvasPage() {
 
                     {/* Save status */}
                     <div className="flex items-center gap-2 ml-4">
-                        {saving ? (
+                        {!isOnline ? (
+                            <span className="text-xs text-amber-600 flex items-center gap-1" title="Changes are stored on this device until you reconnect">
+                                <WifiOff size={12} />
+                                Offline{pendingCount > 0 && ` · ${pendingCount} pending change${pendingCount === 1 ? '' : 's'}`}
+                            </span>
+                        ) : pendingCount > 0 ? (
+                            <span className="text-xs text-gray-400 flex items-center gap-1">
+                                <RefreshCw size={12} className="animate-spin" />
+                                Syncing {pendingCount} change{pendingCount === 1 ? '' : 's'}...
+                            </span>
+                        ) : saving ? (
                             <span className="text-xs text-gray-400 flex items-center gap-1">
                                 <Save size={12} className="animate-pulse" />
                                 Saving...
@@ -1616,8 +3268,8 @@ export default function CanvasPage() {
                     <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1 mr-2">
                         <button
                             onClick={undo}
-                            disabled={historyStep === 0}
-                            className={`p-2 rounded transition-colors ${historyStep === 0
+                            disabled={!canUndo}
+                            className={`p-2 rounded transition-colors ${!canUndo
                                 ? 'text-gray-300 cursor-not-allowed'
                                 : 'hover:bg-white text-gray-700'
                                 }`}
@@ -1627,8 +3279,8 @@ export default function CanvasPage() {
                         </button>
                         <button
                             onClick={redo}
-                            disabled={historyStep >= history.length - 1}
-                            className={`p-2 rounded transition-colors ${historyStep >= history.length - 1
+                            disabled={!canRedo}
+                            className={`p-2 rounded transition-colors ${!canRedo
                                 ? 'text-gray-300 cursor-not-allowed'
                                 : 'hover:bg-white text-gray-700'
                                 }`}
@@ -1727,6 +3379,24 @@ export default function CanvasPage() {
                         </div>
                     </div>
 
+                    <div className="mb-6">
+                        <h3 className="text-xs font-bold text-gray-500 uppercase tracking-wider mb-3">
+                            Images
+                        </h3>
+                        <label className="text-xs text-gray-600">
+                            Max size for uploads
+                            <select
+                                value={maxImageDimension}
+                                onChange={(e) => setMaxImageDimension(Number(e.target.value))}
+                                className="mt-1 w-full px-2 py-1.5 text-xs border border-gray-200 rounded-lg bg-white"
+                            >
+                                {IMAGE_MAX_DIMENSIONS.map(size => (
+                                    <option key={size} value={size}>{size} px</option>
+                                ))}
+                            </select>
+                        </label>
+                    </div>
+
                     <div className="pt-4 border-t border-gray-200">
                         <button
                             onClick={clearCanvas}
@@ -1739,7 +3409,15 @@ export default function CanvasPage() {
                 </div>
 
                 {/* Canvas */}
-                <div className="flex-1 overflow-hidden bg-gray-100">
+                <div
+                    className="flex-1 overflow-hidden bg-gray-100"
+                    style={{ cursor: isSpacePressed ? 'grab' : undefined }}
+                    onDragOver={(e) => {
+                        // Accept file drops
+                        if ([...e.dataTransfer.types].includes('Files')) e.preventDefault();
+                    }}
+                    onDrop={handleDrop}
+                >
                     <Stage
                         ref={stageRef}
                         width={CANVAS_WIDTH}
@@ -1747,110 +3425,98 @@ export default function CanvasPage() {
                         onMouseDown={handleMouseDown}
                         onMouseMove={handleMouseMove}
                         onMouseUp={handleMouseUp}
+                        onPointerDown={recordPointerPressure}
+                        onPointerMove={recordPointerPressure}
                         onWheel={handleWheel}
                         onDblClick={(e) => {
-                            // Check if double-click was on a text node
-                            const target = e.target;
-                            const id = target.id ? target.id() : '';
-                            console.log('Stage dblclick, target id:', id);
-                            if (id && id.startsWith('text-')) {
-                                const elementId = parseInt(id.replace('text-', ''));
-                                console.log('Text element double-clicked, id:', elementId);
-                                handleTextDblClick(elementId);
-                            }
+                            // Enter a group or edit text under the pointer
+                            handleElementDblClick(e.target);
                         }}
                         onDblTap={(e) => {
                             // Same for touch devices
-                            const target = e.target;
-                            const id = target.id ? target.id() : '';
-                            if (id && id.startsWith('text-')) {
-                                const elementId = parseInt(id.replace('text-', ''));
-                                handleTextDblClick(elementId);
-                            }
+                            handleElementDblClick(e.target);
                         }}
                         scaleX={stageScale}
                         scaleY={stageScale}
                         x={stagePos.x}
                         y={stagePos.y}
-                        draggable={tool === 'select' && !selectedId}
+                        draggable={isSpacePressed}
+                        onDragEnd={(e) => {
+                            // Element drags bubble up here too; only track the stage's own pan
+                            if (e.target === e.target.getStage()) {
+                                setStagePos({ x: e.target.x(), y: e.target.y() });
+                            }
+                        }}
                     >
-                        <Layer>
-                            {/* Background pattern - grid or dots */}
-                            {(() => {
-                                const gridSize = 50;
-
-                                // Calculate visible area in canvas coordinates
-                                const startX = Math.floor((-stagePos.x / stageScale) / gridSize) * gridSize;
-                                const startY = Math.floor((-stagePos.y / stageScale) / gridSize) * gridSize;
-                                const endX = startX + Math.ceil(CANVAS_WIDTH / stageScale) + gridSize;
-                                const endY = startY + Math.ceil(CANVAS_HEIGHT / stageScale) + gridSize;
-
-                                const elements = [];
-
-                                if (backgroundPattern === 'grid') {
-                                    // Grid lines pattern
-                                    for (let x = startX; x <= endX; x += gridSize) {
-                                        elements.push(
-                                            <Line
-                                                key={`v-${x}`}
-                                                points={[x, startY - gridSize, x, endY + gridSize]}
-                                                stroke="#e5e7eb"
-                                                strokeWidth={1 / stageScale}
-                                                listening={false}
-                                            />
-                                        );
-                                    }
-                                    for (let y = startY; y <= endY; y += gridSize) {
-                                        elements.push(
-                                            <Line
-                                                key={`h-${y}`}
-                                                points={[startX - gridSize, y, endX + gridSize, y]}
-                                                stroke="#e5e7eb"
-                                                strokeWidth={1 / stageScale}
-                                                listening={false}
-                                            />
-                                        );
-                                    }
-                                } else {
-                                    // Dots pattern
-                                    for (let x = startX; x <= endX; x += gridSize) {
-                                        for (let y = startY; y <= endY; y += gridSize) {
-                                            elements.push(
-                                                <Circle
-                                                    key={`dot-${x}-${y}`}
-                                                    x={x}
-                                                    y={y}
-                                                    radius={2 / stageScale}
-                                                    fill="#d1d5db"
-                                                    listening={false}
-                                                />
-                                            );
-                                        }
-                                    }
-                                }
-
-                                return elements;
+                        {/* Background grid or dots: one rect filled with a repeating tile */}
+                        <Layer listening={false}>
+                            {backgroundTile && (() => {
+                                // Starts on a grid line, so the tiles line up with the grid
+                                const startX = Math.floor((-stagePos.x / stageScale) / GRID_SIZE) * GRID_SIZE - GRID_SIZE;
+                                const startY = Math.floor((-stagePos.y / stageScale) / GRID_SIZE) * GRID_SIZE - GRID_SIZE;
+                                const tileScale = GRID_SIZE / backgroundTile.width;
+                                return (
+                                    <Rect
+                                        x={startX}
+                                        y={startY}
+                                        width={CANVAS_WIDTH / stageScale + GRID_SIZE * 3}
+                                        height={CANVAS_HEIGHT / stageScale + GRID_SIZE * 3}
+                                        fillPatternImage={backgroundTile}
+                                        fillPatternScaleX={tileScale}
+                                        fillPatternScaleY={tileScale}
+                                    />
+                                );
                             })()}
+                        </Layer>
 
-                            {/* Render all elements */}
-                            {elements.map(renderShape)}
+                        <Layer>
+                            {/* Render all elements (image exports copy this group) */}
+                            <Group name="canvas-content">
+                                {getDrawingOrder(getRootElements(elements)).map(renderShape)}
+                            </Group>
+                        </Layer>
 
-                            {/* Remote users' cursors */}
-                            <LiveCursors cursors={remoteCursors} />
+                        {/* Elements being dragged (see liftNodes) */}
+                        <Layer ref={dragLayerRef} />
 
+                        {/* Drawing previews, handles and guides, redrawn without the elements */}
+                        <Layer>
                             {/* Current drawing preview */}
                             {isDrawing && currentPoints.length >= 2 && (
-                                tool === 'pen' ? (
+                                isBrush(tool) ? penStrokeRef.current && (
                                     <Line
-                                        points={currentPoints}
-                                        stroke={strokeColor}
-                                        strokeWidth={strokeWidth}
-                                        tension={0.5}
-                                        lineCap="round"
+                                        ref={penPreviewRef}
+                                        {...getPenPreviewAttrs(penStrokeRef.current)}
+                                        stroke={drawColor}
+                                        opacity={activeBrushStyle.opacity}
+                                        dash={activeBrushStyle.dash}
+                                        lineCap={activeBrushStyle.lineCap}
                                         lineJoin="round"
                                     />
+                                ) : tool === 'eraser' ? eraserMode === 'lasso' && eraserPathRef.current && (
+                                    <Line
+                                        ref={lassoPreviewRef}
+                                        points={eraserPathRef.current}
+                                        closed
+                                        fill="rgba(239, 68, 68, 0.08)"
+                                        stroke="#ef4444"
+                                        strokeWidth={1 / stageScale}
+                                        dash={[4 / stageScale, 4 / stageScale]}
+                                        listening={false}
+                                    />
                                 ) : currentPoints.length === 4 && (
-                                    tool === 'rectangle' ? (
+                                    tool === 'frame' ? (
+                                        <Rect
+                                            x={Math.min(currentPoints[0], currentPoints[2])}
+                                            y={Math.min(currentPoints[1], currentPoints[3])}
+                                            width={Math.abs(currentPoints[2] - currentPoints[0])}
+                                            height={Math.abs(currentPoints[3] - currentPoints[1])}
+                                            fill="#ffffff"
+                                            stroke="#8b3dff"
+                                            strokeWidth={1 / stageScale}
+                                            dash={[6 / stageScale, 4 / stageScale]}
+                                        />
+                                    ) : tool === 'rectangle' ? (
                                         <Rect
                                             x={Math.min(currentPoints[0], currentPoints[2])}
                                             y={Math.min(currentPoints[1], currentPoints[3])}
@@ -1928,24 +3594,138 @@ export default function CanvasPage() {
                                             stroke={strokeColor}
                                             strokeWidth={strokeWidth}
                                         />
-                                    ) : tool === 'arrow' ? (
-                                        <Arrow
-                                            points={[currentPoints[0], currentPoints[1], currentPoints[2], currentPoints[3]]}
-                                            stroke={strokeColor}
-                                            strokeWidth={strokeWidth}
-                                            fill={strokeColor}
-                                            pointerLength={20}
-                                            pointerWidth={20}
+                                    ) : CONNECTOR_TYPES.includes(tool) ? (() => {
+                                        // Routed like the finished connector, from the anchors it is attached to
+                                        const draft = { type: tool, points: currentPoints, ...connectorDraft };
+                                        const { start, end } = getConnectorEnds(elements, draft);
+                                        const route = routeConnector(start, end, connectorRouting);
+                                        return tool === 'arrow' ? (
+                                            <Arrow
+                                                points={route.points}
+                                                bezier={route.bezier}
+                                                stroke={strokeColor}
+                                                strokeWidth={strokeWidth}
+                                                fill={strokeColor}
+                                                pointerLength={20}
+                                                pointerWidth={20}
+                                                listening={false}
+                                            />
+                                        ) : (
+                                            <Line
+                                                points={route.points}
+                                                bezier={route.bezier}
+                                                stroke={strokeColor}
+                                                strokeWidth={strokeWidth}
+                                                lineCap="round"
+                                                listening={false}
+                                            />
+                                        );
+                                    })() : null
+                                )
+                            )}
+
+                            {/* Anchors a connector end can attach to */}
+                            {anchorHint && (CONNECTOR_TYPES.includes(tool) || endpointDrag) &&
+                                getAnchorCandidates(elements)
+                                    .filter(candidate => candidate.elementId === anchorHint.elementId)
+                                    .map(candidate => (
+                                        <Circle
+                                            key={`anchor-${candidate.anchor}`}
+                                            x={candidate.x}
+                                            y={candidate.y}
+                                            radius={5 / stageScale}
+                                            fill={candidate.anchor === anchorHint.anchor ? '#8b3dff' : '#ffffff'}
+                                            stroke="#8b3dff"
+                                            strokeWidth={1.5 / stageScale}
+                                            listening={false}
                                         />
-                                    ) : tool === 'line' ? (
-                                        <Line
-                                            points={[currentPoints[0], currentPoints[1], currentPoints[2], currentPoints[3]]}
-                                            stroke={strokeColor}
-                                            strokeWidth={strokeWidth}
-                                            lineCap="round"
+                                    ))}
+
+                            {/* End handles of the selected connector */}
+                            {tool === 'select' && isConnector(selectedElement) && selectedElement.locked !== true && (() => {
+                                const ends = getConnectorEnds(elements, selectedElement);
+                                return ['start', 'end'].map(end => {
+                                    const position = toCanvasSpace(elements, selectedElement.parentId ?? null, ends[end]);
+                                    return (
+                                        <Circle
+                                            key={`connector-${end}`}
+                                            x={position.x}
+                                            y={position.y}
+                                            radius={6 / stageScale}
+                                            fill="#ffffff"
+                                            stroke="#8b3dff"
+                                            strokeWidth={2 / stageScale}
+                                            draggable
+                                            onDragMove={(e) => dragConnectorEnd(selectedElement, end, e.target.position())}
+                                            onDragEnd={(e) => e.target.position(commitConnectorEnd(selectedElement, end, e.target.position()))}
                                         />
-                                    ) : null
-                                )
+                                    );
+                                });
+                            })()}
+
+                            {/* Image uploads in progress, and failed ones until clicked away */}
+                            {uploads.map(upload => (
+                                <Group
+                                    key={upload.id}
+                                    x={upload.x}
+                                    y={upload.y}
+                                    onClick={() => upload.error && setUploads(prev => prev.filter(other => other.id !== upload.id))}
+                                >
+                                    <Rect
+                                        width={upload.width}
+                                        height={upload.height}
+                                        fill={upload.error ? '#fef2f2' : '#f5f3ff'}
+                                        stroke={upload.error ? '#ef4444' : '#8b3dff'}
+                                        strokeWidth={1 / stageScale}
+                                        dash={[6 / stageScale, 4 / stageScale]}
+                                        cornerRadius={4}
+                                    />
+                                    {!upload.error && (
+                                        <Rect
+                                            y={upload.height - 4 / stageScale}
+                                            width={upload.width * upload.progress}
+                                            height={4 / stageScale}
+                                            fill="#8b3dff"
+                                            listening={false}
+                                        />
+                                    )}
+                                    <Text
+                                        width={upload.width}
+                                        height={upload.height}
+                                        padding={8 / stageScale}
+                                        align="center"
+                                        verticalAlign="middle"
+                                        fontSize={12 / stageScale}
+                                        fill={upload.error ? '#b91c1c' : '#6d28d9'}
+                                        text={upload.error
+                                            ? `${upload.error}: ${upload.name}\nClick to dismiss`
+                                            : `Uploading ${upload.name}… ${Math.round(upload.progress * 100)}%`}
+                                        listening={false}
+                                    />
+                                </Group>
+                            ))}
+
+                            {/* Smart guides while dragging */}
+                            {guides.map((points, i) => (
+                                <Line
+                                    key={`guide-${i}`}
+                                    points={points}
+                                    stroke="#ff00ff"
+                                    strokeWidth={1 / stageScale}
+                                    listening={false}
+                                />
+                            ))}
+
+                            {/* Marquee selection box */}
+                            {selectionRect && (
+                                <Rect
+                                    {...normalizeRect(selectionRect)}
+                                    fill="rgba(139, 61, 255, 0.08)"
+                                    stroke="#8b3dff"
+                                    strokeWidth={1 / stageScale}
+                                    dash={[4 / stageScale, 4 / stageScale]}
+                                    listening={false}
+                                />
                             )}
 
                             {/* Transformer for resize/rotate handles */}
@@ -1958,36 +3738,8 @@ export default function CanvasPage() {
                                     }
                                     return newBox;
                                 }}
-                                onTransformEnd={(e) => {
-                                    const node = e.target;
-                                    const scaleX = node.scaleX();
-                                    const scaleY = node.scaleY();
-
-                                    // Reset scale and apply to width/height
-                                    node.scaleX(1);
-                                    node.scaleY(1);
-
-                                    setElements(prev => prev.map(el => {
-                                        if (el.id === selectedId) {
-                                            const updates = {
-                                                x: node.x(),
-                                                y: node.y(),
-                                                rotation: node.rotation(),
-                                            };
-                                            if (el.type !== 'pen') {
-                                                updates.width = Math.max(10, node.width() * scaleX);
-                                                updates.height = Math.max(10, node.height() * scaleY);
-                                            }
-                                            if (el.type === 'text') {
-                                                updates.fontSize = Math.max(8, (el.fontSize || 24) * scaleY);
-                                            }
-                                            return { ...el, ...updates };
-                                        }
-                                        return el;
-                                    }));
-                                    triggerAutoSave(elements);
-                                }}
-                                rotateEnabled={true}
+                                onTransformEnd={() => commitTransform(transformerRef.current.nodes())}
+                                rotateEnabled={!selectionHasFrame}
                                 enabledAnchors={['top-left', 'top-right', 'bottom-left', 'bottom-right', 'middle-left', 'middle-right', 'top-center', 'bottom-center']}
                                 anchorSize={8}
                                 anchorCornerRadius={2}
@@ -1996,6 +3748,11 @@ export default function CanvasPage() {
                                 anchorFill="#ffffff"
                             />
                         </Layer>
+
+                        {/* Remote users' cursors */}
+                        <Layer listening={false}>
+                            <LiveCursors cursors={remoteCursors} />
+                        </Layer>
                     </Stage>
                 </div>
 
@@ -2003,7 +3760,7 @@ export default function CanvasPage() {
                 <div className="w-[280px] bg-white border-l border-gray-200 overflow-y-auto shadow-sm flex flex-col">
                     {/* Tab Headers */}
                     <div className="flex border-b border-gray-200">
-                        {['design', 'layers', 'export'].map(tab => (
+                        {['design', 'layers', 'history', 'export'].map(tab => (
                             <button
                                 key={tab}
                                 onClick={() => setRightPanelTab(tab)}
@@ -2043,15 +3800,39 @@ export default function CanvasPage() {
                                     </div>
                                 </div>
 
+                                {/* Snapping Toggles */}
+                                <div className="flex items-center justify-between p-3 bg-gray-50 rounded-xl">
+                                    <div className="flex items-center gap-2">
+                                        <Magnet size={16} className="text-gray-600" />
+                                        <span className="text-xs font-semibold text-gray-700">Snapping</span>
+                                    </div>
+                                    <div className="flex gap-1">
+                                        <button
+                                            onClick={() => setSnapToGridEnabled(prev => !prev)}
+                                            className={`px-2 py-1 text-xs font-medium rounded-lg transition-colors ${snapToGridEnabled ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-600 hover:bg-gray-300'}`}
+                                            title="Snap to the background grid"
+                                        >
+                                            Grid
+                                        </button>
+                                        <button
+                                            onClick={() => setSmartGuidesEnabled(prev => !prev)}
+                                            className={`px-2 py-1 text-xs font-medium rounded-lg transition-colors ${smartGuidesEnabled ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-600 hover:bg-gray-300'}`}
+                                            title="Snap to other elements and show alignment guides"
+                                        >
+                                            Guides
+                                        </button>
+                                    </div>
+                                </div>
+
                                 {/* Colors */}
                                 <div>
                                     <label className="text-xs font-semibold text-gray-700 mb-2 block uppercase tracking-wider">Stroke Color</label>
                                     <div className="flex items-center gap-2">
                                         <input
                                             type="color"
-                                            value={selectedElement?.stroke || strokeColor}
+                                            value={selectedElement?.stroke || drawColor}
                                             onChange={(e) => {
-                                                setStrokeColor(e.target.value);
+                                                setDrawStyle({ stroke: e.target.value });
                                                 if (selectedId) {
                                                     setElements(prev => prev.map(el =>
                                                         el.id === selectedId ? { ...el, stroke: e.target.value } : el
@@ -2062,9 +3843,9 @@ export default function CanvasPage() {
                                         />
                                         <input
                                             type="text"
-                                            value={selectedElement?.stroke || strokeColor}
+                                            value={selectedElement?.stroke || drawColor}
                                             onChange={(e) => {
-                                                setStrokeColor(e.target.value);
+                                                setDrawStyle({ stroke: e.target.value });
                                                 if (selectedId) {
                                                     setElements(prev => prev.map(el =>
                                                         el.id === selectedId ? { ...el, stroke: e.target.value } : el
@@ -2115,10 +3896,10 @@ export default function CanvasPage() {
                                             type="range"
                                             min="1"
                                             max="20"
-                                            value={selectedElement?.strokeWidth || strokeWidth}
+                                            value={selectedElement?.strokeWidth || drawWidth}
                                             onChange={(e) => {
                                                 const newWidth = parseInt(e.target.value);
-                                                setStrokeWidth(newWidth);
+                                                setDrawStyle({ strokeWidth: newWidth });
                                                 if (selectedId) {
                                                     setElements(prev => prev.map(el =>
                                                         el.id === selectedId ? { ...el, strokeWidth: newWidth } : el
@@ -2127,10 +3908,158 @@ export default function CanvasPage() {
                                             }}
                                             className="flex-1"
                                         />
-                                        <span className="text-xs font-mono w-8 text-center">{selectedElement?.strokeWidth || strokeWidth}px</span>
+                                        <span className="text-xs font-mono w-8 text-center">{selectedElement?.strokeWidth || drawWidth}px</span>
                                     </div>
                                 </div>
 
+                                {/* Brush Controls - smoothing and pressure for new strokes */}
+                                {isBrush(tool) && (
+                                    <div>
+                                        <h4 className="text-xs font-bold text-gray-900 uppercase tracking-wider mb-3">{BRUSH_LABELS[tool]}</h4>
+                                        <label className="text-xs font-semibold text-gray-600 mb-1 block">Smoothing</label>
+                                        <div className="flex items-center gap-2 mb-3">
+                                            <input
+                                                type="range" min="0" max="0.9" step="0.1"
+                                                value={penSmoothing}
+                                                onChange={(e) => setPenSmoothing(parseFloat(e.target.value))}
+                                                className="flex-1"
+                                            />
+                                            <span className="text-xs w-10">{Math.round(penSmoothing * 100)}%</span>
+                                        </div>
+                                        {usesPressure(tool) && (
+                                            <button
+                                                onClick={() => setPenPressure(prev => !prev)}
+                                                className={`px-2 py-1 text-xs font-medium rounded-lg transition-colors ${penPressure ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-600 hover:bg-gray-300'}`}
+                                                title="Vary the width with pen pressure and tilt"
+                                            >
+                                                Pressure
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+
+                                {/* Eraser Controls - what the eraser takes */}
+                                {tool === 'eraser' && (
+                                    <div>
+                                        <h4 className="text-xs font-bold text-gray-900 uppercase tracking-wider mb-3">Eraser</h4>
+                                        <div className="flex gap-1">
+                                            {ERASER_MODES.map(mode => (
+                                                <button
+                                                    key={mode}
+                                                    onClick={() => setEraserMode(mode)}
+                                                    className={`flex-1 px-2 py-1 text-xs font-medium rounded-lg capitalize transition-colors ${eraserMode === mode ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-600 hover:bg-gray-300'}`}
+                                                    title={ERASER_MODE_TITLES[mode]}
+                                                >
+                                                    {mode}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Connector Controls - routing for new connectors or the selected one */}
+                                {(CONNECTOR_TYPES.includes(tool) || isConnector(selectedElement)) && (
+                                    <div>
+                                        <h4 className="text-xs font-bold text-gray-900 uppercase tracking-wider mb-3">Connector</h4>
+                                        <div className="flex gap-1 mb-3">
+                                            {ROUTING_STYLES.map(style => {
+                                                const active = (isConnector(selectedElement) ? selectedElement.routing || 'straight' : connectorRouting) === style;
+                                                return (
+                                                    <button
+                                                        key={style}
+                                                        onClick={() => updateSelectedConnector({ routing: style })}
+                                                        className={`flex-1 px-2 py-1 text-xs font-medium rounded-lg capitalize transition-colors ${active ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-600 hover:bg-gray-300'}`}
+                                                    >
+                                                        {style}
+                                                    </button>
+                                                );
+                                            })}
+                                        </div>
+                                        {isConnector(selectedElement) && (
+                                            <input
+                                                type="text"
+                                                value={selectedElement.label || ''}
+                                                onChange={(e) => {
+                                                    const label = e.target.value;
+                                                    setElements(prev => prev.map(el =>
+                                                        el.id === selectedId ? { ...el, label } : el
+                                                    ));
+                                                }}
+                                                placeholder="Label"
+                                                className="w-full px-3 py-2 text-xs border rounded-lg"
+                                            />
+                                        )}
+                                    </div>
+                                )}
+
+                                {/* Frame Name */}
+                                {isFrame(selectedElement) && (
+                                    <div>
+                                        <h4 className="text-xs font-bold text-gray-900 uppercase tracking-wider mb-3">Frame</h4>
+                                        <input
+                                            type="text"
+                                            value={selectedElement.name || ''}
+                                            onChange={(e) => {
+                                                const name = e.target.value;
+                                                setElements(prev => prev.map(el =>
+                                                    el.id === selectedId ? { ...el, name } : el
+                                                ));
+                                            }}
+                                            placeholder="Frame name"
+                                            className="w-full px-3 py-2 text-xs border rounded-lg"
+                                        />
+                                    </div>
+                                )}
+
+                                {/* Sticky Note Colors - for new notes or the selected one */}
+                                {(tool === 'sticky' || isStickyNote(selectedElement)) && (
+                                    <div>
+                                        <h4 className="text-xs font-bold text-gray-900 uppercase tracking-wider mb-3">Sticky Note</h4>
+                                        <div className="flex gap-2">
+                                            {STICKY_COLORS.map(color => {
+                                                const active = (isStickyNote(selectedElement) ? selectedElement.fill : stickyColor) === color;
+                                                return (
+                                                    <button
+                                                        key={color}
+                                                        onClick={() => {
+                                                            setStickyColor(color);
+                                                            if (isStickyNote(selectedElement)) {
+                                                                saveToHistory(elements.map(el => el.id === selectedElement.id ? { ...el, fill: color } : el));
+                                                            }
+                                                        }}
+                                                        className={`w-8 h-8 rounded-lg border-2 transition-transform hover:scale-110 ${active ? 'border-purple-600' : 'border-gray-200'}`}
+                                                        style={{ backgroundColor: color }}
+                                                        title={color}
+                                                    />
+                                                );
+                                            })}
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Mind Map Controls */}
+                                {isMindMapNode(selectedElement) && (() => {
+                                    const root = elements.find(el => el.id === getMindRootId(elements, selectedElement.id));
+                                    const layoutLabels = { balanced: 'Balanced', right: 'Right', down: 'Top-down' };
+                                    return (
+                                        <div>
+                                            <h4 className="text-xs font-bold text-gray-900 uppercase tracking-wider mb-3">Mind Map Layout</h4>
+                                            <div className="flex gap-1 mb-2">
+                                                {MIND_MAP_LAYOUTS.map(layout => (
+                                                    <button
+                                                        key={layout}
+                                                        onClick={() => setMindMapLayout(layout)}
+                                                        className={`flex-1 px-2 py-1 text-xs font-medium rounded-lg transition-colors ${(root?.layout || 'balanced') === layout ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-600 hover:bg-gray-300'}`}
+                                                    >
+                                                        {layoutLabels[layout]}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                            <p className="text-xs text-gray-500">Tab adds a child, Enter a sibling. Double-click to edit.</p>
+                                        </div>
+                                    );
+                                })()}
+
                                 {/* Selected Element Controls */}
                                 {selectedElement && (
                                     <>
@@ -2393,6 +4322,17 @@ export default function CanvasPage() {
                                                 <button onClick={duplicateSelected} className="flex items-center justify-center gap-1 p-2 bg-gray-100 hover:bg-gray-200 rounded-lg text-xs font-medium text-gray-700">
                                                     <Clipboard size={12} /> Duplicate
                                                 </button>
+                                                <button onClick={groupSelected} className="flex items-center justify-center gap-1 p-2 bg-gray-100 hover:bg-gray-200 rounded-lg text-xs font-medium text-gray-700" title="Group (Ctrl+G)">
+                                                    <GroupIcon size={12} /> Group
+                                                </button>
+                                                <button
+                                                    onClick={ungroupSelected}
+                                                    disabled={selectedElement.type !== GROUP_TYPE}
+                                                    className="flex items-center justify-center gap-1 p-2 bg-gray-100 hover:bg-gray-200 rounded-lg text-xs font-medium text-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                                                    title="Ungroup (Ctrl+Shift+G)"
+                                                >
+                                                    <Ungroup size={12} /> Ungroup
+                                                </button>
                                             </div>
 
                                             <button onClick={deleteSelected} className="w-full mt-3 flex items-center justify-center gap-2 px-4 py-2 bg-red-50 text-red-600 rounded-xl font-medium text-sm hover:bg-red-100 transition-colors border border-red-200">
@@ -2414,17 +4354,30 @@ export default function CanvasPage() {
                         {/* LAYERS TAB */}
                         {rightPanelTab === 'layers' && (
                             <div>
+                                <h4 className="text-xs font-bold text-gray-900 uppercase tracking-wider mb-3">Frames</h4>
+                                <div className="mb-4">
+                                    <FrameNavigator
+                                        frames={getFrames(elements)}
+                                        selectedId={selectedId}
+                                        onNavigate={zoomToFrame}
+                                    />
+                                </div>
                                 <div className="flex items-center justify-between mb-3">
                                     <h4 className="text-xs font-bold text-gray-900 uppercase tracking-wider">Layers ({elements.length})</h4>
                                 </div>
                                 <LayersPanel
                                     elements={elements}
                                     selectedIds={selectedId ? [selectedId] : []}
-                                    onSelectElement={(id) => { setSelectedId(id); setTool('select'); }}
+                                    onSelectElement={(id) => {
+                                        // Selecting a nested layer opens its group
+                                        const el = elements.find(item => item.id === id);
+                                        enterGroup(el?.parentId ?? null, id);
+                                        setTool('select');
+                                    }}
                                     onToggleVisibility={toggleVisibility}
                                     onToggleLock={toggleLock}
                                     onDelete={(id) => {
-                                        const newElements = elements.filter(el => el.id !== id);
+                                        const newElements = removeElements(elements, [id]);
                                         saveToHistory(newElements);
                                         if (selectedId === id) setSelectedId(null);
                                     }}
@@ -2435,24 +4388,155 @@ export default function CanvasPage() {
                             </div>
                         )}
 
+                        {/* HISTORY TAB */}
+                        {rightPanelTab === 'history' && (
+                            <div>
+                                <div className="flex items-center justify-between mb-3">
+                                    <h4 className="text-xs font-bold text-gray-900 uppercase tracking-wider">Versions ({versions.length})</h4>
+                                </div>
+                                <VersionHistoryPanel
+                                    versions={versions}
+                                    onSaveVersion={saveNamedVersion}
+                                    onRestore={restoreVersion}
+                                    onRestoreAsCopy={restoreVersionAsCopy}
+                                />
+                            </div>
+                        )}
+
                         {/* EXPORT TAB */}
                         {rightPanelTab === 'export' && (
                             <div className="space-y-4">
                                 <h4 className="text-xs font-bold text-gray-900 uppercase tracking-wider mb-3">Export Canvas</h4>
 
-                                <button onClick={exportAsPNG} className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-xl font-medium text-sm hover:from-purple-700 hover:to-indigo-700 transition-all shadow-lg shadow-purple-500/30">
-                                    <Download size={16} /> Export as PNG
+                                <button onClick={() => setExportDialogFormat('png')} className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-xl font-medium text-sm hover:from-purple-700 hover:to-indigo-700 transition-all shadow-lg shadow-purple-500/30">
+                                    <Download size={16} /> Export as PNG…
+                                </button>
+
+                                <button onClick={() => setExportDialogFormat('jpg')} className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gray-100 text-gray-700 rounded-xl font-medium text-sm hover:bg-gray-200 transition-colors border border-gray-200">
+                                    <Download size={16} /> Export as JPG…
+                                </button>
+
+                                <button onClick={() => exportAsSVG(false)} className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gray-100 text-gray-700 rounded-xl font-medium text-sm hover:bg-gray-200 transition-colors border border-gray-200">
+                                    <Download size={16} /> Export as SVG
                                 </button>
 
-                                <button onClick={exportAsJPG} className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gray-100 text-gray-700 rounded-xl font-medium text-sm hover:bg-gray-200 transition-colors border border-gray-200">
-                                    <Download size={16} /> Export as JPG
+                                <button
+                                    onClick={() => exportAsSVG(true)}
+                                    disabled={!selectedId && selectedIds.length === 0}
+                                    className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gray-100 text-gray-700 rounded-xl font-medium text-sm hover:bg-gray-200 transition-colors border border-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    <Download size={16} /> Export Selection as SVG
                                 </button>
 
+                                <div className="pt-4 border-t border-gray-100 space-y-2">
+                                    <h5 className="text-xs font-bold text-gray-700">PDF</h5>
+                                    <div className="grid grid-cols-2 gap-2">
+                                        <label className="text-xs text-gray-600">
+                                            Pages
+                                            <select
+                                                value={pdfOptions.pages}
+                                                onChange={(e) => setPdfOptions(prev => ({ ...prev, pages: e.target.value }))}
+                                                className="mt-1 w-full px-2 py-1.5 text-xs border border-gray-200 rounded-lg bg-white"
+                                            >
+                                                <option value="canvas">Whole canvas</option>
+                                                <option value="frames">One per frame</option>
+                                            </select>
+                                        </label>
+                                        <label className="text-xs text-gray-600">
+                                            Page size
+                                            <select
+                                                value={pdfOptions.pageSize}
+                                                onChange={(e) => setPdfOptions(prev => ({ ...prev, pageSize: e.target.value }))}
+                                                className="mt-1 w-full px-2 py-1.5 text-xs border border-gray-200 rounded-lg bg-white"
+                                            >
+                                                {Object.keys(PDF_PAGE_SIZES).map(size => (
+                                                    <option key={size} value={size}>{size}</option>
+                                                ))}
+                                                <option value="fit">Fit to content</option>
+                                            </select>
+                                        </label>
+                                        <label className="text-xs text-gray-600">
+                                            Margins
+                                            <select
+                                                value={pdfOptions.margin}
+                                                onChange={(e) => setPdfOptions(prev => ({ ...prev, margin: Number(e.target.value) }))}
+                                                className="mt-1 w-full px-2 py-1.5 text-xs border border-gray-200 rounded-lg bg-white"
+                                            >
+                                                {PDF_MARGINS.map(margin => (
+                                                    <option key={margin.value} value={margin.value}>{margin.label}</option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                        <label className="text-xs text-gray-600">
+                                            Background
+                                            <select
+                                                value={pdfOptions.background}
+                                                onChange={(e) => setPdfOptions(prev => ({ ...prev, background: e.target.value }))}
+                                                className="mt-1 w-full px-2 py-1.5 text-xs border border-gray-200 rounded-lg bg-white capitalize"
+                                            >
+                                                {PDF_BACKGROUNDS.map(pattern => (
+                                                    <option key={pattern} value={pattern}>{pattern}</option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                    </div>
+                                    <button
+                                        onClick={exportAsPDF}
+                                        disabled={isExportingPdf}
+                                        className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gray-100 text-gray-700 rounded-xl font-medium text-sm hover:bg-gray-200 transition-colors border border-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        <Download size={16} /> {isExportingPdf ? 'Exporting…' : 'Export as PDF'}
+                                    </button>
+                                </div>
+
+                                <div className="pt-4 border-t border-gray-100 space-y-2">
+                                    <h5 className="text-xs font-bold text-gray-700">PrisMap File</h5>
+                                    <label className="flex items-center gap-2 text-xs text-gray-700">
+                                        <input
+                                            type="checkbox"
+                                            checked={embedImages}
+                                            onChange={(e) => setEmbedImages(e.target.checked)}
+                                        />
+                                        Embed images
+                                    </label>
+                                    <button
+                                        onClick={exportAsPrismap}
+                                        disabled={isExportingPrismap}
+                                        className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gray-100 text-gray-700 rounded-xl font-medium text-sm hover:bg-gray-200 transition-colors border border-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        <Download size={16} /> {isExportingPrismap ? 'Exporting…' : 'Export as .prismap'}
+                                    </button>
+                                </div>
+
+                                {getFrames(elements).length > 0 && (
+                                    <div className="pt-4 border-t border-gray-100">
+                                        <h5 className="text-xs font-bold text-gray-700 mb-2">Export Frames</h5>
+                                        <div className="space-y-1">
+                                            {getFrames(elements).map(frame => (
+                                                <button
+                                                    key={frame.id}
+                                                    onClick={() => exportFrame(frame)}
+                                                    disabled={frame.visible === false}
+                                                    className="w-full flex items-center gap-2 px-3 py-2 bg-gray-50 text-gray-700 rounded-lg text-xs font-medium hover:bg-gray-100 transition-colors border border-gray-200 disabled:opacity-50"
+                                                >
+                                                    <FrameIcon size={12} />
+                                                    <span className="flex-1 truncate text-left">{frame.name || 'Frame'}</span>
+                                                    <Download size={12} /> PNG
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+
                                 <div className="pt-4 border-t border-gray-100 text-xs text-gray-500">
                                     <p className="mb-2"><strong>Tips:</strong></p>
                                     <ul className="space-y-1 text-gray-400">
+                                        <li>• PNG/JPG: Pick scale, background, grid and area in the export dialog</li>
                                         <li>• PNG: Best for transparent backgrounds</li>
                                         <li>• JPG: Smaller file size, no transparency</li>
+                                        <li>• SVG: Vector, sharp at any size; covers the whole canvas, not just the view</li>
+                                        <li>• PDF: Vector, with selectable text; one page per frame for hand-outs</li>
+                                        <li>• .prismap: Full backup; import it as a new canvas from the dashboard</li>
                                     </ul>
                                 </div>
 
@@ -2462,12 +4546,16 @@ export default function CanvasPage() {
                                         <div className="flex justify-between"><span>Copy</span><kbd className="bg-gray-100 px-1 rounded">⌘C</kbd></div>
                                         <div className="flex justify-between"><span>Paste</span><kbd className="bg-gray-100 px-1 rounded">⌘V</kbd></div>
                                         <div className="flex justify-between"><span>Duplicate</span><kbd className="bg-gray-100 px-1 rounded">⌘D</kbd></div>
+                                        <div className="flex justify-between"><span>Group</span><kbd className="bg-gray-100 px-1 rounded">⌘G</kbd></div>
+                                        <div className="flex justify-between"><span>Ungroup</span><kbd className="bg-gray-100 px-1 rounded">⌘⇧G</kbd></div>
                                         <div className="flex justify-between"><span>Undo</span><kbd className="bg-gray-100 px-1 rounded">⌘Z</kbd></div>
                                         <div className="flex justify-between"><span>Redo</span><kbd className="bg-gray-100 px-1 rounded">⌘⇧Z</kbd></div>
                                         <div className="flex justify-between"><span>Bring Forward</span><kbd className="bg-gray-100 px-1 rounded">]</kbd></div>
                                         <div className="flex justify-between"><span>Send Backward</span><kbd className="bg-gray-100 px-1 rounded">[</kbd></div>
                                         <div className="flex justify-between"><span>Snap to Grid</span><kbd className="bg-gray-100 px-1 rounded">G</kbd></div>
                                         <div className="flex justify-between"><span>Delete</span><kbd className="bg-gray-100 px-1 rounded">Del</kbd></div>
+                                        <div className="flex justify-between"><span>Pan</span><kbd className="bg-gray-100 px-1 rounded">Space + drag</kbd></div>
+                                        <div className="flex justify-between"><span>Mind Map Child / Sibling</span><kbd className="bg-gray-100 px-1 rounded">Tab / Enter</kbd></div>
                                     </div>
                                 </div>
                             </div>
@@ -2475,6 +4563,17 @@ export default function CanvasPage() {
                     </div>
                 </div>
             </div>
+            {/* PNG/JPG export options */}
+            <ExportDialog
+                isOpen={exportDialogFormat !== null}
+                format={exportDialogFormat ?? 'png'}
+                onFormatChange={setExportDialogFormat}
+                options={rasterOptions}
+                onOptionsChange={changes => setRasterOptions(prev => ({ ...prev, ...changes }))}
+                hasSelection={!!selectedId || selectedIds.length > 0}
+                onExport={exportAsImage}
+                onClose={() => setExportDialogFormat(null)}
+            />
             {/* Collaboration share panel */}
             <CollaborationPanel
                 isOpen={showSharePanel}
@@ -1,12 +1,15 @@
 "use client";
 
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useRouter } from "next/navigation";
 import { onAuthStateChanged } from "firebase/auth";
-import { collection, query, where, onSnapshot, orderBy, doc, getDoc, getDocs } from "firebase/firestore";
+import { collection, query, where, onSnapshot, orderBy, doc, getDoc, getDocs, setDoc, serverTimestamp } from "firebase/firestore";
 import { auth, db } from "@/lib/firebase";
-import { Plus, Layout, Loader2, UserCheck, ArrowRight, Key, LogIn, X } from "lucide-react";
+import { Plus, Layout, Loader2, UserCheck, ArrowRight, Key, LogIn, X, Upload } from "lucide-react";
 import Navbar from "@/components/Navbar";
+import { parsePrismapFile, PRISMAP_EXTENSION } from "@/lib/prismapFile";
+import { uploadEmbeddedImages } from "@/lib/imageStorage";
+import { parseExcalidrawFile, isExcalidrawFile, EXCALIDRAW_EXTENSION } from "@/lib/excalidrawImport";
 
 /**
  * Dashboard Component.
@@ -23,6 +26,8 @@ export default function Dashboard() {
   const [showProfileModal, setShowProfileModal] = useState(false);
   const [showJoinModal, setShowJoinModal] = useState(false);
   const [joinKey, setJoinKey] = useState("");
+  const [importing, setImporting] = useState(false);
+  const importInputRef = useRef(null);
   const router = useRouter();
 
   useEffect(() => {
@@ -166,6 +171,43 @@ export default function Dashboard() {
     }
   };
 
+  /**
+   * Imports a .prismap file or an Excalidraw scene as a new canvas. Embedded
+   * images are uploaded to Storage so the canvas document only holds their
+   * addresses.
+   * @function handleImportFile
+   */
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file || !user) return;
+
+    setImporting(true);
+    try {
+      const text = await file.text();
+      const { title, elements } = isExcalidrawFile(text)
+        ? parseExcalidrawFile(text, { title: file.name.replace(/\.[^.]+$/, "") })
+        : parsePrismapFile(text);
+      const newId = crypto.randomUUID();
+
+      await setDoc(doc(db, "canvases", newId), {
+        id: newId,
+        title,
+        elements: await uploadEmbeddedImages(elements, newId),
+        ownerId: user.uid,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        checkpointAt: serverTimestamp()
+      });
+      router.push(`/canvas/${newId}`);
+    } catch (error) {
+      console.error("Error importing file:", error);
+      alert(`Could not import ${file.name}. ${error.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex h-screen w-full items-center justify-center bg-[var(--color-bg-base)]">
@@ -213,6 +255,26 @@ export default function Dashboard() {
             <span className="mt-4 text-sm font-semibold text-blue-300">Join by Key</span>
           </button>
 
+          {/* Import File Action Card */}
+          <button
+            onClick={() => importInputRef.current?.click()}
+            disabled={importing}
+            className="group aspect-[4/5] flex flex-col items-center justify-center rounded-3xl border-2 border-dashed border-emerald-300/20 bg-emerald-500/5 hover:bg-emerald-500/10 transition-all duration-300 disabled:opacity-60"
+          >
+            <div className="h-14 w-14 rounded-full bg-white/10 flex items-center justify-center text-emerald-400 group-hover:scale-110 transition-transform shadow-lg shadow-emerald-500/10">
+              {importing ? <Loader2 className="animate-spin" /> : <Upload />}
+            </div>
+            <span className="mt-4 text-sm font-semibold text-emerald-300">{importing ? "Importing…" : "Import File"}</span>
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept={`${PRISMAP_EXTENSION},${EXCALIDRAW_EXTENSION},application/json`}
+            onChange={handleImportFile}
+            className="hidden"
+            aria-label="Import PrisMap or Excalidraw file"
+          />
+
           {/* Project Mapping Area */}
           {projects.map((project) => (
             <ProjectCard
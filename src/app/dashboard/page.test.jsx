@@ -3,7 +3,7 @@ import { vi, describe, it, expect, beforeEach } from 'vitest'
 import Dashboard from './page'
 import { useRouter } from 'next/navigation'
 import { onAuthStateChanged } from 'firebase/auth'
-import { onSnapshot, getDoc } from 'firebase/firestore'
+import { onSnapshot, getDoc, setDoc } from 'firebase/firestore'
 
 // Mocks are hoisted. We rely on vitest.setup.jsx for base mocks.
 // We'll override specific behaviors in tests.
@@ -19,6 +19,8 @@ vi.mock('firebase/firestore', async (importOriginal) => {
         onSnapshot: vi.fn(),
         doc: vi.fn(),
         getDoc: vi.fn(),
+        setDoc: vi.fn(),
+        serverTimestamp: vi.fn(),
     };
 });
 
@@ -111,4 +113,62 @@ describe('Dashboard', () => {
         // We expect push to be called with /canvas/some-uuid
         expect(mockPush).toHaveBeenCalledWith(expect.stringMatching(/^\/canvas\/.+/));
     });
+
+    it('imports a .prismap file as a new canvas', async () => {
+        onSnapshot.mockImplementation((query, callback) => {
+            callback({ docs: [] });
+            return () => { };
+        });
+
+        await act(async () => {
+            render(<Dashboard />);
+        });
+
+        const contents = JSON.stringify({
+            format: 'prismap',
+            version: 2,
+            title: 'Backup',
+            elements: [{ id: 'a', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 }],
+            images: {}
+        });
+        const file = new File([contents], 'backup.prismap', { type: 'application/json' });
+
+        await act(async () => {
+            fireEvent.change(screen.getByLabelText('Import PrisMap or Excalidraw file'), { target: { files: [file] } });
+        });
+
+        await waitFor(() => expect(mockPush).toHaveBeenCalledWith(expect.stringMatching(/^\/canvas\/.+/)));
+        const saved = setDoc.mock.calls[0][1];
+        expect(saved).toMatchObject({ title: 'Backup', ownerId: 'test-user-id' });
+        expect(saved.elements).toHaveLength(1);
+        expect(saved.elements[0].id).not.toBe('a');
+    });
+
+    it('imports an Excalidraw scene named after the file', async () => {
+        onSnapshot.mockImplementation((query, callback) => {
+            callback({ docs: [] });
+            return () => { };
+        });
+
+        await act(async () => {
+            render(<Dashboard />);
+        });
+
+        const contents = JSON.stringify({
+            type: 'excalidraw',
+            version: 2,
+            elements: [{ id: 'e', type: 'ellipse', x: 0, y: 0, width: 40, height: 40, strokeColor: '#1e1e1e', backgroundColor: 'transparent' }],
+            files: {}
+        });
+        const file = new File([contents], 'Retro board.excalidraw', { type: 'application/json' });
+
+        await act(async () => {
+            fireEvent.change(screen.getByLabelText('Import PrisMap or Excalidraw file'), { target: { files: [file] } });
+        });
+
+        await waitFor(() => expect(mockPush).toHaveBeenCalled());
+        const saved = setDoc.mock.calls[0][1];
+        expect(saved.title).toBe('Retro board');
+        expect(saved.elements[0]).toMatchObject({ type: 'circle', width: 40, height: 40 });
+    });
 });
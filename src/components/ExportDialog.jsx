@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Options dialog for PNG/JPG export.
+ *
+ * This is a regular React component (HTML), not Konva. Options live in the
+ * canvas page (so they are kept between exports); the page does the export.
+ */
+
+'use client';
+
+import React from 'react';
+import { X, Download, Image as ImageIcon } from 'lucide-react';
+import { EXPORT_SCALES } from '@/lib/rasterExport';
+
+/** A row of toggle buttons, one of which is active */
+function Segmented({ options, value, onChange, disabled }) {
+    return (
+        <div className="flex gap-1">
+            {options.map(option => (
+                <button
+                    key={String(option.value)}
+                    onClick={() => onChange(option.value)}
+                    disabled={disabled || option.disabled}
+                    className={`flex-1 px-2 py-1.5 text-xs font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${value === option.value ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                >
+                    {option.label}
+                </button>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * ExportDialog — scale, background, grid, region and padding of an image export.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {'png'|'jpg'} props.format
+ * @param {(format: 'png'|'jpg') => void} props.onFormatChange
+ * @param {Object} props.options - See DEFAULT_RASTER_OPTIONS
+ * @param {(changes: Object) => void} props.onOptionsChange - Called with the changed options only
+ * @param {boolean} props.hasSelection - Whether "selection only" can be used
+ * @param {() => void} props.onExport
+ * @param {() => void} props.onClose
+ */
+export default function ExportDialog({ isOpen, format, onFormatChange, options, onOptionsChange, hasSelection, onExport, onClose }) {
+    if (!isOpen) return null;
+
+    // JPG has no alpha channel
+    const transparent = format === 'png' && options.transparent;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+            {/* Backdrop — click to close */}
+            <div className="absolute inset-0 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+
+            <div role="dialog" aria-label="Export image" className="relative w-80 bg-white rounded-2xl shadow-2xl border border-gray-200 overflow-hidden">
+                <div className="flex items-center justify-between px-5 py-4 border-b border-gray-100 bg-gradient-to-r from-purple-50 to-indigo-50">
+                    <div className="flex items-center gap-2">
+                        <ImageIcon size={18} className="text-purple-600" />
+                        <h3 className="font-bold text-gray-900 text-sm">Export Image</h3>
+                    </div>
+                    <button onClick={onClose} className="p-1.5 hover:bg-white/60 rounded-lg transition-colors" title="Close">
+                        <X size={16} className="text-gray-500" />
+                    </button>
+                </div>
+
+                <div className="p-5 space-y-4">
+                    <div>
+                        <label className="text-xs text-gray-600 mb-1 block">Format</label>
+                        <Segmented
+                            options={[{ value: 'png', label: 'PNG' }, { value: 'jpg', label: 'JPG' }]}
+                            value={format}
+                            onChange={onFormatChange}
+                        />
+                    </div>
+
+                    <div>
+                        <label className="text-xs text-gray-600 mb-1 block">Scale</label>
+                        <Segmented
+                            options={EXPORT_SCALES.map(scale => ({ value: scale, label: `${scale}x` }))}
+                            value={options.scale}
+                            onChange={scale => onOptionsChange({ scale })}
+                        />
+                    </div>
+
+                    <div>
+                        <label className="text-xs text-gray-600 mb-1 block">Area</label>
+                        <Segmented
+                            options={[{ value: 'content', label: 'All content' }, { value: 'visible', label: 'Visible area' }]}
+                            value={options.area}
+                            onChange={area => onOptionsChange({ area })}
+                        />
+                    </div>
+
+                    <div>
+                        <label className="text-xs text-gray-600 mb-1 block">Background</label>
+                        <Segmented
+                            options={[
+                                { value: false, label: 'White' },
+                                { value: true, label: 'Transparent', disabled: format !== 'png' }
+                            ]}
+                            value={transparent}
+                            onChange={value => onOptionsChange({ transparent: value })}
+                        />
+                    </div>
+
+                    <div className="space-y-2">
+                        <label className="flex items-center gap-2 text-xs text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={options.includeGrid}
+                                onChange={(e) => onOptionsChange({ includeGrid: e.target.checked })}
+                            />
+                            Include grid
+                        </label>
+                        <label className={`flex items-center gap-2 text-xs ${hasSelection ? 'text-gray-700' : 'text-gray-400'}`}>
+                            <input
+                                type="checkbox"
+                                checked={hasSelection && options.selectionOnly}
+                                disabled={!hasSelection}
+                                onChange={(e) => onOptionsChange({ selectionOnly: e.target.checked })}
+                            />
+                            Selection only
+                        </label>
+                    </div>
+
+                    <div>
+                        <label className="text-xs text-gray-600 mb-1 block">Padding: {options.padding}px</label>
+                        <input
+                            type="range"
+                            min="0"
+                            max="200"
+                            step="10"
+                            value={options.padding}
+                            disabled={options.area === 'visible'}
+                            onChange={(e) => onOptionsChange({ padding: Number(e.target.value) })}
+                            className="w-full accent-purple-600 disabled:opacity-50"
+                        />
+                    </div>
+
+                    <button
+                        onClick={onExport}
+                        className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-xl font-medium text-sm hover:from-purple-700 hover:to-indigo-700 transition-all shadow-lg shadow-purple-500/30"
+                    >
+                        <Download size={16} /> Export {format.toUpperCase()}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,47 @@
+import { render, screen, fireEvent } from '@testing-library/react'
+import { vi, describe, it, expect } from 'vitest'
+import ExportDialog from './ExportDialog'
+import { DEFAULT_RASTER_OPTIONS } from '@/lib/rasterExport'
+
+describe('ExportDialog', () => {
+    const renderDialog = (props = {}) => {
+        const handlers = { onFormatChange: vi.fn(), onOptionsChange: vi.fn(), onExport: vi.fn(), onClose: vi.fn() };
+        render(
+            <ExportDialog
+                isOpen
+                format="png"
+                options={DEFAULT_RASTER_OPTIONS}
+                hasSelection={false}
+                {...handlers}
+                {...props}
+            />
+        );
+        return handlers;
+    };
+
+    it('reports changed options and exports', () => {
+        const { onOptionsChange, onExport } = renderDialog();
+
+        fireEvent.click(screen.getByText('4x'));
+        expect(onOptionsChange).toHaveBeenCalledWith({ scale: 4 });
+        fireEvent.click(screen.getByText('Visible area'));
+        expect(onOptionsChange).toHaveBeenCalledWith({ area: 'visible' });
+        fireEvent.click(screen.getByLabelText('Include grid'));
+        expect(onOptionsChange).toHaveBeenCalledWith({ includeGrid: true });
+
+        fireEvent.click(screen.getByText('Export PNG'));
+        expect(onExport).toHaveBeenCalled();
+    });
+
+    it('offers transparency only for PNG and selection only with a selection', () => {
+        renderDialog({ format: 'jpg' });
+
+        expect(screen.getByText('Transparent')).toBeDisabled();
+        expect(screen.getByLabelText('Selection only')).toBeDisabled();
+    });
+
+    it('renders nothing when closed', () => {
+        renderDialog({ isOpen: false });
+        expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+});
@@ -0,0 +1,38 @@
+'use client';
+
+import React from 'react';
+import { Frame as FrameIcon, LocateFixed } from 'lucide-react';
+
+/**
+ * FrameNavigator - Lists the canvas frames in drawing order.
+ * Clicking a frame zooms the canvas to it.
+ */
+export default function FrameNavigator({ frames, selectedId, onNavigate }) {
+    if (frames.length === 0) {
+        return (
+            <div className="text-center text-gray-400 py-2 text-xs">
+                No frames yet. Draw one with the Frame tool (F)
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-1">
+            {frames.map(frame => (
+                <button
+                    key={frame.id}
+                    onClick={() => onNavigate(frame.id)}
+                    className={`w-full flex items-center gap-2 px-2 py-1.5 rounded-lg text-xs font-medium transition-colors ${frame.id === selectedId
+                        ? 'bg-purple-100 text-purple-700'
+                        : 'bg-gray-50 text-gray-700 hover:bg-gray-100'
+                        }`}
+                    title="Zoom to frame"
+                >
+                    <FrameIcon size={12} />
+                    <span className="flex-1 truncate text-left">{frame.name || 'Frame'}</span>
+                    <LocateFixed size={12} className="text-gray-400" />
+                </button>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,24 @@
+import { render, screen, fireEvent } from '@testing-library/react'
+import { vi, describe, it, expect } from 'vitest'
+import FrameNavigator from './FrameNavigator'
+
+describe('FrameNavigator', () => {
+    const frames = [
+        { id: 'f1', type: 'frame', name: 'Intro' },
+        { id: 'f2', type: 'frame', name: 'Roadmap' }
+    ];
+
+    it('lists frames and zooms to the clicked one', () => {
+        const onNavigate = vi.fn();
+        render(<FrameNavigator frames={frames} selectedId={null} onNavigate={onNavigate} />);
+
+        expect(screen.getByText('Intro')).toBeInTheDocument();
+        fireEvent.click(screen.getByText('Roadmap'));
+        expect(onNavigate).toHaveBeenCalledWith('f2');
+    });
+
+    it('explains how to add a frame when there are none', () => {
+        render(<FrameNavigator frames={[]} selectedId={null} onNavigate={vi.fn()} />);
+        expect(screen.getByText(/No frames yet/)).toBeInTheDocument();
+    });
+});
@@ -1,10 +1,13 @@
 'use client';
 
-import React from 'react';
-import { Eye, EyeOff, Lock, Unlock, Trash2, ChevronUp, ChevronDown } from 'lucide-react';
+import React, { useState } from 'react';
+import { Eye, EyeOff, Lock, Unlock, Trash2, ChevronUp, ChevronDown, ChevronRight } from 'lucide-react';
+import { GROUP_TYPE, FRAME_TYPE, getChildren, getRootElements } from '@/lib/groups';
+import { BRUSH_LABELS, getBrush } from '@/lib/brushes';
 
 /**
- * LayersPanel - Shows all elements with visibility, lock, and reorder controls
+ * LayersPanel - Shows all elements with visibility, lock, and reorder controls.
+ * Groups and frames are collapsible tree nodes with their children nested below.
  */
 export default function LayersPanel({
     elements,
@@ -17,9 +20,16 @@ export default function LayersPanel({
     onMoveDown,
     onOpacityChange
 }) {
+    const [collapsedIds, setCollapsedIds] = useState([]);
+
+    const toggleCollapsed = (id) => {
+        setCollapsedIds(prev => prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]);
+    };
+
     const getElementLabel = (el) => {
-        if (el.type === 'text') return el.text?.substring(0, 15) || 'Text';
-        if (el.type === 'pen') return 'Stroke';
+        if (el.type === 'text' || el.type === 'mindmap' || el.type === 'sticky') return el.text?.substring(0, 15) || 'Text';
+        if (el.type === FRAME_TYPE) return el.name || 'Frame';
+        if (el.type === 'pen') return el.brush ? BRUSH_LABELS[getBrush(el)] : 'Stroke';
         if (el.type === 'image') return 'Image';
         return el.type.charAt(0).toUpperCase() + el.type.slice(1);
     };
@@ -28,69 +38,89 @@ export default function LayersPanel({
         const icons = {
             rectangle: '⬜', circle: '⭕', triangle: '🔺', star: '⭐',
             pentagon: '⬠', hexagon: '⬡', text: '📝', pen: '✏️',
-            arrow: '➡️', line: '➖', image: '🖼️'
+            arrow: '➡️', line: '➖', image: '🖼️', group: '📁', mindmap: '🧠', sticky: '🗒️', frame: '🔲'
         };
         return icons[type] || '📦';
     };
 
+    // Topmost layer first, children listed under their group or frame
+    const renderLayer = (el, depth) => {
+        const isSelected = selectedIds.includes(el.id);
+        const isVisible = el.visible !== false;
+        const isLocked = el.locked === true;
+        const isGroup = el.type === GROUP_TYPE || el.type === FRAME_TYPE;
+        const isCollapsed = collapsedIds.includes(el.id);
+
+        return (
+            <React.Fragment key={el.id}>
+                <div
+                    onClick={() => onSelectElement(el.id)}
+                    style={{ marginLeft: depth * 12 }}
+                    className={`flex items-center gap-2 p-2 rounded-lg cursor-pointer transition-all ${isSelected
+                            ? 'bg-purple-100 border border-purple-300'
+                            : 'bg-gray-50 border border-transparent hover:bg-gray-100'
+                        } ${!isVisible ? 'opacity-50' : ''}`}
+                >
+                    {isGroup && (
+                        <button
+                            onClick={(e) => { e.stopPropagation(); toggleCollapsed(el.id); }}
+                            className="p-0.5 hover:bg-gray-200 rounded"
+                            title={isCollapsed ? 'Expand' : 'Collapse'}
+                        >
+                            <ChevronRight size={12} className={`transition-transform ${isCollapsed ? '' : 'rotate-90'}`} />
+                        </button>
+                    )}
+
+                    <span className="text-lg">{getElementIcon(el.type)}</span>
+
+                    <span className="flex-1 text-xs font-medium truncate">
+                        {getElementLabel(el)}
+                    </span>
+
+                    <div className="flex items-center gap-1">
+                        <button
+                            onClick={(e) => { e.stopPropagation(); onToggleVisibility(el.id); }}
+                            className="p-1 hover:bg-gray-200 rounded"
+                            title={isVisible ? 'Hide' : 'Show'}
+                        >
+                            {isVisible ? <Eye size={12} /> : <EyeOff size={12} />}
+                        </button>
+
+                        <button
+                            onClick={(e) => { e.stopPropagation(); onToggleLock(el.id); }}
+                            className="p-1 hover:bg-gray-200 rounded"
+                            title={isLocked ? 'Unlock' : 'Lock'}
+                        >
+                            {isLocked ? <Lock size={12} /> : <Unlock size={12} />}
+                        </button>
+
+                        <button
+                            onClick={(e) => { e.stopPropagation(); onMoveUp(el.id); }}
+                            className="p-1 hover:bg-gray-200 rounded"
+                            title="Move Up"
+                        >
+                            <ChevronUp size={12} />
+                        </button>
+
+                        <button
+                            onClick={(e) => { e.stopPropagation(); onMoveDown(el.id); }}
+                            className="p-1 hover:bg-gray-200 rounded"
+                            title="Move Down"
+                        >
+                            <ChevronDown size={12} />
+                        </button>
+                    </div>
+                </div>
+
+                {isGroup && !isCollapsed && getChildren(elements, el.id)
+                    .slice().reverse().map(child => renderLayer(child, depth + 1))}
+            </React.Fragment>
+        );
+    };
+
     return (
         <div className="space-y-2">
-            {elements.slice().reverse().map((el, idx) => {
-                const isSelected = selectedIds.includes(el.id);
-                const isVisible = el.visible !== false;
-                const isLocked = el.locked === true;
-
-                return (
-                    <div
-                        key={el.id}
-                        onClick={() => onSelectElement(el.id)}
-                        className={`flex items-center gap-2 p-2 rounded-lg cursor-pointer transition-all ${isSelected
-                                ? 'bg-purple-100 border border-purple-300'
-                                : 'bg-gray-50 border border-transparent hover:bg-gray-100'
-                            } ${!isVisible ? 'opacity-50' : ''}`}
-                    >
-                        <span className="text-lg">{getElementIcon(el.type)}</span>
-
-                        <span className="flex-1 text-xs font-medium truncate">
-                            {getElementLabel(el)}
-                        </span>
-
-                        <div className="flex items-center gap-1">
-                            <button
-                                onClick={(e) => { e.stopPropagation(); onToggleVisibility(el.id); }}
-                                className="p-1 hover:bg-gray-200 rounded"
-                                title={isVisible ? 'Hide' : 'Show'}
-                            >
-                                {isVisible ? <Eye size={12} /> : <EyeOff size={12} />}
-                            </button>
-
-                            <button
-                                onClick={(e) => { e.stopPropagation(); onToggleLock(el.id); }}
-                                className="p-1 hover:bg-gray-200 rounded"
-                                title={isLocked ? 'Unlock' : 'Lock'}
-                            >
-                                {isLocked ? <Lock size={12} /> : <Unlock size={12} />}
-                            </button>
-
-                            <button
-                                onClick={(e) => { e.stopPropagation(); onMoveUp(el.id); }}
-                                className="p-1 hover:bg-gray-200 rounded"
-                                title="Move Up"
-                            >
-                                <ChevronUp size={12} />
-                            </button>
-
-                            <button
-                                onClick={(e) => { e.stopPropagation(); onMoveDown(el.id); }}
-                                className="p-1 hover:bg-gray-200 rounded"
-                                title="Move Down"
-                            >
-                                <ChevronDown size={12} />
-                            </button>
-                        </div>
-                    </div>
-                );
-            })}
+            {getRootElements(elements).slice().reverse().map(el => renderLayer(el, 0))}
 
             {elements.length === 0 && (
                 <div className="text-center text-gray-400 py-4 text-xs">
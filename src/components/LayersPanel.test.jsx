@@ -58,4 +58,48 @@ describe('LayersPanel', () => {
         fireEvent.click(moveUpBtns[0]);
         expect(mockHandlers.onMoveUp).toHaveBeenCalledWith('2');
     });
+
+    describe('groups', () => {
+        const groupedElements = [
+            { id: 'a', type: 'rectangle', parentId: 'g' },
+            { id: 'b', type: 'circle', parentId: 'g' },
+            { id: 'g', type: 'group', x: 0, y: 0 }
+        ];
+
+        it('nests children under their group', () => {
+            render(<LayersPanel elements={groupedElements} selectedIds={[]} {...mockHandlers} />);
+
+            const labels = screen.getAllByText(/Group|Rectangle|Circle/).map(node => node.textContent);
+            expect(labels).toEqual(['Group', 'Circle', 'Rectangle']);
+        });
+
+        it('collapses and expands a group', () => {
+            render(<LayersPanel elements={groupedElements} selectedIds={[]} {...mockHandlers} />);
+
+            fireEvent.click(screen.getByTitle('Collapse'));
+            expect(screen.queryByText('Rectangle')).not.toBeInTheDocument();
+
+            fireEvent.click(screen.getByTitle('Expand'));
+            expect(screen.getByText('Rectangle')).toBeInTheDocument();
+        });
+
+        it('selects a nested child', () => {
+            render(<LayersPanel elements={groupedElements} selectedIds={[]} {...mockHandlers} />);
+
+            fireEvent.click(screen.getByText('Circle'));
+            expect(mockHandlers.onSelectElement).toHaveBeenCalledWith('b');
+        });
+
+        it('nests children under their frame, labelled by name', () => {
+            const framed = [
+                { id: 'f', type: 'frame', name: 'Roadmap', x: 0, y: 0, width: 400, height: 300 },
+                { id: 'a', type: 'rectangle', parentId: 'f' }
+            ];
+            render(<LayersPanel elements={framed} selectedIds={[]} {...mockHandlers} />);
+
+            const labels = screen.getAllByText(/Roadmap|Rectangle/).map(node => node.textContent);
+            expect(labels).toEqual(['Roadmap', 'Rectangle']);
+            expect(screen.getByTitle('Collapse')).toBeInTheDocument();
+        });
+    });
 });
@@ -0,0 +1,109 @@
+'use client';
+
+import React, { useState } from 'react';
+import Image from 'next/image';
+import { History, RotateCcw, Copy, Bookmark } from 'lucide-react';
+
+/**
+ * VersionHistoryPanel - Lists saved versions with preview and restore actions
+ */
+export default function VersionHistoryPanel({
+    versions,
+    onSaveVersion,
+    onRestore,
+    onRestoreAsCopy
+}) {
+    const [versionName, setVersionName] = useState('');
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        onSaveVersion(versionName.trim() || null);
+        setVersionName('');
+    };
+
+    const getVersionLabel = (version) => {
+        if (version.name) return version.name;
+        return version.auto ? 'Autosave' : 'Untitled version';
+    };
+
+    const formatTime = (version) => {
+        const date = version.createdAt?.toDate?.();
+        return date ? date.toLocaleString() : 'Saving...';
+    };
+
+    return (
+        <div className="space-y-3">
+            <form onSubmit={handleSave} className="flex gap-2">
+                <input
+                    type="text"
+                    value={versionName}
+                    onChange={(e) => setVersionName(e.target.value)}
+                    placeholder="Version name"
+                    className="flex-1 min-w-0 px-2 py-1.5 border border-gray-200 rounded-lg text-xs"
+                />
+                <button
+                    type="submit"
+                    className="flex items-center gap-1 px-3 py-1.5 bg-purple-600 text-white rounded-lg text-xs font-medium hover:bg-purple-700 transition-colors"
+                    title="Save a named version of the current canvas"
+                >
+                    <Bookmark size={12} /> Save
+                </button>
+            </form>
+
+            {versions.map((version) => (
+                <div
+                    key={version.id}
+                    className="p-2 rounded-lg bg-gray-50 border border-transparent hover:border-gray-200 transition-all"
+                >
+                    <div className="flex gap-2">
+                        <div className="w-16 h-12 flex-shrink-0 rounded bg-white border border-gray-200 overflow-hidden flex items-center justify-center">
+                            {version.thumbnail ? (
+                                <Image
+                                    src={version.thumbnail}
+                                    alt={getVersionLabel(version)}
+                                    width={64}
+                                    height={48}
+                                    unoptimized
+                                    className="w-full h-full object-cover"
+                                />
+                            ) : (
+                                <History size={16} className="text-gray-300" />
+                            )}
+                        </div>
+
+                        <div className="flex-1 min-w-0">
+                            <p className={`text-xs font-semibold truncate ${version.name ? 'text-gray-800' : 'text-gray-500'}`}>
+                                {getVersionLabel(version)}
+                            </p>
+                            <p className="text-[10px] text-gray-500 truncate">{version.authorName || 'Anonymous'}</p>
+                            <p className="text-[10px] text-gray-400">{formatTime(version)}</p>
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-1 mt-2">
+                        <button
+                            onClick={() => onRestore(version)}
+                            className="flex items-center justify-center gap-1 p-1.5 bg-white hover:bg-gray-100 border border-gray-200 rounded text-[10px] font-medium text-gray-700"
+                            title="Replace the canvas with this version"
+                        >
+                            <RotateCcw size={10} /> Restore
+                        </button>
+                        <button
+                            onClick={() => onRestoreAsCopy(version)}
+                            className="flex items-center justify-center gap-1 p-1.5 bg-white hover:bg-gray-100 border border-gray-200 rounded text-[10px] font-medium text-gray-700"
+                            title="Open this version as a new canvas"
+                        >
+                            <Copy size={10} /> Restore as copy
+                        </button>
+                    </div>
+                </div>
+            ))}
+
+            {versions.length === 0 && (
+                <div className="text-center text-gray-400 py-4 text-xs">
+                    No versions yet
+                </div>
+            )}
+        </div>
+    );
+}
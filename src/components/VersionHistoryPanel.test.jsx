@@ -0,0 +1,61 @@
+import { render, screen, fireEvent } from '@testing-library/react'
+import { vi, describe, it, expect, beforeEach } from 'vitest'
+import VersionHistoryPanel from './VersionHistoryPanel'
+
+describe('VersionHistoryPanel', () => {
+    const mockVersions = [
+        {
+            id: 'v2',
+            name: 'Client review',
+            auto: false,
+            authorName: 'Alice',
+            thumbnail: 'data:image/jpeg;base64,AAAA',
+            createdAt: { toDate: () => new Date(2026, 0, 2, 10, 30) }
+        },
+        { id: 'v1', name: null, auto: true, authorName: 'Bob', createdAt: null }
+    ];
+
+    const mockHandlers = {
+        onSaveVersion: vi.fn(),
+        onRestore: vi.fn(),
+        onRestoreAsCopy: vi.fn()
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('renders versions with name, author and thumbnail', () => {
+        render(<VersionHistoryPanel versions={mockVersions} {...mockHandlers} />);
+
+        expect(screen.getByText('Client review')).toBeInTheDocument();
+        expect(screen.getByText('Alice')).toBeInTheDocument();
+        expect(screen.getByAltText('Client review')).toHaveAttribute('src', mockVersions[0].thumbnail);
+        // Unnamed automatic versions fall back to a generic label
+        expect(screen.getByText('Autosave')).toBeInTheDocument();
+    });
+
+    it('saves a named version', () => {
+        render(<VersionHistoryPanel versions={[]} {...mockHandlers} />);
+
+        fireEvent.change(screen.getByPlaceholderText('Version name'), { target: { value: 'Milestone 1' } });
+        fireEvent.click(screen.getByText('Save'));
+
+        expect(mockHandlers.onSaveVersion).toHaveBeenCalledWith('Milestone 1');
+    });
+
+    it('handles restore and restore as copy', () => {
+        render(<VersionHistoryPanel versions={mockVersions} {...mockHandlers} />);
+
+        fireEvent.click(screen.getAllByTitle('Replace the canvas with this version')[0]);
+        expect(mockHandlers.onRestore).toHaveBeenCalledWith(mockVersions[0]);
+
+        fireEvent.click(screen.getAllByTitle('Open this version as a new canvas')[1]);
+        expect(mockHandlers.onRestoreAsCopy).toHaveBeenCalledWith(mockVersions[1]);
+    });
+
+    it('shows an empty state', () => {
+        render(<VersionHistoryPanel versions={[]} {...mockHandlers} />);
+        expect(screen.getByText('No versions yet')).toBeInTheDocument();
+    });
+});
@@ -14,8 +14,12 @@ const DEFAULT_SHORTCUTS = {
     copy: { combo: "ctrl+c", description: "Copy selected", category: "canvas" },
     paste: { combo: "ctrl+v", description: "Paste clipboard", category: "canvas" },
     duplicate: { combo: "ctrl+d", description: "Duplicate selected", category: "canvas" },
+    group: { combo: "ctrl+g", description: "Group selected", category: "canvas" },
+    ungroup: { combo: "ctrl+shift+g", description: "Ungroup selected", category: "canvas" },
     delete: { combo: "delete", description: "Delete selected element", category: "canvas" },
     escape: { combo: "escape", description: "Deselect / Cancel drawing", category: "canvas" },
+    addChildNode: { combo: "tab", description: "Add mind map child node", category: "canvas" },
+    addSiblingNode: { combo: "enter", description: "Add mind map sibling node", category: "canvas" },
 
     // Tool selection (single keys)
     selectTool: { combo: "1", description: "Select tool", category: "tools" },
@@ -30,6 +34,9 @@ const DEFAULT_SHORTCUTS = {
     lineTool: { combo: "l", description: "Line tool", category: "tools" },
     hexagonTool: { combo: "h", description: "Hexagon shape", category: "tools" },
     pentagonTool: { combo: "j", description: "Pentagon shape", category: "tools" },
+    mindMapTool: { combo: "m", description: "Mind map tool", category: "tools" },
+    stickyTool: { combo: "n", description: "Sticky note", category: "tools" },
+    frameTool: { combo: "f", description: "Frame", category: "tools" },
 };
 
 const STORAGE_KEY = "prismap-shortcuts";
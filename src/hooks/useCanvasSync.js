@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Operation-based element sync for a canvas.
+ *
+ * Design decisions:
+ * - Every change is written as a discrete op to `canvases/{id}/ops`
+ *   (see src/lib/canvasOps.js). Clients merge remote ops into their local
+ *   state instead of replacing it, so concurrent edits to different
+ *   elements both survive.
+ * - Each op carries `origin` (a per-tab client id) so a client skips its own
+ *   echoes. This replaces the old per-user `_lastModifiedBy` check, which also
+ *   hid changes made by the same user in another tab.
+ * - Ops carry a Lamport `clock`; together with `origin` it forms the logical
+ *   timestamp that src/lib/canvasMerge.js uses for field-level
+ *   last-writer-wins. The clock advances past every op we receive, and the
+ *   checkpoint saves it as `clock`: a client that loads after the replay
+ *   window seeds from it (seedClock), or its edits would lose to stamps
+ *   other clients already hold.
+ * - The canvas doc keeps an `elements` checkpoint plus `checkpointAt`, written
+ *   in the same batch as the ops. On load a client replays ops newer than
+ *   `checkpointAt - OP_REPLAY_WINDOW_MS`; replay is idempotent, and the window
+ *   covers ops another client committed while the checkpoint was in flight.
+ * - Ops the checkpoint has absorbed are deleted by whoever writes a
+ *   checkpoint, at most once per window, so the log doesn't grow forever.
+ *   They are kept for twice the replay window, so a client clock running
+ *   ahead of the server's can't prune ops a loading client would replay.
+ * - fetchMissedOps reads the ops since the newest one the listener delivered
+ *   (less the replay window). A client coming back online calls it before
+ *   publishing its queue, since the listener may not have caught up yet and
+ *   the checkpoint would otherwise drop what others did meanwhile.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+    doc, collection, query, where, orderBy,
+    onSnapshot, getDocs, limit, writeBatch, serverTimestamp, Timestamp
+} from 'firebase/firestore';
+import { db } from '@/lib/firebase';
+import { createClientId } from '@/lib/canvasOps';
+import { maxClock } from '@/lib/canvasMerge';
+
+/** Firestore allows 500 writes per batch; leave room for the checkpoint */
+const OP_BATCH_LIMIT = 450;
+
+/** How far (ms) before the checkpoint we replay ops on load */
+export const OP_REPLAY_WINDOW_MS = 5 * 60 * 1000;
+
+/** How long (ms) ops are kept before a checkpoint write prunes them */
+export const OP_RETENTION_MS = 2 * OP_REPLAY_WINDOW_MS;
+
+/**
+ * useCanvasSync — publishes and receives element ops for a canvas.
+ *
+ * @param {string} canvasId - The Firestore canvas document ID
+ * @param {object|null} user - Firebase Auth user object
+ * @param {number|null} since - Checkpoint time (ms) of the loaded elements;
+ *   the op listener starts once this is known
+ * @param {(ops: Array<object>) => void} onRemoteOps - Called with ops from
+ *   other clients, in commit order
+ *
+ * @returns {{
+ *   clientId: string,
+ *   seedClock: (clock: number) => void,
+ *   fetchMissedOps: () => Promise<Array<object>>,
+ *   publishOps: (ops: Array<object>, docFields: object) => Promise<Array<object>>
+ * }} seedClock advances the clock to a loaded checkpoint's `clock`;
+ *   fetchMissedOps resolves with other clients' ops the listener may not
+ *   have delivered yet, in commit order; publishOps resolves with the ops as
+ *   written (stamped with clock/origin)
+ */
+export default function useCanvasSync(canvasId, user, since, onRemoteOps) {
+    const [clientId] = useState(() => createClientId());
+    const onRemoteOpsRef = useRef(onRemoteOps);
+    const clockRef = useRef(0);
+    const lastPruneRef = useRef(0);
+    const lastSeenRef = useRef(0);  // createdAt (ms) of the newest op received
+
+    useEffect(() => {
+        onRemoteOpsRef.current = onRemoteOps;
+    }, [onRemoteOps]);
+
+    const seedClock = useCallback((clock) => {
+        clockRef.current = Math.max(clockRef.current, clock || 0);
+    }, []);
+
+    // ─────────────────────────────────────────────
+    // 1. LISTEN — apply ops committed by other clients
+    // ─────────────────────────────────────────────
+    useEffect(() => {
+        if (!canvasId || !user || since === null) return;
+
+        const opsQuery = query(
+            collection(db, 'canvases', canvasId, 'ops'),
+            where('createdAt', '>', Timestamp.fromMillis(Math.max(0, since - OP_REPLAY_WINDOW_MS))),
+            orderBy('createdAt')
+        );
+
+        const unsubscribe = onSnapshot(opsQuery, (snapshot) => {
+            const ops = [];
+            snapshot.docChanges().forEach((change) => {
+                if (change.type !== 'added') return;
+                const op = change.doc.data();
+                lastSeenRef.current = Math.max(lastSeenRef.current, op.createdAt?.toMillis?.() ?? 0);
+                // Skip our own ops — they're already applied locally
+                if (op.origin === clientId) return;
+                ops.push(op);
+            });
+            if (ops.length > 0) {
+                clockRef.current = maxClock(ops, clockRef.current);
+                onRemoteOpsRef.current?.(ops);
+            }
+        }, (error) => {
+            if (error.code !== 'permission-denied') {
+                console.error('[Sync] Ops listener error:', error.code, error.message);
+            }
+        });
+
+        return () => unsubscribe();
+    }, [canvasId, user, since, clientId]);
+
+    // ─────────────────────────────────────────────
+    // 2. CATCH UP — read ops the listener may not have delivered yet
+    // ─────────────────────────────────────────────
+    const fetchMissedOps = useCallback(async () => {
+        if (!canvasId || !user || since === null) return [];
+
+        const from = Math.max(since, lastSeenRef.current) - OP_REPLAY_WINDOW_MS;
+        const snapshot = await getDocs(query(
+            collection(db, 'canvases', canvasId, 'ops'),
+            where('createdAt', '>', Timestamp.fromMillis(Math.max(0, from))),
+            orderBy('createdAt')
+        ));
+
+        const ops = snapshot.docs.map(opDoc => opDoc.data()).filter(op => op.origin !== clientId);
+        clockRef.current = maxClock(ops, clockRef.current);
+        return ops;
+    }, [canvasId, user, since, clientId]);
+
+    // ─────────────────────────────────────────────
+    // 3. PUBLISH — write ops + checkpoint atomically
+    // ─────────────────────────────────────────────
+    const publishOps = useCallback(async (ops, docFields) => {
+        if (!canvasId || !user) return [];
+
+        const stamped = ops.map(op => ({
+            ...op,
+            clock: ++clockRef.current,
+            origin: clientId
+        }));
+
+        const canvasRef = doc(db, 'canvases', canvasId);
+        const opsCol = collection(db, 'canvases', canvasId, 'ops');
+        const batchCount = Math.max(1, Math.ceil(stamped.length / OP_BATCH_LIMIT));
+
+        for (let i = 0; i < batchCount; i++) {
+            const batch = writeBatch(db);
+            stamped.slice(i * OP_BATCH_LIMIT, (i + 1) * OP_BATCH_LIMIT).forEach((op) => {
+                batch.set(doc(opsCol), {
+                    ...op,
+                    uid: user.uid,
+                    createdAt: serverTimestamp()
+                });
+            });
+            // Checkpoint goes with the last batch so it never runs ahead of the ops
+            if (i === batchCount - 1 && docFields) {
+                batch.set(canvasRef, { ...docFields, clock: clockRef.current, checkpointAt: serverTimestamp() }, { merge: true });
+            }
+            await batch.commit();
+        }
+
+        if (docFields && Date.now() - lastPruneRef.current > OP_REPLAY_WINDOW_MS) {
+            lastPruneRef.current = Date.now();
+            pruneOps(opsCol).catch((error) => {
+                console.error('[Sync] Op pruning error:', error.code, error.message);
+            });
+        }
+
+        return stamped;
+    }, [canvasId, user, clientId]);
+
+    return { clientId, seedClock, fetchMissedOps, publishOps };
+}
+
+/**
+ * Deletes ops older than OP_RETENTION_MS. They are behind every checkpoint
+ * written since, so no loading client replays them.
+ *
+ * @param {object} opsCol - The canvas's ops collection reference
+ */
+async function pruneOps(opsCol) {
+    const cutoff = Timestamp.fromMillis(Date.now() - OP_RETENTION_MS);
+    let deleted;
+    do {
+        const snapshot = await getDocs(query(opsCol, where('createdAt', '<', cutoff), limit(OP_BATCH_LIMIT)));
+        if (snapshot.empty) return;
+
+        const batch = writeBatch(db);
+        snapshot.docs.forEach(opDoc => batch.delete(opDoc.ref));
+        await batch.commit();
+        deleted = snapshot.size;
+    } while (deleted === OP_BATCH_LIMIT);
+}
@@ -0,0 +1,118 @@
+import { renderHook, act, waitFor } from '@testing-library/react'
+import { vi, describe, it, expect, beforeAll, beforeEach } from 'vitest'
+import { createMergeMeta, mergeOps } from '@/lib/canvasMerge'
+
+vi.mock('firebase/firestore', () => ({
+    doc: vi.fn((parent, ...path) => ({ path: path.join('/') })),
+    collection: vi.fn((parent, ...path) => path.join('/')),
+    query: vi.fn(),
+    where: vi.fn(),
+    orderBy: vi.fn(),
+    limit: vi.fn(),
+    onSnapshot: vi.fn(() => vi.fn()),
+    getDocs: vi.fn(),
+    writeBatch: vi.fn(),
+    serverTimestamp: vi.fn(() => 'now'),
+    Timestamp: { fromMillis: vi.fn(ms => ms) },
+}));
+
+let useCanvasSync;
+let OP_REPLAY_WINDOW_MS;
+let getDocs;
+let onSnapshot;
+let writeBatch;
+let Timestamp;
+
+/** Records every batch write so tests can look at what was committed */
+function recordBatches() {
+    const batches = [];
+    writeBatch.mockImplementation(() => {
+        const batch = { sets: [], deletes: [] };
+        batches.push(batch);
+        return {
+            set: vi.fn((ref, data) => batch.sets.push({ ref, data })),
+            delete: vi.fn(ref => batch.deletes.push(ref)),
+            commit: vi.fn().mockResolvedValue(undefined)
+        };
+    });
+    return batches;
+}
+
+describe('useCanvasSync Hook', () => {
+    const user = { uid: 'user-1' };
+    const op = { type: 'update', elementId: 'r', changes: { fill: '#ff0000' }, removed: [] };
+
+    beforeAll(async () => {
+        // Tests share modules; another file may have loaded the hook against its own Firestore mock
+        vi.resetModules();
+        ({ getDocs, onSnapshot, writeBatch, Timestamp } = await import('firebase/firestore'));
+        ({ default: useCanvasSync, OP_REPLAY_WINDOW_MS } = await import('./useCanvasSync'));
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('prunes ops behind the checkpoint window when writing a checkpoint', async () => {
+        const batches = recordBatches();
+        getDocs
+            .mockResolvedValueOnce({ empty: false, size: 2, docs: [{ ref: 'old-1' }, { ref: 'old-2' }] })
+            .mockResolvedValue({ empty: true, size: 0, docs: [] });
+        const { result } = renderHook(() => useCanvasSync('canvas-1', user, 0, vi.fn()));
+
+        await act(async () => { await result.current.publishOps([op], { title: 'T' }); });
+        await waitFor(() => expect(batches.flatMap(b => b.deletes)).toEqual(['old-1', 'old-2']));
+
+        // Pruned at most once per window
+        await act(async () => { await result.current.publishOps([op], { title: 'T' }); });
+        expect(getDocs).toHaveBeenCalledTimes(1);
+    });
+
+    it('seeds the clock from the checkpoint so a late joiner\'s edits win', async () => {
+        const batches = recordBatches();
+        getDocs.mockResolvedValue({ empty: true, size: 0, docs: [] });
+        const rect = { id: 'r', type: 'rectangle', fill: '#000000' };
+
+        // A long-lived client last saw the fill written at clock 40
+        const longLived = mergeOps([], createMergeMeta(), [
+            { type: 'add', elementId: 'r', element: rect, clock: 1, origin: 'zzz' },
+            { type: 'update', elementId: 'r', changes: { fill: '#00ff00' }, removed: [], clock: 40, origin: 'zzz' }
+        ]);
+
+        // A fresh client loads the checkpoint, which saved clock 40
+        const { result } = renderHook(() => useCanvasSync('canvas-1', user, 0, vi.fn()));
+        act(() => { result.current.seedClock(40); });
+
+        let published;
+        await act(async () => { published = await result.current.publishOps([op], { elements: longLived.elements }); });
+        expect(published[0].clock).toBe(41);
+        expect(batches[0].sets.find(set => set.ref.path === 'canvases/canvas-1').data.clock).toBe(41);
+
+        const fresh = mergeOps(longLived.elements, createMergeMeta(), published);
+        const remote = mergeOps(longLived.elements, longLived.meta, published);
+        expect(remote.elements).toEqual(fresh.elements);
+        expect(remote.elements[0].fill).toBe('#ff0000');
+    });
+
+    it('fetches ops from other clients since the newest one received', async () => {
+        let listener;
+        onSnapshot.mockImplementation((ref, onNext) => { listener = onNext; return vi.fn(); });
+        const { result } = renderHook(() => useCanvasSync('canvas-1', user, 0, vi.fn()));
+        const received = { ...op, clock: 3, origin: 'other', createdAt: { toMillis: () => OP_REPLAY_WINDOW_MS + 1000 } };
+        act(() => { listener({ docChanges: () => [{ type: 'added', doc: { data: () => received } }] }); });
+
+        const missed = { ...op, clock: 9, origin: 'other' };
+        getDocs.mockResolvedValue({ docs: [{ data: () => missed }, { data: () => ({ ...op, origin: result.current.clientId }) }] });
+        let ops;
+        await act(async () => { ops = await result.current.fetchMissedOps(); });
+
+        expect(ops).toEqual([missed]);
+        expect(Timestamp.fromMillis).toHaveBeenLastCalledWith(1000);
+
+        // Publishing afterwards stamps past what was fetched
+        recordBatches();
+        let published;
+        await act(async () => { published = await result.current.publishOps([op], null); });
+        expect(published[0].clock).toBe(10);
+    });
+});
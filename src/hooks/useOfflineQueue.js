@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Offline editing support for a canvas.
+ *
+ * Design decisions:
+ * - Connectivity comes from `navigator.onLine` + the online/offline events.
+ *   Firestore would otherwise queue writes in memory only, and the commit
+ *   promise never settles while offline.
+ * - While offline, saves store the unpublished ops in IndexedDB
+ *   (src/lib/offlineStore.js) instead of writing to Firestore.
+ * - `pendingCount` stays above zero until a save publishes the queue, so
+ *   the page retries the save whenever it is back online. The replay first
+ *   fetches the remote ops it missed (useCanvasSync's fetchMissedOps) and
+ *   goes through the normal op merge, so remote changes that landed
+ *   meanwhile are merged field by field rather than overwritten.
+ * - `restoreQueue` reads ops left over from an earlier session (e.g. the tab
+ *   was closed while offline).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { savePendingOps, loadPendingOps, clearPendingOps } from '@/lib/offlineStore';
+
+/**
+ * useOfflineQueue — connectivity state and a durable queue of pending ops.
+ *
+ * @param {string} canvasId - The Firestore canvas document ID
+ *
+ * @returns {{
+ *   isOnline: boolean,
+ *   pendingCount: number,
+ *   queueOps: (ops: Array<object>) => Promise<void>,
+ *   clearQueue: () => Promise<void>,
+ *   restoreQueue: () => Promise<Array<object>>
+ * }}
+ */
+export default function useOfflineQueue(canvasId) {
+    const [isOnline, setIsOnline] = useState(() =>
+        typeof navigator === 'undefined' ? true : navigator.onLine
+    );
+    const [pendingCount, setPendingCount] = useState(0);
+
+    // ─────────────────────────────────────────────
+    // 1. CONNECTIVITY — track online/offline transitions
+    // ─────────────────────────────────────────────
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    // ─────────────────────────────────────────────
+    // 2. QUEUE CONTROLS
+    // ─────────────────────────────────────────────
+    const queueOps = useCallback(async (ops) => {
+        setPendingCount(ops.length);
+        try {
+            await savePendingOps(canvasId, ops);
+        } catch (error) {
+            console.error('[Offline] Failed to store pending changes:', error);
+        }
+    }, [canvasId]);
+
+    const clearQueue = useCallback(async () => {
+        setPendingCount(0);
+        try {
+            await clearPendingOps(canvasId);
+        } catch (error) {
+            console.error('[Offline] Failed to clear pending changes:', error);
+        }
+    }, [canvasId]);
+
+    const restoreQueue = useCallback(async () => {
+        try {
+            const ops = await loadPendingOps(canvasId);
+            setPendingCount(ops.length);
+            return ops;
+        } catch (error) {
+            console.error('[Offline] Failed to read pending changes:', error);
+            return [];
+        }
+    }, [canvasId]);
+
+    return { isOnline, pendingCount, queueOps, clearQueue, restoreQueue };
+}
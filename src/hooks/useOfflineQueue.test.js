@@ -0,0 +1,58 @@
+import { renderHook, act } from '@testing-library/react'
+import { vi, describe, it, expect, beforeEach } from 'vitest'
+import useOfflineQueue from './useOfflineQueue'
+import { savePendingOps, loadPendingOps, clearPendingOps } from '@/lib/offlineStore'
+
+vi.mock('@/lib/offlineStore', () => ({
+    savePendingOps: vi.fn().mockResolvedValue(undefined),
+    loadPendingOps: vi.fn().mockResolvedValue([]),
+    clearPendingOps: vi.fn().mockResolvedValue(undefined),
+}));
+
+describe('useOfflineQueue Hook', () => {
+    const ops = [{ type: 'delete', elementId: 1 }, { type: 'delete', elementId: 2 }];
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('tracks online/offline events', () => {
+        const { result } = renderHook(() => useOfflineQueue('canvas-1'));
+
+        act(() => { window.dispatchEvent(new Event('offline')); });
+        expect(result.current.isOnline).toBe(false);
+
+        act(() => { window.dispatchEvent(new Event('online')); });
+        expect(result.current.isOnline).toBe(true);
+    });
+
+    it('stores queued ops and reports the pending count', async () => {
+        const { result } = renderHook(() => useOfflineQueue('canvas-1'));
+
+        await act(async () => { await result.current.queueOps(ops); });
+
+        expect(savePendingOps).toHaveBeenCalledWith('canvas-1', ops);
+        expect(result.current.pendingCount).toBe(2);
+    });
+
+    it('clears the queue', async () => {
+        const { result } = renderHook(() => useOfflineQueue('canvas-1'));
+
+        await act(async () => { await result.current.queueOps(ops); });
+        await act(async () => { await result.current.clearQueue(); });
+
+        expect(clearPendingOps).toHaveBeenCalledWith('canvas-1');
+        expect(result.current.pendingCount).toBe(0);
+    });
+
+    it('restores ops left by an earlier session', async () => {
+        loadPendingOps.mockResolvedValueOnce(ops);
+        const { result } = renderHook(() => useOfflineQueue('canvas-1'));
+
+        let restored;
+        await act(async () => { restored = await result.current.restoreQueue(); });
+
+        expect(restored).toEqual(ops);
+        expect(result.current.pendingCount).toBe(2);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Per-user undo/redo for a canvas.
+ *
+ * Wraps the op-based stack from src/lib/undoStack.js and persists it in
+ * sessionStorage, so undo survives a reload of the same tab. Other tabs and
+ * other users have their own stacks — undo never reverts their work.
+ * Only the newest entries that fit MAX_UNDO_CHARS are stored; the in-memory
+ * stack keeps them all.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { createUndoStack, pushEntry, undoEntry, redoEntry, trimStack, fitForStorage } from '@/lib/undoStack';
+
+const STORAGE_PREFIX = 'prismap-undo-';
+
+function loadStack(canvasId) {
+    if (typeof window === 'undefined' || !canvasId) return createUndoStack();
+    try {
+        const saved = sessionStorage.getItem(STORAGE_PREFIX + canvasId);
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            if (Array.isArray(parsed.undo) && Array.isArray(parsed.redo)) return trimStack(parsed);
+        }
+    } catch {
+        // Ignore corrupt sessionStorage
+    }
+    return createUndoStack();
+}
+
+/**
+ * useUndoManager — records local changes and undoes/redoes them.
+ *
+ * @param {string} canvasId - The Firestore canvas document ID
+ *
+ * @returns {{
+ *   canUndo: boolean,
+ *   canRedo: boolean,
+ *   record: (prev: Array<object>, next: Array<object>) => void,
+ *   undo: (elements: Array<object>) => Array<object>|null,
+ *   redo: (elements: Array<object>) => Array<object>|null
+ * }} undo/redo return the new elements, or null if there was nothing to do
+ */
+export default function useUndoManager(canvasId) {
+    const [stack, setStack] = useState(() => loadStack(canvasId));
+
+    // Persist whenever the stack changes
+    useEffect(() => {
+        if (!canvasId) return;
+        try {
+            sessionStorage.setItem(STORAGE_PREFIX + canvasId, JSON.stringify(fitForStorage(stack)));
+        } catch {
+            // Quota exceeded — the in-memory stack still works
+        }
+    }, [canvasId, stack]);
+
+    const record = useCallback((prev, next) => {
+        setStack(s => pushEntry(s, prev, next));
+    }, []);
+
+    const undo = useCallback((elements) => {
+        const result = undoEntry(stack, elements);
+        if (!result) return null;
+        setStack(result.stack);
+        return result.elements;
+    }, [stack]);
+
+    const redo = useCallback((elements) => {
+        const result = redoEntry(stack, elements);
+        if (!result) return null;
+        setStack(result.stack);
+        return result.elements;
+    }, [stack]);
+
+    return {
+        canUndo: stack.undo.length > 0,
+        canRedo: stack.redo.length > 0,
+        record,
+        undo,
+        redo
+    };
+}
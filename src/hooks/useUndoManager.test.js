@@ -0,0 +1,63 @@
+import { renderHook, act } from '@testing-library/react'
+import { describe, it, expect, beforeEach } from 'vitest'
+import useUndoManager from './useUndoManager'
+import { MAX_UNDO_CHARS } from '@/lib/undoStack'
+
+describe('useUndoManager Hook', () => {
+    const rect = { id: 1, type: 'rectangle', x: 0, y: 0, fill: '#ff0000' };
+    const circle = { id: 2, type: 'circle', x: 50, y: 50, fill: '#0000ff' };
+    const stored = () => JSON.parse(sessionStorage.getItem('prismap-undo-canvas-1'));
+
+    beforeEach(() => {
+        sessionStorage.clear();
+    });
+
+    it('undoes our change and keeps what another user did since', () => {
+        const { result } = renderHook(() => useUndoManager('canvas-1'));
+        act(() => { result.current.record([rect], [{ ...rect, x: 100 }]); });
+        expect(result.current.canUndo).toBe(true);
+
+        // A collaborator added a circle and recoloured our rectangle
+        const current = [{ ...rect, x: 100, fill: '#00ff00' }, circle];
+        let undone;
+        act(() => { undone = result.current.undo(current); });
+        expect(undone).toEqual([{ ...rect, fill: '#00ff00' }, circle]);
+        expect(result.current.canRedo).toBe(true);
+
+        let redone;
+        act(() => { redone = result.current.redo(undone); });
+        expect(redone).toEqual(current);
+    });
+
+    it('returns null when there is nothing to undo', () => {
+        const { result } = renderHook(() => useUndoManager('canvas-1'));
+        expect(result.current.undo([rect])).toBeNull();
+        expect(result.current.redo([rect])).toBeNull();
+    });
+
+    it('restores the stack after a reload of the tab', () => {
+        const first = renderHook(() => useUndoManager('canvas-1'));
+        act(() => { first.result.current.record([], [rect]); });
+        first.unmount();
+
+        const { result } = renderHook(() => useUndoManager('canvas-1'));
+        expect(result.current.canUndo).toBe(true);
+        expect(result.current.undo([rect])).toEqual([]);
+    });
+
+    it('keeps an entry too big to store undoable in memory', () => {
+        const huge = { id: 3, type: 'text', text: 'x'.repeat(MAX_UNDO_CHARS) };
+        const { result } = renderHook(() => useUndoManager('canvas-1'));
+        act(() => { result.current.record([rect], [rect, circle]); });
+        act(() => { result.current.record([rect, circle], [rect, circle, huge]); });
+
+        // Storage skips the huge entry and everything older than it
+        expect(stored()).toEqual({ undo: [], redo: [] });
+
+        let undone;
+        act(() => { undone = result.current.undo([rect, circle, huge]); });
+        expect(undone).toEqual([rect, circle]);
+        act(() => { undone = result.current.undo(undone); });
+        expect(undone).toEqual([rect]);
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Version history for a canvas.
+ *
+ * Design decisions:
+ * - Versions live in `canvases/{id}/versions`, one doc per snapshot with
+ *   the `title`, the author and a small JPEG thumbnail. The `elements` go
+ *   to Storage as JSON (`elementsPath`): a whole canvas can exceed
+ *   Firestore's 1 MB document limit. Versions saved before that keep
+ *   `elements` in the doc; loadVersionElements reads both.
+ * - Manual versions have a user-given name. Automatic versions are taken
+ *   every AUTO_VERSION_INTERVAL_MS, but only by a client that published
+ *   changes since its last snapshot — idle tabs don't pile up duplicates.
+ * - Restoring is done by the page (it goes through the normal op sync);
+ *   "restore as copy" creates a brand new canvas doc owned by the user.
+ * - saveVersion resolves to whether the version was saved, so the page can
+ *   tell the user when a manual save or a restore's backup fails.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+    doc, collection, query, orderBy, limit,
+    onSnapshot, setDoc, serverTimestamp
+} from 'firebase/firestore';
+import { ref, uploadBytes, getBytes } from 'firebase/storage';
+import { db, storage } from '@/lib/firebase';
+
+/** How often (ms) an automatic version is taken while the canvas changes */
+const AUTO_VERSION_INTERVAL_MS = 10 * 60 * 1000;
+
+/** How many versions the panel lists */
+const VERSION_LIST_LIMIT = 50;
+
+/**
+ * Storage path of a version's elements.
+ *
+ * @param {string} canvasId
+ * @param {string} versionId
+ * @returns {string}
+ */
+export function getVersionPath(canvasId, versionId) {
+    return `canvases/${canvasId}/versions/${versionId}.json`;
+}
+
+/**
+ * The elements of a version, from Storage or (older versions) the doc.
+ *
+ * @param {object} version - A version as listed by useVersionHistory
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadVersionElements(version) {
+    if (!version.elementsPath) return version.elements || [];
+    const bytes = await getBytes(ref(storage, version.elementsPath));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * useVersionHistory — lists, creates and copies canvas versions.
+ *
+ * @param {string} canvasId - The Firestore canvas document ID
+ * @param {object|null} user - Firebase Auth user object
+ * @param {() => {elements: Array<object>, title: string, thumbnail: string|null}} getSnapshot -
+ *   Returns the current canvas state when a version is taken
+ *
+ * @returns {{
+ *   versions: Array<object>,
+ *   saveVersion: (name: string|null, options?: {auto?: boolean}) => Promise<boolean>,
+ *   markChanged: () => void,
+ *   copyVersionToCanvas: (version: object) => Promise<string|null>
+ * }}
+ */
+export default function useVersionHistory(canvasId, user, getSnapshot) {
+    const [versions, setVersions] = useState([]);
+    const getSnapshotRef = useRef(getSnapshot);
+    const changedRef = useRef(false);
+
+    useEffect(() => {
+        getSnapshotRef.current = getSnapshot;
+    }, [getSnapshot]);
+
+    // ─────────────────────────────────────────────
+    // 1. LISTEN — newest versions first
+    // ─────────────────────────────────────────────
+    useEffect(() => {
+        if (!canvasId || !user) return;
+
+        const versionsQuery = query(
+            collection(db, 'canvases', canvasId, 'versions'),
+            orderBy('createdAt', 'desc'),
+            limit(VERSION_LIST_LIMIT)
+        );
+
+        const unsubscribe = onSnapshot(versionsQuery, (snapshot) => {
+            setVersions(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            if (error.code !== 'permission-denied') {
+                console.error('[Versions] Listener error:', error.code, error.message);
+            }
+        });
+
+        return () => unsubscribe();
+    }, [canvasId, user]);
+
+    // ─────────────────────────────────────────────
+    // 2. CREATE — manual (named) or automatic snapshot
+    // ─────────────────────────────────────────────
+    const saveVersion = useCallback(async (name, { auto = false } = {}) => {
+        if (!canvasId || !user) return false;
+
+        const { elements, title, thumbnail } = getSnapshotRef.current();
+        const versionRef = doc(collection(db, 'canvases', canvasId, 'versions'));
+        const elementsPath = getVersionPath(canvasId, versionRef.id);
+        try {
+            // Elements first, so a listed version can always be loaded
+            const json = new Blob([JSON.stringify(elements)], { type: 'application/json' });
+            await uploadBytes(ref(storage, elementsPath), json);
+            await setDoc(versionRef, {
+                name: name || null,
+                auto,
+                title,
+                elementsPath,
+                thumbnail: thumbnail || null,
+                authorUid: user.uid,
+                authorName: user.displayName || user.email || 'Anonymous',
+                createdAt: serverTimestamp()
+            });
+            changedRef.current = false;
+            return true;
+        } catch (error) {
+            console.error('[Versions] Failed to save version:', error.code, error.message);
+            return false;
+        }
+    }, [canvasId, user]);
+
+    /** Tells the hook the canvas changed, so the next auto version is due */
+    const markChanged = useCallback(() => {
+        changedRef.current = true;
+    }, []);
+
+    // ─────────────────────────────────────────────
+    // 3. PERIODIC — automatic versions while editing
+    // ─────────────────────────────────────────────
+    useEffect(() => {
+        if (!canvasId || !user) return;
+
+        const interval = setInterval(() => {
+            if (changedRef.current) saveVersion(null, { auto: true });
+        }, AUTO_VERSION_INTERVAL_MS);
+
+        return () => clearInterval(interval);
+    }, [canvasId, user, saveVersion]);
+
+    // ─────────────────────────────────────────────
+    // 4. COPY — restore a version into a new canvas
+    // ─────────────────────────────────────────────
+    const copyVersionToCanvas = useCallback(async (version) => {
+        if (!user) return null;
+
+        const newId = crypto.randomUUID();
+        try {
+            await setDoc(doc(db, 'canvases', newId), {
+                id: newId,
+                title: `${version.title || 'Untitled'} (copy)`,
+                elements: await loadVersionElements(version),
+                ownerId: user.uid,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp(),
+                checkpointAt: serverTimestamp()
+            });
+            return newId;
+        } catch (error) {
+            console.error('[Versions] Failed to copy version:', error.code, error.message);
+            return null;
+        }
+    }, [user]);
+
+    return { versions, saveVersion, markChanged, copyVersionToCanvas };
+}
@@ -0,0 +1,126 @@
+import { renderHook, act } from '@testing-library/react'
+import { vi, describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest'
+
+vi.mock('firebase/firestore', () => ({
+    doc: vi.fn((parent, ...path) => ({ id: 'version-1', path: path.join('/') })),
+    collection: vi.fn((parent, ...path) => path.join('/')),
+    query: vi.fn(),
+    orderBy: vi.fn(),
+    limit: vi.fn(),
+    onSnapshot: vi.fn(() => vi.fn()),
+    setDoc: vi.fn(),
+    serverTimestamp: vi.fn(() => 'now'),
+}));
+
+vi.mock('firebase/storage', () => ({
+    ref: vi.fn((storage, path) => ({ path })),
+    uploadBytes: vi.fn(),
+    getBytes: vi.fn(),
+}));
+
+let useVersionHistory;
+let loadVersionElements;
+let setDoc;
+let onSnapshot;
+let uploadBytes;
+let getBytes;
+
+describe('useVersionHistory Hook', () => {
+    const user = { uid: 'user-1', displayName: 'Ada' };
+    const elements = [{ id: 'r', type: 'rectangle', x: 0, y: 0 }];
+    const getSnapshot = () => ({ elements, title: 'Plan', thumbnail: 'data:image/jpeg;base64,AA==' });
+
+    beforeAll(async () => {
+        // Tests share modules; another file may have loaded the hook against its own Firebase mocks
+        vi.resetModules();
+        ({ setDoc, onSnapshot } = await import('firebase/firestore'));
+        ({ uploadBytes, getBytes } = await import('firebase/storage'));
+        ({ default: useVersionHistory, loadVersionElements } = await import('./useVersionHistory'));
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        uploadBytes.mockResolvedValue({});
+        setDoc.mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('lists the versions from Firestore', () => {
+        onSnapshot.mockImplementationOnce((versionsQuery, onNext) => {
+            onNext({ docs: [{ id: 'v1', data: () => ({ name: 'First' }) }] });
+            return vi.fn();
+        });
+        const { result } = renderHook(() => useVersionHistory('canvas-1', user, getSnapshot));
+        expect(result.current.versions).toEqual([{ id: 'v1', name: 'First' }]);
+    });
+
+    it('stores the elements in Storage and the rest in the version doc', async () => {
+        const { result } = renderHook(() => useVersionHistory('canvas-1', user, getSnapshot));
+
+        let saved;
+        await act(async () => { saved = await result.current.saveVersion('Milestone'); });
+
+        expect(saved).toBe(true);
+        const [storageRef, blob] = uploadBytes.mock.calls[0];
+        expect(storageRef.path).toBe('canvases/canvas-1/versions/version-1.json');
+        expect(JSON.parse(await blob.text())).toEqual(elements);
+
+        const [versionRef, data] = setDoc.mock.calls[0];
+        expect(versionRef.id).toBe('version-1');
+        expect(data).toMatchObject({ name: 'Milestone', auto: false, title: 'Plan', elementsPath: storageRef.path, authorName: 'Ada' });
+        expect(data).not.toHaveProperty('elements');
+    });
+
+    it('reports a version that could not be saved', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => { });
+        uploadBytes.mockRejectedValue({ code: 'storage/quota-exceeded', message: 'Quota exceeded' });
+        const { result } = renderHook(() => useVersionHistory('canvas-1', user, getSnapshot));
+
+        let saved;
+        await act(async () => { saved = await result.current.saveVersion(null); });
+
+        expect(saved).toBe(false);
+        expect(setDoc).not.toHaveBeenCalled();
+        console.error.mockRestore();
+    });
+
+    it('loads elements from Storage, or from the doc for older versions', async () => {
+        getBytes.mockResolvedValue(new TextEncoder().encode(JSON.stringify(elements)).buffer);
+        await expect(loadVersionElements({ elementsPath: 'canvases/canvas-1/versions/v1.json' })).resolves.toEqual(elements);
+        expect(getBytes.mock.calls[0][0].path).toBe('canvases/canvas-1/versions/v1.json');
+
+        await expect(loadVersionElements({ elements })).resolves.toEqual(elements);
+    });
+
+    it('copies a version into a new canvas owned by the user', async () => {
+        getBytes.mockResolvedValue(new TextEncoder().encode(JSON.stringify(elements)).buffer);
+        const { result } = renderHook(() => useVersionHistory('canvas-1', user, getSnapshot));
+
+        let newId;
+        await act(async () => { newId = await result.current.copyVersionToCanvas({ title: 'Plan', elementsPath: 'v1.json' }); });
+
+        const [canvasRef, data] = setDoc.mock.calls[0];
+        expect(canvasRef.path).toBe(`canvases/${newId}`);
+        expect(data).toMatchObject({ id: newId, title: 'Plan (copy)', elements, ownerId: 'user-1' });
+    });
+
+    it('takes automatic versions only after changes', async () => {
+        vi.useFakeTimers();
+        const { result } = renderHook(() => useVersionHistory('canvas-1', user, getSnapshot));
+
+        await act(async () => { await vi.advanceTimersByTimeAsync(10 * 60 * 1000); });
+        expect(setDoc).not.toHaveBeenCalled();
+
+        act(() => { result.current.markChanged(); });
+        await act(async () => { await vi.advanceTimersByTimeAsync(10 * 60 * 1000); });
+        expect(setDoc).toHaveBeenCalledTimes(1);
+        expect(setDoc.mock.calls[0][1].auto).toBe(true);
+
+        // Nothing changed since
+        await act(async () => { await vi.advanceTimersByTimeAsync(10 * 60 * 1000); });
+        expect(setDoc).toHaveBeenCalledTimes(1);
+    });
+});
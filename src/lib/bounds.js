@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Bounding boxes of canvas elements.
+ *
+ * Boxes are `{ x, y, width, height }` in the element's parent space (the
+ * canvas for top-level elements, the group's own space for members).
+ * Rotation is ignored — these are the unrotated boxes alignment, snapping
+ * and connector anchors work with.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+import { GROUP_TYPE, getChildren } from './groups';
+
+/**
+ * Flat `[x1, y1, x2, y2, ...]` points of a stroke or connector. Connectors
+ * saved before they had points store their line as x/y/width/height.
+ *
+ * @param {object} el
+ * @returns {Array<number>}
+ */
+export function getPoints(el) {
+    if (el.points) return el.points;
+    return [el.x || 0, el.y || 0, (el.x || 0) + (el.width || 0), (el.y || 0) + (el.height || 0)];
+}
+
+function boxOfPoints(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < points.length; i += 2) {
+        minX = Math.min(minX, points[i]);
+        maxX = Math.max(maxX, points[i]);
+        minY = Math.min(minY, points[i + 1]);
+        maxY = Math.max(maxY, points[i + 1]);
+    }
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * @param {Array<object>} elements - All elements (needed to measure groups)
+ * @param {object} el
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getElementBox(elements, el) {
+    if (el.type === GROUP_TYPE) {
+        // Union of the children's boxes, mapped through the group's offset and scale
+        const boxes = getChildren(elements, el.id).map(child => getElementBox(elements, child));
+        if (boxes.length === 0) return { x: el.x || 0, y: el.y || 0, width: 0, height: 0 };
+        const scaleX = el.scaleX ?? 1;
+        const scaleY = el.scaleY ?? 1;
+        const minX = Math.min(...boxes.map(b => b.x));
+        const minY = Math.min(...boxes.map(b => b.y));
+        const maxX = Math.max(...boxes.map(b => b.x + b.width));
+        const maxY = Math.max(...boxes.map(b => b.y + b.height));
+        return {
+            x: (el.x || 0) + minX * scaleX,
+            y: (el.y || 0) + minY * scaleY,
+            width: (maxX - minX) * scaleX,
+            height: (maxY - minY) * scaleY
+        };
+    } else if (el.type === 'circle') {
+        // Drawn centered in its x/y/width/height box with the smaller side as diameter
+        const radius = Math.min(el.width || 50, el.height || 50) / 2;
+        const centerX = el.x + (el.width || 50) / 2;
+        const centerY = el.y + (el.height || 50) / 2;
+        return { x: centerX - radius, y: centerY - radius, width: radius * 2, height: radius * 2 };
+    } else if (el.type === 'text') {
+        return { x: el.x, y: el.y, width: 100, height: el.fontSize || 24 };
+    } else if (el.type === 'pen' || el.type === 'arrow' || el.type === 'line') {
+        return boxOfPoints(getPoints(el));
+    }
+    return { x: el.x, y: el.y, width: el.width || 50, height: el.height || 50 };
+}
+
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest'
+import { getElementBox, getPoints } from './bounds'
+
+describe('bounds', () => {
+    it('measures circles as drawn, centered in their box', () => {
+        const circle = { id: 1, type: 'circle', x: 10, y: 10, width: 100, height: 60 };
+        expect(getElementBox([circle], circle)).toEqual({ x: 30, y: 10, width: 60, height: 60 });
+    });
+
+    it('measures strokes and connectors by their points', () => {
+        const arrow = { id: 1, type: 'arrow', points: [50, 10, 0, 40] };
+        expect(getElementBox([arrow], arrow)).toEqual({ x: 0, y: 10, width: 50, height: 30 });
+    });
+
+    it('reads connectors saved as x/y/width/height', () => {
+        expect(getPoints({ type: 'line', x: 5, y: 5, width: 10, height: -5 })).toEqual([5, 5, 15, 0]);
+    });
+
+    it('measures groups as the scaled union of their children', () => {
+        const group = { id: 'g', type: 'group', x: 100, y: 0, scaleX: 2, scaleY: 1 };
+        const child = { id: 1, type: 'rectangle', x: 10, y: 10, width: 20, height: 20, parentId: 'g' };
+        expect(getElementBox([child, group], group)).toEqual({ x: 120, y: 10, width: 40, height: 20 });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Brush presets for freehand strokes: pen, highlighter,
+ * marker and dashed pen.
+ *
+ * Design decisions:
+ * - Every brush draws a `pen` element with the preset's name in `brush`
+ *   (left out for the plain pen, so older strokes stay pens). How a brush
+ *   looks is derived from that name rather than stored, so collaborators
+ *   and exports draw the same stroke the same way.
+ * - The highlighter is translucent and multiplies with what is under it,
+ *   so it tints instead of covering. Text is drawn above highlighter
+ *   strokes at the same level (see getDrawingOrder) to stay crisp.
+ * - The marker has flat ends; the dashed pen's dashes grow with its width.
+ * - Only the plain pen varies with pressure; the other brushes are even.
+ * - Each brush has its own color and width, remembered by the page.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+export const BRUSH_TYPES = ['pen', 'highlighter', 'marker', 'dashed'];
+
+export const BRUSH_LABELS = { pen: 'Pen', highlighter: 'Highlighter', marker: 'Marker', dashed: 'Dashed' };
+
+/** Color and width each brush starts with */
+export const DEFAULT_BRUSH_SETTINGS = {
+    pen: { stroke: '#000000', strokeWidth: 2 },
+    highlighter: { stroke: '#facc15', strokeWidth: 20 },
+    marker: { stroke: '#2563eb', strokeWidth: 8 },
+    dashed: { stroke: '#000000', strokeWidth: 2 }
+};
+
+export const HIGHLIGHTER_OPACITY = 0.4;
+
+/** Dash arrays by stroke width, shared so Konva props keep their reference between renders */
+const dashes = new Map();
+
+function getDash(width) {
+    if (!dashes.has(width)) dashes.set(width, [width * 3, width * 3]);
+    return dashes.get(width);
+}
+
+/**
+ * @param {string} tool
+ * @returns {boolean} true if the tool draws freehand strokes
+ */
+export function isBrush(tool) {
+    return BRUSH_TYPES.includes(tool);
+}
+
+/**
+ * @param {object} el - A pen element
+ * @returns {string} its brush; unknown brushes draw as the plain pen
+ */
+export function getBrush(el) {
+    return BRUSH_TYPES.includes(el.brush) ? el.brush : 'pen';
+}
+
+/**
+ * @param {object} el
+ * @returns {boolean} true for highlighter strokes
+ */
+export function isHighlighter(el) {
+    return el.type === 'pen' && getBrush(el) === 'highlighter';
+}
+
+/**
+ * @param {string} brush
+ * @returns {boolean} true if strokes of this brush follow pen pressure
+ */
+export function usesPressure(brush) {
+    return brush === 'pen';
+}
+
+/**
+ * How a stroke is drawn on top of its color and width.
+ *
+ * @param {object} el - A pen element
+ * @returns {{ opacity: number, blendMode: string|null, lineCap: string, dash: Array<number>|null }}
+ *   opacity multiplies the element's own; blendMode is a canvas composite
+ *   operation (also a CSS blend mode); the same width always gets the same
+ *   dash array
+ */
+export function getBrushStyle(el) {
+    const width = el.strokeWidth || 2;
+    switch (getBrush(el)) {
+        case 'highlighter':
+            return { opacity: HIGHLIGHTER_OPACITY, blendMode: 'multiply', lineCap: 'round', dash: null };
+        case 'marker':
+            return { opacity: 1, blendMode: null, lineCap: 'butt', dash: null };
+        case 'dashed':
+            return { opacity: 1, blendMode: null, lineCap: 'round', dash: getDash(width) };
+        default:
+            return { opacity: 1, blendMode: null, lineCap: 'round', dash: null };
+    }
+}
+
+/**
+ * Siblings in the order they are drawn: stacking order, except that text
+ * below a highlighter stroke moves just above the topmost one.
+ *
+ * @param {Array<object>} siblings - Elements sharing a parent, in stacking order
+ * @returns {Array<object>} the same array if nothing moves
+ */
+export function getDrawingOrder(siblings) {
+    const topmost = siblings.findLastIndex(isHighlighter);
+    if (topmost === -1) return siblings;
+    const lifted = siblings.filter((el, i) => i < topmost && el.type === 'text');
+    if (lifted.length === 0) return siblings;
+
+    const rest = siblings.filter(el => !lifted.includes(el));
+    const at = rest.indexOf(siblings[topmost]) + 1;
+    return [...rest.slice(0, at), ...lifted, ...rest.slice(at)];
+}
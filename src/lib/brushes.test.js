@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest'
+import { isBrush, getBrush, getBrushStyle, usesPressure, getDrawingOrder, HIGHLIGHTER_OPACITY } from './brushes'
+
+describe('brushes', () => {
+    const text = { id: 't', type: 'text', text: 'Note' };
+    const rect = { id: 'r', type: 'rectangle' };
+    const highlight = { id: 'h', type: 'pen', brush: 'highlighter', points: [0, 0, 10, 0], strokeWidth: 20 };
+
+    it('knows the brush tools and treats unknown brushes as the pen', () => {
+        expect(isBrush('marker')).toBe(true);
+        expect(isBrush('eraser')).toBe(false);
+        expect(getBrush({ type: 'pen' })).toBe('pen');
+        expect(getBrush({ type: 'pen', brush: 'crayon' })).toBe('pen');
+        expect(usesPressure('pen')).toBe(true);
+        expect(usesPressure('highlighter')).toBe(false);
+    });
+
+    it('derives how each brush is drawn', () => {
+        expect(getBrushStyle(highlight)).toEqual({ opacity: HIGHLIGHTER_OPACITY, blendMode: 'multiply', lineCap: 'round', dash: null });
+        expect(getBrushStyle({ type: 'pen', brush: 'marker' }).lineCap).toBe('butt');
+        expect(getBrushStyle({ type: 'pen', brush: 'dashed', strokeWidth: 4 }).dash).toEqual([12, 12]);
+        expect(getBrushStyle({ type: 'pen', brush: 'dashed', strokeWidth: 4 }).dash)
+            .toBe(getBrushStyle({ type: 'pen', brush: 'dashed', strokeWidth: 4 }).dash);
+        expect(getBrushStyle({ type: 'pen' })).toEqual({ opacity: 1, blendMode: null, lineCap: 'round', dash: null });
+    });
+
+    it('draws text above highlighter strokes and keeps everything else in order', () => {
+        expect(getDrawingOrder([text, rect, highlight]).map(el => el.id)).toEqual(['r', 'h', 't']);
+        expect(getDrawingOrder([rect, highlight, text]).map(el => el.id)).toEqual(['r', 'h', 't']);
+
+        const siblings = [text, rect];
+        expect(getDrawingOrder(siblings)).toBe(siblings);
+    });
+});
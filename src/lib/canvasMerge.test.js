@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest'
+import { mergeOps, createMergeMeta, compareStamps, fieldKey, maxClock } from './canvasMerge'
+import { OP_ADD, OP_UPDATE, OP_DELETE, OP_REORDER } from './canvasOps'
+
+describe('canvasMerge', () => {
+    const rect = { id: 1, type: 'rectangle', x: 0, y: 0, width: 100, height: 50, fill: '#ff0000' };
+
+    const update = (changes, clock, origin, removed = []) =>
+        ({ type: OP_UPDATE, elementId: 1, changes, removed, clock, origin });
+
+    describe('compareStamps', () => {
+        it('orders by clock first', () => {
+            expect(compareStamps({ clock: 2, origin: 'a' }, { clock: 1, origin: 'z' })).toBeGreaterThan(0);
+        });
+
+        it('breaks ties by origin', () => {
+            expect(compareStamps({ clock: 1, origin: 'a' }, { clock: 1, origin: 'b' })).toBeLessThan(0);
+        });
+
+        it('treats a missing stamp as oldest', () => {
+            expect(compareStamps(null, { clock: 0, origin: '' })).toBeLessThan(0);
+        });
+    });
+
+    describe('fieldKey', () => {
+        it('groups x/y and shadow fields', () => {
+            expect(fieldKey('x')).toBe(fieldKey('y'));
+            expect(fieldKey('shadowBlur')).toBe(fieldKey('shadowColor'));
+            expect(fieldKey('fill')).toBe('fill');
+        });
+    });
+
+    describe('mergeOps', () => {
+        it('keeps a recolor and a concurrent move on the same element', () => {
+            const recolor = update({ fill: '#00ff00' }, 3, 'alice');
+            const move = update({ x: 40, y: 60 }, 3, 'bob');
+
+            const { elements } = mergeOps([rect], createMergeMeta(), [recolor, move]);
+            expect(elements[0]).toMatchObject({ fill: '#00ff00', x: 40, y: 60 });
+        });
+
+        it('converges on the same winner regardless of arrival order', () => {
+            const older = update({ fill: '#111111' }, 2, 'alice');
+            const newer = update({ fill: '#222222' }, 5, 'bob');
+
+            const a = mergeOps([rect], createMergeMeta(), [older, newer]).elements;
+            const b = mergeOps([rect], createMergeMeta(), [newer, older]).elements;
+            expect(a).toEqual(b);
+            expect(a[0].fill).toBe('#222222');
+        });
+
+        it('merges x and y as one unit', () => {
+            const moveA = update({ x: 10, y: 10 }, 4, 'alice');
+            const moveB = update({ x: 99 }, 2, 'bob');
+
+            const { elements } = mergeOps([rect], createMergeMeta(), [moveA, moveB]);
+            expect(elements[0]).toMatchObject({ x: 10, y: 10 });
+        });
+
+        it('applies removed fields only when newer', () => {
+            const withShadow = { ...rect, shadowBlur: 5 };
+            const set = update({ shadowBlur: 8 }, 5, 'alice');
+            const clear = update({}, 3, 'bob', ['shadowBlur']);
+
+            const { elements } = mergeOps([withShadow], createMergeMeta(), [set, clear]);
+            expect(elements[0].shadowBlur).toBe(8);
+        });
+
+        it('lets a newer delete win over an older update', () => {
+            const del = { type: OP_DELETE, elementId: 1, clock: 5, origin: 'alice' };
+            const late = update({ fill: '#000000' }, 3, 'bob');
+
+            const { elements } = mergeOps([rect], createMergeMeta(), [del, late]);
+            expect(elements).toEqual([]);
+        });
+
+        it('ignores a delete older than the element add', () => {
+            const add = { type: OP_ADD, elementId: 1, element: rect, afterId: null, clock: 6, origin: 'alice' };
+            const del = { type: OP_DELETE, elementId: 1, clock: 4, origin: 'bob' };
+
+            const { elements } = mergeOps([], createMergeMeta(), [add, del]);
+            expect(elements.map(el => el.id)).toEqual([1]);
+        });
+
+        it('revives an element when re-added after a delete', () => {
+            const del = { type: OP_DELETE, elementId: 1, clock: 2, origin: 'alice' };
+            const add = { type: OP_ADD, elementId: 1, element: rect, afterId: null, clock: 3, origin: 'alice' };
+
+            const { elements } = mergeOps([rect], createMergeMeta(), [del, add]);
+            expect(elements).toEqual([rect]);
+        });
+
+        it('ignores an older reorder', () => {
+            const circle = { id: 2, type: 'circle' };
+            const newer = { type: OP_REORDER, order: [2, 1], clock: 5, origin: 'alice' };
+            const older = { type: OP_REORDER, order: [1, 2], clock: 1, origin: 'bob' };
+
+            const { elements } = mergeOps([rect, circle], createMergeMeta(), [newer, older]);
+            expect(elements.map(el => el.id)).toEqual([2, 1]);
+        });
+
+        it('does not mutate its inputs', () => {
+            const meta = createMergeMeta();
+            const input = [rect];
+            mergeOps(input, meta, [update({ fill: '#abcdef' }, 1, 'alice')]);
+            expect(input[0].fill).toBe('#ff0000');
+            expect(meta).toEqual(createMergeMeta());
+        });
+    });
+
+    it('maxClock returns the highest clock', () => {
+        expect(maxClock([{ clock: 3 }, { clock: 7 }, {}], 5)).toBe(7);
+    });
+});
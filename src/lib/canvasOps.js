@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Element operations for canvas sync.
+ *
+ * Instead of writing the whole `elements` array on every save, each client
+ * diffs its last-synced state against its current state and publishes the
+ * difference as discrete operations keyed by element id:
+ *
+ *   add     — { type, elementId, element, afterId }
+ *   update  — { type, elementId, changes, removed }
+ *   delete  — { type, elementId }
+ *   reorder — { type, order }
+ *
+ * Every client applies the same ops in the same way, so concurrent edits to
+ * different elements both survive.
+ */
+
+export const OP_ADD = 'add';
+export const OP_UPDATE = 'update';
+export const OP_DELETE = 'delete';
+export const OP_REORDER = 'reorder';
+
+/**
+ * Generates a random id identifying one open copy of a canvas (one tab).
+ * Ops carry it as `origin` so a client can skip its own echoes.
+ *
+ * @returns {string}
+ */
+export function createClientId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Compares two property values. Arrays/objects (pen points, etc.) are
+ * compared structurally.
+ */
+function isSameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Firestore rejects `undefined` fields, so strip them before publishing.
+ */
+function stripUndefined(el) {
+    const clean = {};
+    for (const [key, value] of Object.entries(el)) {
+        if (value !== undefined) clean[key] = value;
+    }
+    return clean;
+}
+
+/**
+ * Computes the ops that turn `prev` into `next`.
+ * Ops are ordered deletes → adds → updates → reorder.
+ *
+ * @param {Array<object>} prev - Last synced elements
+ * @param {Array<object>} next - Current local elements
+ * @returns {Array<object>} ops
+ */
+export function diffElements(prev, next) {
+    const prevById = new Map(prev.map(el => [el.id, el]));
+    const nextById = new Map(next.map(el => [el.id, el]));
+    const ops = [];
+
+    prev.forEach(el => {
+        if (!nextById.has(el.id)) {
+            ops.push({ type: OP_DELETE, elementId: el.id });
+        }
+    });
+
+    next.forEach((el, idx) => {
+        if (!prevById.has(el.id)) {
+            ops.push({
+                type: OP_ADD,
+                elementId: el.id,
+                element: stripUndefined(el),
+                afterId: idx > 0 ? next[idx - 1].id : null,
+            });
+        }
+    });
+
+    next.forEach(el => {
+        const before = prevById.get(el.id);
+        if (!before || before === el) return;
+
+        const changes = {};
+        const removed = [];
+        const keys = new Set([...Object.keys(before), ...Object.keys(el)]);
+        keys.forEach(key => {
+            if (key === 'id') return;
+            if (el[key] === undefined) {
+                if (before[key] !== undefined) removed.push(key);
+            } else if (!isSameValue(before[key], el[key])) {
+                changes[key] = el[key];
+            }
+        });
+
+        if (Object.keys(changes).length > 0 || removed.length > 0) {
+            ops.push({ type: OP_UPDATE, elementId: el.id, changes, removed });
+        }
+    });
+
+    // Reorder only when the relative order of surviving elements changed
+    const prevOrder = prev.filter(el => nextById.has(el.id)).map(el => el.id);
+    const nextOrder = next.filter(el => prevById.has(el.id)).map(el => el.id);
+    if (prevOrder.some((id, i) => id !== nextOrder[i])) {
+        ops.push({ type: OP_REORDER, order: next.map(el => el.id) });
+    }
+
+    return ops;
+}
+
+/**
+ * Reorders `elements` to follow `order`. Elements the op doesn't know about
+ * (e.g. added concurrently by someone else) stay right after the element
+ * that preceded them.
+ */
+function applyReorder(elements, order) {
+    const byId = new Map(elements.map(el => [el.id, el]));
+    const known = new Set(order);
+    const result = order.filter(id => byId.has(id)).map(id => byId.get(id));
+
+    elements.forEach((el, idx) => {
+        if (known.has(el.id)) return;
+        let insertAt = 0;
+        for (let i = idx - 1; i >= 0; i--) {
+            const pos = result.indexOf(elements[i]);
+            if (pos !== -1) {
+                insertAt = pos + 1;
+                break;
+            }
+        }
+        result.splice(insertAt, 0, el);
+    });
+
+    return result;
+}
+
+/**
+ * Applies a single op. Unknown element ids are ignored so ops stay safe to
+ * replay over a checkpoint that already contains them.
+ *
+ * @param {Array<object>} elements
+ * @param {object} op
+ * @returns {Array<object>} new elements array
+ */
+export function applyOp(elements, op) {
+    switch (op.type) {
+        case OP_ADD: {
+            const existing = elements.findIndex(el => el.id === op.elementId);
+            if (existing !== -1) {
+                const next = [...elements];
+                next[existing] = { ...op.element, id: op.elementId };
+                return next;
+            }
+            const newEl = { ...op.element, id: op.elementId };
+            if (op.afterId === null || op.afterId === undefined) {
+                return [newEl, ...elements];
+            }
+            const afterIdx = elements.findIndex(el => el.id === op.afterId);
+            if (afterIdx === -1) return [...elements, newEl];
+            const next = [...elements];
+            next.splice(afterIdx + 1, 0, newEl);
+            return next;
+        }
+
+        case OP_UPDATE:
+            return elements.map(el => {
+                if (el.id !== op.elementId) return el;
+                const updated = { ...el, ...(op.changes || {}) };
+                (op.removed || []).forEach(key => { delete updated[key]; });
+                return updated;
+            });
+
+        case OP_DELETE:
+            return elements.filter(el => el.id !== op.elementId);
+
+        case OP_REORDER:
+            return applyReorder(elements, op.order || []);
+
+        default:
+            return elements;
+    }
+}
+
+/**
+ * Applies a list of ops in order.
+ *
+ * @param {Array<object>} elements
+ * @param {Array<object>} ops
+ * @returns {Array<object>} new elements array
+ */
+export function applyOps(elements, ops) {
+    return ops.reduce(applyOp, elements);
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest'
+import { diffElements, applyOps, createClientId, OP_ADD, OP_UPDATE, OP_DELETE, OP_REORDER } from './canvasOps'
+
+describe('canvasOps', () => {
+    const rect = { id: 1, type: 'rectangle', x: 0, y: 0, width: 10, height: 10, fill: '#ff0000' };
+    const circle = { id: 2, type: 'circle', x: 50, y: 50, width: 20, height: 20 };
+    const text = { id: 3, type: 'text', x: 100, y: 100, text: 'Hello' };
+
+    describe('diffElements', () => {
+        it('returns no ops for identical arrays', () => {
+            expect(diffElements([rect, circle], [rect, circle])).toEqual([]);
+        });
+
+        it('emits add with the preceding element id', () => {
+            const ops = diffElements([rect], [rect, circle]);
+            expect(ops).toEqual([{ type: OP_ADD, elementId: 2, element: circle, afterId: 1 }]);
+        });
+
+        it('emits delete for removed elements', () => {
+            expect(diffElements([rect, circle], [rect])).toEqual([{ type: OP_DELETE, elementId: 2 }]);
+        });
+
+        it('emits only the changed and removed fields on update', () => {
+            const before = { ...rect, shadowBlur: 4 };
+            const after = { ...rect, x: 30, shadowBlur: undefined };
+            expect(diffElements([before], [after])).toEqual([
+                { type: OP_UPDATE, elementId: 1, changes: { x: 30 }, removed: ['shadowBlur'] }
+            ]);
+        });
+
+        it('compares array properties structurally', () => {
+            const pen = { id: 4, type: 'pen', points: [0, 0, 10, 10] };
+            expect(diffElements([pen], [{ ...pen, points: [0, 0, 10, 10] }])).toEqual([]);
+        });
+
+        it('emits reorder when the relative order changes', () => {
+            const ops = diffElements([rect, circle], [circle, rect]);
+            expect(ops).toEqual([{ type: OP_REORDER, order: [2, 1] }]);
+        });
+
+        it('does not emit reorder for a plain append', () => {
+            const ops = diffElements([rect, circle], [rect, circle, text]);
+            expect(ops.map(op => op.type)).toEqual([OP_ADD]);
+        });
+    });
+
+    describe('applyOps', () => {
+        it('round-trips diffElements', () => {
+            const prev = [rect, circle];
+            const next = [{ ...text }, { ...circle, fill: '#00ff00' }];
+            expect(applyOps(prev, diffElements(prev, next))).toEqual(next);
+        });
+
+        it('keeps concurrent edits to different elements', () => {
+            const base = [rect, circle];
+            const mine = diffElements(base, [{ ...rect, x: 99 }, circle]);
+            const theirs = diffElements(base, [rect, { ...circle, fill: '#123456' }]);
+
+            const merged = applyOps(applyOps(base, mine), theirs);
+            expect(merged.find(el => el.id === 1).x).toBe(99);
+            expect(merged.find(el => el.id === 2).fill).toBe('#123456');
+        });
+
+        it('is idempotent for replayed adds', () => {
+            const ops = diffElements([rect], [rect, circle]);
+            expect(applyOps(applyOps([rect], ops), ops)).toEqual([rect, circle]);
+        });
+
+        it('ignores updates to unknown elements', () => {
+            const ops = [{ type: OP_UPDATE, elementId: 42, changes: { x: 1 }, removed: [] }];
+            expect(applyOps([rect], ops)).toEqual([rect]);
+        });
+
+        it('keeps concurrently added elements next to their neighbour on reorder', () => {
+            const reorder = { type: OP_REORDER, order: [2, 1] };
+            const result = applyOps([rect, text, circle], [reorder]);
+            expect(result.map(el => el.id)).toEqual([2, 1, 3]);
+        });
+
+        it('appends adds whose anchor element is gone', () => {
+            const op = { type: OP_ADD, elementId: 3, element: text, afterId: 99 };
+            expect(applyOps([rect], [op]).map(el => el.id)).toEqual([1, 3]);
+        });
+    });
+
+    it('createClientId returns unique ids', () => {
+        expect(createClientId()).not.toBe(createClientId());
+    });
+});
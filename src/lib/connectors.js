@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Connectors: arrows and lines whose ends can be bound to
+ * anchor points on other elements.
+ *
+ * Design decisions:
+ * - A connector is `{ id, type: 'arrow'|'line', points: [x1, y1, x2, y2],
+ *   startBinding, endBinding, routing, label }`. A binding is
+ *   `{ elementId, anchor }`, or null for a free end.
+ * - Bound ends are resolved from the target element whenever the connector
+ *   is drawn, so moving a shape — locally or through a collaborator's op —
+ *   re-routes its connectors without an edit to the connectors themselves.
+ * - `points` keeps the last resolved ends (see refreshConnectors). It is
+ *   where free ends live and the fallback when a target is gone.
+ * - Only the routing style is saved; the bends and curve handles are
+ *   derived from the ends every time.
+ * - Ends are resolved in canvas space (through the target's groups), then
+ *   mapped into the connector's own parent space.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+import { CENTER_RENDERED_TYPES, toCanvasSpace, fromCanvasSpace } from './groups';
+import { getElementBox, getPoints } from './bounds';
+
+export const CONNECTOR_TYPES = ['arrow', 'line'];
+export const ROUTING_STYLES = ['straight', 'elbow', 'curved'];
+export const ANCHORS = ['top', 'right', 'bottom', 'left'];
+
+/** Elements a connector end can attach to */
+const BINDABLE_TYPES = ['rectangle', 'circle', 'triangle', 'star', 'hexagon', 'pentagon', 'text', 'image', 'mindmap', 'sticky'];
+
+/** Direction a connector leaves each anchor in */
+const ANCHOR_DIRECTIONS = {
+    top: { x: 0, y: -1 },
+    right: { x: 1, y: 0 },
+    bottom: { x: 0, y: 1 },
+    left: { x: -1, y: 0 }
+};
+
+/** Minimum length of the handles of a curved connector */
+const MIN_CURVE_HANDLE = 30;
+
+/**
+ * @param {object} el
+ * @returns {boolean}
+ */
+export function isConnector(el) {
+    return CONNECTOR_TYPES.includes(el?.type);
+}
+
+/**
+ * @param {object} el
+ * @returns {boolean} true if connector ends can attach to this element
+ */
+export function isBindable(el) {
+    return BINDABLE_TYPES.includes(el?.type);
+}
+
+/**
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @param {string} anchor - One of ANCHORS
+ * @returns {{x: number, y: number}} the middle of that side of the box
+ */
+export function getAnchorPoint(box, anchor) {
+    const centerX = box.x + box.width / 2;
+    const centerY = box.y + box.height / 2;
+    switch (anchor) {
+        case 'top': return { x: centerX, y: box.y };
+        case 'right': return { x: box.x + box.width, y: centerY };
+        case 'bottom': return { x: centerX, y: box.y + box.height };
+        case 'left': return { x: box.x, y: centerY };
+        default: return { x: centerX, y: centerY };
+    }
+}
+
+function rotate(vector, degrees) {
+    const angle = (degrees * Math.PI) / 180;
+    return {
+        x: vector.x * Math.cos(angle) - vector.y * Math.sin(angle),
+        y: vector.x * Math.sin(angle) + vector.y * Math.cos(angle)
+    };
+}
+
+/** An element's anchor and outward direction in canvas space */
+function locateAnchor(elements, el, anchor) {
+    const box = getElementBox(elements, el);
+    let point = getAnchorPoint(box, anchor);
+    let direction = ANCHOR_DIRECTIONS[anchor] || null;
+
+    const rotation = el.rotation || 0;
+    if (rotation) {
+        // Konva rotates around the node origin: the center for shapes drawn
+        // around it, the top-left corner otherwise
+        const pivot = CENTER_RENDERED_TYPES.includes(el.type)
+            ? getAnchorPoint(box, 'center')
+            : { x: el.x || 0, y: el.y || 0 };
+        const offset = rotate({ x: point.x - pivot.x, y: point.y - pivot.y }, rotation);
+        point = { x: pivot.x + offset.x, y: pivot.y + offset.y };
+        if (direction) direction = rotate(direction, rotation);
+    }
+
+    const origin = toCanvasSpace(elements, el.parentId ?? null, { x: 0, y: 0 });
+    const canvasPoint = toCanvasSpace(elements, el.parentId ?? null, point);
+    if (direction) {
+        const tip = toCanvasSpace(elements, el.parentId ?? null, direction);
+        direction = normalize({ x: tip.x - origin.x, y: tip.y - origin.y });
+    }
+    return { ...canvasPoint, direction };
+}
+
+function normalize(vector) {
+    const length = Math.hypot(vector.x, vector.y);
+    return length === 0 ? null : { x: vector.x / length, y: vector.y / length };
+}
+
+/**
+ * Every anchor connector ends can snap to, in canvas space.
+ *
+ * @param {Array<object>} elements
+ * @param {{ excludeIds?: Array<string|number> }} [options]
+ * @returns {Array<{elementId: string|number, anchor: string, x: number, y: number}>}
+ */
+export function getAnchorCandidates(elements, { excludeIds = [] } = {}) {
+    return elements
+        .filter(el => isBindable(el) && el.visible !== false && !excludeIds.includes(el.id))
+        .flatMap(el => ANCHORS.map(anchor => {
+            const { x, y } = locateAnchor(elements, el, anchor);
+            return { elementId: el.id, anchor, x, y };
+        }));
+}
+
+/**
+ * The anchor a connector end dropped at a point attaches to: the closest
+ * candidate within the threshold, otherwise the closest anchor of the
+ * topmost element under the point.
+ *
+ * @param {Array<{elementId: string|number, anchor: string, x: number, y: number}>} candidates
+ * @param {{x: number, y: number}} point
+ * @param {number} threshold
+ * @returns {{elementId: string|number, anchor: string, x: number, y: number}|null}
+ */
+export function findNearestAnchor(candidates, point, threshold) {
+    const distance = candidate => Math.hypot(candidate.x - point.x, candidate.y - point.y);
+    const closest = list => list.reduce((best, candidate) => (
+        !best || distance(candidate) < distance(best) ? candidate : best
+    ), null);
+
+    const near = closest(candidates.filter(candidate => distance(candidate) <= threshold));
+    if (near) return near;
+
+    // The side anchors span the element's box
+    const byElement = new Map();
+    candidates.forEach(candidate => {
+        byElement.set(candidate.elementId, [...(byElement.get(candidate.elementId) || []), candidate]);
+    });
+    const under = [...byElement.values()].reverse().find(anchors => {
+        const xs = anchors.map(a => a.x);
+        const ys = anchors.map(a => a.y);
+        return point.x >= Math.min(...xs) && point.x <= Math.max(...xs) &&
+            point.y >= Math.min(...ys) && point.y <= Math.max(...ys);
+    });
+    return under ? closest(under) : null;
+}
+
+/**
+ * Where a connector's ends are now, in the connector's parent space.
+ * `direction` is the way the line leaves a bound end (null for free ends).
+ *
+ * @param {Array<object>} elements
+ * @param {object} connector
+ * @param {{ offsets?: Map, overrides?: {start?: {x: number, y: number}, end?: {x: number, y: number}} }} [options]
+ *   offsets: canvas-space shift of elements being dragged, by id;
+ *   overrides: canvas-space positions for ends being dragged
+ * @returns {{ start: {x: number, y: number, direction: object|null}, end: {x: number, y: number, direction: object|null} }}
+ */
+export function getConnectorEnds(elements, connector, { offsets, overrides = {} } = {}) {
+    const parentId = connector.parentId ?? null;
+    const points = getPoints(connector);
+
+    const resolve = (binding, fallback, override) => {
+        if (override) return { ...fromCanvasSpace(elements, parentId, override), direction: null };
+
+        const target = binding && elements.find(el => el.id === binding.elementId);
+        if (!target) return { ...fallback, direction: null };
+
+        const anchor = locateAnchor(elements, target, binding.anchor);
+        const shift = offsets?.get(target.id);
+        const point = shift ? { x: anchor.x + shift.x, y: anchor.y + shift.y } : anchor;
+
+        // Directions are vectors, so map them as the difference of two points
+        const local = fromCanvasSpace(elements, parentId, point);
+        let direction = null;
+        if (anchor.direction) {
+            const tip = fromCanvasSpace(elements, parentId, { x: point.x + anchor.direction.x, y: point.y + anchor.direction.y });
+            direction = normalize({ x: tip.x - local.x, y: tip.y - local.y });
+        }
+        return { ...local, direction };
+    };
+
+    return {
+        start: resolve(connector.startBinding, { x: points[0], y: points[1] }, overrides.start),
+        end: resolve(connector.endBinding, { x: points[points.length - 2], y: points[points.length - 1] }, overrides.end)
+    };
+}
+
+function isHorizontal(direction) {
+    return Math.abs(direction.x) >= Math.abs(direction.y);
+}
+
+function elbowPoints(start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    // Free ends leave along the longer side of the line
+    const startHorizontal = start.direction ? isHorizontal(start.direction) : Math.abs(dx) >= Math.abs(dy);
+    const endHorizontal = end.direction ? isHorizontal(end.direction) : startHorizontal;
+
+    if (startHorizontal && endHorizontal) {
+        const middleX = (start.x + end.x) / 2;
+        return [start.x, start.y, middleX, start.y, middleX, end.y, end.x, end.y];
+    }
+    if (!startHorizontal && !endHorizontal) {
+        const middleY = (start.y + end.y) / 2;
+        return [start.x, start.y, start.x, middleY, end.x, middleY, end.x, end.y];
+    }
+    return startHorizontal
+        ? [start.x, start.y, end.x, start.y, end.x, end.y]
+        : [start.x, start.y, start.x, end.y, end.x, end.y];
+}
+
+function curvePoints(start, end) {
+    const handle = Math.max(MIN_CURVE_HANDLE, Math.hypot(end.x - start.x, end.y - start.y) / 3);
+    // Free ends point straight at the other end
+    const towardEnd = normalize({ x: end.x - start.x, y: end.y - start.y }) || { x: 1, y: 0 };
+    const startDirection = start.direction || towardEnd;
+    const endDirection = end.direction || { x: -towardEnd.x, y: -towardEnd.y };
+    return [
+        start.x, start.y,
+        start.x + startDirection.x * handle, start.y + startDirection.y * handle,
+        end.x + endDirection.x * handle, end.y + endDirection.y * handle,
+        end.x, end.y
+    ];
+}
+
+/**
+ * Points to draw a connector with.
+ *
+ * @param {{x: number, y: number, direction?: object|null}} start
+ * @param {{x: number, y: number, direction?: object|null}} end
+ * @param {string} [routing] - One of ROUTING_STYLES
+ * @returns {{ points: Array<number>, bezier: boolean }} bezier: points are
+ *   start, two control points and end of a cubic curve
+ */
+export function routeConnector(start, end, routing = 'straight') {
+    if (routing === 'elbow') return { points: elbowPoints(start, end), bezier: false };
+    if (routing === 'curved') return { points: curvePoints(start, end), bezier: true };
+    return { points: [start.x, start.y, end.x, end.y], bezier: false };
+}
+
+/**
+ * Middle of a routed connector, where its label goes.
+ *
+ * @param {{ points: Array<number>, bezier: boolean }} route - From routeConnector
+ * @returns {{x: number, y: number}}
+ */
+export function getLabelPosition({ points, bezier }) {
+    if (bezier) {
+        // Cubic Bézier at t = 0.5
+        return {
+            x: (points[0] + 3 * points[2] + 3 * points[4] + points[6]) / 8,
+            y: (points[1] + 3 * points[3] + 3 * points[5] + points[7]) / 8
+        };
+    }
+
+    const lengths = [];
+    for (let i = 2; i < points.length; i += 2) {
+        lengths.push(Math.hypot(points[i] - points[i - 2], points[i + 1] - points[i - 1]));
+    }
+    let remaining = lengths.reduce((sum, length) => sum + length, 0) / 2;
+    for (let i = 0; i < lengths.length; i++) {
+        if (remaining <= lengths[i] && lengths[i] > 0) {
+            const t = remaining / lengths[i];
+            const x1 = points[i * 2], y1 = points[i * 2 + 1];
+            return { x: x1 + (points[i * 2 + 2] - x1) * t, y: y1 + (points[i * 2 + 3] - y1) * t };
+        }
+        remaining -= lengths[i];
+    }
+    return { x: points[0], y: points[1] };
+}
+
+/**
+ * Stores the current position of every bound end in `points` and drops
+ * bindings to elements that no longer exist, so the saved data matches
+ * what is on screen.
+ *
+ * @param {Array<object>} elements
+ * @returns {Array<object>} the same array if nothing changed
+ */
+export function refreshConnectors(elements) {
+    let changed = false;
+    const result = elements.map(el => {
+        if (!isConnector(el) || (!el.startBinding && !el.endBinding)) return el;
+
+        const exists = binding => binding && elements.some(target => target.id === binding.elementId);
+        const { start, end } = getConnectorEnds(elements, el);
+        const update = {
+            ...el,
+            points: [start.x, start.y, end.x, end.y],
+            startBinding: exists(el.startBinding) ? el.startBinding : null,
+            endBinding: exists(el.endBinding) ? el.endBinding : null
+        };
+        if (JSON.stringify(update) === JSON.stringify(el)) return el;
+        changed = true;
+        return update;
+    });
+    return changed ? result : elements;
+}
+
+/**
+ * A moved or transformed connector. Ends bound to an element that moved
+ * with it stay bound; the others come loose and are mapped with the
+ * connector.
+ *
+ * @param {Array<object>} elements
+ * @param {object} connector
+ * @param {(point: {x: number, y: number}) => {x: number, y: number}} mapPoint - The move/transform, in the connector's parent space
+ * @param {Set<string|number>} movedIds - Every element that moved, nested ones included
+ * @returns {{ points: Array<number>, startBinding: object|null, endBinding: object|null }}
+ */
+export function transformConnector(elements, connector, mapPoint, movedIds) {
+    const { start, end } = getConnectorEnds(elements, connector);
+    const keep = binding => (binding && movedIds.has(binding.elementId) ? binding : null);
+    const startPoint = mapPoint(start);
+    const endPoint = mapPoint(end);
+    return {
+        points: [startPoint.x, startPoint.y, endPoint.x, endPoint.y],
+        startBinding: keep(connector.startBinding),
+        endBinding: keep(connector.endBinding)
+    };
+}
+
+/**
+ * Points copied connectors at the copies of their targets; bindings to
+ * elements that weren't copied are dropped.
+ *
+ * @param {Array<object>} clones
+ * @param {Map} idMap - Original id → copy id (from cloneSubtrees)
+ * @returns {Array<object>}
+ */
+export function remapBindings(clones, idMap) {
+    const remap = binding => (binding && idMap.has(binding.elementId)
+        ? { ...binding, elementId: idMap.get(binding.elementId) }
+        : null);
+    return clones.map(el => (isConnector(el)
+        ? { ...el, startBinding: remap(el.startBinding), endBinding: remap(el.endBinding) }
+        : el));
+}
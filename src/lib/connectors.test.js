@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import {
+    getAnchorCandidates, findNearestAnchor, getConnectorEnds, routeConnector,
+    getLabelPosition, refreshConnectors, transformConnector, remapBindings
+} from './connectors'
+import { groupElements } from './groups'
+
+describe('connectors', () => {
+    const box = { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 50 };
+    const other = { id: 'b', type: 'rectangle', x: 300, y: 200, width: 100, height: 50 };
+    const arrow = {
+        id: 'c',
+        type: 'arrow',
+        points: [0, 0, 10, 10],
+        startBinding: { elementId: 'a', anchor: 'right' },
+        endBinding: { elementId: 'b', anchor: 'left' },
+        routing: 'straight'
+    };
+
+    it('resolves bound ends from the current position of their targets', () => {
+        const { start, end } = getConnectorEnds([box, other, arrow], arrow);
+
+        expect(start).toMatchObject({ x: 100, y: 25, direction: { x: 1, y: 0 } });
+        expect(end).toMatchObject({ x: 300, y: 225, direction: { x: -1, y: 0 } });
+
+        const moved = { ...other, x: 500 };
+        expect(getConnectorEnds([box, moved, arrow], arrow).end).toMatchObject({ x: 500, y: 225 });
+    });
+
+    it('falls back to the saved points when a target is gone', () => {
+        const { end } = getConnectorEnds([box, arrow], arrow);
+        expect(end).toEqual({ x: 10, y: 10, direction: null });
+    });
+
+    it('resolves anchors of grouped targets in canvas space', () => {
+        const grouped = groupElements([box, other, arrow], ['b'], 'g')
+            .map(el => el.id === 'g' ? { ...el, x: 50, y: 50 } : el);
+        expect(getConnectorEnds(grouped, arrow).end).toMatchObject({ x: 350, y: 275 });
+    });
+
+    it('reads connectors saved as x/y/width/height', () => {
+        const legacy = { id: 'l', type: 'line', x: 10, y: 20, width: 30, height: 40 };
+        const { start, end } = getConnectorEnds([legacy], legacy);
+        expect([start.x, start.y, end.x, end.y]).toEqual([10, 20, 40, 60]);
+    });
+
+    it('snaps to the nearest anchor within the threshold', () => {
+        const candidates = getAnchorCandidates([box, other, arrow], { excludeIds: ['b'] });
+
+        expect(candidates).toHaveLength(4);
+        expect(findNearestAnchor(candidates, { x: 48, y: 3 }, 10)).toMatchObject({ elementId: 'a', anchor: 'top' });
+        expect(findNearestAnchor(candidates, { x: 150, y: 30 }, 10)).toBeNull();
+    });
+
+    it('attaches to the closest anchor of the element under the point', () => {
+        const candidates = getAnchorCandidates([box, other]);
+        expect(findNearestAnchor(candidates, { x: 48, y: 30 }, 10)).toMatchObject({ elementId: 'a', anchor: 'bottom' });
+    });
+
+    it('routes elbow connectors with right-angle bends', () => {
+        const start = { x: 100, y: 25, direction: { x: 1, y: 0 } };
+        const end = { x: 300, y: 225, direction: { x: -1, y: 0 } };
+        expect(routeConnector(start, end, 'elbow').points).toEqual([100, 25, 200, 25, 200, 225, 300, 225]);
+
+        const below = { x: 350, y: 200, direction: { x: 0, y: -1 } };
+        expect(routeConnector(start, below, 'elbow').points).toEqual([100, 25, 350, 25, 350, 200]);
+    });
+
+    it('routes curved connectors out along the anchor directions', () => {
+        const route = routeConnector(
+            { x: 0, y: 0, direction: { x: 1, y: 0 } },
+            { x: 300, y: 0, direction: { x: -1, y: 0 } },
+            'curved'
+        );
+        expect(route).toEqual({ points: [0, 0, 100, 0, 200, 0, 300, 0], bezier: true });
+        expect(getLabelPosition(route)).toEqual({ x: 150, y: 0 });
+    });
+
+    it('places labels halfway along the route', () => {
+        expect(getLabelPosition({ points: [0, 0, 100, 0, 100, 100], bezier: false })).toEqual({ x: 100, y: 0 });
+    });
+
+    it('saves resolved ends and drops bindings to deleted targets', () => {
+        const refreshed = refreshConnectors([box, arrow]);
+        expect(refreshed[1].points).toEqual([100, 25, 10, 10]);
+        expect(refreshed[1].endBinding).toBeNull();
+        expect(refreshed[1].startBinding).toEqual(arrow.startBinding);
+
+        const unchanged = [box, { ...arrow, points: [100, 25, 10, 10], endBinding: null }];
+        expect(refreshConnectors(unchanged)).toBe(unchanged);
+    });
+
+    it('keeps only the bindings whose target moved along', () => {
+        const moved = transformConnector([box, other, arrow], arrow, p => ({ x: p.x + 10, y: p.y }), new Set(['a', 'c']));
+
+        expect(moved.points).toEqual([110, 25, 310, 225]);
+        expect(moved.startBinding).toEqual(arrow.startBinding);
+        expect(moved.endBinding).toBeNull();
+    });
+
+    it('points copied connectors at copied targets', () => {
+        const [copy] = remapBindings([arrow], new Map([['a', 'a2'], ['c', 'c2']]));
+        expect(copy.startBinding).toEqual({ elementId: 'a2', anchor: 'right' });
+        expect(copy.endBinding).toBeNull();
+    });
+});
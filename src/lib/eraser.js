@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Eraser geometry for its three modes.
+ *
+ * Design decisions:
+ * - The eraser is the segment from the previous pointer sample to the
+ *   current one, widened by its radius, so a fast stroke erases everything
+ *   it passed over and not just the spots where samples landed.
+ * - "Partial" cuts pen strokes where the eraser crosses them and keeps the
+ *   pieces (with their pressures). Strokes are simplified when drawn, so
+ *   their points can be far apart: segments near the eraser are subdivided
+ *   first, which makes the gap follow the eraser instead of the points.
+ * - "Stroke" removes whole elements of any type the eraser touches: the
+ *   top-level element or frame member, so touching one member of a group
+ *   removes the group, as clicking it would select the group. Frames are
+ *   touched at their border only, so erasing inside one erases its
+ *   contents and not the frame.
+ * - "Lasso" removes the elements entirely inside a closed path.
+ * - The eraser is mapped into each parent's space once (see groups.js)
+ *   rather than every point of every element onto the canvas.
+ * - Hidden and locked elements are never erased; removing a mind map node
+ *   removes its branch, as deleting it does.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+import {
+    GROUP_TYPE, FRAME_TYPE, CENTER_RENDERED_TYPES, getChildren, getAncestorIds, fromCanvasSpace, removeElements, createElementId
+} from './groups';
+import { getElementBox } from './bounds';
+import { isConnector, getConnectorEnds, routeConnector } from './connectors';
+import { getMindDescendantIds } from './mindMap';
+import { estimateTextWidth } from './exportGeometry';
+import { hasPressure } from './penStrokes';
+
+export const ERASER_MODES = ['partial', 'stroke', 'lasso'];
+export const DEFAULT_ERASER_MODE = 'partial';
+
+/** Stored like finished strokes (see penStrokes.js) */
+const round = value => Math.round(value * 100) / 100;
+
+const isErasable = el => el.visible !== false && el.locked !== true;
+
+/**
+ * @param {{x: number, y: number}} point
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number} distance from the point to the segment a–b
+ */
+export function distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (a.x + dx * t), point.y - (a.y + dy * t));
+}
+
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+/**
+ * @returns {number} distance between the segments a–b and c–d; 0 if they cross
+ */
+export function segmentDistance(a, b, c, d) {
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return 0;
+    return Math.min(distanceToSegment(a, c, d), distanceToSegment(b, c, d), distanceToSegment(c, a, b), distanceToSegment(d, a, b));
+}
+
+/**
+ * Even-odd test of a point against a polygon.
+ *
+ * @param {{x: number, y: number}} point
+ * @param {Array<{x: number, y: number}>} polygon
+ * @returns {boolean}
+ */
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+const toPointList = points => Array.from({ length: points.length / 2 }, (_, i) => ({ x: points[i * 2], y: points[i * 2 + 1] }));
+
+/** Maps canvas points into each parent's space, once per parent */
+function createSpaceCache(elements, points) {
+    const spaces = new Map();
+    return parentId => {
+        const key = parentId ?? null;
+        if (!spaces.has(key)) spaces.set(key, points.map(point => fromCanvasSpace(elements, key, point)));
+        return spaces.get(key);
+    };
+}
+
+/** Corners of an element's box in its parent's space, turned by its rotation */
+function getCorners(elements, el) {
+    let box = getElementBox(elements, el);
+    if (el.type === 'text') {
+        // Bounds assume a fixed width; estimate the text's own size instead
+        const lines = String(el.text ?? '').split('\n');
+        const fontSize = el.fontSize || 24;
+        box = {
+            ...box,
+            width: el.width || Math.max(...lines.map(line => estimateTextWidth(line, fontSize))),
+            height: lines.length * fontSize * 1.2
+        };
+    }
+    const corners = [
+        { x: box.x, y: box.y },
+        { x: box.x + box.width, y: box.y },
+        { x: box.x + box.width, y: box.y + box.height },
+        { x: box.x, y: box.y + box.height }
+    ];
+    if (!el.rotation) return corners;
+
+    // Shapes drawn around their center turn around it; the rest around x/y
+    const pivot = CENTER_RENDERED_TYPES.includes(el.type)
+        ? { x: (el.x || 0) + (el.width || 0) / 2, y: (el.y || 0) + (el.height || 0) / 2 }
+        : { x: el.x || 0, y: el.y || 0 };
+    const angle = (el.rotation * Math.PI) / 180;
+    const [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+    return corners.map(({ x, y }) => ({
+        x: pivot.x + (x - pivot.x) * cos - (y - pivot.y) * sin,
+        y: pivot.y + (x - pivot.x) * sin + (y - pivot.y) * cos
+    }));
+}
+
+/**
+ * What an element is drawn as, in its parent's space: lines for strokes
+ * and connectors, a filled box for the rest, a box outline for frames.
+ */
+function getOutline(elements, el) {
+    if (el.type === 'pen' || isConnector(el)) {
+        let points = el.points || [];
+        if (isConnector(el)) {
+            const { start, end } = getConnectorEnds(elements, el);
+            points = routeConnector(start, end, el.routing).points;
+        }
+        return { kind: 'line', points: toPointList(points), margin: (el.strokeWidth || 2) / 2 };
+    }
+    return { kind: el.type === FRAME_TYPE ? 'border' : 'area', points: getCorners(elements, el) };
+}
+
+/** true if the eraser segment a–b with a radius touches an element, or any member of a group */
+function isTouched(elements, el, eraserIn, radius) {
+    if (el.type === GROUP_TYPE) {
+        return getChildren(elements, el.id).some(child => child.visible !== false && isTouched(elements, child, eraserIn, radius));
+    }
+    const [a, b] = eraserIn(el.parentId);
+    const { kind, points, margin = 0 } = getOutline(elements, el);
+    if (points.length === 1) return distanceToSegment(points[0], a, b) <= radius + margin;
+    if (kind === 'area' && (pointInPolygon(a, points) || pointInPolygon(b, points))) return true;
+
+    const edges = kind === 'line' ? points.length - 1 : points.length;
+    for (let i = 0; i < edges; i++) {
+        if (segmentDistance(points[i], points[(i + 1) % points.length], a, b) <= radius + margin) return true;
+    }
+    return false;
+}
+
+/** true if every part of an element lies inside the lasso */
+function isEnclosed(elements, el, lassoIn) {
+    if (el.type === GROUP_TYPE) {
+        const children = getChildren(elements, el.id);
+        return children.length > 0 && children.every(child => isEnclosed(elements, child, lassoIn));
+    }
+    const lasso = lassoIn(el.parentId);
+    return getOutline(elements, el).points.every(point => pointInPolygon(point, lasso));
+}
+
+/**
+ * The elements the eraser can take as a whole: top-level elements and
+ * frame members, as they are selected.
+ */
+function getErasableUnits(elements) {
+    const units = [];
+    const visit = parentId => getChildren(elements, parentId).forEach(el => {
+        if (!isErasable(el)) return;
+        units.push(el);
+        if (el.type === FRAME_TYPE) visit(el.id);
+    });
+    visit(null);
+    return units;
+}
+
+/**
+ * Ids of the elements an eraser movement touches ("stroke" mode).
+ *
+ * @param {Array<object>} elements
+ * @param {{x: number, y: number}} from - Previous eraser position, on the canvas
+ * @param {{x: number, y: number}} to - Current eraser position
+ * @param {number} radius
+ * @returns {Array<string|number>}
+ */
+export function findTouchedElements(elements, from, to, radius) {
+    const eraserIn = createSpaceCache(elements, [from, to]);
+    return getErasableUnits(elements)
+        .filter(el => isTouched(elements, el, eraserIn, radius))
+        .map(el => el.id);
+}
+
+/**
+ * Ids of the elements entirely inside a lasso ("lasso" mode).
+ *
+ * @param {Array<object>} elements
+ * @param {Array<number>} lasso - Flat canvas points of the closed path
+ * @returns {Array<string|number>}
+ */
+export function findLassoedElements(elements, lasso) {
+    if (lasso.length < 6) return [];
+    const lassoIn = createSpaceCache(elements, toPointList(lasso));
+    const found = [];
+    // Frames enclosed take their members along; don't list those again
+    const visit = parentId => getChildren(elements, parentId).forEach(el => {
+        if (!isErasable(el)) return;
+        if (isEnclosed(elements, el, lassoIn)) found.push(el.id);
+        else if (el.type === FRAME_TYPE) visit(el.id);
+    });
+    visit(null);
+    return found;
+}
+
+/**
+ * Removes erased elements, with their members and mind map branches.
+ *
+ * @param {Array<object>} elements
+ * @param {Array<string|number>} ids
+ * @returns {Array<object>} the same array if there is nothing to remove
+ */
+export function eraseElements(elements, ids) {
+    if (ids.length === 0) return elements;
+    return removeElements(elements, [...ids, ...getMindDescendantIds(elements, ids)]);
+}
+
+/**
+ * Pieces of a stroke left after erasing along a–b, or null if the eraser
+ * missed it.
+ */
+function cutStroke(el, a, b, radius) {
+    const pressures = hasPressure(el) ? el.pressures : null;
+    const points = el.points || [];
+    const count = points.length / 2;
+    const step = Math.max(radius / 2, 0.5);
+
+    // Samples along the stroke, closer together where the eraser passes
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+        const p = { x: points[i * 2], y: points[i * 2 + 1], pressure: pressures?.[i] };
+        samples.push(p);
+        if (i === count - 1) continue;
+        const q = { x: points[i * 2 + 2], y: points[i * 2 + 3], pressure: pressures?.[i + 1] };
+        if (segmentDistance(p, q, a, b) > radius) continue;
+        const parts = Math.ceil(Math.hypot(q.x - p.x, q.y - p.y) / step);
+        for (let k = 1; k < parts; k++) {
+            const t = k / parts;
+            samples.push({
+                x: round(p.x + (q.x - p.x) * t),
+                y: round(p.y + (q.y - p.y) * t),
+                pressure: pressures ? round(p.pressure + (q.pressure - p.pressure) * t) : undefined,
+                added: true
+            });
+        }
+    }
+
+    const pieces = [];
+    let piece = [];
+    let erased = false;
+    samples.forEach(sample => {
+        if (distanceToSegment(sample, a, b) < radius) {
+            erased = true;
+            if (piece.length >= 2) pieces.push(piece);
+            piece = [];
+        } else {
+            piece.push(sample);
+        }
+    });
+    if (!erased) return null;
+    if (piece.length >= 2) pieces.push(piece);
+
+    // Points added by subdividing are only needed at the ends of a piece
+    return pieces.map(run => {
+        const kept = run.filter((sample, i) => !sample.added || i === 0 || i === run.length - 1);
+        return {
+            points: kept.flatMap(sample => [sample.x, sample.y]),
+            ...(pressures && { pressures: kept.map(sample => sample.pressure) })
+        };
+    });
+}
+
+/**
+ * Cuts the pen strokes an eraser movement crosses ("partial" mode). Each
+ * piece left becomes a stroke of its own; pieces of a single point go.
+ *
+ * @param {Array<object>} elements
+ * @param {{x: number, y: number}} from - Previous eraser position, on the canvas
+ * @param {{x: number, y: number}} to - Current eraser position
+ * @param {number} radius
+ * @param {{ createId?: () => string }} [options]
+ * @returns {Array<object>} the same array if nothing was erased
+ */
+export function eraseStrokes(elements, from, to, radius, { createId = createElementId } = {}) {
+    const eraserIn = createSpaceCache(elements, [from, to]);
+    const byId = new Map(elements.map(el => [el.id, el]));
+    let changed = false;
+    const result = elements.flatMap(el => {
+        if (el.type !== 'pen' || !isErasable(el)) return [el];
+        // Like stroke and lasso mode, leave hidden and locked groups and frames whole
+        if (getAncestorIds(elements, el.id).some(id => !isErasable(byId.get(id)))) return [el];
+        const [a, b] = eraserIn(el.parentId);
+        const pieces = cutStroke(el, a, b, radius);
+        if (!pieces) return [el];
+        changed = true;
+        return pieces.map(piece => ({ ...el, id: createId(), ...piece }));
+    });
+    return changed ? result : elements;
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest'
+import {
+    distanceToSegment,
+    segmentDistance,
+    pointInPolygon,
+    findTouchedElements,
+    findLassoedElements,
+    eraseElements,
+    eraseStrokes
+} from './eraser'
+
+const counter = () => {
+    let n = 0;
+    return () => `new-${++n}`;
+};
+
+describe('eraser', () => {
+    const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 100 };
+    const pen = { id: 'p', type: 'pen', points: [200, 0, 200, 100], strokeWidth: 2 };
+
+    it('measures distances to segments and tests points in polygons', () => {
+        expect(distanceToSegment({ x: 5, y: 5 }, { x: 0, y: 0 }, { x: 10, y: 0 })).toBe(5);
+        expect(distanceToSegment({ x: -3, y: 4 }, { x: 0, y: 0 }, { x: 10, y: 0 })).toBe(5);
+        expect(segmentDistance({ x: 0, y: -5 }, { x: 0, y: 5 }, { x: -5, y: 0 }, { x: 5, y: 0 })).toBe(0);
+        expect(segmentDistance({ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 3 }, { x: 10, y: 3 })).toBe(3);
+
+        const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+        expect(pointInPolygon({ x: 5, y: 5 }, square)).toBe(true);
+        expect(pointInPolygon({ x: 15, y: 5 }, square)).toBe(false);
+    });
+
+    it('cuts a stroke between its points, along the whole eraser movement', () => {
+        // Both samples miss the stroke; the movement between them crosses it
+        const erased = eraseStrokes([pen], { x: 150, y: 50 }, { x: 250, y: 50 }, 5, { createId: counter() });
+
+        expect(erased.map(el => el.id)).toEqual(['new-1', 'new-2']);
+        expect(erased[0].points).toEqual([200, 0, 200, 45]);
+        expect(erased[1].points).toEqual([200, 55, 200, 100]);
+    });
+
+    it('keeps pressures with the pieces and leaves untouched strokes alone', () => {
+        const pressed = { ...pen, pressures: [0, 1] };
+        const [first, second] = eraseStrokes([pressed], { x: 200, y: 50 }, { x: 200, y: 50 }, 5, { createId: counter() });
+        expect(first.pressures).toEqual([0, 0.45]);
+        expect(second.pressures).toEqual([0.55, 1]);
+
+        const elements = [pen, rect];
+        expect(eraseStrokes(elements, { x: 500, y: 500 }, { x: 600, y: 500 }, 5)).toBe(elements);
+        expect(eraseStrokes([{ ...pen, locked: true }], { x: 150, y: 50 }, { x: 250, y: 50 }, 5)).toHaveLength(1);
+
+        // Nor strokes in hidden or locked groups
+        const group = { id: 'g', type: 'group', x: 0, y: 0 };
+        const grouped = { ...pen, parentId: 'g' };
+        expect(eraseStrokes([{ ...group, visible: false }, grouped], { x: 150, y: 50 }, { x: 250, y: 50 }, 5)).toHaveLength(2);
+        expect(eraseStrokes([{ ...group, locked: true }, grouped], { x: 150, y: 50 }, { x: 250, y: 50 }, 5)).toHaveLength(2);
+        expect(eraseStrokes([group, grouped], { x: 150, y: 50 }, { x: 250, y: 50 }, 5)).toHaveLength(3);
+    });
+
+    it('erases strokes inside frames in the frame\'s own space', () => {
+        const frame = { id: 'f', type: 'frame', x: 1000, y: 1000, width: 400, height: 400 };
+        const inFrame = { ...pen, parentId: 'f' };
+
+        expect(eraseStrokes([frame, inFrame], { x: 150, y: 50 }, { x: 250, y: 50 }, 5)).toHaveLength(2);
+        expect(eraseStrokes([frame, inFrame], { x: 1150, y: 1050 }, { x: 1250, y: 1050 }, 5)).toHaveLength(3);
+    });
+
+    it('finds whole elements of any type the eraser touches', () => {
+        const text = { id: 't', type: 'text', x: 300, y: 0, text: 'Hello', fontSize: 20 };
+        const elements = [rect, pen, text];
+
+        expect(findTouchedElements(elements, { x: 50, y: 50 }, { x: 50, y: 50 }, 5)).toEqual(['r']);
+        expect(findTouchedElements(elements, { x: -50, y: 150 }, { x: 350, y: 150 }, 5)).toEqual([]);
+        expect(findTouchedElements(elements, { x: 150, y: 10 }, { x: 320, y: 10 }, 5)).toEqual(['p', 't']);
+        expect(findTouchedElements([{ ...rect, locked: true }], { x: 50, y: 50 }, { x: 50, y: 50 }, 5)).toEqual([]);
+    });
+
+    it('takes groups whole and frames only at their border', () => {
+        const group = { id: 'g', type: 'group', x: 0, y: 0 };
+        const member = { ...rect, parentId: 'g' };
+        expect(findTouchedElements([group, member], { x: 50, y: 50 }, { x: 50, y: 50 }, 5)).toEqual(['g']);
+
+        const frame = { id: 'f', type: 'frame', x: 0, y: 0, width: 400, height: 400 };
+        const child = { ...rect, parentId: 'f' };
+        expect(findTouchedElements([frame, child], { x: 50, y: 50 }, { x: 50, y: 50 }, 5)).toEqual(['r']);
+        expect(findTouchedElements([frame, child], { x: 300, y: 398 }, { x: 300, y: 398 }, 5)).toEqual(['f']);
+    });
+
+    it('respects rotation', () => {
+        // A 100x10 bar turned a quarter turn around its corner hangs down from the origin
+        const bar = { id: 'b', type: 'rectangle', x: 0, y: 0, width: 100, height: 10, rotation: 90 };
+        expect(findTouchedElements([bar], { x: 50, y: 5 }, { x: 50, y: 5 }, 1)).toEqual([]);
+        expect(findTouchedElements([bar], { x: -5, y: 50 }, { x: -5, y: 50 }, 1)).toEqual(['b']);
+    });
+
+    it('finds the elements entirely inside a lasso', () => {
+        const lasso = [-10, -10, 150, -10, 150, 150, -10, 150];
+        const partly = { id: 'x', type: 'rectangle', x: 120, y: 0, width: 100, height: 50 };
+
+        expect(findLassoedElements([rect, pen, partly], lasso)).toEqual(['r']);
+        expect(findLassoedElements([rect], [0, 0, 10, 10])).toEqual([]);
+
+        // A frame inside the lasso goes with its contents; otherwise its enclosed members go
+        const frame = { id: 'f', type: 'frame', x: 0, y: 0, width: 100, height: 100 };
+        const child = { id: 'c', type: 'rectangle', x: 10, y: 10, width: 20, height: 20, parentId: 'f' };
+        expect(findLassoedElements([frame, child], lasso)).toEqual(['f']);
+        expect(findLassoedElements([{ ...frame, width: 400 }, child], lasso)).toEqual(['c']);
+    });
+
+    it('removes erased elements with their mind map branches', () => {
+        const root = { id: 'm1', type: 'mindmap', x: 0, y: 0, width: 100, height: 40, mindParentId: null };
+        const leaf = { ...root, id: 'm2', mindParentId: 'm1' };
+        const elements = [root, leaf, rect];
+
+        expect(eraseElements(elements, ['m1'])).toEqual([rect]);
+        expect(eraseElements(elements, [])).toBe(elements);
+    });
+});
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Converts Excalidraw scenes (`.excalidraw` files) to PrisMap
+ * elements.
+ *
+ * Design decisions:
+ * - Rectangles, ellipses, text and images map to their PrisMap types;
+ *   ellipses become circles, which PrisMap draws in their box. Diamonds have
+ *   no PrisMap shape, so they become a closed `pen` outline.
+ * - Arrows become connectors (`line` when they have no arrowheads) from
+ *   their first to their last point; bends are not kept, but the routing
+ *   style is (elbow/curved). Bindings keep their target and take the anchor
+ *   nearest to where the arrow ended. Two-point lines become `line`
+ *   connectors, other lines and freedraw become `pen` strokes.
+ * - Colors, stroke widths, opacity and rotation are carried over. Excalidraw
+ *   rotates around the element's center, PrisMap boxes around their top-left
+ *   corner, so rotated boxes are moved to look the same; rotated strokes get
+ *   their points rotated instead.
+ * - Text bound to an arrow becomes the connector's label; text inside a
+ *   shape stays a text element on top of it.
+ * - Excalidraw groups become PrisMap groups with no offset, so members keep
+ *   their canvas coordinates.
+ * - Deleted elements and types PrisMap has nothing for (frames, embeds) are
+ *   left out. Ids are reassigned like any imported file (see prismapFile.js).
+ * - What comes out goes through the same checks as a `.prismap` file, and a
+ *   scene with a malformed element or image is rejected as a whole, naming
+ *   the element by its position in the scene.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+import { GROUP_TYPE } from './groups';
+import { getAnchorCandidates, findNearestAnchor, refreshConnectors } from './connectors';
+import { reassignIds, findElementProblem, findImageProblem } from './prismapFile';
+
+export const EXCALIDRAW_EXTENSION = '.excalidraw';
+
+/** Excalidraw font families → closest available font */
+const FONT_FAMILIES = {
+    1: 'Comic Sans MS',    // Virgil (hand-drawn)
+    2: 'Helvetica',
+    3: 'Courier New',      // Cascadia
+    5: 'Comic Sans MS',    // Excalifont
+    6: 'Verdana',          // Nunito
+    7: 'Impact',           // Lilita One
+    8: 'Courier New'       // Comic Shanns
+};
+
+/** Largest corner radius of rounded rectangles, as Excalidraw draws them */
+const MAX_CORNER_RADIUS = 32;
+
+/**
+ * @param {string} text - File contents
+ * @returns {boolean} true if the text looks like an Excalidraw scene
+ */
+export function isExcalidrawFile(text) {
+    try {
+        const scene = JSON.parse(text);
+        return scene?.type === 'excalidraw' || scene?.type === 'excalidraw/clipboard';
+    } catch {
+        return false;
+    }
+}
+
+function rotate(x, y, angle) {
+    return { x: x * Math.cos(angle) - y * Math.sin(angle), y: x * Math.sin(angle) + y * Math.cos(angle) };
+}
+
+/** Top-left corner that, rotated around, puts the box where rotating around its center would */
+function rotatedOrigin(x, y, width, height, angle) {
+    const half = rotate(width / 2, height / 2, angle);
+    return { x: x + width / 2 - half.x, y: y + height / 2 - half.y };
+}
+
+const LINEAR_TYPES = ['line', 'arrow', 'freedraw'];
+
+/** A problem with a line, arrow or freedraw's own points, which converting would hide */
+function findPointsProblem(el) {
+    if (!LINEAR_TYPES.includes(el.type)) return null;
+    const isPoint = point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite);
+    if (!Array.isArray(el.points) || !el.points.every(isPoint)) return 'has invalid points';
+    if (el.points.length < (el.type === 'freedraw' ? 1 : 2)) return 'has too few points';
+    return null;
+}
+
+/** Absolute `[x1, y1, ...]` points of a linear element, rotated around their center */
+function absolutePoints(el) {
+    const points = Array.isArray(el.points) ? el.points : [];
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+    const centerY = (Math.min(...ys) + Math.max(...ys)) / 2;
+    return points.flatMap(([px, py]) => {
+        const offset = rotate(px - centerX, py - centerY, el.angle || 0);
+        return [el.x + centerX + offset.x, el.y + centerY + offset.y];
+    });
+}
+
+function getStyle(el) {
+    return {
+        stroke: el.strokeColor || '#000000',
+        strokeWidth: el.strokeWidth ?? 2,
+        opacity: (el.opacity ?? 100) / 100
+    };
+}
+
+/** A box-shaped element, moved to keep Excalidraw's rotation */
+function boxElement(el, type, extra) {
+    const angle = el.angle || 0;
+    const origin = angle ? rotatedOrigin(el.x, el.y, el.width, el.height, angle) : { x: el.x, y: el.y };
+    return {
+        id: el.id,
+        type,
+        ...origin,
+        width: el.width,
+        height: el.height,
+        rotation: (angle * 180) / Math.PI,
+        ...getStyle(el),
+        ...extra
+    };
+}
+
+function convertConnector(el, label) {
+    const points = absolutePoints(el);
+    const start = points.slice(0, 2);
+    const end = points.slice(-2);
+    const routing = el.elbowed ? 'elbow' : (el.roundness && el.points.length > 2 ? 'curved' : 'straight');
+    const style = getStyle(el);
+    const connector = {
+        id: el.id,
+        type: el.type === 'arrow' && (el.startArrowhead || el.endArrowhead) ? 'arrow' : 'line',
+        points: [...start, ...end],
+        startBinding: el.startBinding?.elementId ?? null,
+        endBinding: el.endBinding?.elementId ?? null,
+        routing,
+        label: label || '',
+        fill: style.stroke,
+        ...style
+    };
+    // PrisMap arrows point at their end
+    if (el.startArrowhead && !el.endArrowhead) {
+        return {
+            ...connector,
+            points: [...end, ...start],
+            startBinding: connector.endBinding,
+            endBinding: connector.startBinding
+        };
+    }
+    return connector;
+}
+
+/** One element, or null if PrisMap has nothing for it */
+function convertElement(el, { files, labels }) {
+    switch (el.type) {
+        case 'rectangle': {
+            const radius = el.roundness ? Math.min(MAX_CORNER_RADIUS, Math.min(el.width, el.height) / 4) : 0;
+            return boxElement(el, 'rectangle', { fill: el.backgroundColor || 'transparent', cornerRadius: radius });
+        }
+        case 'ellipse':
+            return boxElement(el, 'circle', { fill: el.backgroundColor || 'transparent' });
+        case 'diamond': {
+            const outline = [[el.width / 2, 0], [el.width, el.height / 2], [el.width / 2, el.height], [0, el.height / 2], [el.width / 2, 0]];
+            return { id: el.id, type: 'pen', points: absolutePoints({ ...el, points: outline }), ...getStyle(el) };
+        }
+        case 'freedraw':
+            return { id: el.id, type: 'pen', points: absolutePoints(el), ...getStyle(el) };
+        case 'line':
+            if (el.points?.length === 2) return convertConnector(el);
+            return { id: el.id, type: 'pen', points: absolutePoints(el), ...getStyle(el) };
+        case 'arrow':
+            return convertConnector(el, labels.get(el.id));
+        case 'text': {
+            const { stroke, ...style } = getStyle(el);
+            return boxElement(el, 'text', {
+                ...style,
+                text: el.text ?? el.originalText ?? '',
+                fontSize: el.fontSize || 20,
+                fontFamily: FONT_FAMILIES[el.fontFamily] || 'Arial',
+                fontStyle: 'normal',
+                textAlign: el.textAlign || 'left',
+                fill: stroke,
+                stroke: undefined,
+                strokeWidth: undefined,
+                // PrisMap text sizes itself
+                width: undefined,
+                height: undefined
+            });
+        }
+        case 'image': {
+            const file = files[el.fileId];
+            if (typeof file?.dataURL !== 'string') return null;
+            const problem = findImageProblem({ data: file.dataURL });
+            if (problem) throw new Error(`Image "${el.fileId}" ${problem}.`);
+            return boxElement(el, 'image', { url: file.dataURL, stroke: undefined, strokeWidth: undefined });
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Groups for Excalidraw's `groupIds` (innermost first on each element),
+ * each placed right after its topmost member.
+ */
+function addGroups(sources, converted) {
+    const lastIndex = new Map();
+    const parentOfGroup = new Map();
+    sources.forEach((el, i) => {
+        const groupIds = el.groupIds || [];
+        groupIds.forEach((groupId, depth) => {
+            lastIndex.set(groupId, i);
+            if (groupIds[depth + 1]) parentOfGroup.set(groupId, groupIds[depth + 1]);
+        });
+    });
+
+    return converted.flatMap((el, i) => {
+        const groupIds = sources[i].groupIds || [];
+        const member = groupIds.length > 0 ? { ...el, parentId: groupIds[0] } : el;
+        const groups = groupIds
+            .filter(groupId => lastIndex.get(groupId) === i)
+            .map(groupId => {
+                const group = { id: groupId, type: GROUP_TYPE, x: 0, y: 0, rotation: 0, scaleX: 1, scaleY: 1 };
+                return parentOfGroup.has(groupId) ? { ...group, parentId: parentOfGroup.get(groupId) } : group;
+            });
+        return [member, ...groups];
+    });
+}
+
+/** Turns connector targets into PrisMap bindings on the anchor nearest each end */
+function bindConnectors(elements) {
+    const candidates = getAnchorCandidates(elements);
+    const bind = (elementId, x, y) => {
+        if (elementId == null) return null;
+        const anchor = findNearestAnchor(candidates.filter(c => c.elementId === elementId), { x, y }, Infinity);
+        return anchor ? { elementId, anchor: anchor.anchor } : null;
+    };
+    return elements.map(el => {
+        if (el.type !== 'arrow' && el.type !== 'line') return el;
+        if (el.startBinding == null && el.endBinding == null) return el;
+        const [x1, y1, x2, y2] = el.points;
+        return { ...el, startBinding: bind(el.startBinding, x1, y1), endBinding: bind(el.endBinding, x2, y2) };
+    });
+}
+
+/**
+ * Reads an Excalidraw scene as PrisMap elements with fresh ids.
+ *
+ * @param {string} text - File contents
+ * @param {object} [options]
+ * @param {string} [options.title] - Title to use if the scene has no name (e.g. the file name)
+ * @param {() => string} [options.createId] - Id generator for the imported elements
+ * @returns {{ title: string, elements: Array<object> }}
+ * @throws {Error} with a message for the user if the file can't be imported
+ */
+export function parseExcalidrawFile(text, { title, createId } = {}) {
+    if (!isExcalidrawFile(text)) throw new Error('This is not an Excalidraw file.');
+    const scene = JSON.parse(text);
+    if (!Array.isArray(scene.elements)) throw new Error('The file has no list of elements.');
+
+    const live = scene.elements.filter(el => el && typeof el === 'object' && !el.isDeleted);
+    const byId = new Map(live.map(el => [el.id, el]));
+
+    // Text bound to arrows becomes their label
+    const labels = new Map();
+    live.forEach(el => {
+        if (el.type === 'text' && byId.get(el.containerId)?.type === 'arrow') labels.set(el.containerId, el.text);
+    });
+
+    const context = { files: scene.files || {}, labels };
+    const sources = [];
+    const converted = [];
+    live.forEach(el => {
+        if (el.type === 'text' && labels.has(el.containerId)) return;
+        const position = scene.elements.indexOf(el) + 1;
+        const pointsProblem = findPointsProblem(el);
+        if (pointsProblem) throw new Error(`Element ${position} ${pointsProblem}.`);
+        const element = convertElement(el, context);
+        if (!element) return;
+
+        const clean = Object.fromEntries(Object.entries(element).filter(([, value]) => value !== undefined));
+        const problem = findElementProblem(clean);
+        if (problem) throw new Error(`Element ${position} ${problem}.`);
+        sources.push(el);
+        converted.push(clean);
+    });
+
+    const elements = refreshConnectors(bindConnectors(addGroups(sources, converted)));
+    return {
+        title: scene.appState?.name || title || 'Excalidraw import',
+        elements: reassignIds(elements, createId)
+    };
+}
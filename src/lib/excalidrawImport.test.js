@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest'
+import { parseExcalidrawFile, isExcalidrawFile } from './excalidrawImport'
+
+const base = {
+    angle: 0, strokeColor: '#1e1e1e', backgroundColor: 'transparent', strokeWidth: 2, opacity: 100,
+    groupIds: [], roundness: null, isDeleted: false
+};
+
+const scene = (elements, extra = {}) => JSON.stringify({ type: 'excalidraw', version: 2, elements, appState: {}, files: {}, ...extra });
+
+const parse = (elements, extra) => parseExcalidrawFile(scene(elements, extra), { title: 'board', createId: (() => {
+    let n = 0;
+    return () => `new-${++n}`;
+})() }).elements;
+
+describe('excalidrawImport', () => {
+    it('maps shapes with their colors, stroke width and opacity', () => {
+        const [rect, circle] = parse([
+            { ...base, id: 'r', type: 'rectangle', x: 10, y: 20, width: 200, height: 100, backgroundColor: '#ffc9c9', strokeWidth: 4, opacity: 50, roundness: { type: 3 } },
+            { ...base, id: 'e', type: 'ellipse', x: 0, y: 0, width: 80, height: 40 }
+        ]);
+
+        expect(rect).toEqual({
+            id: 'new-1', type: 'rectangle', x: 10, y: 20, width: 200, height: 100, rotation: 0,
+            stroke: '#1e1e1e', strokeWidth: 4, opacity: 0.5, fill: '#ffc9c9', cornerRadius: 25
+        });
+        expect(circle).toMatchObject({ type: 'circle', width: 80, height: 40, fill: 'transparent' });
+    });
+
+    it('keeps rotation around the center', () => {
+        const [rect] = parse([{ ...base, id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 100, angle: Math.PI }]);
+
+        expect(rect.rotation).toBe(180);
+        expect(rect.x).toBeCloseTo(100);
+        expect(rect.y).toBeCloseTo(100);
+    });
+
+    it('turns diamonds, freedraw and lines into strokes', () => {
+        const [diamond, freedraw, polyline, line] = parse([
+            { ...base, id: 'd', type: 'diamond', x: 0, y: 0, width: 100, height: 50 },
+            { ...base, id: 'f', type: 'freedraw', x: 10, y: 10, points: [[0, 0], [5, 5], [10, 0]] },
+            { ...base, id: 'p', type: 'line', x: 0, y: 0, points: [[0, 0], [10, 0], [10, 10]] },
+            { ...base, id: 'l', type: 'line', x: 0, y: 0, points: [[0, 0], [50, 0]] }
+        ]);
+
+        expect(diamond).toMatchObject({ type: 'pen', points: [50, 0, 100, 25, 50, 50, 0, 25, 50, 0] });
+        expect(freedraw).toMatchObject({ type: 'pen', points: [10, 10, 15, 15, 20, 10] });
+        expect(polyline.type).toBe('pen');
+        expect(line).toMatchObject({ type: 'line', points: [0, 0, 50, 0], startBinding: null, endBinding: null });
+    });
+
+    it('binds arrows to the nearest anchor and keeps their label', () => {
+        const elements = parse([
+            { ...base, id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 100 },
+            { ...base, id: 'b', type: 'rectangle', x: 300, y: 0, width: 100, height: 100 },
+            {
+                ...base, id: 'arrow', type: 'arrow', x: 105, y: 50, points: [[0, 0], [190, 0]],
+                startBinding: { elementId: 'a', focus: 0, gap: 5 }, endBinding: { elementId: 'b', focus: 0, gap: 5 },
+                startArrowhead: null, endArrowhead: 'arrow'
+            },
+            { ...base, id: 't', type: 'text', x: 180, y: 40, text: 'calls', fontSize: 20, containerId: 'arrow' }
+        ]);
+
+        expect(elements).toHaveLength(3);
+        expect(elements[2]).toMatchObject({
+            type: 'arrow',
+            label: 'calls',
+            points: [100, 50, 300, 50],
+            startBinding: { elementId: 'new-1', anchor: 'right' },
+            endBinding: { elementId: 'new-2', anchor: 'left' }
+        });
+    });
+
+    it('reverses arrows that only have a start arrowhead', () => {
+        const [arrow] = parse([{ ...base, id: 'x', type: 'arrow', x: 0, y: 0, points: [[0, 0], [100, 0]], startArrowhead: 'arrow', endArrowhead: null }]);
+        expect(arrow.points).toEqual([100, 0, 0, 0]);
+    });
+
+    it('imports text and images', () => {
+        const [text, image] = parse([
+            { ...base, id: 't', type: 'text', x: 5, y: 5, width: 60, height: 25, text: 'Hello', fontSize: 20, fontFamily: 1, strokeColor: '#e03131' },
+            { ...base, id: 'i', type: 'image', x: 0, y: 0, width: 40, height: 30, fileId: 'f1' },
+            { ...base, id: 'missing', type: 'image', x: 0, y: 0, width: 40, height: 30, fileId: 'f2' }
+        ], { files: { f1: { mimeType: 'image/png', dataURL: 'data:image/png;base64,AAAA' } } });
+
+        expect(text).toEqual({
+            id: 'new-1', type: 'text', x: 5, y: 5, rotation: 0, opacity: 1, text: 'Hello', fontSize: 20,
+            fontFamily: 'Comic Sans MS', fontStyle: 'normal', textAlign: 'left', fill: '#e03131'
+        });
+        expect(image).toMatchObject({ type: 'image', url: 'data:image/png;base64,AAAA', width: 40, height: 30 });
+    });
+
+    it('recreates nested groups and leaves out deleted and unsupported elements', () => {
+        const elements = parse([
+            { ...base, id: 'a', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, groupIds: ['inner', 'outer'] },
+            { ...base, id: 'b', type: 'rectangle', x: 20, y: 0, width: 10, height: 10, groupIds: ['outer'] },
+            { ...base, id: 'gone', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, isDeleted: true },
+            { ...base, id: 'frame', type: 'frame', x: 0, y: 0, width: 500, height: 500 }
+        ]);
+
+        expect(elements.map(el => [el.type, el.parentId])).toEqual([
+            ['rectangle', 'new-2'],
+            ['group', 'new-4'],
+            ['rectangle', 'new-4'],
+            ['group', undefined]
+        ]);
+    });
+
+    it('rejects files that are not Excalidraw scenes', () => {
+        expect(isExcalidrawFile('{"type":"excalidraw","elements":[]}')).toBe(true);
+        expect(isExcalidrawFile('{"format":"prismap"}')).toBe(false);
+        expect(() => parseExcalidrawFile('not json')).toThrow('not an Excalidraw file');
+        expect(parseExcalidrawFile(scene([]), { title: 'board' }).title).toBe('board');
+    });
+
+    it('rejects malformed elements and images like a PrisMap file', () => {
+        const rect = { ...base, id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 };
+        const image = { ...base, id: 'i', type: 'image', x: 0, y: 0, width: 10, height: 10, fileId: 'f1' };
+
+        expect(() => parse([rect, { ...rect, id: 'bad', x: null }])).toThrow('Element 2 has a "x" that is not a number.');
+        expect(() => parse([{ ...rect, strokeWidth: 'wide' }])).toThrow('"strokeWidth" that is not a number');
+        expect(() => parse([{ ...base, id: 'a', type: 'arrow', x: 0, y: 0, points: [] }])).toThrow('Element 1 has too few points.');
+        expect(() => parse([{ ...base, id: 'l', type: 'line', x: 0, y: 0, points: [[0, 0], [10, 'x'], [5, 5]] }])).toThrow('has invalid points');
+        expect(() => parse([image], { files: { f1: { dataURL: 'javascript:alert(1)' } } })).toThrow('Image "f1" has data that is not an image.');
+    });
+});
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Geometry shared by the vector exporters (SVG and PDF).
+ *
+ * Design decisions:
+ * - Everything here mirrors how the page draws with Konva (polygon vertex
+ *   order, line tension, arrow heads, text layout of mind map nodes and
+ *   sticky notes), so exports match the canvas.
+ * - Paths are lists of commands like `['M', x, y]`, `['L', x, y]`,
+ *   `['Q', cx, cy, x, y]` and `['C', c1x, c1y, c2x, c2y, x, y]`; each
+ *   exporter writes them in its own syntax.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+import { getRootElements, getAncestorIds, getDescendantIds, toCanvasSpace } from './groups';
+import { getElementBox } from './bounds';
+import { getUnionBox } from './snapping';
+import { getCollapsedHiddenIds } from './mindMap';
+import { STICKY_PADDING, STICKY_LINE_HEIGHT, wrapText, fitFontSize } from './stickyNotes';
+
+/** Tension the page draws pen strokes with */
+export const PEN_TENSION = 0.5;
+
+/** Size of arrow heads, as drawn by the page */
+export const POINTER_SIZE = 20;
+
+/** Rough width of a string, for when no measuring function is passed */
+export const estimateTextWidth = (text, fontSize) => text.length * fontSize * 0.6;
+
+/** Vertices of a regular polygon around a center, first one straight up (as Konva draws them) */
+function regularPolygon(cx, cy, radius, sides) {
+    const points = [];
+    for (let i = 0; i < sides; i++) {
+        const angle = (i * 2 * Math.PI) / sides;
+        points.push(cx + radius * Math.sin(angle), cy - radius * Math.cos(angle));
+    }
+    return points;
+}
+
+function starPolygon(cx, cy, outerRadius, innerRadius, numPoints) {
+    const points = [];
+    for (let i = 0; i < numPoints * 2; i++) {
+        const radius = i % 2 === 0 ? outerRadius : innerRadius;
+        const angle = (i * Math.PI) / numPoints;
+        points.push(cx + radius * Math.sin(angle), cy - radius * Math.cos(angle));
+    }
+    return points;
+}
+
+const POLYGON_SIDES = { triangle: 3, pentagon: 5, hexagon: 6 };
+
+/**
+ * Flat vertex list of a polygon shape (triangle, pentagon, hexagon, star),
+ * drawn around the center of its box.
+ *
+ * @param {object} el
+ * @returns {Array<number>|null} null for other types
+ */
+export function getPolygonPoints(el) {
+    const cx = el.x + el.width / 2;
+    const cy = el.y + el.height / 2;
+    const radius = Math.min(el.width, el.height) / 2;
+    if (el.type === 'star') return starPolygon(cx, cy, radius, radius / 2, 5);
+    if (POLYGON_SIDES[el.type]) return regularPolygon(cx, cy, radius, POLYGON_SIDES[el.type]);
+    return null;
+}
+
+/**
+ * @param {Array<number>} points
+ * @returns {Array<Array>} straight segments through the points
+ */
+export function polylineCommands(points) {
+    const commands = [['M', points[0], points[1]]];
+    for (let i = 2; i < points.length; i += 2) commands.push(['L', points[i], points[i + 1]]);
+    return commands;
+}
+
+/**
+ * Konva's bezier lines: a start point, then groups of two handles and an end point.
+ *
+ * @param {Array<number>} points
+ * @returns {Array<Array>}
+ */
+export function bezierCommands(points) {
+    const commands = [['M', points[0], points[1]]];
+    for (let i = 2; i + 5 < points.length; i += 6) commands.push(['C', ...points.slice(i, i + 6)]);
+    return commands;
+}
+
+/** Handles around the middle point of three, as Konva computes them for a tensioned line */
+function controlPoints(x0, y0, x1, y1, x2, y2, tension) {
+    const d01 = Math.hypot(x1 - x0, y1 - y0);
+    const d12 = Math.hypot(x2 - x1, y2 - y1);
+    const fa = (tension * d01) / (d01 + d12);
+    const fb = (tension * d12) / (d01 + d12);
+    return [x1 - fa * (x2 - x0), y1 - fa * (y2 - y0), x1 + fb * (x2 - x0), y1 + fb * (y2 - y0)];
+}
+
+/**
+ * A line through the points, smoothed the way Konva smooths a line with tension.
+ *
+ * @param {Array<number>} points
+ * @param {number} tension
+ * @returns {Array<Array>}
+ */
+export function smoothCommands(points, tension) {
+    if (points.length <= 4 || !tension) return polylineCommands(points);
+
+    const expanded = [];
+    for (let n = 2; n < points.length - 2; n += 2) {
+        const cp = controlPoints(points[n - 2], points[n - 1], points[n], points[n + 1], points[n + 2], points[n + 3], tension);
+        if (Number.isNaN(cp[0])) continue;
+        expanded.push(cp[0], cp[1], points[n], points[n + 1], cp[2], cp[3]);
+    }
+    if (expanded.length < 6) return polylineCommands(points);
+
+    const commands = [['M', points[0], points[1]], ['Q', ...expanded.slice(0, 4)]];
+    for (let n = 4; n < expanded.length - 2; n += 6) commands.push(['C', ...expanded.slice(n, n + 6)]);
+    commands.push(['Q', ...expanded.slice(-2), ...points.slice(-2)]);
+    return commands;
+}
+
+/**
+ * Triangle of an arrow head at the end of a route, pointing along its last
+ * segment (or last curve handle).
+ *
+ * @param {Array<number>} points - The routed points
+ * @returns {Array<number>|null} tip and the two base corners; null for a zero-length end
+ */
+export function getArrowHead(points) {
+    const n = points.length;
+    const tip = { x: points[n - 2], y: points[n - 1] };
+    const dx = tip.x - points[n - 4];
+    const dy = tip.y - points[n - 3];
+    const length = Math.hypot(dx, dy);
+    if (!(length > 0)) return null;
+
+    const ux = dx / length;
+    const uy = dy / length;
+    const base = { x: tip.x - ux * POINTER_SIZE, y: tip.y - uy * POINTER_SIZE };
+    const half = POINTER_SIZE / 2;
+    return [tip.x, tip.y, base.x - uy * half, base.y + ux * half, base.x + uy * half, base.y - ux * half];
+}
+
+/**
+ * Text of a mind map node: wrapped to the node, cut to the lines that fit
+ * and centered vertically.
+ *
+ * @param {object} el
+ * @param {boolean} isRoot - Roots use a bigger, bold font
+ * @param {(text: string, fontSize: number, fontFamily: string) => number} measure
+ * @returns {{ lines: Array<string>, fontSize: number, fontStyle: string, top: number }}
+ */
+export function layoutMindMapText(el, isRoot, measure) {
+    const fontSize = isRoot ? 18 : 14;
+    const padding = 8;
+    const fit = Math.max(1, Math.floor((el.height - padding * 2) / fontSize));
+    const lines = wrapText(el.text ?? '', el.width - padding * 2, s => measure(s, fontSize, 'Arial')).slice(0, fit);
+    return { lines, fontSize, fontStyle: isRoot ? 'bold' : 'normal', top: (el.height - lines.length * fontSize) / 2 };
+}
+
+/**
+ * Text of a sticky note at the size it is drawn with.
+ *
+ * @param {object} el
+ * @param {(text: string, fontSize: number, fontFamily: string) => number} measure
+ * @returns {{ lines: Array<string>, fontSize: number, fontFamily: string, lineHeight: number, padding: number }}
+ */
+export function layoutStickyText(el, measure) {
+    const fontFamily = el.fontFamily || 'Arial';
+    const textWidth = el.width - STICKY_PADDING * 2;
+    const textHeight = el.height - STICKY_PADDING * 2;
+    const fontSize = fitFontSize(el.text, textWidth, textHeight, (text, size) => measure(text, size, fontFamily));
+    const lines = wrapText(el.text ?? '', textWidth, s => measure(s, fontSize, fontFamily));
+    return { lines, fontSize, fontFamily, lineHeight: STICKY_LINE_HEIGHT, padding: STICKY_PADDING };
+}
+
+/** Canvas-space box of an element, through every group it is in */
+function canvasBox(elements, el) {
+    const box = getElementBox(elements, el);
+    const corners = [
+        { x: box.x, y: box.y },
+        { x: box.x + box.width, y: box.y },
+        { x: box.x, y: box.y + box.height },
+        { x: box.x + box.width, y: box.y + box.height }
+    ].map(corner => toCanvasSpace(elements, el.parentId ?? null, corner));
+    const xs = corners.map(c => c.x);
+    const ys = corners.map(c => c.y);
+    return { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+}
+
+/**
+ * What an export covers: the whole canvas, or the given elements with
+ * what they contain.
+ *
+ * @param {Array<object>} elements
+ * @param {Array<string|number>} [ids]
+ * @returns {{
+ *   hidden: Set, included: Set|null, wrappersOnly: Set,
+ *   bounds: {x: number, y: number, width: number, height: number}
+ * } | null}
+ *   hidden: collapsed mind map nodes; included: elements to draw (null for
+ *   all); wrappersOnly: groups/frames drawn only for their transform, as
+ *   they hold selected elements. null if there is nothing to export.
+ */
+export function getExportScope(elements, ids) {
+    const hidden = getCollapsedHiddenIds(elements);
+    const isShown = el => el.visible !== false && !hidden.has(el.id);
+
+    let included = null;
+    let wrappersOnly = new Set();
+    let exported = getRootElements(elements).filter(isShown);
+    if (ids) {
+        const selected = new Set([...ids, ...getDescendantIds(elements, ids)]);
+        const ancestors = new Set(ids.flatMap(id => getAncestorIds(elements, id)));
+        included = new Set([...selected, ...ancestors]);
+        wrappersOnly = new Set([...ancestors].filter(id => !selected.has(id)));
+        exported = elements.filter(el => ids.includes(el.id) && isShown(el));
+    }
+    if (exported.length === 0) return null;
+
+    return {
+        hidden,
+        included,
+        wrappersOnly,
+        bounds: getUnionBox(exported.map(el => canvasBox(elements, el)))
+    };
+}
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Frames: named artboards that clip and own their children.
+ *
+ * Design decisions:
+ * - A frame is an element `{ id, type: 'frame', x, y, width, height, name, fill }`.
+ *   Its children point at it with `parentId` and keep coordinates in the
+ *   frame's space, exactly like group members (see groups.js), so moving a
+ *   frame is one update and the op sync needs nothing new.
+ * - Frames only translate: they are resized by changing width/height and
+ *   never rotate or scale. Moving an element between frames is then a plain
+ *   offset.
+ * - Membership follows position: an element belongs to the innermost frame
+ *   its center is dropped in. Only elements whose ancestors are all frames
+ *   take part; members of a group stay in their group.
+ * - A mind map moves with its root, so its nodes all change frame together.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+import { FRAME_TYPE, getAncestorIds, getDescendantIds, toCanvasSpace } from './groups';
+import { getElementBox } from './bounds';
+import { isMindMapNode, getMindDescendantIds } from './mindMap';
+
+export { FRAME_TYPE };
+
+/** Frames smaller than this (e.g. a click with the frame tool) get the default size */
+const MIN_FRAME_SIZE = 8;
+const DEFAULT_FRAME_SIZE = { width: 800, height: 600 };
+
+/**
+ * @param {object} el
+ * @returns {boolean}
+ */
+export function isFrame(el) {
+    return el?.type === FRAME_TYPE;
+}
+
+/**
+ * Frames in stacking order.
+ *
+ * @param {Array<object>} elements
+ * @returns {Array<object>}
+ */
+export function getFrames(elements) {
+    return elements.filter(isFrame);
+}
+
+/**
+ * "Frame N", numbered after the highest existing one.
+ *
+ * @param {Array<object>} elements
+ * @returns {string}
+ */
+export function getNextFrameName(elements) {
+    const numbers = getFrames(elements)
+        .map(frame => /^Frame (\d+)$/.exec(frame.name || '')?.[1])
+        .filter(Boolean)
+        .map(Number);
+    return `Frame ${Math.max(0, ...numbers) + 1}`;
+}
+
+/**
+ * A frame spanning a dragged rectangle. A click (no real drag) makes a
+ * default-sized frame at that point.
+ *
+ * @param {{ id: string|number, x1: number, y1: number, x2: number, y2: number, name: string }} options
+ * @returns {object}
+ */
+export function createFrame({ id, x1, y1, x2, y2, name }) {
+    const width = Math.abs(x2 - x1);
+    const height = Math.abs(y2 - y1);
+    const isClick = width < MIN_FRAME_SIZE && height < MIN_FRAME_SIZE;
+    return {
+        id,
+        type: FRAME_TYPE,
+        x: isClick ? x1 : Math.min(x1, x2),
+        y: isClick ? y1 : Math.min(y1, y2),
+        width: isClick ? DEFAULT_FRAME_SIZE.width : width,
+        height: isClick ? DEFAULT_FRAME_SIZE.height : height,
+        name,
+        fill: '#ffffff'
+    };
+}
+
+/** True if every container around the element is a frame */
+function onlyInFrames(elements, byId, id) {
+    return getAncestorIds(elements, id).every(ancestorId => isFrame(byId.get(ancestorId)));
+}
+
+/** Where a space's origin is on the canvas */
+function originOf(elements, parentId) {
+    return toCanvasSpace(elements, parentId, { x: 0, y: 0 });
+}
+
+/**
+ * An element's box on the canvas. Exact for elements whose ancestors are
+ * all frames.
+ *
+ * @param {Array<object>} elements
+ * @param {object} el
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getCanvasBox(elements, el) {
+    const box = getElementBox(elements, el);
+    const origin = originOf(elements, el.parentId ?? null);
+    return { ...box, x: box.x + origin.x, y: box.y + origin.y };
+}
+
+function offsetElement(el, dx, dy) {
+    if (el.points) return { ...el, points: el.points.map((v, i) => v + (i % 2 === 0 ? dx : dy)) };
+    return { ...el, x: (el.x || 0) + dx, y: (el.y || 0) + dy };
+}
+
+function withParent(el, parentId) {
+    const { parentId: _removed, ...rest } = el;
+    return parentId == null ? rest : { ...rest, parentId };
+}
+
+/**
+ * Moves elements into a frame (or onto the canvas, for null), keeping them
+ * where they are on screen. They go on top of their new siblings.
+ */
+function reparent(elements, ids, parentId) {
+    const target = originOf(elements, parentId);
+    const moved = elements
+        .filter(el => ids.includes(el.id))
+        .map(el => {
+            const origin = originOf(elements, el.parentId ?? null);
+            return withParent(offsetElement(el, origin.x - target.x, origin.y - target.y), parentId);
+        });
+
+    const rest = elements.filter(el => !ids.includes(el.id));
+    let insertAt = rest.length;
+    if (parentId != null) {
+        const subtree = new Set([parentId, ...getDescendantIds(rest, [parentId])]);
+        insertAt = rest.findLastIndex(el => subtree.has(el.id)) + 1;
+    }
+    return [...rest.slice(0, insertAt), ...moved, ...rest.slice(insertAt)];
+}
+
+/** The element plus the mind map nodes that move with it */
+function withFollowers(elements, el) {
+    if (!isMindMapNode(el)) return [el.id];
+    return [el.id, ...getMindDescendantIds(elements, [el.id])];
+}
+
+/**
+ * Puts each element in the innermost frame its center is in, or takes it
+ * out onto the canvas when it was dropped outside every frame. Call after
+ * elements are moved or created.
+ *
+ * @param {Array<object>} elements
+ * @param {Array<string|number>} ids
+ * @returns {Array<object>} the same array if nothing changed frame
+ */
+export function assignToFrames(elements, ids) {
+    let result = elements;
+    ids.forEach(id => {
+        const byId = new Map(result.map(el => [el.id, el]));
+        const el = byId.get(id);
+        if (!el || (isMindMapNode(el) && byId.has(el.mindParentId)) || !onlyInFrames(result, byId, id)) return;
+
+        const box = getCanvasBox(result, el);
+        const center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+        const inside = new Set([id, ...getDescendantIds(result, [id])]);
+        const depth = frame => getAncestorIds(result, frame.id).length;
+
+        let target = null;
+        result.forEach(frame => {
+            if (!isFrame(frame) || inside.has(frame.id) || frame.visible === false || !onlyInFrames(result, byId, frame.id)) return;
+            const frameBox = getCanvasBox(result, frame);
+            const contains = center.x >= frameBox.x && center.x <= frameBox.x + frameBox.width &&
+                center.y >= frameBox.y && center.y <= frameBox.y + frameBox.height;
+            // Later frames are drawn on top, so they win ties
+            if (contains && (!target || depth(frame) >= depth(target))) target = frame;
+        });
+
+        const parentId = target ? target.id : null;
+        if ((el.parentId ?? null) === parentId) return;
+        result = reparent(result, withFollowers(result, el), parentId);
+    });
+    return result;
+}
+
+/**
+ * Moves the new frame's siblings that lie entirely inside it into it, so
+ * drawing a frame around existing content collects that content.
+ *
+ * @param {Array<object>} elements
+ * @param {string|number} frameId
+ * @returns {Array<object>}
+ */
+export function adoptIntoFrame(elements, frameId) {
+    const frame = elements.find(el => el.id === frameId);
+    if (!isFrame(frame)) return elements;
+
+    const parentId = frame.parentId ?? null;
+    const frameBox = getCanvasBox(elements, frame);
+    const ids = new Set(elements.map(el => el.id));
+    const adopted = elements.filter(el => {
+        if (el.id === frameId || (el.parentId ?? null) !== parentId) return false;
+        // Mind map nodes come with their root
+        if (isMindMapNode(el) && ids.has(el.mindParentId)) return false;
+        const box = getCanvasBox(elements, el);
+        return box.x >= frameBox.x && box.y >= frameBox.y &&
+            box.x + box.width <= frameBox.x + frameBox.width &&
+            box.y + box.height <= frameBox.y + frameBox.height;
+    });
+    if (adopted.length === 0) return elements;
+    return reparent(elements, adopted.flatMap(el => withFollowers(elements, el)), frameId);
+}
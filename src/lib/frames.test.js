@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import { createFrame, getNextFrameName, assignToFrames, adoptIntoFrame, getCanvasBox } from './frames'
+import { getSelectableId } from './groups'
+import { createMindMapNode, addMindMapChild } from './mindMap'
+
+describe('frames', () => {
+    const frame = createFrame({ id: 'f', x1: 100, y1: 100, x2: 500, y2: 400, name: 'Frame 1' });
+    const box = { id: 'a', type: 'rectangle', x: 200, y: 200, width: 50, height: 50 };
+
+    it('spans the dragged rectangle, or gets a default size from a click', () => {
+        expect(createFrame({ id: 'f', x1: 500, y1: 400, x2: 100, y2: 100, name: 'F' }))
+            .toMatchObject({ type: 'frame', x: 100, y: 100, width: 400, height: 300 });
+        expect(createFrame({ id: 'f', x1: 10, y1: 10, x2: 12, y2: 11, name: 'F' }))
+            .toMatchObject({ x: 10, y: 10, width: 800, height: 600 });
+    });
+
+    it('numbers new frames after the highest existing one', () => {
+        expect(getNextFrameName([])).toBe('Frame 1');
+        expect(getNextFrameName([frame, { ...frame, id: 'g', name: 'Frame 7' }, { ...frame, name: 'Intro' }])).toBe('Frame 8');
+    });
+
+    it('moves an element dropped inside a frame into the frame\'s space', () => {
+        const result = assignToFrames([frame, box], ['a']);
+        const moved = result.find(el => el.id === 'a');
+
+        expect(moved).toMatchObject({ parentId: 'f', x: 100, y: 100 });
+        expect(getCanvasBox(result, moved)).toMatchObject({ x: 200, y: 200 });
+    });
+
+    it('takes an element dragged out of its frame back onto the canvas', () => {
+        const inside = assignToFrames([frame, box], ['a']);
+        const dragged = inside.map(el => el.id === 'a' ? { ...el, x: 600 } : el);
+        const result = assignToFrames(dragged, ['a']);
+
+        expect(result.find(el => el.id === 'a')).toEqual({ ...box, x: 700 });
+        expect(assignToFrames(result, ['a'])).toBe(result);
+    });
+
+    it('prefers the innermost frame and puts the element on top of its siblings', () => {
+        const inner = { ...createFrame({ id: 'g', x1: 50, y1: 50, x2: 250, y2: 250, name: 'Inner' }), parentId: 'f' };
+        const sibling = { id: 's', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, parentId: 'g' };
+        const result = assignToFrames([box, frame, inner, sibling], ['a']);
+
+        expect(result.map(el => el.id)).toEqual(['f', 'g', 's', 'a']);
+        expect(result[3]).toMatchObject({ parentId: 'g', x: 50, y: 50 });
+    });
+
+    it('shifts strokes by their points', () => {
+        const pen = { id: 'p', type: 'pen', points: [150, 150, 160, 170] };
+        expect(assignToFrames([frame, pen], ['p'])[1].points).toEqual([50, 50, 60, 70]);
+    });
+
+    it('leaves group members in their group', () => {
+        const member = { ...box, parentId: 'grp' };
+        const group = { id: 'grp', type: 'group', x: 0, y: 0 };
+        const elements = [frame, group, member];
+        expect(assignToFrames(elements, ['a'])).toBe(elements);
+    });
+
+    it('collects what a new frame is drawn around, mind maps with their root', () => {
+        const outside = { id: 'o', type: 'rectangle', x: 450, y: 350, width: 100, height: 100 };
+        let elements = [box, outside, createMindMapNode({ id: 'r', x: 150, y: 300 })];
+        elements = addMindMapChild(elements, 'r', createMindMapNode({ id: 'c', x: 800, y: 300, mindParentId: 'r' }));
+        const result = adoptIntoFrame([...elements, frame], 'f');
+
+        expect(result.find(el => el.id === 'a').parentId).toBe('f');
+        expect(result.find(el => el.id === 'r').parentId).toBe('f');
+        expect(result.find(el => el.id === 'c')).toMatchObject({ parentId: 'f', x: 700 });
+        expect(result.find(el => el.id === 'o').parentId).toBeUndefined();
+    });
+
+    it('selects frame children directly', () => {
+        const elements = [frame, { ...box, parentId: 'f' }];
+        expect(getSelectableId(elements, 'a', null)).toBe('a');
+        expect(getSelectableId(elements, 'f', null)).toBe('f');
+    });
+});
@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Element groups.
+ *
+ * Groups are stored in the same flat `elements` array as everything else,
+ * so the op sync and merge work on them unchanged:
+ * - A group is an element `{ id, type: 'group', x, y, rotation, scaleX, scaleY }`.
+ * - A member points at its group with `parentId`. Members keep coordinates
+ *   in the group's own space, so moving or scaling a group is one update of
+ *   the group element — none of its children change.
+ * - Stacking order among siblings is their order in `elements`.
+ * - Groups nest: a group can itself have a `parentId`.
+ */
+
+export const GROUP_TYPE = 'group';
+
+/** Frames (see frames.js) hold children like groups, but their children are selected directly */
+export const FRAME_TYPE = 'frame';
+
+/** Shapes rendered around their center (x/y/width/height is their box) */
+export const CENTER_RENDERED_TYPES = ['circle', 'triangle', 'star', 'hexagon', 'pentagon'];
+
+function parentOf(el) {
+    return el.parentId ?? null;
+}
+
+function withParent(el, parentId) {
+    const { parentId: _removed, ...rest } = el;
+    return parentId == null ? rest : { ...rest, parentId };
+}
+
+/**
+ * A fresh element id, unique even for elements created in the same millisecond.
+ *
+ * @returns {string}
+ */
+export function createElementId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Direct children of a group (or top-level elements for null), in stacking order.
+ *
+ * @param {Array<object>} elements
+ * @param {string|number|null} parentId
+ * @returns {Array<object>}
+ */
+export function getChildren(elements, parentId) {
+    return elements.filter(el => parentOf(el) === parentId);
+}
+
+/**
+ * Elements drawn at the top level: those without a group, plus any whose
+ * group no longer exists (e.g. deleted by a collaborator mid-edit).
+ *
+ * @param {Array<object>} elements
+ * @returns {Array<object>}
+ */
+export function getRootElements(elements) {
+    const ids = new Set(elements.map(el => el.id));
+    return elements.filter(el => !ids.has(parentOf(el)));
+}
+
+/**
+ * Ids of every element nested (at any depth) inside the given elements.
+ *
+ * @param {Array<object>} elements
+ * @param {Array<string|number>} ids
+ * @returns {Set<string|number>}
+ */
+export function getDescendantIds(elements, ids) {
+    const result = new Set();
+    let frontier = new Set(ids);
+    while (frontier.size > 0) {
+        const next = new Set();
+        elements.forEach(el => {
+            if (frontier.has(parentOf(el)) && !result.has(el.id)) {
+                result.add(el.id);
+                next.add(el.id);
+            }
+        });
+        frontier = next;
+    }
+    return result;
+}
+
+/**
+ * Ids of the groups containing an element, innermost first.
+ *
+ * @param {Array<object>} elements
+ * @param {string|number} id
+ * @returns {Array<string|number>}
+ */
+export function getAncestorIds(elements, id) {
+    const byId = new Map(elements.map(el => [el.id, el]));
+    const ancestors = [];
+    let current = byId.get(id);
+    while (current && byId.has(current.parentId) && !ancestors.includes(current.parentId)) {
+        ancestors.push(current.parentId);
+        current = byId.get(current.parentId);
+    }
+    return ancestors;
+}
+
+/**
+ * Resolves a clicked element to what a click selects: the element itself
+ * or the ancestor that is a direct child of the entered group (or
+ * top-level, when no group is entered). Frames are always open, so a click
+ * inside one stops at the frame's direct child.
+ *
+ * @param {Array<object>} elements
+ * @param {string|number} id - The clicked (leaf) element
+ * @param {string|number|null} enteredGroupId
+ * @returns {string|number|null} null if the element is outside the entered group
+ */
+export function getSelectableId(elements, id, enteredGroupId) {
+    const byId = new Map(elements.map(el => [el.id, el]));
+    const chain = [id, ...getAncestorIds(elements, id)];
+    let index = enteredGroupId == null ? chain.length : chain.indexOf(enteredGroupId);
+    const frameIndex = chain.findIndex((ancestorId, i) => i > 0 && i < index && byId.get(ancestorId)?.type === FRAME_TYPE);
+    if (frameIndex !== -1) index = frameIndex;
+    return index > 0 ? chain[index - 1] : null;
+}
+
+/**
+ * Wraps sibling elements in a new group placed at the topmost member's
+ * position in the stack.
+ *
+ * @param {Array<object>} elements
+ * @param {Array<string|number>} ids - Elements to group; they must share a parent
+ * @param {string|number} groupId - Id for the new group
+ * @returns {Array<object>|null} null if the elements can't be grouped
+ */
+export function groupElements(elements, ids, groupId) {
+    const members = elements.filter(el => ids.includes(el.id));
+    if (members.length === 0) return null;
+
+    const parentId = parentOf(members[0]);
+    if (members.some(el => parentOf(el) !== parentId)) return null;
+
+    const group = withParent({ id: groupId, type: GROUP_TYPE, x: 0, y: 0, rotation: 0, scaleX: 1, scaleY: 1 }, parentId);
+    const topmostId = members[members.length - 1].id;
+
+    return elements.flatMap(el => {
+        if (!ids.includes(el.id)) return [el];
+        const member = { ...el, parentId: groupId };
+        return el.id === topmostId ? [member, group] : [member];
+    });
+}
+
+/** Maps a point from a group's space to its parent's space */
+function toParentSpace(group, x, y) {
+    const angle = ((group.rotation || 0) * Math.PI) / 180;
+    const sx = (group.scaleX ?? 1) * x;
+    const sy = (group.scaleY ?? 1) * y;
+    return {
+        x: (group.x || 0) + sx * Math.cos(angle) - sy * Math.sin(angle),
+        y: (group.y || 0) + sx * Math.sin(angle) + sy * Math.cos(angle)
+    };
+}
+
+/** Maps a point from a group's space back to the group's own space (inverse of toParentSpace) */
+function fromParentSpace(group, x, y) {
+    const angle = ((group.rotation || 0) * Math.PI) / 180;
+    const dx = x - (group.x || 0);
+    const dy = y - (group.y || 0);
+    return {
+        x: (dx * Math.cos(angle) + dy * Math.sin(angle)) / (group.scaleX ?? 1),
+        y: (-dx * Math.sin(angle) + dy * Math.cos(angle)) / (group.scaleY ?? 1)
+    };
+}
+
+/**
+ * Maps a point in a group's space (or the canvas, for null) to canvas
+ * coordinates, through every enclosing group.
+ *
+ * @param {Array<object>} elements
+ * @param {string|number|null} parentId - The space the point is in
+ * @param {{x: number, y: number}} point
+ * @returns {{x: number, y: number}}
+ */
+export function toCanvasSpace(elements, parentId, point) {
+    if (parentId == null) return point;
+    const byId = new Map(elements.map(el => [el.id, el]));
+    const chain = [parentId, ...getAncestorIds(elements, parentId)];
+    return chain
+        .map(id => byId.get(id))
+        .filter(Boolean)
+        .reduce((p, group) => toParentSpace(group, p.x, p.y), point);
+}
+
+/**
+ * Maps a canvas point into a group's space (inverse of toCanvasSpace).
+ *
+ * @param {Array<object>} elements
+ * @param {string|number|null} parentId - The space to map into
+ * @param {{x: number, y: number}} point
+ * @returns {{x: number, y: number}}
+ */
+export function fromCanvasSpace(elements, parentId, point) {
+    if (parentId == null) return point;
+    const byId = new Map(elements.map(el => [el.id, el]));
+    const chain = [parentId, ...getAncestorIds(elements, parentId)];
+    return chain
+        .map(id => byId.get(id))
+        .filter(Boolean)
+        .reduceRight((p, group) => fromParentSpace(group, p.x, p.y), point);
+}
+
+/**
+ * Bakes a group's transform into one of its children. Exact for
+ * translation, rotation and uniform scale; a rotated child in a
+ * non-uniformly scaled group loses the skew.
+ */
+function applyGroupTransform(child, group) {
+    const scaleX = group.scaleX ?? 1;
+    const scaleY = group.scaleY ?? 1;
+    const rotation = (child.rotation || 0) + (group.rotation || 0);
+
+    // Strokes and connectors
+    if (child.points) {
+        const points = [];
+        for (let i = 0; i < (child.points || []).length; i += 2) {
+            const p = toParentSpace(group, child.points[i], child.points[i + 1]);
+            points.push(p.x, p.y);
+        }
+        return { ...child, points };
+    }
+
+    // Connectors saved before they had points
+    if (child.type === 'arrow' || child.type === 'line') {
+        const start = toParentSpace(group, child.x, child.y);
+        const end = toParentSpace(group, child.x + child.width, child.y + child.height);
+        return { ...child, x: start.x, y: start.y, width: end.x - start.x, height: end.y - start.y };
+    }
+
+    if (child.type === GROUP_TYPE) {
+        const position = toParentSpace(group, child.x || 0, child.y || 0);
+        return {
+            ...child,
+            ...position,
+            rotation,
+            scaleX: (child.scaleX ?? 1) * scaleX,
+            scaleY: (child.scaleY ?? 1) * scaleY
+        };
+    }
+
+    const width = (child.width ?? 0) * Math.abs(scaleX);
+    const height = (child.height ?? 0) * Math.abs(scaleY);
+
+    if (CENTER_RENDERED_TYPES.includes(child.type)) {
+        const center = toParentSpace(group, child.x + child.width / 2, child.y + child.height / 2);
+        return { ...child, x: center.x - width / 2, y: center.y - height / 2, width, height, rotation };
+    }
+
+    const position = toParentSpace(group, child.x || 0, child.y || 0);
+    const result = { ...child, ...position, rotation };
+    if (child.width !== undefined) result.width = width;
+    if (child.height !== undefined) result.height = height;
+    if (child.type === 'text') result.fontSize = (child.fontSize || 24) * Math.abs(scaleY);
+    return result;
+}
+
+/**
+ * Dissolves a group: its children move to the group's parent, keep their
+ * on-screen placement and take the group's place in the stack.
+ *
+ * @param {Array<object>} elements
+ * @param {string|number} groupId
+ * @returns {{ elements: Array<object>, childIds: Array<string|number> } | null}
+ *   null if groupId isn't a group
+ */
+export function ungroupElements(elements, groupId) {
+    const group = elements.find(el => el.id === groupId);
+    if (!group || group.type !== GROUP_TYPE) return null;
+
+    const children = getChildren(elements, groupId)
+        .map(child => withParent(applyGroupTransform(child, group), parentOf(group)));
+
+    return {
+        elements: elements.flatMap(el => {
+            if (el.id === groupId) return children;
+            return parentOf(el) === groupId ? [] : [el];
+        }),
+        childIds: children.map(child => child.id)
+    };
+}
+
+/**
+ * Removes elements along with everything nested in them, then drops any
+ * group left empty.
+ *
+ * @param {Array<object>} elements
+ * @param {Array<string|number>} ids
+ * @returns {Array<object>}
+ */
+export function removeElements(elements, ids) {
+    const removed = new Set([...ids, ...getDescendantIds(elements, ids)]);
+    let result = elements.filter(el => !removed.has(el.id));
+
+    let emptyGroups;
+    do {
+        const parents = new Set(result.map(parentOf));
+        emptyGroups = result.filter(el => el.type === GROUP_TYPE && !parents.has(el.id));
+        result = result.filter(el => !emptyGroups.includes(el));
+    } while (emptyGroups.length > 0);
+
+    return result;
+}
+
+/**
+ * The given elements plus everything nested in them, in stacking order.
+ *
+ * @param {Array<object>} elements
+ * @param {Array<string|number>} ids
+ * @returns {Array<object>}
+ */
+export function getSubtrees(elements, ids) {
+    const included = new Set([...ids, ...getDescendantIds(elements, ids)]);
+    return elements.filter(el => included.has(el.id));
+}
+
+/**
+ * Deep-copies subtrees with fresh ids. Roots are offset and can be moved
+ * to another parent; nested elements keep their group-relative coordinates.
+ *
+ * @param {Array<object>} subtrees - Roots and their descendants (see getSubtrees)
+ * @param {{ offset?: number|{x: number, y: number}, parentId?: string|number|null, createId?: () => string }} [options]
+ *   offset: the same shift on both axes, or one per axis;
+ *   parentId: where to put the copied roots (default: next to the originals)
+ * @returns {{ elements: Array<object>, rootIds: Array<string|number>, idMap: Map }}
+ *   idMap: original id → copy id
+ */
+export function cloneSubtrees(subtrees, { offset = 20, parentId, createId = createElementId } = {}) {
+    const idMap = new Map(subtrees.map(el => [el.id, createId()]));
+    const rootIds = [];
+    const dx = typeof offset === 'number' ? offset : offset.x;
+    const dy = typeof offset === 'number' ? offset : offset.y;
+
+    const clones = subtrees.map(el => {
+        const copy = { ...JSON.parse(JSON.stringify(el)), id: idMap.get(el.id) };
+        if (idMap.has(parentOf(el))) return { ...copy, parentId: idMap.get(el.parentId) };
+
+        rootIds.push(copy.id);
+        const root = copy.points
+            ? { ...copy, points: copy.points.map((v, i) => v + (i % 2 === 0 ? dx : dy)) }
+            : { ...copy, x: (el.x || 0) + dx, y: (el.y || 0) + dy };
+        return parentId === undefined ? root : withParent(root, parentId);
+    });
+
+    return { elements: clones, rootIds, idMap };
+}
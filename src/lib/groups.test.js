@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest'
+import {
+    GROUP_TYPE, getRootElements, getDescendantIds, getSelectableId,
+    groupElements, ungroupElements, removeElements, getSubtrees, cloneSubtrees
+} from './groups'
+
+describe('groups', () => {
+    const rect = { id: 1, type: 'rectangle', x: 10, y: 20, width: 100, height: 50 };
+    const circle = { id: 2, type: 'circle', x: 200, y: 200, width: 40, height: 40 };
+    const text = { id: 3, type: 'text', x: 0, y: 0, text: 'Hi', fontSize: 20 };
+
+    it('groups siblings behind a new group element at the topmost position', () => {
+        const result = groupElements([rect, circle, text], [1, 2], 'g');
+
+        expect(result.map(el => el.id)).toEqual([1, 2, 'g', 3]);
+        expect(result[0].parentId).toBe('g');
+        expect(result[1].parentId).toBe('g');
+        expect(result[2]).toEqual({ id: 'g', type: GROUP_TYPE, x: 0, y: 0, rotation: 0, scaleX: 1, scaleY: 1 });
+        expect(result[3].parentId).toBeUndefined();
+    });
+
+    it('nests a new group inside the members\' group', () => {
+        const grouped = groupElements([rect, circle, text], [1, 2], 'outer');
+        const nested = groupElements(grouped, [1], 'inner');
+
+        expect(nested.find(el => el.id === 'inner').parentId).toBe('outer');
+        expect(nested.find(el => el.id === 1).parentId).toBe('inner');
+    });
+
+    it('refuses to group elements from different groups', () => {
+        const grouped = groupElements([rect, circle, text], [1, 2], 'g');
+        expect(groupElements(grouped, [1, 3], 'h')).toBeNull();
+    });
+
+    it('resolves clicks to the outermost group until the group is entered', () => {
+        const grouped = groupElements(groupElements([rect, circle, text], [1, 2], 'inner'), ['inner'], 'outer');
+
+        expect(getSelectableId(grouped, 1, null)).toBe('outer');
+        expect(getSelectableId(grouped, 1, 'outer')).toBe('inner');
+        expect(getSelectableId(grouped, 1, 'inner')).toBe(1);
+        expect(getSelectableId(grouped, 3, 'inner')).toBeNull();
+    });
+
+    it('ungroups in place when the group has no transform', () => {
+        const grouped = groupElements([rect, circle, text], [1, 2], 'g');
+        const { elements, childIds } = ungroupElements(grouped, 'g');
+
+        expect(childIds).toEqual([1, 2]);
+        expect(elements.map(el => el.id)).toEqual([1, 2, 3]);
+        expect(elements[0]).toMatchObject({ x: 10, y: 20, width: 100, height: 50 });
+        expect(elements[0].parentId).toBeUndefined();
+    });
+
+    it('bakes the group transform into children on ungroup', () => {
+        const grouped = groupElements([rect, circle], [1, 2], 'g')
+            .map(el => el.id === 'g' ? { ...el, x: 100, y: 100, scaleX: 2, scaleY: 2 } : el);
+        const { elements } = ungroupElements(grouped, 'g');
+
+        expect(elements[0]).toMatchObject({ x: 120, y: 140, width: 200, height: 100 });
+        // Circles are positioned by their center
+        expect(elements[1]).toMatchObject({ x: 500, y: 500, width: 80, height: 80 });
+    });
+
+    it('rotates pen points around the group origin', () => {
+        const pen = { id: 4, type: 'pen', points: [10, 0, 20, 0] };
+        const grouped = groupElements([pen], [4], 'g')
+            .map(el => el.id === 'g' ? { ...el, rotation: 90 } : el);
+        const { elements } = ungroupElements(grouped, 'g');
+
+        const points = elements[0].points.map(v => Math.round(v));
+        expect(points).toEqual([0, 10, 0, 20]);
+    });
+
+    it('removes nested elements and empty groups with the deleted element', () => {
+        const grouped = groupElements(groupElements([rect, circle, text], [1, 2], 'inner'), ['inner'], 'outer');
+
+        expect(removeElements(grouped, ['outer']).map(el => el.id)).toEqual([3]);
+        // Deleting the last members leaves no empty groups behind
+        expect(removeElements(grouped, [1, 2]).map(el => el.id)).toEqual([3]);
+    });
+
+    it('finds every nested descendant', () => {
+        const grouped = groupElements(groupElements([rect, circle, text], [1, 2], 'inner'), ['inner'], 'outer');
+        expect([...getDescendantIds(grouped, ['outer'])].sort()).toEqual([1, 2, 'inner'].sort());
+    });
+
+    it('treats elements whose group is gone as top-level', () => {
+        const orphan = { ...rect, parentId: 'missing' };
+        expect(getRootElements([orphan, circle])).toEqual([orphan, circle]);
+    });
+
+    it('clones subtrees with fresh ids and remapped parents', () => {
+        const grouped = groupElements([rect, circle, text], [1, 2], 'g');
+        let n = 0;
+        const { elements, rootIds } = cloneSubtrees(getSubtrees(grouped, ['g']), { createId: () => `new-${n++}` });
+
+        expect(elements.map(el => el.id)).toEqual(['new-0', 'new-1', 'new-2']);
+        expect(rootIds).toEqual(['new-2']);
+        expect(elements[0]).toMatchObject({ parentId: 'new-2', x: 10, y: 20 });
+        expect(elements[2]).toMatchObject({ type: GROUP_TYPE, x: 20, y: 20 });
+    });
+
+    it('moves cloned roots into another group when asked', () => {
+        const { elements } = cloneSubtrees([rect], { parentId: 'g', createId: () => 'copy' });
+        expect(elements[0]).toMatchObject({ id: 'copy', parentId: 'g', x: 30, y: 40 });
+    });
+
+    it('offsets cloned roots per axis', () => {
+        const stroke = { id: 4, type: 'pen', points: [0, 0, 10, 10] };
+        const { elements } = cloneSubtrees([rect, stroke], { offset: { x: 5, y: -20 }, createId: () => 'copy' });
+
+        expect(elements[0]).toMatchObject({ x: 15, y: 0 });
+        expect(elements[1].points).toEqual([5, -20, 15, -10]);
+    });
+});
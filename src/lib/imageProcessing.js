@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Prepares image files for upload in the browser.
+ *
+ * Design decisions:
+ * - Photos are decoded, scaled down to a maximum side and re-encoded as
+ *   WebP (PNG where the browser can't encode WebP), so collaborators
+ *   download a few hundred KB instead of the camera original.
+ * - EXIF orientation is applied while decoding (`createImageBitmap` with
+ *   `imageOrientation: 'from-image'`), so the re-encoded pixels are upright
+ *   and no longer need the tag re-encoding drops.
+ * - Every processed image also gets a small thumbnail, drawn instead of the
+ *   full image when it is shown small (zoomed out).
+ * - SVGs (vector) and GIFs (possibly animated) are uploaded as they are.
+ * - The content hash of the original file identifies an image, so the same
+ *   file pasted or dropped again is recognised before any processing.
+ */
+
+export const IMAGE_MAX_DIMENSIONS = [1024, 2048, 4096];
+export const DEFAULT_IMAGE_MAX_DIMENSION = 2048;
+export const THUMBNAIL_MAX_DIMENSION = 256;
+
+const WEBP_QUALITY = 0.85;
+const THUMBNAIL_QUALITY = 0.7;
+
+/** Types uploaded without processing */
+const UNPROCESSED_TYPES = ['image/svg+xml', 'image/gif'];
+
+/**
+ * Size scaled down (never up) so the longer side is at most `max`.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number} max
+ * @returns {{width: number, height: number}}
+ */
+export function fitWithin(width, height, max) {
+    const scale = Math.min(1, max / Math.max(width, height));
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+/**
+ * @param {string} type - MIME type
+ * @returns {boolean} true if images of this type are downscaled and re-encoded
+ */
+export function isProcessable(type) {
+    return type.startsWith('image/') && !UNPROCESSED_TYPES.includes(type);
+}
+
+/**
+ * SHA-256 of a file's bytes, as hex.
+ *
+ * @param {Blob} file
+ * @returns {Promise<string>}
+ */
+export async function hashFile(file) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Natural size of an image the browser can show. SVGs without a size of
+ * their own get a square. Resolves to null if it can't be read.
+ *
+ * @param {Blob} file
+ * @returns {Promise<{width: number, height: number}|null>}
+ */
+export function readImageSize(file) {
+    return new Promise(resolve => {
+        const url = URL.createObjectURL(file);
+        const img = new window.Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img.width && img.height ? { width: img.width, height: img.height } : { width: 300, height: 300 });
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            resolve(null);
+        };
+        img.src = url;
+    });
+}
+
+/** Draws a bitmap at a size and encodes it, as WebP if the browser can */
+function encode(bitmap, size, quality) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, size.width, size.height);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), 'image/webp', quality);
+    });
+}
+
+/**
+ * Downscaled, upright WebP of an image file and its thumbnail.
+ *
+ * @param {File} file
+ * @param {{ maxDimension?: number }} [options]
+ * @returns {Promise<{ blob: Blob, thumbnail: Blob, width: number, height: number }>}
+ * @throws {Error} 'Not a readable image' if the browser can't decode the file
+ */
+export async function processImage(file, { maxDimension = DEFAULT_IMAGE_MAX_DIMENSION } = {}) {
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+        throw new Error('Not a readable image');
+    }
+    try {
+        const size = fitWithin(bitmap.width, bitmap.height, maxDimension);
+        const blob = await encode(bitmap, size, WEBP_QUALITY);
+        const thumbnail = await encode(bitmap, fitWithin(bitmap.width, bitmap.height, THUMBNAIL_MAX_DIMENSION), THUMBNAIL_QUALITY);
+        return { blob, thumbnail, ...size };
+    } finally {
+        bitmap.close();
+    }
+}
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest'
+import { fitWithin, isProcessable, hashFile } from './imageProcessing'
+
+describe('imageProcessing', () => {
+    it('scales sizes down to the longest side, never up', () => {
+        expect(fitWithin(4000, 3000, 2048)).toEqual({ width: 2048, height: 1536 });
+        expect(fitWithin(1000, 4000, 1024)).toEqual({ width: 256, height: 1024 });
+        expect(fitWithin(640, 480, 2048)).toEqual({ width: 640, height: 480 });
+        expect(fitWithin(10000, 1, 256)).toEqual({ width: 256, height: 1 });
+    });
+
+    it('leaves SVGs and GIFs unprocessed', () => {
+        expect(isProcessable('image/jpeg')).toBe(true);
+        expect(isProcessable('image/png')).toBe(true);
+        expect(isProcessable('image/svg+xml')).toBe(false);
+        expect(isProcessable('image/gif')).toBe(false);
+        expect(isProcessable('text/plain')).toBe(false);
+    });
+
+    it('hashes file contents regardless of name', async () => {
+        const a = await hashFile(new File(['same bytes'], 'a.png'));
+        const b = await hashFile(new File(['same bytes'], 'b.png'));
+        const c = await hashFile(new File(['other bytes'], 'a.png'));
+
+        expect(a).toMatch(/^[0-9a-f]{64}$/);
+        expect(b).toBe(a);
+        expect(c).not.toBe(a);
+    });
+});
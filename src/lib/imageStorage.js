@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Canvas images in Firebase Storage.
+ *
+ * Images live under `canvases/{canvasId}/`; elements only store the
+ * download address. Files added from the device are processed first (see
+ * imageProcessing.js) and stored under their content hash in `images/`, so
+ * the same file added again reuses the stored copy: found in this session's
+ * uploads, or else by its Storage path. Imported files can carry images as
+ * data URLs, which are uploaded with a time prefix so canvas documents stay
+ * small.
+ */
+
+import { ref, uploadBytes, uploadBytesResumable, getDownloadURL, getMetadata } from 'firebase/storage';
+import { storage } from './firebase';
+import { getImageUrls, replaceImageUrls } from './prismapFile';
+import { DEFAULT_IMAGE_MAX_DIMENSION, isProcessable, hashFile, processImage, readImageSize } from './imageProcessing';
+
+/** This session's uploads by Storage path, as promises so simultaneous repeats upload once */
+const uploadedImages = new Map();
+
+/**
+ * Storage path for a new image of a canvas.
+ *
+ * @param {string} canvasId
+ * @param {string} name - File name
+ * @returns {string}
+ */
+export function getImagePath(canvasId, name) {
+    return `canvases/${canvasId}/${Date.now()}_${name}`;
+}
+
+/**
+ * The bytes of a data URL (base64 or percent-encoded).
+ *
+ * @param {string} dataUrl
+ * @returns {Blob}
+ */
+export function dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const header = dataUrl.slice(5, comma);
+    const body = dataUrl.slice(comma + 1);
+    const type = header.split(';')[0];
+    if (!header.endsWith(';base64')) return new Blob([decodeURIComponent(body)], { type });
+    const binary = atob(body);
+    return new Blob([Uint8Array.from(binary, char => char.charCodeAt(0))], { type });
+}
+
+/**
+ * Uploads the images embedded as data URLs and points the elements at the
+ * uploaded copies. Each distinct image is uploaded once.
+ *
+ * @param {Array<object>} elements
+ * @param {string} canvasId - Canvas the images belong to
+ * @returns {Promise<Array<object>>}
+ */
+export async function uploadEmbeddedImages(elements, canvasId) {
+    const uploaded = new Map();
+    const embedded = getImageUrls(elements).filter(url => url.startsWith('data:'));
+    for (const [i, dataUrl] of embedded.entries()) {
+        const storageRef = ref(storage, getImagePath(canvasId, `imported-${i + 1}`));
+        const snapshot = await uploadBytes(storageRef, dataUrlToBlob(dataUrl));
+        uploaded.set(dataUrl, await getDownloadURL(snapshot.ref));
+    }
+    return replaceImageUrls(elements, uploaded);
+}
+
+/** Uploads a blob, reporting progress from 0 to 1, and resolves to its download address */
+async function putImage(path, blob, customMetadata, onProgress) {
+    const storageRef = ref(storage, path);
+    const task = uploadBytesResumable(storageRef, blob, { contentType: blob.type, customMetadata });
+    if (onProgress) {
+        task.on('state_changed', snapshot => onProgress(snapshot.totalBytes ? snapshot.bytesTransferred / snapshot.totalBytes : 0));
+    }
+    await task;
+    return getDownloadURL(storageRef);
+}
+
+/** The image stored at a path by an earlier upload, or null */
+async function findStoredImage(path) {
+    try {
+        const storageRef = ref(storage, path);
+        const { customMetadata = {} } = await getMetadata(storageRef);
+        const width = Number(customMetadata.width);
+        const height = Number(customMetadata.height);
+        if (!width || !height) return null;
+        return { url: await getDownloadURL(storageRef), thumbnailUrl: customMetadata.thumbnailUrl || null, width, height };
+    } catch {
+        // Not there (or not readable): upload it
+        return null;
+    }
+}
+
+async function storeImageFile(file, path, { maxDimension, onSize, onProgress }) {
+    const stored = await findStoredImage(path);
+    if (stored) {
+        onSize?.(stored);
+        return stored;
+    }
+
+    if (!isProcessable(file.type)) {
+        const size = await readImageSize(file);
+        if (!size) throw new Error('Not a readable image');
+        onSize?.(size);
+        const url = await putImage(path, file, { width: String(size.width), height: String(size.height) }, onProgress);
+        return { url, thumbnailUrl: null, ...size };
+    }
+
+    const { blob, thumbnail, width, height } = await processImage(file, { maxDimension });
+    onSize?.({ width, height });
+    const thumbnailUrl = await putImage(`${path}_thumb`, thumbnail, {});
+    const url = await putImage(path, blob, { width: String(width), height: String(height), thumbnailUrl }, onProgress);
+    return { url, thumbnailUrl, width, height };
+}
+
+/**
+ * Uploads an image file for a canvas — downscaled, upright WebP with a
+ * thumbnail, except SVGs and GIFs — unless the same file was stored before.
+ *
+ * @param {File} file
+ * @param {string} canvasId
+ * @param {object} [options]
+ * @param {number} [options.maxDimension] - Longest side of the stored image
+ * @param {(size: {width: number, height: number}) => void} [options.onSize] - Called once the size is known, before uploading
+ * @param {(progress: number) => void} [options.onProgress] - Upload progress from 0 to 1
+ * @returns {Promise<{ url: string, thumbnailUrl: string|null, width: number, height: number }>}
+ */
+export async function uploadImageFile(file, canvasId, { maxDimension = DEFAULT_IMAGE_MAX_DIMENSION, onSize, onProgress } = {}) {
+    const hash = await hashFile(file);
+    // Processed copies differ by size, so the size is part of their name
+    const path = `canvases/${canvasId}/images/${isProcessable(file.type) ? `${hash}-${maxDimension}` : hash}`;
+
+    if (uploadedImages.has(path)) {
+        const image = await uploadedImages.get(path);
+        onSize?.(image);
+        return image;
+    }
+
+    const upload = storeImageFile(file, path, { maxDimension, onSize, onProgress });
+    uploadedImages.set(path, upload);
+    try {
+        return await upload;
+    } catch (error) {
+        uploadedImages.delete(path);
+        throw error;
+    }
+}
+
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi } from 'vitest'
+import { dataUrlToBlob } from './imageStorage'
+
+describe('imageStorage', () => {
+    it('decodes base64 and percent-encoded data URLs', async () => {
+        const png = dataUrlToBlob('data:image/png;base64,AAEC');
+        expect(png.type).toBe('image/png');
+        expect([...new Uint8Array(await png.arrayBuffer())]).toEqual([0, 1, 2]);
+
+        const svg = dataUrlToBlob('data:image/svg+xml,%3Csvg%2F%3E');
+        expect(svg.type).toBe('image/svg+xml');
+        expect(await svg.text()).toBe('<svg/>');
+    });
+
+    it('uploads each embedded image once and keeps web addresses', async () => {
+        // Fresh modules, so this file's Storage mock is the one the upload uses
+        vi.resetModules();
+        const { uploadBytes, getDownloadURL } = await import('firebase/storage');
+        const { uploadEmbeddedImages } = await import('./imageStorage');
+        uploadBytes.mockResolvedValue({ ref: 'uploaded-ref' });
+        getDownloadURL.mockResolvedValue('https://storage/copy.png');
+        const data = 'data:image/png;base64,AAEC';
+        const elements = [
+            { id: 1, type: 'image', url: data },
+            { id: 2, type: 'image', url: data },
+            { id: 3, type: 'image', url: 'https://example.com/a.png' },
+            { id: 4, type: 'rectangle' }
+        ];
+
+        const result = await uploadEmbeddedImages(elements, 'canvas-1');
+
+        expect(uploadBytes).toHaveBeenCalledTimes(1);
+        expect(result.map(el => el.url)).toEqual(['https://storage/copy.png', 'https://storage/copy.png', 'https://example.com/a.png', undefined]);
+        vi.clearAllMocks();
+    });
+
+    it('reuses a stored copy of the same file instead of uploading it again', async () => {
+        vi.resetModules();
+        const { ref, uploadBytesResumable, getDownloadURL, getMetadata } = await import('firebase/storage');
+        const { uploadImageFile } = await import('./imageStorage');
+        getMetadata.mockResolvedValue({ customMetadata: { width: '800', height: '600', thumbnailUrl: 'https://storage/photo_thumb' } });
+        getDownloadURL.mockResolvedValue('https://storage/photo');
+        const sizes = [];
+
+        const first = await uploadImageFile(new File(['photo'], 'photo.jpg', { type: 'image/jpeg' }), 'canvas-1', { onSize: size => sizes.push(size.width) });
+        const again = await uploadImageFile(new File(['photo'], 'copy.jpg', { type: 'image/jpeg' }), 'canvas-1', { onSize: size => sizes.push(size.width) });
+
+        expect(first).toEqual({ url: 'https://storage/photo', thumbnailUrl: 'https://storage/photo_thumb', width: 800, height: 600 });
+        expect(again).toEqual(first);
+        expect(sizes).toEqual([800, 800]);
+        expect(getMetadata).toHaveBeenCalledTimes(1);
+        expect(uploadBytesResumable).not.toHaveBeenCalled();
+        expect(ref.mock.calls[0][1]).toMatch(/^canvases\/canvas-1\/images\/[0-9a-f]{64}-2048$/);
+        vi.clearAllMocks();
+    });
+
+    it('forgets failed uploads so they can be retried', async () => {
+        vi.resetModules();
+        const { getMetadata } = await import('firebase/storage');
+        const { uploadImageFile } = await import('./imageStorage');
+        getMetadata.mockRejectedValue(new Error('storage/object-not-found'));
+        // Nothing to decode with here, like a file the browser can't read
+        const file = new File(['not an image'], 'broken.png', { type: 'image/png' });
+
+        await expect(uploadImageFile(file, 'canvas-1')).rejects.toThrow('Not a readable image');
+        await expect(uploadImageFile(file, 'canvas-1')).rejects.toThrow('Not a readable image');
+        expect(getMetadata).toHaveBeenCalledTimes(2);
+        vi.clearAllMocks();
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Simplified rendering for zoomed-out views.
+ *
+ * Design decisions:
+ * - Below 100% zoom, strokes drop points closer together than a pixel or
+ *   so on screen. The tolerance doubles with each halving of the zoom
+ *   instead of following it exactly, so zooming doesn't recompute every
+ *   stroke on every step.
+ * - Simplified points are cached per points array (elements are immutable,
+ *   so a new stroke means a new array) and tolerance.
+ * - Text smaller than a few pixels on screen is not drawn at all; it
+ *   couldn't be read and costs as much as readable text.
+ * - Exports always render at full detail (the page turns this off).
+ *
+ * Pure module — no React or Konva here.
+ */
+
+/** Screen distance, in pixels, under which neighbouring stroke points are merged */
+export const POINT_TOLERANCE = 1.5;
+
+/** Smallest text size, in screen pixels, still drawn */
+export const MIN_TEXT_SCREEN_SIZE = 4;
+
+/** points array → Map of tolerance → simplified points */
+const simplified = new WeakMap();
+
+/**
+ * Distance in canvas units under which stroke points are merged at a zoom
+ * level; 0 (keep every point) at 100% and above.
+ *
+ * @param {number} scale - Stage scale
+ * @returns {number}
+ */
+export function getPointTolerance(scale) {
+    if (scale >= 1) return 0;
+    return POINT_TOLERANCE * 2 ** Math.ceil(Math.log2(1 / scale));
+}
+
+/**
+ * Flat `[x1, y1, ...]` points without those closer than `tolerance` to the
+ * last kept point. The first and last points are always kept.
+ *
+ * @param {Array<number>} points
+ * @param {number} tolerance
+ * @returns {Array<number>} the same array if nothing is dropped
+ */
+export function decimatePoints(points, tolerance) {
+    if (tolerance <= 0 || points.length <= 4) return points;
+
+    const kept = [points[0], points[1]];
+    for (let i = 2; i < points.length - 2; i += 2) {
+        const dx = points[i] - kept[kept.length - 2];
+        const dy = points[i + 1] - kept[kept.length - 1];
+        if (dx * dx + dy * dy >= tolerance * tolerance) kept.push(points[i], points[i + 1]);
+    }
+    kept.push(points[points.length - 2], points[points.length - 1]);
+    return kept.length === points.length ? points : kept;
+}
+
+/**
+ * The points to draw a stroke with at a zoom level.
+ *
+ * @param {Array<number>} points
+ * @param {number} scale - Stage scale
+ * @returns {Array<number>}
+ */
+export function getRenderedPoints(points, scale) {
+    const tolerance = getPointTolerance(scale);
+    if (tolerance === 0 || !Array.isArray(points)) return points;
+
+    if (!simplified.has(points)) simplified.set(points, new Map());
+    const byTolerance = simplified.get(points);
+    if (!byTolerance.has(tolerance)) byTolerance.set(tolerance, decimatePoints(points, tolerance));
+    return byTolerance.get(tolerance);
+}
+
+/**
+ * @param {number} fontSize - In canvas units
+ * @param {number} scale - Stage scale
+ * @returns {boolean} true if text this size is too small to draw
+ */
+export function isTextTooSmall(fontSize, scale) {
+    return fontSize * scale < MIN_TEXT_SCREEN_SIZE;
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest'
+import { getPointTolerance, decimatePoints, getRenderedPoints, isTextTooSmall } from './levelOfDetail'
+
+describe('levelOfDetail', () => {
+    it('keeps every point at 100% and merges more as the view zooms out', () => {
+        expect(getPointTolerance(1)).toBe(0);
+        expect(getPointTolerance(2)).toBe(0);
+        expect(getPointTolerance(0.5)).toBe(3);
+        expect(getPointTolerance(0.4)).toBe(6);
+        expect(getPointTolerance(0.25)).toBe(6);
+    });
+
+    it('drops points close to the last kept one but keeps both ends', () => {
+        const points = [0, 0, 1, 0, 2, 0, 5, 0, 6, 0, 7, 0];
+        expect(decimatePoints(points, 3)).toEqual([0, 0, 5, 0, 7, 0]);
+        expect(decimatePoints(points, 0)).toBe(points);
+        expect(decimatePoints([0, 0, 1, 1], 10)).toEqual([0, 0, 1, 1]);
+    });
+
+    it('reuses simplified points for the same stroke and zoom level', () => {
+        const points = Array.from({ length: 200 }, (_, i) => i);
+        const first = getRenderedPoints(points, 0.3);
+
+        expect(first.length).toBeLessThan(points.length);
+        expect(getRenderedPoints(points, 0.26)).toBe(first);
+        expect(getRenderedPoints(points, 1)).toBe(points);
+    });
+
+    it('hides text too small to read', () => {
+        expect(isTextTooSmall(24, 0.1)).toBe(true);
+        expect(isTextTooSmall(24, 0.5)).toBe(false);
+    });
+});
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Mind maps: nodes linked into a tree and laid out automatically.
+ *
+ * Design decisions:
+ * - A node is an element `{ id, type: 'mindmap', x, y, width, height, text,
+ *   mindParentId, collapsed }`. The root has `mindParentId: null` and holds
+ *   the map's `layout`. The tree link is separate from `parentId`, so a
+ *   whole map can still be put in a group.
+ * - Children are ordered by their position in `elements`, the same way
+ *   group members are.
+ * - Layout is a pure function of the tree: the root stays put and every
+ *   other node is placed from it. The page re-runs it on each edit
+ *   (layoutMindMaps), so adding, collapsing or removing a node reflows the map.
+ * - Branches aren't stored; the page draws one from each node to its parent.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+export const MIND_MAP_TYPE = 'mindmap';
+
+/** balanced: children split left and right of the root; right: all to the right; down: org chart */
+export const MIND_MAP_LAYOUTS = ['balanced', 'right', 'down'];
+
+const ROOT_SIZE = { width: 180, height: 60 };
+const NODE_SIZE = { width: 140, height: 44 };
+
+/** Space between a node and its children */
+const LEVEL_GAP = 60;
+
+/** Space between neighbouring subtrees */
+const SIBLING_GAP = 16;
+
+/**
+ * @param {object} el
+ * @returns {boolean}
+ */
+export function isMindMapNode(el) {
+    return el?.type === MIND_MAP_TYPE;
+}
+
+/**
+ * A new node. Roots are bigger and start with the balanced layout.
+ *
+ * @param {{ id: string|number, x?: number, y?: number, text?: string, mindParentId?: string|number|null }} node
+ * @param {object} [style] - fill, stroke, etc.
+ * @returns {object}
+ */
+export function createMindMapNode({ id, x = 0, y = 0, text, mindParentId = null }, style = {}) {
+    const isRoot = mindParentId == null;
+    return {
+        id,
+        type: MIND_MAP_TYPE,
+        x,
+        y,
+        ...(isRoot ? ROOT_SIZE : NODE_SIZE),
+        text: text ?? (isRoot ? 'Central idea' : 'New idea'),
+        mindParentId,
+        collapsed: false,
+        ...(isRoot ? { layout: 'balanced' } : {}),
+        ...style
+    };
+}
+
+/**
+ * Child nodes, in order.
+ *
+ * @param {Array<object>} elements
+ * @param {string|number} id
+ * @returns {Array<object>}
+ */
+export function getMindChildren(elements, id) {
+    return elements.filter(el => isMindMapNode(el) && el.mindParentId === id);
+}
+
+/**
+ * The root of the map a node belongs to. Nodes whose parent is gone count
+ * as roots.
+ *
+ * @param {Array<object>} elements
+ * @param {string|number} id
+ * @returns {string|number}
+ */
+export function getMindRootId(elements, id) {
+    const byId = new Map(elements.map(el => [el.id, el]));
+    const seen = new Set([id]);
+    let current = byId.get(id);
+    while (current && byId.has(current.mindParentId) && !seen.has(current.mindParentId)) {
+        seen.add(current.mindParentId);
+        current = byId.get(current.mindParentId);
+    }
+    return current ? current.id : id;
+}
+
+/**
+ * Ids of every node below the given nodes.
+ *
+ * @param {Array<object>} elements
+ * @param {Array<string|number>} ids
+ * @returns {Set<string|number>}
+ */
+export function getMindDescendantIds(elements, ids) {
+    const result = new Set();
+    let frontier = new Set(ids);
+    while (frontier.size > 0) {
+        const next = new Set();
+        elements.forEach(el => {
+            if (isMindMapNode(el) && frontier.has(el.mindParentId) && !result.has(el.id) && !ids.includes(el.id)) {
+                result.add(el.id);
+                next.add(el.id);
+            }
+        });
+        frontier = next;
+    }
+    return result;
+}
+
+/**
+ * Nodes hidden inside a collapsed branch.
+ *
+ * @param {Array<object>} elements
+ * @returns {Set<string|number>}
+ */
+export function getCollapsedHiddenIds(elements) {
+    const collapsed = elements.filter(el => isMindMapNode(el) && el.collapsed).map(el => el.id);
+    return getMindDescendantIds(elements, collapsed);
+}
+
+/** Index of the last element of a node's subtree, so new nodes go after it */
+function subtreeEndIndex(elements, id) {
+    const ids = new Set([id, ...getMindDescendantIds(elements, [id])]);
+    return elements.findLastIndex(el => ids.has(el.id));
+}
+
+function insertAt(elements, index, node) {
+    return [...elements.slice(0, index), node, ...elements.slice(index)];
+}
+
+/**
+ * Adds a node as the last child of another, expanding it if collapsed.
+ *
+ * @param {Array<object>} elements
+ * @param {string|number} parentNodeId
+ * @param {object} node - From createMindMapNode
+ * @returns {Array<object>}
+ */
+export function addMindMapChild(elements, parentNodeId, node) {
+    const parent = elements.find(el => el.id === parentNodeId);
+    if (!isMindMapNode(parent)) return elements;
+
+    const child = { ...node, mindParentId: parentNodeId };
+    if (parent.parentId != null) child.parentId = parent.parentId;
+    const expanded = elements.map(el => (el.id === parentNodeId && el.collapsed ? { ...el, collapsed: false } : el));
+    return insertAt(expanded, subtreeEndIndex(expanded, parentNodeId) + 1, child);
+}
+
+/**
+ * Adds a node right after another under the same parent. The root has no
+ * siblings, so this adds a child of the root instead.
+ *
+ * @param {Array<object>} elements
+ * @param {string|number} nodeId
+ * @param {object} node - From createMindMapNode
+ * @returns {Array<object>}
+ */
+export function addMindMapSibling(elements, nodeId, node) {
+    const target = elements.find(el => el.id === nodeId);
+    if (!isMindMapNode(target)) return elements;
+    if (getMindRootId(elements, nodeId) === nodeId) return addMindMapChild(elements, nodeId, node);
+
+    const sibling = { ...node, mindParentId: target.mindParentId };
+    if (target.parentId != null) sibling.parentId = target.parentId;
+    return insertAt(elements, subtreeEndIndex(elements, nodeId) + 1, sibling);
+}
+
+/**
+ * Places the children of `node` (and their subtrees) on one side.
+ *
+ * @param {string} direction - 'right', 'left' or 'down'
+ */
+function placeChildren(node, children, direction, childrenOf, positions) {
+    const vertical = direction === 'down';
+    const crossSize = vertical ? 'width' : 'height';
+
+    const extent = (el) => {
+        const kids = childrenOf(el);
+        const own = el[crossSize];
+        if (kids.length === 0) return own;
+        const total = kids.reduce((sum, kid) => sum + extent(kid), 0) + SIBLING_GAP * (kids.length - 1);
+        return Math.max(own, total);
+    };
+
+    const total = children.reduce((sum, kid) => sum + extent(kid), 0) + SIBLING_GAP * (children.length - 1);
+    let cursor = vertical
+        ? node.x + node.width / 2 - total / 2
+        : node.y + node.height / 2 - total / 2;
+
+    children.forEach(kid => {
+        const size = extent(kid);
+        const center = cursor + size / 2;
+        let placed;
+        if (vertical) {
+            placed = { ...kid, x: center - kid.width / 2, y: node.y + node.height + LEVEL_GAP };
+        } else {
+            const x = direction === 'right' ? node.x + node.width + LEVEL_GAP : node.x - LEVEL_GAP - kid.width;
+            placed = { ...kid, x, y: center - kid.height / 2 };
+        }
+        positions.set(kid.id, { x: placed.x, y: placed.y });
+        placeChildren(placed, childrenOf(kid), direction, childrenOf, positions);
+        cursor += size + SIBLING_GAP;
+    });
+}
+
+/**
+ * Positions of every visible node of a map, from its root and layout.
+ *
+ * @param {Array<object>} elements
+ * @param {string|number} rootId
+ * @returns {Map<string|number, {x: number, y: number}>}
+ */
+export function layoutMindMap(elements, rootId) {
+    const root = elements.find(el => el.id === rootId);
+    const positions = new Map();
+    if (!isMindMapNode(root)) return positions;
+
+    // Collapsed branches are left out; the visited set guards against cycles
+    const tree = new Map();
+    const visited = new Set([rootId]);
+    const queue = [root];
+    while (queue.length > 0) {
+        const node = queue.shift();
+        const kids = node.collapsed ? [] : getMindChildren(elements, node.id).filter(kid => !visited.has(kid.id));
+        kids.forEach(kid => visited.add(kid.id));
+        tree.set(node.id, kids);
+        queue.push(...kids);
+    }
+    const childrenOf = (el) => tree.get(el.id) || [];
+    const children = childrenOf(root);
+
+    const layout = root.layout || 'balanced';
+    if (layout === 'down') {
+        placeChildren(root, children, 'down', childrenOf, positions);
+    } else if (layout === 'right') {
+        placeChildren(root, children, 'right', childrenOf, positions);
+    } else {
+        const half = Math.ceil(children.length / 2);
+        placeChildren(root, children.slice(0, half), 'right', childrenOf, positions);
+        placeChildren(root, children.slice(half), 'left', childrenOf, positions);
+    }
+    return positions;
+}
+
+/**
+ * Re-lays out every mind map.
+ *
+ * @param {Array<object>} elements
+ * @returns {Array<object>} the same array if no node moved
+ */
+export function layoutMindMaps(elements) {
+    const ids = new Set(elements.map(el => el.id));
+    const roots = elements.filter(el => isMindMapNode(el) && !ids.has(el.mindParentId));
+    if (roots.length === 0) return elements;
+
+    const positions = new Map();
+    roots.forEach(root => layoutMindMap(elements, root.id).forEach((p, id) => positions.set(id, p)));
+
+    let changed = false;
+    const result = elements.map(el => {
+        const p = positions.get(el.id);
+        if (!p || (p.x === el.x && p.y === el.y)) return el;
+        changed = true;
+        return { ...el, ...p };
+    });
+    return changed ? result : elements;
+}
+
+/**
+ * Where the branch from a node's parent to the node starts and ends.
+ * Directions say which way the branch leaves each end (as used by
+ * routeConnector).
+ *
+ * @param {object} parent
+ * @param {object} child
+ * @param {string} layout - The map's layout
+ * @returns {{ start: {x: number, y: number, direction: object}, end: {x: number, y: number, direction: object} }}
+ */
+export function getBranchEnds(parent, child, layout) {
+    if (layout === 'down') {
+        return {
+            start: { x: parent.x + parent.width / 2, y: parent.y + parent.height, direction: { x: 0, y: 1 } },
+            end: { x: child.x + child.width / 2, y: child.y, direction: { x: 0, y: -1 } }
+        };
+    }
+    const toRight = child.x + child.width / 2 >= parent.x + parent.width / 2;
+    const side = toRight ? 1 : -1;
+    return {
+        start: {
+            x: toRight ? parent.x + parent.width : parent.x,
+            y: parent.y + parent.height / 2,
+            direction: { x: side, y: 0 }
+        },
+        end: {
+            x: toRight ? child.x : child.x + child.width,
+            y: child.y + child.height / 2,
+            direction: { x: -side, y: 0 }
+        }
+    };
+}
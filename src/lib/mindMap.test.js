@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest'
+import {
+    createMindMapNode, addMindMapChild, addMindMapSibling, layoutMindMap, layoutMindMaps,
+    getMindRootId, getMindDescendantIds, getCollapsedHiddenIds, getBranchEnds
+} from './mindMap'
+
+describe('mindMap', () => {
+    const root = createMindMapNode({ id: 'r', x: 0, y: 0 });
+    const node = (id) => createMindMapNode({ id, mindParentId: 'pending' });
+
+    const build = () => {
+        let elements = [root];
+        elements = addMindMapChild(elements, 'r', node('a'));
+        elements = addMindMapChild(elements, 'r', node('b'));
+        elements = addMindMapChild(elements, 'a', node('a1'));
+        return elements;
+    };
+
+    it('creates a bigger root with the balanced layout', () => {
+        expect(root).toMatchObject({ type: 'mindmap', width: 180, height: 60, mindParentId: null, layout: 'balanced' });
+        expect(node('x').layout).toBeUndefined();
+    });
+
+    it('adds children after their parent\'s subtree and siblings after the node', () => {
+        let elements = build();
+        expect(elements.map(el => el.id)).toEqual(['r', 'a', 'a1', 'b']);
+
+        elements = addMindMapSibling(elements, 'a', node('c'));
+        expect(elements.map(el => el.id)).toEqual(['r', 'a', 'a1', 'c', 'b']);
+        expect(elements[3].mindParentId).toBe('r');
+    });
+
+    it('adds a child when asked for a sibling of the root', () => {
+        const elements = addMindMapSibling([root], 'r', node('a'));
+        expect(elements[1].mindParentId).toBe('r');
+    });
+
+    it('balances children left and right of the root', () => {
+        const positions = layoutMindMap(build(), 'r');
+
+        // a goes right, b goes left, both centered around the root's middle
+        expect(positions.get('a').x).toBe(180 + 60);
+        expect(positions.get('b').x).toBe(-60 - 140);
+        expect(positions.get('a1').x).toBe(240 + 140 + 60);
+        expect(positions.get('a').y + 22).toBe(30);
+    });
+
+    it('stacks siblings without overlapping in the right-only layout', () => {
+        const elements = build().map(el => el.id === 'r' ? { ...el, layout: 'right' } : el);
+        const positions = layoutMindMap(elements, 'r');
+
+        expect(positions.get('a').x).toBe(positions.get('b').x);
+        expect(positions.get('b').y - positions.get('a').y).toBe(44 + 16);
+    });
+
+    it('lays out an org chart top-down', () => {
+        const elements = build().map(el => el.id === 'r' ? { ...el, layout: 'down' } : el);
+        const positions = layoutMindMap(elements, 'r');
+
+        expect(positions.get('a').y).toBe(60 + 60);
+        expect(positions.get('a1').y).toBe(120 + 44 + 60);
+        expect(positions.get('a').x).toBeLessThan(positions.get('b').x);
+    });
+
+    it('skips collapsed branches and reflows the map', () => {
+        const elements = build().map(el => el.id === 'a' ? { ...el, collapsed: true } : el);
+
+        expect([...getCollapsedHiddenIds(elements)]).toEqual(['a1']);
+        expect(layoutMindMap(elements, 'r').has('a1')).toBe(false);
+
+        const laidOut = layoutMindMaps(elements);
+        expect(layoutMindMaps(laidOut)).toBe(laidOut);
+    });
+
+    it('finds the root and descendants of a node', () => {
+        const elements = build();
+        expect(getMindRootId(elements, 'a1')).toBe('r');
+        expect([...getMindDescendantIds(elements, ['r'])].sort()).toEqual(['a', 'a1', 'b']);
+    });
+
+    it('draws branches from the side of the parent facing the child', () => {
+        const parent = { x: 0, y: 0, width: 100, height: 40 };
+        const left = { x: -200, y: 0, width: 100, height: 40 };
+
+        expect(getBranchEnds(parent, left, 'balanced')).toMatchObject({
+            start: { x: 0, y: 20, direction: { x: -1, y: 0 } },
+            end: { x: -100, y: 20, direction: { x: 1, y: 0 } }
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview IndexedDB store for canvas edits made while offline.
+ *
+ * One record per canvas holds the ops not yet published to Firestore — the
+ * full diff between the last synced state and the local state, so each save
+ * simply replaces the record. Survives reloads and closed tabs.
+ *
+ * All functions resolve to empty/no-op results where IndexedDB is missing
+ * (server render, tests).
+ */
+
+const DB_NAME = 'prismap-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingOps';
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the database. The connection is cached.
+ *
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDb() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'canvasId' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against the store and resolves with its result.
+ */
+async function withStore(mode, run) {
+    const db = await openDb();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, mode);
+        const request = run(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Replaces the pending ops for a canvas. An empty list clears the record.
+ *
+ * @param {string} canvasId
+ * @param {Array<object>} ops
+ * @returns {Promise<void>}
+ */
+export async function savePendingOps(canvasId, ops) {
+    if (ops.length === 0) {
+        await clearPendingOps(canvasId);
+        return;
+    }
+    await withStore('readwrite', store => store.put({ canvasId, ops, updatedAt: Date.now() }));
+}
+
+/**
+ * Reads the pending ops for a canvas.
+ *
+ * @param {string} canvasId
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadPendingOps(canvasId) {
+    const record = await withStore('readonly', store => store.get(canvasId));
+    return record?.ops || [];
+}
+
+/**
+ * Removes the pending ops for a canvas.
+ *
+ * @param {string} canvasId
+ * @returns {Promise<void>}
+ */
+export async function clearPendingOps(canvasId) {
+    await withStore('readwrite', store => store.delete(canvasId));
+}
@@ -0,0 +1,665 @@
+/**
+ * @fileoverview PDF export of the canvas, as one page or one page per frame.
+ *
+ * Design decisions:
+ * - The PDF is written by hand (objects, content streams, xref table):
+ *   what the canvas needs is a small part of the format, and it keeps the
+ *   export free of a heavy dependency.
+ * - Like the SVG export, pages are built from `elements`, so shapes,
+ *   strokes and connectors stay vectors. Content streams first flip the
+ *   page to the canvas' y-down space and fit the content in the margins,
+ *   so everything below draws in canvas coordinates.
+ * - Text uses the PDF standard fonts (Helvetica, Times, Courier with
+ *   WinAnsi encoding), so it stays selectable and searchable without
+ *   embedding font files. Characters they don't cover are written as "?".
+ * - Images must be handed over already decoded to JPEG bytes (the page
+ *   does that with a canvas); any other image is drawn as a placeholder.
+ * - Shadows are left out, and opacity is multiplied down groups onto each
+ *   element rather than applied to the group as a whole.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+import { GROUP_TYPE, FRAME_TYPE, getChildren, getRootElements } from './groups';
+import { isConnector, getConnectorEnds, routeConnector, getLabelPosition } from './connectors';
+import { isMindMapNode, getMindRootId, getBranchEnds } from './mindMap';
+import { STICKY_TYPE } from './stickyNotes';
+import { getFrames } from './frames';
+import { hasPressure, getStrokeOutline } from './penStrokes';
+import { getBrushStyle, getDrawingOrder } from './brushes';
+import {
+    PEN_TENSION, estimateTextWidth, getPolygonPoints, polylineCommands, bezierCommands,
+    smoothCommands, getArrowHead, layoutMindMapText, layoutStickyText, getExportScope
+} from './exportGeometry';
+
+/** Page sizes in points (1/72 inch), portrait */
+export const PDF_PAGE_SIZES = {
+    A4: [595.28, 841.89],
+    A3: [841.89, 1190.55],
+    Letter: [612, 792]
+};
+
+export const PDF_BACKGROUNDS = ['none', 'grid', 'dots'];
+
+/** Largest page side PDF readers accept */
+const MAX_PAGE_SIDE = 14400;
+
+/** Spacing and colors of the background pattern, as the page draws it */
+const GRID_SIZE = 50;
+const GRID_COLOR = '#e5e7eb';
+const DOT_COLOR = '#d1d5db';
+
+/** PDF line cap styles by canvas name */
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+
+/** Bezier handle length for a quarter circle of radius 1 */
+const KAPPA = 0.5523;
+
+/** Distance from the middle of a line of text down to its baseline, per unit of font size */
+const BASELINE_OFFSET = 0.35;
+
+/** WinAnsi codes of the common characters outside Latin-1 */
+const WIN_ANSI_EXTRAS = {
+    '€': 128, '‚': 130, '„': 132, '…': 133, '‰': 137, '‘': 145, '’': 146,
+    '“': 147, '”': 148, '•': 149, '–': 150, '—': 151, '™': 153
+};
+
+const SERIF_FONTS = ['Times New Roman', 'Georgia', 'Palatino Linotype'];
+const MONOSPACE_FONTS = ['Courier New'];
+
+/** Standard fonts by family and [bold, italic] */
+const STANDARD_FONTS = {
+    Helvetica: ['Helvetica', 'Helvetica-Oblique', 'Helvetica-Bold', 'Helvetica-BoldOblique'],
+    Times: ['Times-Roman', 'Times-Italic', 'Times-Bold', 'Times-BoldItalic'],
+    Courier: ['Courier', 'Courier-Oblique', 'Courier-Bold', 'Courier-BoldOblique']
+};
+
+function num(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+function nums(...values) {
+    return values.map(num).join(' ');
+}
+
+/**
+ * @param {string} color - #rgb, #rrggbb or rgb()/rgba()
+ * @returns {Array<number>|null} r, g, b from 0 to 1; null for none or transparent
+ */
+function parseColor(color) {
+    if (!color || color === 'transparent' || color === 'none') return null;
+    if (color === 'white') return [1, 1, 1];
+    if (color === 'black') return [0, 0, 0];
+
+    let hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color)?.[1];
+    if (hex) {
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    }
+
+    const rgb = /^rgba?\(([^)]+)\)$/i.exec(color)?.[1].split(',').map(part => parseFloat(part));
+    if (rgb && rgb.length >= 3) {
+        if (rgb.length > 3 && rgb[3] === 0) return null;
+        return rgb.slice(0, 3).map(c => c / 255);
+    }
+    return [0, 0, 0];
+}
+
+/** Text as a PDF string in WinAnsi encoding, escaped to plain ASCII */
+function pdfString(text) {
+    let out = '';
+    for (const char of String(text)) {
+        let code = WIN_ANSI_EXTRAS[char] ?? char.codePointAt(0);
+        if (code > 255 || (code >= 128 && code < 160 && !(char in WIN_ANSI_EXTRAS))) code = 63; // '?'
+
+        if (char === '(' || char === ')' || char === '\\') out += `\\${char}`;
+        else if (code >= 32 && code < 127) out += String.fromCharCode(code);
+        else out += `\\${code.toString(8).padStart(3, '0')}`;
+    }
+    return `(${out})`;
+}
+
+/** Standard font closest to a canvas font family and style */
+function standardFont(fontFamily = 'Arial', fontStyle = 'normal') {
+    const family = SERIF_FONTS.includes(fontFamily) ? 'Times' : MONOSPACE_FONTS.includes(fontFamily) ? 'Courier' : 'Helvetica';
+    const variant = (fontStyle.includes('bold') ? 2 : 0) + (fontStyle.includes('italic') ? 1 : 0);
+    return STANDARD_FONTS[family][variant];
+}
+
+/** Path operators for path commands; quadratic curves become cubic ones */
+function pathOps(commands) {
+    let current = [0, 0];
+    return commands.map(([op, ...v]) => {
+        switch (op) {
+            case 'M':
+                current = v;
+                return `${nums(...v)} m`;
+            case 'L':
+                current = v;
+                return `${nums(...v)} l`;
+            case 'C':
+                current = v.slice(4);
+                return `${nums(...v)} c`;
+            case 'Q': {
+                const [cx, cy, x, y] = v;
+                const [x0, y0] = current;
+                current = [x, y];
+                return `${nums(
+                    x0 + (2 / 3) * (cx - x0), y0 + (2 / 3) * (cy - y0),
+                    x + (2 / 3) * (cx - x), y + (2 / 3) * (cy - y),
+                    x, y
+                )} c`;
+            }
+            default:
+                return '';
+        }
+    }).join(' ');
+}
+
+function polygonOps(points) {
+    return `${pathOps(polylineCommands(points))} h`;
+}
+
+function ellipseOps(cx, cy, rx, ry) {
+    const kx = rx * KAPPA;
+    const ky = ry * KAPPA;
+    return [
+        `${nums(cx + rx, cy)} m`,
+        `${nums(cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry)} c`,
+        `${nums(cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy)} c`,
+        `${nums(cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry)} c`,
+        `${nums(cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy)} c`,
+        'h'
+    ].join(' ');
+}
+
+function rectOps(x, y, width, height, radius = 0) {
+    const r = Math.min(radius, width / 2, height / 2);
+    if (!(r > 0)) return `${nums(x, y, width, height)} re`;
+
+    const k = r * (1 - KAPPA);
+    const right = x + width;
+    const bottom = y + height;
+    return [
+        `${nums(x + r, y)} m`,
+        `${nums(right - r, y)} l`,
+        `${nums(right - k, y, right, y + k, right, y + r)} c`,
+        `${nums(right, bottom - r)} l`,
+        `${nums(right, bottom - k, right - k, bottom, right - r, bottom)} c`,
+        `${nums(x + r, bottom)} l`,
+        `${nums(x + k, bottom, x, bottom - k, x, bottom - r)} c`,
+        `${nums(x, y + r)} l`,
+        `${nums(x, y + k, x + k, y, x + r, y)} c`,
+        'h'
+    ].join(' ');
+}
+
+/** Moves to (x, y), then rotates and scales about it */
+function transformOps(x, y, rotation = 0, scaleX = 1, scaleY = 1) {
+    const ops = [];
+    if (x || y) ops.push(`1 0 0 1 ${nums(x, y)} cm`);
+    if (rotation) {
+        const angle = (rotation * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        ops.push(`${nums(cos, sin, -sin, cos)} 0 0 cm`);
+    }
+    if (scaleX !== 1 || scaleY !== 1) ops.push(`${nums(scaleX, 0, 0, scaleY)} 0 0 cm`);
+    return ops.join(' ');
+}
+
+/** Rotation about a point, as Konva rotates a node about its position */
+function rotateAbout(rotation, x, y) {
+    if (!rotation) return '';
+    return `${transformOps(x, y, rotation)} ${transformOps(-x, -y)}`;
+}
+
+/** Sets up the graphics state and returns the painting operator for a shape */
+function paint(ctx, { fill, stroke, strokeWidth, opacity = 1, blendMode = null, lineCap = 'round', dash = null }) {
+    const fillColor = parseColor(fill);
+    const strokeColor = strokeWidth > 0 ? parseColor(stroke) : null;
+    if (!fillColor && !strokeColor) return null;
+
+    const ops = [];
+    const alpha = opacity * ctx.opacity;
+    if (alpha < 1 || blendMode) ops.push(`/${opacityResource(ctx, alpha, blendMode)} gs`);
+    if (fillColor) ops.push(`${nums(...fillColor)} rg`);
+    if (strokeColor) ops.push(`${nums(...strokeColor)} RG ${num(strokeWidth)} w ${LINE_CAPS[lineCap] ?? 1} J 1 j`);
+    if (strokeColor && dash) ops.push(`[${nums(...dash)}] 0 d`);
+    ctx.ops.push(ops.join(' '));
+    return fillColor && strokeColor ? 'B' : fillColor ? 'f' : 'S';
+}
+
+/** Draws a path, wrapped in its own graphics state */
+function drawPath(ctx, path, style, transform = '') {
+    ctx.ops.push('q');
+    if (transform) ctx.ops.push(transform);
+    const operator = paint(ctx, style);
+    if (operator) ctx.ops.push(`${path} ${operator}`);
+    ctx.ops.push('Q');
+}
+
+/** Graphics state for an opacity and, optionally, a blend mode ('multiply') */
+function opacityResource(ctx, alpha, blendMode = null) {
+    const key = [num(Math.max(0, alpha)), blendMode].filter(Boolean).join(' ');
+    if (!ctx.resources.opacities.has(key)) ctx.resources.opacities.set(key, `GS${ctx.resources.opacities.size + 1}`);
+    return ctx.resources.opacities.get(key);
+}
+
+function fontResource(ctx, baseFont) {
+    if (!ctx.resources.fonts.has(baseFont)) ctx.resources.fonts.set(baseFont, `F${ctx.resources.fonts.size + 1}`);
+    return ctx.resources.fonts.get(baseFont);
+}
+
+/**
+ * Lines of text laid out like Konva: each line centered in its line box.
+ * `x` is where lines start, or their middle/end for center/right alignment.
+ */
+function drawTextLines(ctx, lines, { x, y, fontSize, fontFamily, fontStyle, lineHeight = 1, align = 'left', color, opacity = 1 }) {
+    const rgb = parseColor(color);
+    if (!rgb || lines.length === 0) return;
+
+    const font = fontResource(ctx, standardFont(fontFamily, fontStyle));
+    const alpha = opacity * ctx.opacity;
+    const ops = ['BT', `/${font} ${num(fontSize)} Tf`, `${nums(...rgb)} rg`];
+    if (alpha < 1) ops.unshift(`/${opacityResource(ctx, alpha)} gs`);
+
+    lines.forEach((line, i) => {
+        const width = ctx.measure(line, fontSize, fontFamily);
+        const left = x - (align === 'center' ? width / 2 : align === 'right' ? width : 0);
+        const baseline = y + (i + 0.5) * fontSize * lineHeight + fontSize * BASELINE_OFFSET;
+        // The page is flipped to y-down; flip glyphs back upright
+        ops.push(`1 0 0 -1 ${nums(left, baseline)} Tm ${pdfString(line)} Tj`);
+    });
+    ops.push('ET');
+    ctx.ops.push('q', ops.join(' '), 'Q');
+}
+
+function renderText(el, ctx) {
+    const fontSize = el.fontSize || 24;
+    const fontFamily = el.fontFamily || 'Arial';
+    const lines = String(el.text ?? '').split('\n');
+    const width = Math.max(0, ...lines.map(line => ctx.measure(line, fontSize, fontFamily)));
+    const align = el.textAlign || 'left';
+
+    ctx.ops.push('q');
+    if (el.rotation) ctx.ops.push(rotateAbout(el.rotation, el.x, el.y));
+    drawTextLines(ctx, lines, {
+        x: el.x + (align === 'center' ? width / 2 : align === 'right' ? width : 0),
+        y: el.y,
+        fontSize,
+        fontFamily,
+        fontStyle: el.fontStyle || 'normal',
+        align,
+        color: el.fill || '#000000',
+        opacity: el.opacity ?? 1
+    });
+    ctx.ops.push('Q');
+}
+
+function renderConnector(el, ctx) {
+    const { start, end } = getConnectorEnds(ctx.elements, el);
+    const route = routeConnector(start, end, el.routing);
+    const stroke = el.stroke || ctx.stroke;
+    const strokeWidth = el.strokeWidth || ctx.strokeWidth;
+    const opacity = el.opacity ?? 1;
+
+    drawPath(ctx, pathOps(route.bezier ? bezierCommands(route.points) : polylineCommands(route.points)), { stroke, strokeWidth, opacity });
+
+    const head = el.type === 'arrow' ? getArrowHead(route.points) : null;
+    if (head) drawPath(ctx, polygonOps(head), { fill: el.fill || stroke, stroke, strokeWidth, opacity });
+
+    if (el.label) {
+        const position = getLabelPosition(route);
+        const width = ctx.measure(el.label, 14, 'Arial') + 8;
+        const height = 14 + 8;
+        drawPath(ctx, rectOps(position.x - width / 2, position.y - height / 2, width, height, 4), { fill: '#ffffff', stroke, strokeWidth: 1, opacity });
+        drawTextLines(ctx, [el.label], { x: position.x, y: position.y - 7, fontSize: 14, fontFamily: 'Arial', align: 'center', color: stroke, opacity });
+    }
+}
+
+function renderMindMapNode(el, ctx) {
+    const rootId = getMindRootId(ctx.elements, el.id);
+    const root = ctx.elements.find(item => item.id === rootId);
+    const isRoot = rootId === el.id;
+
+    // The branch in from the parent, if the parent is exported too
+    const parent = ctx.elements.find(item => item.id === el.mindParentId && isMindMapNode(item));
+    if (parent && (!ctx.included || ctx.included.has(parent.id))) {
+        const { start, end } = getBranchEnds(parent, el, root?.layout || 'balanced');
+        drawPath(ctx, pathOps(bezierCommands(routeConnector(start, end, 'curved').points)), { stroke: parent.stroke || ctx.stroke, strokeWidth: 2 });
+    }
+
+    const { lines, fontSize, fontStyle, top } = layoutMindMapText(el, isRoot, ctx.measure);
+    const opacity = el.opacity ?? 1;
+    ctx.ops.push('q', transformOps(el.x, el.y, el.rotation));
+    drawPath(ctx, rectOps(0, 0, el.width, el.height, isRoot ? 16 : 10), {
+        fill: el.fill,
+        stroke: el.stroke || ctx.stroke,
+        strokeWidth: el.strokeWidth || ctx.strokeWidth,
+        opacity
+    });
+    drawTextLines(ctx, lines, { x: el.width / 2, y: top, fontSize, fontFamily: 'Arial', fontStyle, align: 'center', color: el.textColor || '#1f2937', opacity });
+    ctx.ops.push('Q');
+}
+
+function renderStickyNote(el, ctx) {
+    const { lines, fontSize, fontFamily, lineHeight, padding } = layoutStickyText(el, ctx.measure);
+    const opacity = el.opacity ?? 1;
+    ctx.ops.push('q', transformOps(el.x, el.y, el.rotation));
+    drawPath(ctx, rectOps(0, 0, el.width, el.height, 4), { fill: el.fill, opacity });
+    drawTextLines(ctx, lines, { x: padding, y: padding, fontSize, fontFamily, lineHeight, color: el.textColor || '#1f2937', opacity });
+    ctx.ops.push('Q');
+}
+
+function renderImage(el, ctx) {
+    const image = ctx.images.get(el.url);
+    ctx.ops.push('q');
+    if (el.rotation) ctx.ops.push(rotateAbout(el.rotation, el.x, el.y));
+    if (image) {
+        if (!ctx.resources.images.has(el.url)) {
+            ctx.resources.images.set(el.url, { name: `Im${ctx.resources.images.size + 1}`, ...image });
+        }
+        const alpha = (el.opacity ?? 1) * ctx.opacity;
+        if (alpha < 1) ctx.ops.push(`/${opacityResource(ctx, alpha)} gs`);
+        // Image space is a y-up unit square
+        ctx.ops.push(`${nums(el.width, 0, 0, -el.height, el.x, el.y + el.height)} cm /${ctx.resources.images.get(el.url).name} Do`);
+    } else {
+        drawPath(ctx, rectOps(el.x, el.y, el.width, el.height), { fill: '#f3f4f6', stroke: '#d1d5db', strokeWidth: 1, opacity: el.opacity ?? 1 });
+    }
+    ctx.ops.push('Q');
+}
+
+function renderChildren(el, ctx, opacity) {
+    const outer = ctx.opacity;
+    ctx.opacity *= opacity;
+    getDrawingOrder(getChildren(ctx.elements, el.id)).forEach(child => renderElement(child, ctx));
+    ctx.opacity = outer;
+}
+
+function renderElement(el, ctx) {
+    if (el.visible === false || ctx.hidden.has(el.id)) return;
+    if (ctx.included && !ctx.included.has(el.id)) return;
+
+    const cx = el.x + (el.width || 0) / 2;
+    const cy = el.y + (el.height || 0) / 2;
+    const shape = {
+        fill: el.fill,
+        stroke: el.stroke || ctx.stroke,
+        strokeWidth: el.strokeWidth || ctx.strokeWidth,
+        opacity: el.opacity ?? 1
+    };
+
+    if (isConnector(el)) return renderConnector(el, ctx);
+    if (isMindMapNode(el)) return renderMindMapNode(el, ctx);
+
+    switch (el.type) {
+        case GROUP_TYPE:
+            ctx.ops.push('q', transformOps(el.x || 0, el.y || 0, el.rotation, el.scaleX ?? 1, el.scaleY ?? 1));
+            renderChildren(el, ctx, el.opacity ?? 1);
+            ctx.ops.push('Q');
+            return;
+
+        case FRAME_TYPE:
+            ctx.ops.push('q', transformOps(el.x, el.y));
+            // A frame only wrapping selected children is exported without its background
+            if (!ctx.wrappersOnly.has(el.id)) {
+                drawPath(ctx, rectOps(0, 0, el.width, el.height), { fill: el.fill || '#ffffff', stroke: el.stroke || '#d1d5db', strokeWidth: 1, opacity: el.opacity ?? 1 });
+            }
+            ctx.ops.push(`${rectOps(0, 0, el.width, el.height)} W n`);
+            renderChildren(el, ctx, el.opacity ?? 1);
+            ctx.ops.push('Q');
+            return;
+
+        case STICKY_TYPE:
+            return renderStickyNote(el, ctx);
+
+        case 'pen': {
+            const { opacity, ...brushStyle } = getBrushStyle(el);
+            const brush = { ...shape, ...brushStyle, opacity: shape.opacity * opacity };
+            if (hasPressure(el)) {
+                // Pressure strokes are filled outlines
+                const outline = getStrokeOutline(el.points, el.pressures, shape.strokeWidth);
+                return drawPath(ctx, polygonOps(outline), { ...brush, fill: shape.stroke, stroke: null }, rotateAbout(el.rotation, 0, 0));
+            }
+            return drawPath(ctx, pathOps(smoothCommands(el.points || [], PEN_TENSION)), { ...brush, fill: null }, rotateAbout(el.rotation, 0, 0));
+        }
+
+        case 'rectangle':
+            return drawPath(ctx, rectOps(el.x, el.y, el.width, el.height, el.cornerRadius || 0), shape, rotateAbout(el.rotation, el.x, el.y));
+
+        case 'circle': {
+            const radius = Math.min(el.width, el.height) / 2;
+            return drawPath(ctx, ellipseOps(cx, cy, radius, radius), shape, rotateAbout(el.rotation, cx, cy));
+        }
+
+        case 'triangle':
+        case 'hexagon':
+        case 'pentagon':
+        case 'star':
+            return drawPath(ctx, polygonOps(getPolygonPoints(el)), shape, rotateAbout(el.rotation, cx, cy));
+
+        case 'text':
+            return renderText(el, ctx);
+
+        case 'image':
+            return renderImage(el, ctx);
+
+        default:
+            return;
+    }
+}
+
+/** Grid lines or dots over the canvas area a page shows */
+function renderBackground(ctx, pattern, area, scale) {
+    const startX = Math.floor(area.x / GRID_SIZE) * GRID_SIZE;
+    const startY = Math.floor(area.y / GRID_SIZE) * GRID_SIZE;
+    const endX = area.x + area.width;
+    const endY = area.y + area.height;
+    const path = [];
+
+    if (pattern === 'grid') {
+        for (let x = startX; x <= endX; x += GRID_SIZE) path.push(`${nums(x, area.y)} m ${nums(x, endY)} l`);
+        for (let y = startY; y <= endY; y += GRID_SIZE) path.push(`${nums(area.x, y)} m ${nums(endX, y)} l`);
+        if (path.length > 0) drawPath(ctx, path.join(' '), { stroke: GRID_COLOR, strokeWidth: 0.5 / scale });
+    } else if (pattern === 'dots') {
+        for (let x = startX; x <= endX; x += GRID_SIZE) {
+            for (let y = startY; y <= endY; y += GRID_SIZE) path.push(ellipseOps(x, y, 1 / scale, 1 / scale));
+        }
+        if (path.length > 0) drawPath(ctx, path.join(' '), { fill: DOT_COLOR });
+    }
+}
+
+/**
+ * Page size and the scale/offset that fit content bounds inside the margins.
+ * Fixed page sizes turn landscape for wide content; 'fit' sizes the page to
+ * the content at 1pt per canvas unit, scaled down past the largest page.
+ */
+function layoutPage(bounds, pageSize, margin) {
+    const contentWidth = Math.max(bounds.width, 1);
+    const contentHeight = Math.max(bounds.height, 1);
+
+    let width;
+    let height;
+    let scale;
+    if (pageSize === 'fit') {
+        scale = Math.min(1, (MAX_PAGE_SIDE - margin * 2) / contentWidth, (MAX_PAGE_SIDE - margin * 2) / contentHeight);
+        width = contentWidth * scale + margin * 2;
+        height = contentHeight * scale + margin * 2;
+    } else {
+        const [short, long] = PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES.A4;
+        [width, height] = contentWidth > contentHeight ? [long, short] : [short, long];
+        scale = Math.min((width - margin * 2) / contentWidth, (height - margin * 2) / contentHeight);
+    }
+
+    return {
+        width,
+        height,
+        scale,
+        offsetX: (width - contentWidth * scale) / 2 - bounds.x * scale,
+        offsetY: (height - contentHeight * scale) / 2 - bounds.y * scale
+    };
+}
+
+/**
+ * What each page shows: every frame on its own page (in drawing order), or
+ * all content on one. Without visible frames, frame pages fall back to one
+ * page of the whole canvas.
+ *
+ * @param {Array<object>} elements
+ * @param {'canvas'|'frames'} pages
+ * @returns {Array<{ name: string, scope: object }>}
+ */
+export function getPdfPages(elements, pages = 'canvas') {
+    if (pages === 'frames') {
+        const framePages = getFrames(elements)
+            .map(frame => ({ name: frame.name || 'Frame', scope: getExportScope(elements, [frame.id]) }))
+            .filter(page => page.scope);
+        if (framePages.length > 0) return framePages;
+    }
+    const scope = getExportScope(elements);
+    return scope ? [{ name: 'Canvas', scope }] : [];
+}
+
+/** Joins strings (written byte per char) and byte arrays into one byte array */
+function toBytes(parts) {
+    const chunks = parts.map(part => (typeof part === 'string'
+        ? Uint8Array.from(part, char => char.charCodeAt(0))
+        : part));
+    const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+}
+
+/**
+ * Writes numbered objects (object n is objects[n - 1]) into a PDF file
+ * with its cross-reference table.
+ */
+function writePdf(objects, infoNumber) {
+    const header = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const body = [];
+    const offsets = [];
+    let length = header.length;
+
+    objects.forEach((object, i) => {
+        const parts = [`${i + 1} 0 obj\n`, ...(Array.isArray(object) ? object : [object]), '\nendobj\n'];
+        offsets.push(length);
+        length += parts.reduce((sum, part) => sum + part.length, 0);
+        body.push(...parts);
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `)
+    ].join('\n');
+    const trailer = `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoNumber} 0 R >>\nstartxref\n${length}\n%%EOF\n`;
+
+    return toBytes([header, ...body, `${xref}\n`, trailer]);
+}
+
+function stream(dictionary, content) {
+    return [`<< ${dictionary ? `${dictionary} ` : ''}/Length ${content.length} >>\nstream\n`, content, '\nendstream'];
+}
+
+/**
+ * Builds a PDF of the canvas.
+ *
+ * @param {Array<object>} elements
+ * @param {object} [options]
+ * @param {'canvas'|'frames'} [options.pages] - One page of all content, or one per frame
+ * @param {'A4'|'A3'|'Letter'|'fit'} [options.pageSize] - 'fit' sizes each page to its content
+ * @param {number} [options.margin] - In points
+ * @param {'none'|'grid'|'dots'} [options.background]
+ * @param {string} [options.title] - Document title shown by PDF readers
+ * @param {(text: string, fontSize: number, fontFamily: string) => number} [options.measureText]
+ * @param {string} [options.stroke] - Stroke for shapes saved without one (the page's current stroke)
+ * @param {number} [options.strokeWidth]
+ * @param {Map<string, {data: Uint8Array, width: number, height: number}>} [options.images]
+ *   JPEG bytes of image elements, by url
+ * @returns {Uint8Array|null} null if there is nothing to export
+ */
+export function createPdf(elements, {
+    pages = 'canvas',
+    pageSize = 'A4',
+    margin = 36,
+    background = 'none',
+    title = 'Canvas',
+    measureText = estimateTextWidth,
+    stroke = '#000000',
+    strokeWidth = 2,
+    images = new Map()
+} = {}) {
+    const pageList = getPdfPages(elements, pages);
+    if (pageList.length === 0) return null;
+
+    const resources = { fonts: new Map(), opacities: new Map(), images: new Map() };
+    const contents = pageList.map(({ scope }) => {
+        const page = layoutPage(scope.bounds, pageSize, margin);
+        const ctx = {
+            elements,
+            measure: measureText,
+            stroke,
+            strokeWidth,
+            images,
+            resources,
+            hidden: scope.hidden,
+            included: scope.included,
+            wrappersOnly: scope.wrappersOnly,
+            opacity: 1,
+            // Flip to y-down, then place the content
+            ops: [`1 0 0 -1 0 ${num(page.height)} cm`, `${nums(page.scale, 0, 0, page.scale, page.offsetX, page.offsetY)} cm`]
+        };
+
+        renderBackground(ctx, background, {
+            x: -page.offsetX / page.scale,
+            y: -page.offsetY / page.scale,
+            width: page.width / page.scale,
+            height: page.height / page.scale
+        }, page.scale);
+        getDrawingOrder(getRootElements(elements)).forEach(el => renderElement(el, ctx));
+        return { page, content: ctx.ops.join('\n') };
+    });
+
+    // Objects 1 and 2 are the catalog and page tree; shared resources follow, then the pages
+    const objects = [null, null];
+    const add = object => objects.push(object);
+
+    const fontRefs = [...resources.fonts].map(([baseFont, name]) => (
+        `/${name} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`)} 0 R`
+    ));
+    const opacityRefs = [...resources.opacities].map(([key, name]) => {
+        const [alpha, blendMode] = key.split(' ');
+        const blend = blendMode ? ` /BM /${blendMode.charAt(0).toUpperCase()}${blendMode.slice(1)}` : '';
+        return `/${name} ${add(`<< /Type /ExtGState /ca ${alpha} /CA ${alpha}${blend} >>`)} 0 R`;
+    });
+    const imageRefs = [...resources.images.values()].map(image => (
+        `/${image.name} ${add(stream(
+            `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`,
+            image.data
+        ))} 0 R`
+    ));
+    const resourceDict = [
+        '/ProcSet [/PDF /Text /ImageC]',
+        fontRefs.length > 0 ? `/Font << ${fontRefs.join(' ')} >>` : '',
+        opacityRefs.length > 0 ? `/ExtGState << ${opacityRefs.join(' ')} >>` : '',
+        imageRefs.length > 0 ? `/XObject << ${imageRefs.join(' ')} >>` : ''
+    ].filter(Boolean).join(' ');
+
+    const pageRefs = contents.map(({ page, content }) => {
+        const contentNumber = add(stream('', content));
+        return `${add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${nums(page.width, page.height)}] /Resources << ${resourceDict} >> /Contents ${contentNumber} 0 R >>`)} 0 R`;
+    });
+
+    objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} >>`;
+    const infoNumber = add(`<< /Title ${pdfString(title)} /Producer (PrisMap) >>`);
+
+    return writePdf(objects, infoNumber);
+}
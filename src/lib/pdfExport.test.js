@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest'
+import { createPdf, getPdfPages } from './pdfExport'
+
+const decode = bytes => String.fromCharCode(...bytes);
+
+describe('pdfExport', () => {
+    const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, fill: '#ff0000', stroke: '#000000', strokeWidth: 2 };
+    const frameA = { id: 'a', type: 'frame', x: 0, y: 0, width: 400, height: 300, name: 'Intro', fill: '#ffffff' };
+    const frameB = { id: 'b', type: 'frame', x: 600, y: 0, width: 400, height: 300, name: 'Plan', fill: '#ffffff' };
+    const child = { ...rect, id: 'c', parentId: 'b', x: 10, y: 10 };
+
+    it('writes a PDF with a valid cross-reference table', () => {
+        const pdf = decode(createPdf([rect]));
+
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+
+        const xrefOffset = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+        expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+        const entries = pdf.slice(xrefOffset).split('\n').slice(3).filter(line => / n $/.test(line));
+        entries.forEach((entry, i) => {
+            const offset = Number(entry.slice(0, 10));
+            expect(pdf.slice(offset, offset + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`);
+        });
+    });
+
+    it('draws shapes as vector paths in a flipped, fitted page', () => {
+        const pdf = decode(createPdf([rect], { pageSize: 'fit', margin: 10 }));
+
+        expect(pdf).toContain('/MediaBox [0 0 120 70]');
+        expect(pdf).toContain('1 0 0 -1 0 70 cm');
+        expect(pdf).toContain('1 0 0 1 10 10 cm');
+        expect(pdf).toContain('1 0 0 rg 0 0 0 RG 2 w');
+        expect(pdf).toContain('0 0 100 50 re B');
+    });
+
+    it('draws brush strokes with their blending, caps and dashes', () => {
+        const highlight = { id: 'h', type: 'pen', brush: 'highlighter', points: [0, 0, 100, 0], stroke: '#ffff00', strokeWidth: 20 };
+        const pdf = decode(createPdf([highlight, { ...highlight, id: 'm', brush: 'marker' }, { ...highlight, id: 'd', brush: 'dashed', strokeWidth: 2 }]));
+
+        expect(pdf).toContain('/ca 0.4 /CA 0.4 /BM /Multiply');
+        expect(pdf).toContain('20 w 0 J');
+        expect(pdf).toContain('[6 6] 0 d');
+    });
+
+    it('puts each frame on its own page, or everything on one', () => {
+        const elements = [frameA, frameB, child];
+
+        expect(getPdfPages(elements, 'frames').map(page => page.name)).toEqual(['Intro', 'Plan']);
+        expect(getPdfPages(elements, 'canvas')).toHaveLength(1);
+        expect(getPdfPages([rect], 'frames')).toHaveLength(1);
+        expect(decode(createPdf(elements, { pages: 'frames' }))).toContain('/Count 2');
+    });
+
+    it('turns fixed pages landscape for wide content', () => {
+        const pdf = decode(createPdf([rect], { pageSize: 'A4' }));
+        expect(pdf).toContain('/MediaBox [0 0 841.89 595.28]');
+    });
+
+    it('writes text with standard fonts, escaped', () => {
+        const text = { id: 't', type: 'text', x: 0, y: 0, text: 'Hi (there)\ncafé', fontSize: 20, fontFamily: 'Georgia', fontStyle: 'bold' };
+        const pdf = decode(createPdf([text]));
+
+        expect(pdf).toContain('/BaseFont /Times-Bold /Encoding /WinAnsiEncoding');
+        expect(pdf).toContain('(Hi \\(there\\)) Tj');
+        expect(pdf).toContain('(caf\\351) Tj');
+    });
+
+    it('draws the background pattern and embeds JPEG images', () => {
+        const image = { id: 'i', type: 'image', x: 0, y: 0, width: 100, height: 100, url: 'https://example.com/a.jpg' };
+        const data = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+        const pdf = decode(createPdf([image], {
+            pageSize: 'fit',
+            margin: 0,
+            background: 'grid',
+            images: new Map([[image.url, { data, width: 2, height: 2 }]])
+        }));
+
+        expect(pdf).toContain('0.898 0.906 0.922 RG');
+        expect(pdf).toContain('/Filter /DCTDecode /Length 4');
+        expect(pdf).toContain('100 0 0 -100 0 100 cm /Im1 Do');
+    });
+
+    it('returns null when there is nothing to export', () => {
+        expect(createPdf([])).toBeNull();
+        expect(createPdf([{ ...rect, visible: false }])).toBeNull();
+    });
+});
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Pen stroke pipeline: smoothing while drawing, simplification
+ * when the stroke ends, and variable-width outlines for pressure strokes.
+ *
+ * Design decisions:
+ * - Smoothing is a "streamline": each new point moves only part of the way
+ *   from the previous one towards the pointer, which irons out hand jitter
+ *   at the cost of a little lag. 0 follows the pointer exactly.
+ * - Finished strokes are simplified with Ramer–Douglas–Peucker at about
+ *   half a screen pixel, so straight runs keep only their ends while curves
+ *   keep their shape. Pressure counts as a third coordinate, so a straight
+ *   run that swells keeps the points where its width changes.
+ * - Pressure strokes store one rounded `pressures` value (0–1) per point
+ *   next to `points`; strokes drawn with a mouse have none and are drawn
+ *   as a line of even width, as before. Pen tilt widens the stroke the way
+ *   a pencil's side does, and is folded into the stored pressure.
+ * - Pressure strokes are drawn as a filled outline built around the
+ *   points (perfect-freehand style, with round caps), cached per points
+ *   array since elements are immutable.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+/** How far each point lags behind the pointer by default (0–1) */
+export const DEFAULT_STREAMLINE = 0.5;
+
+/** Simplification tolerance, in screen pixels */
+export const SIMPLIFY_TOLERANCE = 0.5;
+
+/** How much pressure changes the width: 0 keeps it even, 1 goes from nothing to double */
+export const PRESSURE_THINNING = 0.6;
+
+/** Segments in each round end of an outline */
+const CAP_SEGMENTS = 8;
+
+/** points array → { pressures, size, outline } */
+const outlines = new WeakMap();
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Next point of a stroke being drawn, part of the way towards the pointer.
+ *
+ * @param {{x: number, y: number}|null} previous - Last point of the stroke
+ * @param {{x: number, y: number}} point - Pointer position
+ * @param {number} streamline - 0 (follow exactly) to <1 (heavy smoothing)
+ * @returns {{x: number, y: number}}
+ */
+export function streamlinePoint(previous, point, streamline) {
+    if (!previous || streamline <= 0) return point;
+    const t = 1 - Math.min(streamline, 0.95);
+    return { x: previous.x + (point.x - previous.x) * t, y: previous.y + (point.y - previous.y) * t };
+}
+
+/**
+ * Pressure of a pen sample, with tilt folded in; null for mice and touch,
+ * which don't report a usable pressure.
+ *
+ * @param {{pointerType?: string, pressure?: number, tiltX?: number, tiltY?: number}} [event] - A PointerEvent
+ * @returns {number|null}
+ */
+export function getPointerPressure(event) {
+    if (event?.pointerType !== 'pen' || !Number.isFinite(event.pressure)) return null;
+    // 0 held upright, 1 lying flat
+    const tilt = Math.min(1, Math.hypot(event.tiltX || 0, event.tiltY || 0) / 90);
+    return Math.min(1, Math.max(0, event.pressure * (1 + tilt / 2)));
+}
+
+/** Squared distance from point i to the chord from a to b, pressure included */
+function deviation(points, pressures, weight, a, i, b) {
+    const [ax, ay, bx, by] = [points[a * 2], points[a * 2 + 1], points[b * 2], points[b * 2 + 1]];
+    const [px, py] = [points[i * 2], points[i * 2 + 1]];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+    const ex = px - (ax + dx * t);
+    const ey = py - (ay + dy * t);
+    if (!pressures) return ex * ex + ey * ey;
+    const ep = (pressures[i] - (pressures[a] + (pressures[b] - pressures[a]) * t)) * weight;
+    return ex * ex + ey * ey + ep * ep;
+}
+
+/**
+ * Ramer–Douglas–Peucker simplification of a stroke.
+ *
+ * @param {Array<number>} points - Flat `[x1, y1, ...]`
+ * @param {Array<number>|null} pressures - One per point, or null
+ * @param {number} tolerance - Largest allowed deviation, in canvas units
+ * @param {number} [pressureWeight] - Canvas units one unit of pressure counts as
+ * @returns {{ points: Array<number>, pressures: Array<number>|null }}
+ */
+export function simplifyStroke(points, pressures, tolerance, pressureWeight = 0) {
+    const count = points.length / 2;
+    if (count <= 2 || tolerance <= 0) return { points, pressures };
+
+    const keep = new Uint8Array(count);
+    keep[0] = 1;
+    keep[count - 1] = 1;
+    // Iterative, so long strokes can't overflow the call stack
+    const ranges = [[0, count - 1]];
+    while (ranges.length > 0) {
+        const [a, b] = ranges.pop();
+        let farthest = -1;
+        let farthestDistance = tolerance * tolerance;
+        for (let i = a + 1; i < b; i++) {
+            const distance = deviation(points, pressures, pressureWeight, a, i, b);
+            if (distance > farthestDistance) {
+                farthest = i;
+                farthestDistance = distance;
+            }
+        }
+        if (farthest !== -1) {
+            keep[farthest] = 1;
+            ranges.push([a, farthest], [farthest, b]);
+        }
+    }
+
+    const kept = [];
+    const keptPressures = pressures ? [] : null;
+    for (let i = 0; i < count; i++) {
+        if (!keep[i]) continue;
+        kept.push(points[i * 2], points[i * 2 + 1]);
+        if (keptPressures) keptPressures.push(pressures[i]);
+    }
+    return { points: kept, pressures: keptPressures };
+}
+
+/**
+ * The stored form of a finished stroke: simplified, with coordinates and
+ * pressures rounded to hundredths. Pressures are left out when the stroke
+ * has none.
+ *
+ * @param {Array<number>} points
+ * @param {Array<number|null>} pressures - One per point; null where unknown
+ * @param {object} options
+ * @param {number} options.tolerance - Simplification tolerance, in canvas units
+ * @param {number} options.size - Stroke width, to weigh pressure changes
+ * @returns {{ points: Array<number>, pressures?: Array<number> }}
+ */
+export function finishStroke(points, pressures, { tolerance, size }) {
+    const hasPressure = pressures.length === points.length / 2 && pressures.some(p => p !== null);
+    const simplified = simplifyStroke(points, hasPressure ? pressures.map(p => p ?? 0.5) : null, tolerance, size);
+    const stroke = { points: simplified.points.map(round) };
+    if (hasPressure) stroke.pressures = simplified.pressures.map(round);
+    return stroke;
+}
+
+/**
+ * Half the width of a pressure stroke at a point.
+ *
+ * @param {number} size - Stroke width at medium pressure
+ * @param {number} pressure - 0–1
+ * @returns {number}
+ */
+export function getStrokeRadius(size, pressure) {
+    return Math.max(size * 0.1, (size / 2) * (1 + PRESSURE_THINNING * (pressure * 2 - 1)));
+}
+
+/** Points on a circle around (x, y), from angle `from` to `to`, ends excluded */
+function arc(x, y, radius, from, to) {
+    const points = [];
+    for (let i = 1; i < CAP_SEGMENTS; i++) {
+        const angle = from + ((to - from) * i) / CAP_SEGMENTS;
+        points.push(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+    }
+    return points;
+}
+
+/**
+ * Closed outline of a variable-width stroke, as flat polygon points: down
+ * the left side, round the end, back up the right side and round the start.
+ * For a stroke still being drawn; saved strokes use getStrokeOutline.
+ *
+ * @param {Array<number>} points
+ * @param {Array<number>} pressures - One per point
+ * @param {number} size - Stroke width at medium pressure
+ * @returns {Array<number>}
+ */
+export function buildStrokeOutline(points, pressures, size) {
+    const count = points.length / 2;
+    const at = i => ({ x: points[i * 2], y: points[i * 2 + 1] });
+    const radii = Array.from({ length: count }, (_, i) => getStrokeRadius(size, pressures[i] ?? 0.5));
+
+    if (count === 1) {
+        const { x, y } = at(0);
+        return [x + radii[0], y, ...arc(x, y, radii[0], 0, Math.PI * 2)];
+    }
+
+    const left = [];
+    const right = [];
+    const angles = [];
+    let direction = { x: 1, y: 0 };
+    for (let i = 0; i < count; i++) {
+        // Along the stroke, from the neighbours on either side
+        const before = at(Math.max(0, i - 1));
+        const after = at(Math.min(count - 1, i + 1));
+        const length = Math.hypot(after.x - before.x, after.y - before.y);
+        if (length > 0) direction = { x: (after.x - before.x) / length, y: (after.y - before.y) / length };
+        const normal = { x: -direction.y, y: direction.x };
+        const { x, y } = at(i);
+        left.push(x + normal.x * radii[i], y + normal.y * radii[i]);
+        right.push(x - normal.x * radii[i], y - normal.y * radii[i]);
+        angles.push(Math.atan2(normal.y, normal.x));
+    }
+
+    const start = at(0);
+    const end = at(count - 1);
+    const reversedRight = [];
+    for (let i = right.length - 2; i >= 0; i -= 2) reversedRight.push(right[i], right[i + 1]);
+    return [
+        ...left,
+        ...arc(end.x, end.y, radii[count - 1], angles[count - 1], angles[count - 1] - Math.PI),
+        ...reversedRight,
+        ...arc(start.x, start.y, radii[0], angles[0] + Math.PI, angles[0])
+    ];
+}
+
+/**
+ * buildStrokeOutline, cached for saved strokes.
+ *
+ * @param {Array<number>} points
+ * @param {Array<number>} pressures
+ * @param {number} size
+ * @returns {Array<number>}
+ */
+export function getStrokeOutline(points, pressures, size) {
+    const cached = outlines.get(points);
+    if (cached && cached.pressures === pressures && cached.size === size) return cached.outline;
+    const outline = buildStrokeOutline(points, pressures, size);
+    outlines.set(points, { pressures, size, outline });
+    return outline;
+}
+
+/**
+ * @param {object} el
+ * @returns {boolean} true if a pen stroke has a pressure per point
+ */
+export function hasPressure(el) {
+    return el.type === 'pen' && Array.isArray(el.pressures) && el.pressures.length === (el.points?.length || 0) / 2;
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import {
+    streamlinePoint,
+    getPointerPressure,
+    simplifyStroke,
+    finishStroke,
+    getStrokeRadius,
+    getStrokeOutline,
+    hasPressure
+} from './penStrokes'
+
+describe('penStrokes', () => {
+    it('moves part of the way towards the pointer when smoothing', () => {
+        expect(streamlinePoint(null, { x: 10, y: 10 }, 0.5)).toEqual({ x: 10, y: 10 });
+        expect(streamlinePoint({ x: 0, y: 0 }, { x: 10, y: 20 }, 0)).toEqual({ x: 10, y: 20 });
+        expect(streamlinePoint({ x: 0, y: 0 }, { x: 10, y: 20 }, 0.5)).toEqual({ x: 5, y: 10 });
+    });
+
+    it('reads pressure from pens only and widens tilted pens', () => {
+        expect(getPointerPressure({ pointerType: 'mouse', pressure: 0.5 })).toBeNull();
+        expect(getPointerPressure({ pointerType: 'touch', pressure: 1 })).toBeNull();
+        expect(getPointerPressure({ pointerType: 'pen', pressure: 0.4 })).toBe(0.4);
+        expect(getPointerPressure({ pointerType: 'pen', pressure: 0.4, tiltX: 90 })).toBeCloseTo(0.6);
+        expect(getPointerPressure({ pointerType: 'pen', pressure: 0.9, tiltX: 60, tiltY: 60 })).toBe(1);
+    });
+
+    it('keeps only the ends of a straight run and the corners of a bend', () => {
+        const straight = [0, 0, 1, 0.1, 2, -0.1, 3, 0, 4, 0];
+        expect(simplifyStroke(straight, null, 0.5).points).toEqual([0, 0, 4, 0]);
+
+        const bend = [0, 0, 5, 0, 10, 0, 10, 5, 10, 10];
+        expect(simplifyStroke(bend, null, 0.5).points).toEqual([0, 0, 10, 0, 10, 10]);
+    });
+
+    it('keeps points where the pressure changes along a straight run', () => {
+        const points = [0, 0, 5, 0, 10, 0];
+        expect(simplifyStroke(points, [0.5, 0.5, 0.5], 0.5, 10).pressures).toEqual([0.5, 0.5]);
+        expect(simplifyStroke(points, [0.2, 0.9, 0.2], 0.5, 10)).toEqual({ points, pressures: [0.2, 0.9, 0.2] });
+    });
+
+    it('simplifies long strokes without running out of stack', () => {
+        const points = Array.from({ length: 200000 }, (_, i) => (i % 2 ? Math.sin(i / 1000) * 50 : i));
+        const { points: simplified } = simplifyStroke(points, null, 0.5);
+        expect(simplified.length).toBeGreaterThan(4);
+        expect(simplified.length).toBeLessThan(points.length / 10);
+    });
+
+    it('stores rounded points and leaves out missing pressures', () => {
+        const plain = finishStroke([0.123, 0.456, 10.111, 0], [null, null], { tolerance: 0.5, size: 4 });
+        expect(plain).toEqual({ points: [0.12, 0.46, 10.11, 0] });
+
+        const pressed = finishStroke([0, 0, 10, 0], [0.333, 0.5], { tolerance: 0.5, size: 4 });
+        expect(pressed).toEqual({ points: [0, 0, 10, 0], pressures: [0.33, 0.5] });
+    });
+
+    it('draws harder pressure wider', () => {
+        expect(getStrokeRadius(10, 0.5)).toBe(5);
+        expect(getStrokeRadius(10, 1)).toBeGreaterThan(getStrokeRadius(10, 0.2));
+        expect(getStrokeRadius(10, 0)).toBeGreaterThan(0);
+    });
+
+    it('outlines a stroke on both sides with round ends', () => {
+        const points = [0, 0, 100, 0];
+        const pressures = [0.5, 0.5];
+        const outline = getStrokeOutline(points, pressures, 10);
+        const ys = outline.filter((_, i) => i % 2 === 1);
+        const xs = outline.filter((_, i) => i % 2 === 0);
+
+        expect(Math.max(...ys)).toBeCloseTo(5);
+        expect(Math.min(...ys)).toBeCloseTo(-5);
+        expect(Math.max(...xs)).toBeGreaterThan(100);
+        expect(Math.min(...xs)).toBeLessThan(0);
+        expect(getStrokeOutline(points, pressures, 10)).toBe(outline);
+        expect(getStrokeOutline([5, 5], [0.5], 10).length).toBeGreaterThan(4);
+    });
+
+    it('recognises strokes with a pressure per point', () => {
+        expect(hasPressure({ type: 'pen', points: [0, 0, 1, 1], pressures: [0.5, 0.6] })).toBe(true);
+        expect(hasPressure({ type: 'pen', points: [0, 0, 1, 1], pressures: [0.5] })).toBe(false);
+        expect(hasPressure({ type: 'pen', points: [0, 0, 1, 1] })).toBe(false);
+    });
+});
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview The `.prismap` file format: a JSON backup of one canvas.
+ *
+ * Design decisions:
+ * - A file holds `{ format: 'prismap', version, exportedAt, title,
+ *   elements, images }`. Image elements point into `images` by `imageId`;
+ *   each image is embedded as a data URL (`{ data }`) or referenced by its
+ *   address (`{ url }`), so the same picture is stored once.
+ * - Version 1 files had no `images` table: image elements kept their
+ *   `url`, embedded or not. Migrations run step by step up to
+ *   PRISMAP_VERSION, so every older file goes through the same checks.
+ * - Everything read from a file is validated before use; problems are
+ *   thrown as Errors whose message can be shown to the user as is.
+ * - Imported elements get fresh ids (references are remapped, dangling ones
+ *   dropped), so importing never collides with existing elements.
+ * - Copied elements go to the system clipboard as a small JSON payload
+ *   (`format: 'prismap-clipboard'`) so they can be pasted in another tab or
+ *   canvas. Images keep their Storage address, which works everywhere.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+import { GROUP_TYPE, FRAME_TYPE, cloneSubtrees } from './groups';
+import { CONNECTOR_TYPES, remapBindings } from './connectors';
+import { MIND_MAP_TYPE } from './mindMap';
+import { STICKY_TYPE } from './stickyNotes';
+
+export const PRISMAP_FORMAT = 'prismap';
+export const PRISMAP_VERSION = 2;
+export const PRISMAP_EXTENSION = '.prismap';
+export const PRISMAP_CLIPBOARD_FORMAT = 'prismap-clipboard';
+
+const ELEMENT_TYPES = [
+    'rectangle', 'circle', 'triangle', 'star', 'hexagon', 'pentagon', 'pen', 'text', 'image',
+    ...CONNECTOR_TYPES, GROUP_TYPE, FRAME_TYPE, MIND_MAP_TYPE, STICKY_TYPE
+];
+
+const NUMBER_FIELDS = [
+    'x', 'y', 'width', 'height', 'rotation', 'scaleX', 'scaleY', 'opacity', 'strokeWidth',
+    'fontSize', 'cornerRadius', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY', 'shadowOpacity'
+];
+
+const STRING_FIELDS = ['text', 'name', 'label', 'fill', 'stroke', 'fontFamily', 'fontStyle', 'textAlign', 'textColor', 'brush'];
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isId = value => typeof value === 'string' || Number.isFinite(value);
+
+/**
+ * Unique addresses of the canvas' images, e.g. to fetch them for embedding.
+ *
+ * @param {Array<object>} elements
+ * @returns {Array<string>}
+ */
+export function getImageUrls(elements) {
+    return [...new Set(elements.filter(el => el.type === 'image' && el.url).map(el => el.url))];
+}
+
+/**
+ * Builds the file contents for a canvas.
+ *
+ * @param {object} canvas
+ * @param {string} canvas.title
+ * @param {Array<object>} canvas.elements
+ * @param {Map<string, string>} [canvas.embedded] - Image address → data URL, for images to embed
+ * @param {Date} [canvas.exportedAt]
+ * @returns {object} ready for JSON.stringify
+ */
+export function createPrismapFile({ title, elements, embedded = new Map(), exportedAt = new Date() }) {
+    const images = {};
+    const imageIds = new Map();
+    getImageUrls(elements).forEach((url, i) => {
+        const imageId = `image-${i + 1}`;
+        imageIds.set(url, imageId);
+        images[imageId] = embedded.has(url) ? { data: embedded.get(url) } : { url };
+    });
+
+    return {
+        format: PRISMAP_FORMAT,
+        version: PRISMAP_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        title: title || 'Untitled',
+        elements: elements.map(el => {
+            if (el.type !== 'image' || !el.url) return el;
+            const { url, thumbnailUrl, ...rest } = el;
+            // An embedded image's thumbnail would still point at the stored copy
+            return thumbnailUrl && !embedded.has(url)
+                ? { ...rest, imageId: imageIds.get(url), thumbnailUrl }
+                : { ...rest, imageId: imageIds.get(url) };
+        }),
+        images
+    };
+}
+
+/** Steps from each version to the next, by the version they upgrade from */
+const MIGRATIONS = {
+    // Moves image addresses out of the elements into the images table
+    1: file => {
+        if (!Array.isArray(file.elements)) return { ...file, version: 2, images: {} };
+        const images = {};
+        const imageIds = new Map();
+        const elements = file.elements.map(el => {
+            if (!isPlainObject(el) || el.type !== 'image' || typeof el.url !== 'string') return el;
+            if (!imageIds.has(el.url)) {
+                const imageId = `image-${imageIds.size + 1}`;
+                imageIds.set(el.url, imageId);
+                images[imageId] = el.url.startsWith('data:') ? { data: el.url } : { url: el.url };
+            }
+            const { url, ...rest } = el;
+            return { ...rest, imageId: imageIds.get(url) };
+        });
+        return { ...file, version: 2, elements, images };
+    }
+};
+
+/**
+ * Brings a file of any supported version up to PRISMAP_VERSION.
+ *
+ * @param {object} file
+ * @returns {object}
+ */
+export function migratePrismapFile(file) {
+    let current = file;
+    while (current.version < PRISMAP_VERSION) {
+        current = MIGRATIONS[current.version](current);
+    }
+    return current;
+}
+
+/**
+ * First problem with an element, phrased to follow "Element N".
+ *
+ * @param {*} el
+ * @returns {string|null} null if the element is valid
+ */
+export function findElementProblem(el) {
+    if (!isPlainObject(el)) return 'is not an object';
+    if (!isId(el.id)) return 'has no valid id';
+    if (!ELEMENT_TYPES.includes(el.type)) return `has an unknown type "${el.type}"`;
+
+    const badNumber = NUMBER_FIELDS.find(field => field in el && !Number.isFinite(el[field]));
+    if (badNumber) return `has a "${badNumber}" that is not a number`;
+    const badString = STRING_FIELDS.find(field => el[field] != null && typeof el[field] !== 'string');
+    if (badString) return `has a "${badString}" that is not text`;
+
+    if ('points' in el && (!Array.isArray(el.points) || el.points.length % 2 !== 0 || !el.points.every(Number.isFinite))) {
+        return 'has invalid points';
+    }
+    if ('pressures' in el && (!Array.isArray(el.pressures) || el.pressures.length !== (el.points?.length || 0) / 2 ||
+        !el.pressures.every(Number.isFinite))) {
+        return 'has invalid pressures';
+    }
+    if (el.parentId != null && !isId(el.parentId)) return 'has an invalid parentId';
+    if (el.thumbnailUrl != null && !/^https?:\/\//.test(el.thumbnailUrl)) return 'has a thumbnail that is not a web address';
+    return null;
+}
+
+/**
+ * First problem with an entry of the images table, phrased to follow "Image X".
+ *
+ * @param {*} image - `{ data }` or `{ url }`
+ * @returns {string|null} null if the image is valid
+ */
+export function findImageProblem(image) {
+    if (!isPlainObject(image)) return 'is not an object';
+    if (typeof image.data === 'string') return image.data.startsWith('data:image/') ? null : 'has data that is not an image';
+    if (typeof image.url === 'string') return /^https?:\/\//.test(image.url) ? null : 'has an address that is not a web address';
+    return 'has neither data nor an address';
+}
+
+/** Throws a user-facing Error for the first problem in a current-version file */
+function validate(file) {
+    if (!Array.isArray(file.elements)) throw new Error('The file has no list of elements.');
+    if (file.title != null && typeof file.title !== 'string') throw new Error('The canvas title in the file is not text.');
+    if (!isPlainObject(file.images)) throw new Error('The file has no image table.');
+
+    Object.entries(file.images).forEach(([imageId, image]) => {
+        const problem = findImageProblem(image);
+        if (problem) throw new Error(`Image "${imageId}" ${problem}.`);
+    });
+
+    const ids = new Set();
+    file.elements.forEach((el, i) => {
+        const problem = findElementProblem(el);
+        if (problem) throw new Error(`Element ${i + 1} ${problem}.`);
+        if (ids.has(el.id)) throw new Error(`Element ${i + 1} has the same id as an earlier one.`);
+        ids.add(el.id);
+        if (el.type === 'image' && !isPlainObject(file.images[el.imageId])) {
+            throw new Error(`Element ${i + 1} uses an image that is not in the file.`);
+        }
+    });
+}
+
+/**
+ * Gives elements fresh ids, remapping group/frame parents, connector
+ * bindings and mind map parents. References to elements that aren't there
+ * are dropped.
+ *
+ * @param {Array<object>} elements
+ * @param {() => string} [createId]
+ * @returns {Array<object>}
+ */
+export function reassignIds(elements, createId) {
+    const { elements: copies, idMap } = cloneSubtrees(elements, { offset: 0, parentId: null, ...(createId && { createId }) });
+    return remapBindings(copies, idMap).map(el => (
+        'mindParentId' in el ? { ...el, mindParentId: idMap.get(el.mindParentId) ?? null } : el
+    ));
+}
+
+/**
+ * Reads a `.prismap` file: parses, migrates, validates, puts image
+ * addresses (or data URLs) back into the image elements and reassigns ids.
+ *
+ * @param {string} text - File contents
+ * @param {object} [options]
+ * @param {() => string} [options.createId] - Id generator for the imported elements
+ * @returns {{ title: string, elements: Array<object> }}
+ * @throws {Error} with a message for the user if the file can't be imported
+ */
+export function parsePrismapFile(text, { createId } = {}) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (!isPlainObject(file) || file.format !== PRISMAP_FORMAT) throw new Error('This is not a PrisMap file.');
+    if (!Number.isInteger(file.version) || file.version < 1) throw new Error('The file has no valid format version.');
+    if (file.version > PRISMAP_VERSION) {
+        throw new Error('This file was made by a newer version of PrisMap. Update the app to import it.');
+    }
+
+    const current = migratePrismapFile(file);
+    validate(current);
+
+    const elements = current.elements.map(el => {
+        if (el.type !== 'image') return el;
+        const { imageId, ...rest } = el;
+        const image = current.images[imageId];
+        return { ...rest, url: image.data ?? image.url };
+    });
+
+    return { title: current.title || 'Untitled', elements: reassignIds(elements, createId) };
+}
+
+/**
+ * Swaps image addresses, e.g. embedded data URLs for uploaded copies.
+ * Swapped images lose their thumbnail, which belonged to the old address.
+ *
+ * @param {Array<object>} elements
+ * @param {Map<string, string>} urls - Old address → new address
+ * @returns {Array<object>}
+ */
+export function replaceImageUrls(elements, urls) {
+    return elements.map(el => {
+        if (el.type !== 'image' || !urls.has(el.url)) return el;
+        const { thumbnailUrl, ...rest } = el;
+        return { ...rest, url: urls.get(el.url) };
+    });
+}
+
+/**
+ * Text for the system clipboard holding copied elements.
+ *
+ * @param {Array<object>} elements - A copied subtree (see getSubtrees)
+ * @returns {string}
+ */
+export function createClipboardPayload(elements) {
+    return JSON.stringify({ format: PRISMAP_CLIPBOARD_FORMAT, version: PRISMAP_VERSION, elements });
+}
+
+/**
+ * Elements from system clipboard text, if it holds a PrisMap payload.
+ * Anything else — plain text from another app, a payload from a newer
+ * version or one that doesn't validate — gives null.
+ *
+ * @param {string} text
+ * @returns {Array<object>|null} the copied elements, with their original ids
+ */
+export function parseClipboardPayload(text) {
+    let payload;
+    try {
+        payload = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    if (!isPlainObject(payload) || payload.format !== PRISMAP_CLIPBOARD_FORMAT || payload.version > PRISMAP_VERSION) return null;
+    if (!Array.isArray(payload.elements) || payload.elements.length === 0) return null;
+
+    const valid = payload.elements.every(el => !findElementProblem(el) && (
+        el.type !== 'image' || (typeof el.url === 'string' && !findImageProblem({ url: el.url }))
+    ));
+    return valid ? payload.elements : null;
+}
+
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest'
+import { createPrismapFile, parsePrismapFile, migratePrismapFile, replaceImageUrls, createClipboardPayload, parseClipboardPayload, PRISMAP_VERSION } from './prismapFile'
+
+const counter = () => {
+    let n = 0;
+    return () => `new-${++n}`;
+};
+
+describe('prismapFile', () => {
+    const group = { id: 'g', type: 'group', x: 10, y: 10 };
+    const child = { id: 'c', type: 'rectangle', x: 0, y: 0, width: 50, height: 50, parentId: 'g' };
+    const photo = { id: 'p', type: 'image', x: 0, y: 0, width: 100, height: 80, url: 'https://example.com/a.png' };
+    const logo = { id: 'l', type: 'image', x: 0, y: 0, width: 10, height: 10, url: 'https://example.com/logo.png' };
+    const arrow = { id: 'a', type: 'arrow', points: [0, 0, 100, 0], startBinding: { elementId: 'g', anchor: 'right' }, endBinding: { elementId: 'gone', anchor: 'left' } };
+
+    it('writes a versioned file with embedded or referenced images', () => {
+        const file = createPrismapFile({
+            title: 'Plan',
+            elements: [{ ...photo, thumbnailUrl: 'https://example.com/a_thumb' }, { ...logo, thumbnailUrl: 'https://example.com/logo_thumb' }, { ...logo, id: 'l2' }],
+            embedded: new Map([[photo.url, 'data:image/png;base64,AAAA']]),
+            exportedAt: new Date('2026-01-01T00:00:00Z')
+        });
+
+        expect(file).toMatchObject({ format: 'prismap', version: PRISMAP_VERSION, exportedAt: '2026-01-01T00:00:00.000Z', title: 'Plan' });
+        expect(file.images).toEqual({ 'image-1': { data: 'data:image/png;base64,AAAA' }, 'image-2': { url: logo.url } });
+        expect(file.elements.map(el => el.imageId)).toEqual(['image-1', 'image-2', 'image-2']);
+        expect(file.elements[0].url).toBeUndefined();
+        // Embedded images don't keep a thumbnail pointing at the stored copy
+        expect(file.elements.map(el => el.thumbnailUrl)).toEqual([undefined, 'https://example.com/logo_thumb', undefined]);
+    });
+
+    it('round-trips a canvas with fresh ids and remapped references', () => {
+        const text = JSON.stringify(createPrismapFile({ title: 'Plan', elements: [group, child, photo, arrow] }));
+        const { title, elements } = parsePrismapFile(text, { createId: counter() });
+
+        expect(title).toBe('Plan');
+        expect(elements.map(el => el.id)).toEqual(['new-1', 'new-2', 'new-3', 'new-4']);
+        expect(elements[1].parentId).toBe('new-1');
+        expect(elements[2].url).toBe(photo.url);
+        expect(elements[3].startBinding).toEqual({ elementId: 'new-1', anchor: 'right' });
+        expect(elements[3].endBinding).toBeNull();
+    });
+
+    it('remaps mind map parents and drops dangling ones', () => {
+        const root = { id: 'r', type: 'mindmap', x: 0, y: 0, width: 100, height: 40, text: 'Root', mindParentId: null };
+        const node = { ...root, id: 'n', text: 'Child', mindParentId: 'r' };
+        const orphan = { ...root, id: 'o', mindParentId: 'missing' };
+        const text = JSON.stringify(createPrismapFile({ title: 'Map', elements: [root, node, orphan] }));
+
+        const { elements } = parsePrismapFile(text, { createId: counter() });
+        expect(elements.map(el => el.mindParentId)).toEqual([null, 'new-1', null]);
+    });
+
+    it('migrates version 1 files, which kept image addresses in the elements', () => {
+        const v1 = { format: 'prismap', version: 1, title: 'Old', elements: [photo, { ...photo, id: 'q', url: 'data:image/png;base64,BBBB' }] };
+
+        expect(migratePrismapFile(v1).images).toEqual({ 'image-1': { url: photo.url }, 'image-2': { data: 'data:image/png;base64,BBBB' } });
+        expect(parsePrismapFile(JSON.stringify(v1)).elements.map(el => el.url)).toEqual([photo.url, 'data:image/png;base64,BBBB']);
+    });
+
+    it('rejects files it cannot import, saying why', () => {
+        const file = patch => JSON.stringify({ ...createPrismapFile({ title: 'T', elements: [child] }), ...patch });
+
+        expect(() => parsePrismapFile('{oops')).toThrow('not valid JSON');
+        expect(() => parsePrismapFile('{"format":"other"}')).toThrow('not a PrisMap file');
+        expect(() => parsePrismapFile(file({ version: PRISMAP_VERSION + 1 }))).toThrow('newer version');
+        expect(() => parsePrismapFile(file({ elements: [{ ...child, width: 'wide' }] }))).toThrow('Element 1 has a "width" that is not a number');
+        expect(() => parsePrismapFile(file({ elements: [{ ...child, type: 'hologram' }] }))).toThrow('unknown type');
+        expect(() => parsePrismapFile(file({ elements: [child, child] }))).toThrow('same id');
+        expect(() => parsePrismapFile(file({ elements: [{ ...photo, url: undefined, imageId: 'x' }] }))).toThrow('image that is not in the file');
+        expect(() => parsePrismapFile(file({ images: { x: { url: 'javascript:alert(1)' } } }))).toThrow('not a web address');
+        expect(() => parsePrismapFile(file({ elements: [{ ...child, thumbnailUrl: 'javascript:alert(1)' }] }))).toThrow('thumbnail that is not a web address');
+        expect(() => parsePrismapFile(file({ elements: [{ id: 'p', type: 'pen', points: [0, 0, 10, 10], pressures: [0.5] }] }))).toThrow('invalid pressures');
+    });
+
+    it('swaps image addresses', () => {
+        const swapped = replaceImageUrls([{ ...photo, thumbnailUrl: 'https://example.com/a_thumb' }, child], new Map([[photo.url, 'https://cdn/b.png']]));
+        expect(swapped[0].url).toBe('https://cdn/b.png');
+        expect(swapped[0].thumbnailUrl).toBeUndefined();
+        expect(swapped[1]).toBe(child);
+    });
+
+    it('round-trips copied elements through the system clipboard', () => {
+        const copied = [group, child, photo];
+        expect(parseClipboardPayload(createClipboardPayload(copied))).toEqual(copied);
+    });
+
+    it('ignores clipboard text that is not a PrisMap payload', () => {
+        expect(parseClipboardPayload('Meeting notes')).toBeNull();
+        expect(parseClipboardPayload('{"format":"other","elements":[]}')).toBeNull();
+        expect(parseClipboardPayload(createClipboardPayload([]))).toBeNull();
+        expect(parseClipboardPayload(createClipboardPayload([{ ...child, type: 'hologram' }]))).toBeNull();
+        expect(parseClipboardPayload(createClipboardPayload([{ ...photo, url: 'javascript:alert(1)' }]))).toBeNull();
+    });
+});
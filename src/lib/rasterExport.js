@@ -0,0 +1,101 @@
+/**
+ * @fileoverview What a PNG/JPG export covers and at what resolution.
+ *
+ * Design decisions:
+ * - Regions are in canvas units, never screen pixels: "all content" comes
+ *   from element bounds, so pan and zoom don't change the result, and the
+ *   scale is the number of image pixels per canvas unit.
+ * - The background pattern is generated for the region here rather than
+ *   captured from the stage, which only draws it where the view is.
+ * - Scales are cut down so the image stays within what browsers can put
+ *   on a canvas.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+import { getExportScope } from './exportGeometry';
+
+export const EXPORT_SCALES = [1, 2, 3, 4];
+
+/** Largest image side browsers reliably render to */
+export const MAX_EXPORT_SIDE = 16384;
+
+export const DEFAULT_RASTER_OPTIONS = {
+    scale: 2,
+    transparent: false,
+    includeGrid: false,
+    selectionOnly: false,
+    area: 'content', // 'content' | 'visible'
+    padding: 20
+};
+
+/**
+ * The canvas region to export.
+ *
+ * @param {Array<object>} elements
+ * @param {object} options
+ * @param {'content'|'visible'} options.area - All content (element bounds plus padding) or the current view
+ * @param {{x: number, y: number, width: number, height: number}} options.viewport - The view, in canvas units
+ * @param {Array<string|number>} [options.ids] - Export only these elements (and what they contain)
+ * @param {number} [options.padding]
+ * @returns {{x: number, y: number, width: number, height: number}|null} null if there is nothing to export
+ */
+export function getExportRegion(elements, { area, viewport, ids, padding = 0 }) {
+    if (area === 'visible') return { ...viewport };
+
+    const scope = getExportScope(elements, ids);
+    if (!scope) return null;
+    const { x, y, width, height } = scope.bounds;
+    return { x: x - padding, y: y - padding, width: width + padding * 2, height: height + padding * 2 };
+}
+
+/**
+ * @param {{width: number, height: number}} region
+ * @param {number} scale - Wanted image pixels per canvas unit
+ * @returns {number} the scale, lowered if the image would be too big
+ */
+export function fitPixelRatio(region, scale) {
+    return Math.min(scale, MAX_EXPORT_SIDE / Math.max(region.width, 1), MAX_EXPORT_SIDE / Math.max(region.height, 1));
+}
+
+/** First grid line at or after a coordinate (never -0) */
+function firstGridLine(start, gridSize) {
+    return Math.ceil(start / gridSize) * gridSize + 0;
+}
+
+/**
+ * Grid lines (every `gridSize` canvas units) crossing a region.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} region
+ * @param {number} gridSize
+ * @returns {Array<Array<number>>} [x1, y1, x2, y2] of each line
+ */
+export function getGridLines(region, gridSize) {
+    const right = region.x + region.width;
+    const bottom = region.y + region.height;
+    const lines = [];
+    for (let x = firstGridLine(region.x, gridSize); x <= right; x += gridSize) {
+        lines.push([x, region.y, x, bottom]);
+    }
+    for (let y = firstGridLine(region.y, gridSize); y <= bottom; y += gridSize) {
+        lines.push([region.x, y, right, y]);
+    }
+    return lines;
+}
+
+/**
+ * Grid dots (at grid line crossings) inside a region.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} region
+ * @param {number} gridSize
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function getGridDots(region, gridSize) {
+    const dots = [];
+    for (let x = firstGridLine(region.x, gridSize); x <= region.x + region.width; x += gridSize) {
+        for (let y = firstGridLine(region.y, gridSize); y <= region.y + region.height; y += gridSize) {
+            dots.push({ x, y });
+        }
+    }
+    return dots;
+}
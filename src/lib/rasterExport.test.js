@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest'
+import { getExportRegion, fitPixelRatio, getGridLines, getGridDots } from './rasterExport'
+
+describe('rasterExport', () => {
+    const a = { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 50 };
+    const b = { id: 'b', type: 'rectangle', x: 200, y: 100, width: 50, height: 50 };
+    const viewport = { x: -500, y: -300, width: 1200, height: 800 };
+
+    it('covers all content with padding, whatever the view', () => {
+        expect(getExportRegion([a, b], { area: 'content', viewport, padding: 10 })).toEqual({ x: -10, y: -10, width: 270, height: 170 });
+        expect(getExportRegion([a, b], { area: 'content', viewport, ids: ['b'] })).toEqual({ x: 200, y: 100, width: 50, height: 50 });
+        expect(getExportRegion([], { area: 'content', viewport })).toBeNull();
+    });
+
+    it('covers exactly the view for the visible area', () => {
+        expect(getExportRegion([a], { area: 'visible', viewport, padding: 10 })).toEqual(viewport);
+    });
+
+    it('lowers the scale for huge regions', () => {
+        expect(fitPixelRatio({ width: 1000, height: 500 }, 4)).toBe(4);
+        expect(fitPixelRatio({ width: 8192, height: 500 }, 4)).toBe(2);
+    });
+
+    it('generates the grid pattern for a region', () => {
+        const region = { x: -20, y: 10, width: 100, height: 60 };
+
+        expect(getGridLines(region, 50)).toEqual([
+            [0, 10, 0, 70],
+            [50, 10, 50, 70],
+            [-20, 50, 80, 50]
+        ]);
+        expect(getGridDots(region, 50)).toEqual([{ x: 0, y: 50 }, { x: 50, y: 50 }]);
+    });
+});
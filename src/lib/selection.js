@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Geometry for marquee (rubber-band) selection.
+ *
+ * Boxes are plain `{ x, y, width, height }` objects in canvas coordinates.
+ * Pure module — the page measures the Konva nodes and passes their boxes in.
+ */
+
+/**
+ * Builds a box from two corner points dragged in any direction.
+ *
+ * @param {{x1: number, y1: number, x2: number, y2: number}} corners
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function normalizeRect({ x1, y1, x2, y2 }) {
+    return {
+        x: Math.min(x1, x2),
+        y: Math.min(y1, y2),
+        width: Math.abs(x2 - x1),
+        height: Math.abs(y2 - y1)
+    };
+}
+
+/**
+ * @param {{x: number, y: number, width: number, height: number}} a
+ * @param {{x: number, y: number, width: number, height: number}} b
+ * @returns {boolean} true if the boxes overlap (touching edges count)
+ */
+export function rectsIntersect(a, b) {
+    return a.x <= b.x + b.width && b.x <= a.x + a.width &&
+        a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+/**
+ * @param {{x: number, y: number, width: number, height: number}} outer
+ * @param {{x: number, y: number, width: number, height: number}} inner
+ * @returns {boolean} true if `inner` lies entirely inside `outer`
+ */
+export function rectContains(outer, inner) {
+    return inner.x >= outer.x && inner.y >= outer.y &&
+        inner.x + inner.width <= outer.x + outer.width &&
+        inner.y + inner.height <= outer.y + outer.height;
+}
+
+/**
+ * Ids of the boxes hit by a marquee.
+ *
+ * @param {Array<{id: string|number, x: number, y: number, width: number, height: number}>} boxes
+ * @param {{x: number, y: number, width: number, height: number}} marquee
+ * @param {{contain?: boolean}} [options] - contain: only fully enclosed boxes count
+ * @returns {Array<string|number>}
+ */
+export function getMarqueeSelection(boxes, marquee, { contain = false } = {}) {
+    const hit = contain ? rectContains : rectsIntersect;
+    return boxes.filter(box => hit(marquee, box)).map(box => box.id);
+}
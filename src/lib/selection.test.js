@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeRect, rectsIntersect, rectContains, getMarqueeSelection } from './selection'
+
+describe('selection', () => {
+    const boxes = [
+        { id: 'a', x: 0, y: 0, width: 50, height: 50 },
+        { id: 'b', x: 100, y: 100, width: 50, height: 50 },
+        { id: 'c', x: 40, y: 40, width: 100, height: 20 }
+    ];
+
+    it('normalizes a marquee dragged up and to the left', () => {
+        expect(normalizeRect({ x1: 100, y1: 80, x2: 20, y2: 10 }))
+            .toEqual({ x: 20, y: 10, width: 80, height: 70 });
+    });
+
+    it('detects overlap and containment', () => {
+        expect(rectsIntersect(boxes[0], boxes[2])).toBe(true);
+        expect(rectsIntersect(boxes[0], boxes[1])).toBe(false);
+        expect(rectContains({ x: -10, y: -10, width: 100, height: 100 }, boxes[0])).toBe(true);
+        expect(rectContains(boxes[0], boxes[2])).toBe(false);
+    });
+
+    it('selects every box the marquee touches', () => {
+        const marquee = { x: 30, y: 30, width: 30, height: 30 };
+        expect(getMarqueeSelection(boxes, marquee)).toEqual(['a', 'c']);
+    });
+
+    it('selects only enclosed boxes in contain mode', () => {
+        const marquee = { x: -5, y: -5, width: 60, height: 60 };
+        expect(getMarqueeSelection(boxes, marquee, { contain: true })).toEqual(['a']);
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Grid snapping and smart guides for dragged elements.
+ *
+ * Design decisions:
+ * - Works on plain `{ x, y, width, height }` boxes (the page builds them
+ *   with getBoundingBox), so it knows nothing about Konva or element types.
+ * - Snapping to other elements wins over the grid: alignments only apply
+ *   within the threshold, the grid always applies when enabled.
+ * - Each axis is snapped on its own — an element can line up with one
+ *   shape horizontally and another vertically.
+ * - Guides are returned as line segments `{ points: [x1, y1, x2, y2] }`
+ *   in the same space as the boxes.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+/** Snap distance in screen pixels (divide by the zoom for canvas units) */
+export const SNAP_THRESHOLD = 6;
+
+/** Tolerance when checking whether two edges already line up */
+const EPSILON = 0.5;
+
+const AXES = {
+    x: { pos: 'x', size: 'width', crossPos: 'y', crossSize: 'height' },
+    y: { pos: 'y', size: 'height', crossPos: 'x', crossSize: 'width' }
+};
+
+/**
+ * @param {number} value
+ * @param {number} gridSize
+ * @returns {number} value rounded to the nearest grid line
+ */
+export function snapToGrid(value, gridSize) {
+    return Math.round(value / gridSize) * gridSize;
+}
+
+/**
+ * Smallest box containing all the given boxes.
+ *
+ * @param {Array<{x: number, y: number, width: number, height: number}>} boxes
+ * @returns {{x: number, y: number, width: number, height: number}|null} null for no boxes
+ */
+export function getUnionBox(boxes) {
+    if (boxes.length === 0) return null;
+    const minX = Math.min(...boxes.map(b => b.x));
+    const minY = Math.min(...boxes.map(b => b.y));
+    const maxX = Math.max(...boxes.map(b => b.x + b.width));
+    const maxY = Math.max(...boxes.map(b => b.y + b.height));
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/** Start, center and end of a box along an axis */
+function snapLines(box, { pos, size }) {
+    return [box[pos], box[pos] + box[size] / 2, box[pos] + box[size]];
+}
+
+function overlapsAcross(a, b, { crossPos, crossSize }) {
+    return a[crossPos] < b[crossPos] + b[crossSize] && b[crossPos] < a[crossPos] + a[crossSize];
+}
+
+/** Nearest edge/center alignment along one axis within the threshold */
+function findAlignment(box, others, axis, threshold) {
+    let best = null;
+    snapLines(box, axis).forEach(from => {
+        others.forEach(other => {
+            snapLines(other, axis).forEach(to => {
+                const offset = to - from;
+                if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                    best = { offset };
+                }
+            });
+        });
+    });
+    return best;
+}
+
+/**
+ * Nearest equal-spacing position along one axis within the threshold:
+ * between two neighbours with equal gaps on both sides, or continuing
+ * the gap between two neighbours on either side of them.
+ */
+function findEqualSpacing(box, others, axis, threshold) {
+    const { pos, size } = axis;
+    const row = others
+        .filter(other => overlapsAcross(box, other, axis))
+        .sort((a, b) => a[pos] - b[pos]);
+
+    let best = null;
+    const consider = (start, gaps) => {
+        const offset = start - box[pos];
+        if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+            best = { offset, gaps };
+        }
+    };
+
+    for (let i = 0; i < row.length; i++) {
+        for (let j = i + 1; j < row.length; j++) {
+            const a = row[i];
+            const b = row[j];
+            const aEnd = a[pos] + a[size];
+            const bEnd = b[pos] + b[size];
+            const gap = b[pos] - aEnd;
+            if (gap <= 0) continue;
+
+            // Centered between a and b
+            const middle = (aEnd + b[pos] - box[size]) / 2;
+            if (middle >= aEnd) {
+                consider(middle, [[aEnd, middle], [middle + box[size], b[pos]]]);
+            }
+            // After b, or before a, with the same gap as between them
+            consider(bEnd + gap, [[aEnd, b[pos]], [bEnd, bEnd + gap]]);
+            consider(a[pos] - gap - box[size], [[a[pos] - gap, a[pos]], [aEnd, b[pos]]]);
+        }
+    }
+    return best;
+}
+
+/** Guide lines through every edge/center of the moved box that lines up with another box */
+function alignmentGuides(box, others, axis) {
+    const { crossPos, crossSize } = axis;
+    const guides = [];
+    snapLines(box, axis).forEach(value => {
+        const matches = others.filter(other => snapLines(other, axis).some(v => Math.abs(v - value) < EPSILON));
+        if (matches.length === 0) return;
+
+        const all = [box, ...matches];
+        const start = Math.min(...all.map(b => b[crossPos]));
+        const end = Math.max(...all.map(b => b[crossPos] + b[crossSize]));
+        guides.push({ points: axis.pos === 'x' ? [value, start, value, end] : [start, value, end, value] });
+    });
+    return guides;
+}
+
+/** Short lines marking the equal gaps, drawn across the middle of the moved box */
+function spacingGuides(box, gaps, axis) {
+    const cross = box[axis.crossPos] + box[axis.crossSize] / 2;
+    return gaps.map(([from, to]) => ({
+        points: axis.pos === 'x' ? [from, cross, to, cross] : [cross, from, cross, to]
+    }));
+}
+
+/**
+ * Works out how far to nudge a dragged box so it snaps.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} box - Where the dragged box is now
+ * @param {Array<{x: number, y: number, width: number, height: number}>} others - Boxes it can snap to
+ * @param {{ threshold: number, gridSize?: number|null, smartGuides?: boolean }} options
+ * @returns {{ dx: number, dy: number, guides: Array<{points: Array<number>}> }}
+ */
+export function getSnap(box, others, { threshold, gridSize = null, smartGuides = true }) {
+    const result = { dx: 0, dy: 0, guides: [] };
+    const snapped = {};
+
+    ['x', 'y'].forEach(key => {
+        const axis = AXES[key];
+        let snap = null;
+        if (smartGuides) {
+            const alignment = findAlignment(box, others, axis, threshold);
+            const spacing = findEqualSpacing(box, others, axis, threshold);
+            snap = [alignment, spacing]
+                .filter(Boolean)
+                .sort((a, b) => Math.abs(a.offset) - Math.abs(b.offset))[0] || null;
+        }
+        if (!snap && gridSize) {
+            snap = { offset: snapToGrid(box[axis.pos], gridSize) - box[axis.pos] };
+        }
+        snapped[key] = snap;
+        result[key === 'x' ? 'dx' : 'dy'] = snap ? snap.offset : 0;
+    });
+
+    if (smartGuides) {
+        const moved = { ...box, x: box.x + result.dx, y: box.y + result.dy };
+        ['x', 'y'].forEach(key => {
+            const axis = AXES[key];
+            result.guides.push(...alignmentGuides(moved, others, axis));
+            if (snapped[key]?.gaps) result.guides.push(...spacingGuides(moved, snapped[key].gaps, axis));
+        });
+    }
+
+    return result;
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { snapToGrid, getUnionBox, getSnap } from './snapping'
+
+describe('snapping', () => {
+    const threshold = 6;
+
+    it('rounds to the nearest grid line', () => {
+        expect(snapToGrid(74, 50)).toBe(50);
+        expect(snapToGrid(76, 50)).toBe(100);
+    });
+
+    it('builds the union of several boxes', () => {
+        expect(getUnionBox([
+            { x: 0, y: 10, width: 20, height: 20 },
+            { x: 50, y: 0, width: 10, height: 10 }
+        ])).toEqual({ x: 0, y: 0, width: 60, height: 30 });
+        expect(getUnionBox([])).toBeNull();
+    });
+
+    it('snaps a left edge to another element\'s left edge and shows a guide', () => {
+        const other = { x: 100, y: 0, width: 50, height: 50 };
+        const dragged = { x: 104, y: 200, width: 30, height: 30 };
+
+        const { dx, dy, guides } = getSnap(dragged, [other], { threshold });
+
+        expect(dx).toBe(-4);
+        expect(dy).toBe(0);
+        expect(guides).toContainEqual({ points: [100, 0, 100, 230] });
+    });
+
+    it('snaps centers to centers', () => {
+        const other = { x: 0, y: 0, width: 100, height: 100 };
+        const dragged = { x: 200, y: 33, width: 40, height: 40 };
+
+        expect(getSnap(dragged, [other], { threshold }).dy).toBe(-3);
+    });
+
+    it('ignores elements beyond the threshold', () => {
+        const other = { x: 100, y: 0, width: 50, height: 50 };
+        const dragged = { x: 170, y: 200, width: 10, height: 10 };
+
+        expect(getSnap(dragged, [other], { threshold })).toEqual({ dx: 0, dy: 0, guides: [] });
+    });
+
+    it('snaps to equal spacing after two neighbours in a row', () => {
+        const a = { x: 0, y: 0, width: 50, height: 50 };
+        const b = { x: 80, y: 0, width: 50, height: 50 };
+        const dragged = { x: 163, y: 0, width: 50, height: 50 };
+
+        const { dx, guides } = getSnap(dragged, [a, b], { threshold });
+
+        expect(dx).toBe(-3);
+        expect(guides).toContainEqual({ points: [130, 25, 160, 25] });
+    });
+
+    it('falls back to the grid when nothing is close', () => {
+        const dragged = { x: 72, y: 130, width: 10, height: 10 };
+        expect(getSnap(dragged, [], { threshold, gridSize: 50 })).toMatchObject({ dx: -22, dy: 20 });
+    });
+
+    it('only snaps to the grid when smart guides are off', () => {
+        const other = { x: 100, y: 0, width: 50, height: 50 };
+        const dragged = { x: 104, y: 0, width: 30, height: 30 };
+
+        const snap = getSnap(dragged, [other], { threshold, gridSize: 50, smartGuides: false });
+        expect(snap).toEqual({ dx: -4, dy: 0, guides: [] });
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Uniform-grid spatial index over element boxes, used to only
+ * mount the elements in view.
+ *
+ * Design decisions:
+ * - A grid rather than an R-tree: it is rebuilt from scratch whenever the
+ *   elements change (one pass, no balancing), and canvas content is spread
+ *   fairly evenly, which is what grids are good at.
+ * - A box is filed under every cell it touches; queries collect the ids of
+ *   the cells in range and keep those whose box really intersects. Boxes
+ *   spanning many cells (a huge frame) are kept in a list checked on every
+ *   query instead, so one of them can't fill the grid.
+ * - Queries only walk cells that can hold something, and fall back to
+ *   checking every box when the range has more cells than there are boxes
+ *   (zoomed far out), so a query never costs more than a plain scan.
+ * - Boxes that can't be measured (e.g. a stroke without points) are always
+ *   returned: showing too much is harmless, hiding something is not.
+ * - Culling boxes err on the large side: they include the stroke and
+ *   shadow, and rotated elements get the square their box can sweep.
+ * - Only top-level elements and the contents of frames are culled; group
+ *   members go with their group. Mind map nodes (their branch reaches to
+ *   their parent) and bound connectors (they follow shapes being dragged)
+ *   are always drawn.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+import { getElementBox } from './bounds';
+import { FRAME_TYPE } from './groups';
+import { isMindMapNode } from './mindMap';
+
+/** Side of a grid cell, in canvas units */
+export const DEFAULT_CELL_SIZE = 512;
+
+/** Most cells a box is filed under before it goes in the list of large boxes */
+const MAX_CELLS_PER_BOX = 64;
+
+/**
+ * @param {{x: number, y: number, width: number, height: number}} a
+ * @param {{x: number, y: number, width: number, height: number}} b
+ * @returns {boolean} true if the boxes overlap or touch
+ */
+export function boxesIntersect(a, b) {
+    return a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+function isFiniteBox(box) {
+    return [box.x, box.y, box.width, box.height].every(Number.isFinite);
+}
+
+/**
+ * The canvas area an element may draw on.
+ *
+ * @param {Array<object>} elements
+ * @param {object} el
+ * @param {{x: number, y: number}} [origin] - Canvas position of the space the element is in (its frame's corner)
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getCullingBox(elements, el, origin = { x: 0, y: 0 }) {
+    const localBox = getElementBox(elements, el);
+    let box = { ...localBox, x: localBox.x + origin.x, y: localBox.y + origin.y };
+    if (el.type === 'text') {
+        // Bounds assume a fixed width; estimate the text's own size instead
+        const lines = String(el.text ?? '').split('\n');
+        const fontSize = el.fontSize || 24;
+        box = {
+            ...box,
+            width: el.width || Math.max(box.width, ...lines.map(line => line.length * fontSize * 0.7)),
+            height: Math.max(box.height, lines.length * fontSize * 1.2)
+        };
+    }
+
+    if (el.rotation) {
+        // Everything turns around the element's origin, so it stays within
+        // the distance of the box's farthest corner from there
+        const pivot = { x: origin.x + (el.x || 0), y: origin.y + (el.y || 0) };
+        const reach = Math.max(
+            Math.hypot(box.x - pivot.x, box.y - pivot.y),
+            Math.hypot(box.x + box.width - pivot.x, box.y - pivot.y),
+            Math.hypot(box.x - pivot.x, box.y + box.height - pivot.y),
+            Math.hypot(box.x + box.width - pivot.x, box.y + box.height - pivot.y)
+        );
+        box = { x: pivot.x - reach, y: pivot.y - reach, width: reach * 2, height: reach * 2 };
+    }
+
+    const margin = (el.strokeWidth || 0) + (el.shadowBlur || 0) +
+        Math.max(Math.abs(el.shadowOffsetX || 0), Math.abs(el.shadowOffsetY || 0));
+    return { x: box.x - margin, y: box.y - margin, width: box.width + margin * 2, height: box.height + margin * 2 };
+}
+
+/**
+ * The elements that can be left out while off screen, with their culling
+ * boxes — ready for createSpatialIndex.
+ *
+ * @param {Array<object>} elements
+ * @returns {Array<{id: *, box: {x: number, y: number, width: number, height: number}}>}
+ */
+export function getCullingItems(elements) {
+    const ids = new Set(elements.map(el => el.id));
+    const childrenOf = new Map();
+    elements.forEach(el => {
+        // Like getRootElements, members of a missing group count as top-level
+        const parentId = ids.has(el.parentId) ? el.parentId : null;
+        if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+        childrenOf.get(parentId).push(el);
+    });
+
+    const items = [];
+    const visit = (parentId, origin) => {
+        (childrenOf.get(parentId) || []).forEach(el => {
+            const isBoundConnector = (el.type === 'arrow' || el.type === 'line') && (el.startBinding || el.endBinding);
+            if (!isMindMapNode(el) && !isBoundConnector) items.push({ id: el.id, box: getCullingBox(elements, el, origin) });
+            if (el.type === FRAME_TYPE) visit(el.id, { x: origin.x + el.x, y: origin.y + el.y });
+        });
+    };
+    visit(null, { x: 0, y: 0 });
+    return items;
+}
+
+/**
+ * Builds an index over boxes.
+ *
+ * @param {Array<{id: *, box: {x: number, y: number, width: number, height: number}}>} items
+ * @param {object} [options]
+ * @param {number} [options.cellSize]
+ * @returns {{ cellSize: number, cells: Map<string, Array<*>>, boxes: Map<*, object>, large: Array<*>, unbounded: Array<*>, range: object|null }}
+ */
+export function createSpatialIndex(items, { cellSize = DEFAULT_CELL_SIZE } = {}) {
+    const cells = new Map();
+    const boxes = new Map();
+    const large = [];
+    const unbounded = [];
+    let range = null;
+
+    items.forEach(({ id, box }) => {
+        if (!isFiniteBox(box)) {
+            unbounded.push(id);
+            return;
+        }
+        boxes.set(id, box);
+        const minX = Math.floor(box.x / cellSize);
+        const minY = Math.floor(box.y / cellSize);
+        const maxX = Math.floor((box.x + box.width) / cellSize);
+        const maxY = Math.floor((box.y + box.height) / cellSize);
+        if ((maxX - minX + 1) * (maxY - minY + 1) > MAX_CELLS_PER_BOX) {
+            large.push(id);
+            return;
+        }
+        range = range
+            ? { minX: Math.min(range.minX, minX), minY: Math.min(range.minY, minY), maxX: Math.max(range.maxX, maxX), maxY: Math.max(range.maxY, maxY) }
+            : { minX, minY, maxX, maxY };
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const key = `${cx},${cy}`;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(id);
+            }
+        }
+    });
+
+    return { cellSize, cells, boxes, large, unbounded, range };
+}
+
+/**
+ * Ids of the indexed boxes that intersect a box.
+ *
+ * @param {ReturnType<typeof createSpatialIndex>} index
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @returns {Set<*>}
+ */
+export function querySpatialIndex(index, box) {
+    const found = new Set(index.unbounded);
+    index.large.forEach(id => {
+        if (boxesIntersect(index.boxes.get(id), box)) found.add(id);
+    });
+    const { cellSize, range } = index;
+    if (!range) return found;
+
+    // Only the cells that can hold anything
+    const minX = Math.max(range.minX, Math.floor(box.x / cellSize));
+    const minY = Math.max(range.minY, Math.floor(box.y / cellSize));
+    const maxX = Math.min(range.maxX, Math.floor((box.x + box.width) / cellSize));
+    const maxY = Math.min(range.maxY, Math.floor((box.y + box.height) / cellSize));
+    if (minX > maxX || minY > maxY) return found;
+
+    if ((maxX - minX + 1) * (maxY - minY + 1) > index.boxes.size) {
+        index.boxes.forEach((itemBox, id) => {
+            if (boxesIntersect(itemBox, box)) found.add(id);
+        });
+        return found;
+    }
+
+    for (let cx = minX; cx <= maxX; cx++) {
+        for (let cy = minY; cy <= maxY; cy++) {
+            (index.cells.get(`${cx},${cy}`) || []).forEach(id => {
+                if (!found.has(id) && boxesIntersect(index.boxes.get(id), box)) found.add(id);
+            });
+        }
+    }
+    return found;
+}
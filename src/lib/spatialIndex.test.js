@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { createSpatialIndex, querySpatialIndex, getCullingItems, getCullingBox, boxesIntersect } from './spatialIndex'
+
+const box = (x, y, width = 10, height = 10) => ({ x, y, width, height });
+
+describe('spatialIndex', () => {
+    it('finds the boxes that intersect a query', () => {
+        const index = createSpatialIndex([
+            { id: 'a', box: box(0, 0) },
+            { id: 'b', box: box(1000, 1000) },
+            { id: 'c', box: box(500, 0, 600, 10) }
+        ], { cellSize: 100 });
+
+        expect([...querySpatialIndex(index, box(-50, -50, 100, 100))]).toEqual(['a']);
+        expect([...querySpatialIndex(index, box(900, -20, 200, 40))].sort()).toEqual(['c']);
+        expect([...querySpatialIndex(index, box(5000, 5000, 100, 100))]).toEqual([]);
+    });
+
+    it('gives the same answer when zoomed far out as a plain scan', () => {
+        const items = Array.from({ length: 50 }, (_, i) => ({ id: i, box: box(i * 300, (i % 7) * 250) }));
+        const index = createSpatialIndex(items, { cellSize: 100 });
+        const view = box(-100000, -100000, 150000, 101000);
+
+        const expected = items.filter(item => boxesIntersect(item.box, view)).map(item => item.id);
+        expect([...querySpatialIndex(index, view)].sort((a, b) => a - b)).toEqual(expected);
+    });
+
+    it('keeps huge and unmeasurable boxes out of the grid but still finds them', () => {
+        const index = createSpatialIndex([
+            { id: 'huge', box: box(-50000, -50000, 100000, 100000) },
+            { id: 'empty', box: { x: Infinity, y: Infinity, width: -Infinity, height: -Infinity } }
+        ], { cellSize: 100 });
+
+        expect(index.cells.size).toBe(0);
+        expect([...querySpatialIndex(index, box(0, 0))].sort()).toEqual(['empty', 'huge']);
+    });
+
+    it('culls top-level elements and frame contents, but not group members, mind map nodes or bound connectors', () => {
+        const elements = [
+            { id: 'f', type: 'frame', x: 1000, y: 0, width: 400, height: 300 },
+            { id: 'inFrame', type: 'rectangle', x: 10, y: 10, width: 50, height: 50, parentId: 'f' },
+            { id: 'g', type: 'group', x: 0, y: 0 },
+            { id: 'member', type: 'rectangle', x: 0, y: 0, width: 50, height: 50, parentId: 'g' },
+            { id: 'node', type: 'mindmap', x: 0, y: 0, width: 100, height: 40 },
+            { id: 'free', type: 'arrow', points: [0, 0, 100, 0] },
+            { id: 'bound', type: 'arrow', points: [0, 0, 100, 0], startBinding: { elementId: 'g', anchor: 'left' } }
+        ];
+
+        const items = getCullingItems(elements);
+
+        expect(items.map(item => item.id)).toEqual(['f', 'inFrame', 'g', 'free']);
+        expect(items[1].box).toEqual({ x: 1010, y: 10, width: 50, height: 50 });
+    });
+
+    it('makes culling boxes large enough for strokes, shadows, rotation and long text', () => {
+        expect(getCullingBox([], { type: 'rectangle', x: 0, y: 0, width: 100, height: 50, strokeWidth: 4, shadowBlur: 6 }))
+            .toEqual({ x: -10, y: -10, width: 120, height: 70 });
+
+        const rotated = getCullingBox([], { type: 'rectangle', x: 0, y: 0, width: 30, height: 40, rotation: 90 });
+        expect(rotated).toEqual({ x: -50, y: -50, width: 100, height: 100 });
+
+        const text = getCullingBox([], { type: 'text', x: 0, y: 0, text: 'a rather long line of text', fontSize: 20 });
+        expect(text.width).toBeGreaterThan(300);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Sticky notes: a colored square with word-wrapped text that
+ * shrinks to fit.
+ *
+ * Design decisions:
+ * - A note is one element `{ id, type: 'sticky', x, y, width, height, text, fill }`,
+ *   so the background and text can't drift apart.
+ * - The font size isn't stored. It is worked out from the text and the note
+ *   size whenever the note is drawn, so edits and resizes from any
+ *   collaborator always fit.
+ * - Text measuring is passed in (the page measures with a canvas), which
+ *   keeps this module testable without a DOM.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+export const STICKY_TYPE = 'sticky';
+
+/** Palette offered in the Design tab; the first is the default */
+export const STICKY_COLORS = ['#fef08a', '#fbcfe8', '#bfdbfe', '#bbf7d0', '#fed7aa', '#e9d5ff'];
+
+/** Space between the edge of the note and its text */
+export const STICKY_PADDING = 12;
+
+/** Line height as a multiple of the font size */
+export const STICKY_LINE_HEIGHT = 1.2;
+
+const STICKY_SIZE = 200;
+const MAX_FONT_SIZE = 28;
+const MIN_FONT_SIZE = 8;
+
+/**
+ * @param {object} el
+ * @returns {boolean}
+ */
+export function isStickyNote(el) {
+    return el?.type === STICKY_TYPE;
+}
+
+/**
+ * A new note centered on a point.
+ *
+ * @param {{ id: string|number, x: number, y: number, fill?: string }} options
+ * @returns {object}
+ */
+export function createStickyNote({ id, x, y, fill = STICKY_COLORS[0] }) {
+    return {
+        id,
+        type: STICKY_TYPE,
+        x: x - STICKY_SIZE / 2,
+        y: y - STICKY_SIZE / 2,
+        width: STICKY_SIZE,
+        height: STICKY_SIZE,
+        text: '',
+        fill
+    };
+}
+
+/**
+ * Splits text into the lines Konva's word wrap would draw. Words wider
+ * than the line are broken by character.
+ *
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {(text: string) => number} measure - Width of a string at the font size being tried
+ * @returns {Array<string>}
+ */
+export function wrapText(text, maxWidth, measure) {
+    const lines = [];
+    String(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measure(candidate) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            // Break words that don't fit on a line of their own
+            line = '';
+            for (const char of word) {
+                if (line && measure(line + char) > maxWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * Largest font size at which the text fits the box, between the minimum
+ * and maximum sizes.
+ *
+ * @param {string} text
+ * @param {number} width - Room for text (the note minus its padding)
+ * @param {number} height
+ * @param {(text: string, fontSize: number) => number} measure
+ * @returns {number}
+ */
+export function fitFontSize(text, width, height, measure) {
+    if (!text) return MAX_FONT_SIZE;
+    for (let size = MAX_FONT_SIZE; size > MIN_FONT_SIZE; size--) {
+        const lines = wrapText(text, width, s => measure(s, size));
+        if (lines.length * size * STICKY_LINE_HEIGHT <= height) return size;
+    }
+    return MIN_FONT_SIZE;
+}
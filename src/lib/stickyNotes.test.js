@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+import { createStickyNote, wrapText, fitFontSize, STICKY_COLORS } from './stickyNotes'
+
+describe('stickyNotes', () => {
+    // Every character is half the font size wide
+    const measure = (text, fontSize) => text.length * fontSize * 0.5;
+
+    it('creates a note centered on the click in the first palette color', () => {
+        expect(createStickyNote({ id: 1, x: 300, y: 300 })).toMatchObject({
+            type: 'sticky', x: 200, y: 200, width: 200, height: 200, text: '', fill: STICKY_COLORS[0]
+        });
+    });
+
+    it('wraps on spaces and keeps explicit line breaks', () => {
+        const lines = wrapText('one two three\nfour', 40, s => s.length * 5);
+        expect(lines).toEqual(['one two', 'three', 'four']);
+    });
+
+    it('breaks words longer than a line', () => {
+        expect(wrapText('abcdefghij', 30, s => s.length * 5)).toEqual(['abcdef', 'ghij']);
+    });
+
+    it('uses the largest size for short text', () => {
+        expect(fitFontSize('Hi', 176, 176, measure)).toBe(28);
+    });
+
+    it('shrinks long text until it fits', () => {
+        const text = 'a fairly long brainstorming idea that needs several lines to fit on the note';
+        const size = fitFontSize(text, 176, 176, measure);
+
+        expect(size).toBeLessThan(28);
+        const lines = wrapText(text, 176, s => measure(s, size));
+        expect(lines.length * size * 1.2).toBeLessThanOrEqual(176);
+        expect(wrapText(text, 176, s => measure(s, size + 1)).length * (size + 1) * 1.2).toBeGreaterThan(176);
+    });
+
+    it('never goes below the minimum size', () => {
+        expect(fitFontSize('word '.repeat(500), 50, 50, measure)).toBe(8);
+    });
+});
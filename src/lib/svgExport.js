@@ -0,0 +1,419 @@
+/**
+ * @fileoverview Vector (SVG) export of the whole canvas or a selection.
+ *
+ * Design decisions:
+ * - The SVG is built from `elements`, not read back from the Konva stage,
+ *   so it covers everything that was asked for whatever the viewport shows,
+ *   and stays sharp at any size.
+ * - Each element type maps to the SVG nodes closest to how the page draws
+ *   it: shapes to <rect>/<ellipse>/<polygon>, strokes and connectors to
+ *   <path>, text to <text>, images to <image>. Groups and frames become
+ *   <g> with their transform, and frames clip their children.
+ * - Text can't be measured without a DOM, so the page passes its own
+ *   measuring function (used for alignment, wrapping and label boxes).
+ * - UI-only decorations (selection outlines, frame titles, mind map
+ *   collapse toggles) are left out.
+ *
+ * Pure module — no React or Konva here.
+ */
+
+import { GROUP_TYPE, FRAME_TYPE, getChildren, getRootElements } from './groups';
+import { isConnector, getConnectorEnds, routeConnector, getLabelPosition } from './connectors';
+import { isMindMapNode, getMindRootId, getBranchEnds } from './mindMap';
+import { STICKY_TYPE } from './stickyNotes';
+import { hasPressure, getStrokeOutline } from './penStrokes';
+import { getBrushStyle, getDrawingOrder } from './brushes';
+import {
+    PEN_TENSION, estimateTextWidth, getPolygonPoints, polylineCommands, bezierCommands,
+    smoothCommands, getArrowHead, layoutMindMapText, layoutStickyText, getExportScope
+} from './exportGeometry';
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/** Attribute string from an object; null, undefined and false are left out */
+function attrs(values) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== undefined && value !== null && value !== false)
+        .map(([key, value]) => ` ${key}="${escapeXml(typeof value === 'number' ? round(value) : value)}"`)
+        .join('');
+}
+
+function pointList(points) {
+    const pairs = [];
+    for (let i = 0; i < points.length; i += 2) pairs.push(`${round(points[i])},${round(points[i + 1])}`);
+    return pairs.join(' ');
+}
+
+function rotation(el, cx, cy) {
+    return el.rotation ? `rotate(${round(el.rotation)} ${round(cx)} ${round(cy)})` : undefined;
+}
+
+/** Path data from path commands */
+function pathData(commands) {
+    return commands.map(([op, ...values]) => `${op} ${values.map(round).join(' ')}`).join(' ');
+}
+
+/**
+ * Path of a pen stroke, smoothed the way Konva smooths a line with tension.
+ *
+ * @param {Array<number>} points
+ * @param {number} tension
+ * @returns {string}
+ */
+export function smoothPath(points, tension) {
+    return pathData(smoothCommands(points, tension));
+}
+
+/** Opacity and blending of a stroke's brush (see brushes.js) */
+function brushAttrs(el, { opacity, blendMode }) {
+    const combined = (el.opacity ?? 1) * opacity;
+    return { opacity: combined !== 1 ? combined : undefined, style: blendMode ? `mix-blend-mode:${blendMode}` : undefined };
+}
+
+/** Adds a drop shadow filter for the element's shadow, if it has a visible one */
+function shadowFilter(ctx, shadow) {
+    const { shadowColor, shadowBlur = 0, shadowOffsetX = 0, shadowOffsetY = 0, shadowOpacity } = shadow;
+    if (!shadowColor || shadowColor === 'transparent') return undefined;
+    if (!shadowBlur && !shadowOffsetX && !shadowOffsetY) return undefined;
+
+    const id = `shadow-${ctx.nextId++}`;
+    ctx.defs.push(
+        `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%">` +
+        `<feDropShadow${attrs({
+            dx: shadowOffsetX,
+            dy: shadowOffsetY,
+            stdDeviation: shadowBlur / 2,
+            'flood-color': shadowColor,
+            'flood-opacity': shadowOpacity ?? 0.5
+        })}/></filter>`
+    );
+    return `url(#${id})`;
+}
+
+/** Fill, stroke, opacity and shadow shared by the plain shapes */
+function paint(el, ctx) {
+    return {
+        fill: el.fill || 'none',
+        stroke: el.stroke || ctx.stroke,
+        'stroke-width': el.strokeWidth || ctx.strokeWidth,
+        opacity: (el.opacity ?? 1) !== 1 ? el.opacity : undefined,
+        filter: shadowFilter(ctx, el)
+    };
+}
+
+function fontAttrs(fontSize, fontFamily, fontStyle = 'normal') {
+    return {
+        'font-size': fontSize,
+        'font-family': fontFamily,
+        'font-weight': fontStyle.includes('bold') ? 'bold' : undefined,
+        'font-style': fontStyle.includes('italic') ? 'italic' : undefined
+    };
+}
+
+/**
+ * Lines of text laid out like Konva: each line centered in its line box.
+ * `x` is where lines start, or their middle/end for center/right alignment.
+ */
+function textLines(lines, { x, y, fontSize, lineHeight = 1 }) {
+    return lines.map((line, i) => (
+        `<tspan${attrs({ x, y: y + (i + 0.5) * fontSize * lineHeight })}>${escapeXml(line)}</tspan>`
+    )).join('');
+}
+
+const TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+
+function renderText(el, ctx) {
+    const fontSize = el.fontSize || 24;
+    const fontFamily = el.fontFamily || 'Arial';
+    const lines = String(el.text ?? '').split('\n');
+    const width = Math.max(0, ...lines.map(line => ctx.measure(line, fontSize, fontFamily)));
+    const align = el.textAlign || 'left';
+    const x = el.x + (align === 'center' ? width / 2 : align === 'right' ? width : 0);
+
+    return `<text${attrs({
+        ...fontAttrs(fontSize, fontFamily, el.fontStyle),
+        fill: el.fill || '#000000',
+        stroke: el.stroke,
+        'stroke-width': el.stroke ? el.strokeWidth : undefined,
+        'text-anchor': TEXT_ANCHORS[align],
+        'dominant-baseline': 'middle',
+        opacity: (el.opacity ?? 1) !== 1 ? el.opacity : undefined,
+        filter: shadowFilter(ctx, el),
+        transform: rotation(el, el.x, el.y)
+    })}>${textLines(lines, { x, y: el.y, fontSize })}</text>`;
+}
+
+function renderConnector(el, ctx) {
+    const { start, end } = getConnectorEnds(ctx.elements, el);
+    const route = routeConnector(start, end, el.routing);
+    const stroke = el.stroke || ctx.stroke;
+    const parts = [`<path${attrs({
+        d: pathData(route.bezier ? bezierCommands(route.points) : polylineCommands(route.points)),
+        fill: 'none',
+        stroke,
+        'stroke-width': el.strokeWidth || ctx.strokeWidth,
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round'
+    })}/>`];
+
+    const head = el.type === 'arrow' ? getArrowHead(route.points) : null;
+    if (head) {
+        parts.push(`<polygon${attrs({
+            points: pointList(head),
+            fill: el.fill || stroke,
+            stroke,
+            'stroke-width': el.strokeWidth || ctx.strokeWidth,
+            'stroke-linejoin': 'round'
+        })}/>`);
+    }
+
+    if (el.label) {
+        const position = getLabelPosition(route);
+        const width = ctx.measure(el.label, 14, 'Arial') + 8;
+        const height = 14 + 8;
+        parts.push(`<rect${attrs({
+            x: position.x - width / 2,
+            y: position.y - height / 2,
+            width,
+            height,
+            rx: 4,
+            fill: '#ffffff',
+            stroke,
+            'stroke-width': 1
+        })}/>`);
+        parts.push(`<text${attrs({ ...fontAttrs(14, 'Arial'), fill: stroke, 'text-anchor': 'middle', 'dominant-baseline': 'middle', x: position.x, y: position.y })}>${escapeXml(el.label)}</text>`);
+    }
+
+    return `<g${attrs({
+        opacity: (el.opacity ?? 1) !== 1 ? el.opacity : undefined,
+        filter: shadowFilter(ctx, el)
+    })}>${parts.join('')}</g>`;
+}
+
+function renderMindMapNode(el, ctx) {
+    const rootId = getMindRootId(ctx.elements, el.id);
+    const root = ctx.elements.find(item => item.id === rootId);
+    const isRoot = rootId === el.id;
+    const parts = [];
+
+    // The branch in from the parent, if the parent is exported too
+    const parent = ctx.elements.find(item => item.id === el.mindParentId && isMindMapNode(item));
+    if (parent && (!ctx.included || ctx.included.has(parent.id))) {
+        const { start, end } = getBranchEnds(parent, el, root?.layout || 'balanced');
+        parts.push(`<path${attrs({
+            d: pathData(bezierCommands(routeConnector(start, end, 'curved').points)),
+            fill: 'none',
+            stroke: parent.stroke || ctx.stroke,
+            'stroke-width': 2
+        })}/>`);
+    }
+
+    const { lines, fontSize, fontStyle, top } = layoutMindMapText(el, isRoot, ctx.measure);
+
+    parts.push(`<g${attrs({
+        transform: `translate(${round(el.x)} ${round(el.y)})${el.rotation ? ` rotate(${round(el.rotation)})` : ''}`,
+        opacity: (el.opacity ?? 1) !== 1 ? el.opacity : undefined
+    })}><rect${attrs({
+        ...paint({ ...el, opacity: 1 }, ctx),
+        width: el.width,
+        height: el.height,
+        rx: isRoot ? 16 : 10
+    })}/><text${attrs({
+        ...fontAttrs(fontSize, 'Arial', fontStyle),
+        fill: el.textColor || '#1f2937',
+        'text-anchor': 'middle',
+        'dominant-baseline': 'middle'
+    })}>${textLines(lines, { x: el.width / 2, y: top, fontSize })}</text></g>`);
+
+    return parts.join('');
+}
+
+function renderStickyNote(el, ctx) {
+    const { lines, fontSize, fontFamily, lineHeight, padding } = layoutStickyText(el, ctx.measure);
+    const filter = shadowFilter(ctx, {
+        shadowColor: el.shadowColor || '#000000',
+        shadowBlur: el.shadowBlur ?? 8,
+        shadowOffsetX: el.shadowOffsetX ?? 2,
+        shadowOffsetY: el.shadowOffsetY ?? 4,
+        shadowOpacity: el.shadowOpacity ?? 0.2
+    });
+
+    return `<g${attrs({
+        transform: `translate(${round(el.x)} ${round(el.y)})${el.rotation ? ` rotate(${round(el.rotation)})` : ''}`,
+        opacity: (el.opacity ?? 1) !== 1 ? el.opacity : undefined
+    })}><rect${attrs({ width: el.width, height: el.height, rx: 4, fill: el.fill, filter })}/><text${attrs({
+        ...fontAttrs(fontSize, fontFamily),
+        fill: el.textColor || '#1f2937',
+        'dominant-baseline': 'middle'
+    })}>${textLines(lines, { x: padding, y: padding, fontSize, lineHeight })}</text></g>`;
+}
+
+function renderChildren(el, ctx) {
+    return getDrawingOrder(getChildren(ctx.elements, el.id)).map(child => renderElement(child, ctx)).join('');
+}
+
+function renderElement(el, ctx) {
+    if (el.visible === false || ctx.hidden.has(el.id)) return '';
+    if (ctx.included && !ctx.included.has(el.id)) return '';
+
+    const cx = el.x + (el.width || 0) / 2;
+    const cy = el.y + (el.height || 0) / 2;
+
+    if (isConnector(el)) return renderConnector(el, ctx);
+    if (isMindMapNode(el)) return renderMindMapNode(el, ctx);
+
+    switch (el.type) {
+        case GROUP_TYPE:
+            return `<g${attrs({
+                transform: `translate(${round(el.x || 0)} ${round(el.y || 0)}) rotate(${round(el.rotation || 0)}) scale(${round(el.scaleX ?? 1)} ${round(el.scaleY ?? 1)})`,
+                opacity: (el.opacity ?? 1) !== 1 ? el.opacity : undefined
+            })}>${renderChildren(el, ctx)}</g>`;
+
+        case FRAME_TYPE: {
+            const clipId = `clip-${ctx.nextId++}`;
+            ctx.defs.push(`<clipPath id="${clipId}"><rect${attrs({ width: el.width, height: el.height })}/></clipPath>`);
+            // A frame only wrapping selected children is exported without its background
+            const background = ctx.wrappersOnly.has(el.id) ? '' : `<rect${attrs({
+                width: el.width,
+                height: el.height,
+                fill: el.fill || '#ffffff',
+                stroke: el.stroke || '#d1d5db',
+                'stroke-width': 1,
+                filter: shadowFilter(ctx, { shadowColor: '#000000', shadowBlur: 8, shadowOpacity: 0.08 })
+            })}/>`;
+            return `<g${attrs({
+                transform: `translate(${round(el.x)} ${round(el.y)})`,
+                opacity: (el.opacity ?? 1) !== 1 ? el.opacity : undefined
+            })}>${background}<g clip-path="url(#${clipId})">${renderChildren(el, ctx)}</g></g>`;
+        }
+
+        case STICKY_TYPE:
+            return renderStickyNote(el, ctx);
+
+        case 'pen': {
+            const brushStyle = getBrushStyle(el);
+            if (hasPressure(el)) {
+                // Pressure strokes are filled outlines
+                const outline = getStrokeOutline(el.points, el.pressures, el.strokeWidth || ctx.strokeWidth);
+                return `<path${attrs({
+                    ...paint(el, ctx),
+                    ...brushAttrs(el, brushStyle),
+                    d: `${pathData(polylineCommands(outline))} Z`,
+                    fill: el.stroke || ctx.stroke,
+                    stroke: 'none',
+                    'stroke-width': undefined,
+                    transform: rotation(el, 0, 0)
+                })}/>`;
+            }
+            return `<path${attrs({
+                ...paint(el, ctx),
+                ...brushAttrs(el, brushStyle),
+                d: smoothPath(el.points || [], PEN_TENSION),
+                fill: 'none',
+                'stroke-linecap': brushStyle.lineCap,
+                'stroke-linejoin': 'round',
+                'stroke-dasharray': brushStyle.dash?.join(' '),
+                transform: rotation(el, 0, 0)
+            })}/>`;
+        }
+
+        case 'rectangle':
+            return `<rect${attrs({
+                ...paint(el, ctx),
+                x: el.x,
+                y: el.y,
+                width: el.width,
+                height: el.height,
+                rx: el.cornerRadius || undefined,
+                transform: rotation(el, el.x, el.y)
+            })}/>`;
+
+        case 'circle': {
+            const radius = Math.min(el.width, el.height) / 2;
+            return `<ellipse${attrs({ ...paint(el, ctx), cx, cy, rx: radius, ry: radius, transform: rotation(el, cx, cy) })}/>`;
+        }
+
+        case 'triangle':
+        case 'hexagon':
+        case 'pentagon':
+        case 'star':
+            return `<polygon${attrs({
+                ...paint(el, ctx),
+                points: pointList(getPolygonPoints(el)),
+                transform: rotation(el, cx, cy)
+            })}/>`;
+
+        case 'text':
+            return renderText(el, ctx);
+
+        case 'image':
+            return `<image${attrs({
+                href: el.url,
+                x: el.x,
+                y: el.y,
+                width: el.width,
+                height: el.height,
+                preserveAspectRatio: 'none',
+                opacity: (el.opacity ?? 1) !== 1 ? el.opacity : undefined,
+                filter: shadowFilter(ctx, el),
+                transform: rotation(el, el.x, el.y)
+            })}/>`;
+
+        default:
+            return '';
+    }
+}
+
+/**
+ * Builds an SVG document of the canvas.
+ *
+ * @param {Array<object>} elements
+ * @param {object} [options]
+ * @param {Array<string|number>} [options.ids] - Export only these elements (and what they contain)
+ * @param {number} [options.padding] - Space around the exported content
+ * @param {(text: string, fontSize: number, fontFamily: string) => number} [options.measureText]
+ * @param {string} [options.stroke] - Stroke for shapes saved without one (the page's current stroke)
+ * @param {number} [options.strokeWidth]
+ * @param {string} [options.background] - Fill behind everything; transparent if not given
+ * @returns {string|null} null if there is nothing to export
+ */
+export function exportToSvg(elements, {
+    ids,
+    padding = 20,
+    measureText = estimateTextWidth,
+    stroke = '#000000',
+    strokeWidth = 2,
+    background
+} = {}) {
+    const scope = getExportScope(elements, ids);
+    if (!scope) return null;
+
+    const { hidden, included, wrappersOnly, bounds } = scope;
+    const minX = bounds.x - padding;
+    const minY = bounds.y - padding;
+    const width = bounds.width + padding * 2;
+    const height = bounds.height + padding * 2;
+
+    const ctx = { elements, measure: measureText, stroke, strokeWidth, hidden, included, wrappersOnly, defs: [], nextId: 0 };
+    const content = getDrawingOrder(getRootElements(elements)).map(el => renderElement(el, ctx)).join('\n');
+    const backdrop = background
+        ? `<rect${attrs({ x: minX, y: minY, width, height, fill: background })}/>\n`
+        : '';
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg"${attrs({ width, height, viewBox: `${round(minX)} ${round(minY)} ${round(width)} ${round(height)}` })}>`,
+        ctx.defs.length > 0 ? `<defs>${ctx.defs.join('')}</defs>` : '',
+        backdrop + content,
+        '</svg>'
+    ].filter(Boolean).join('\n');
+}
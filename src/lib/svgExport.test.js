@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest'
+import { exportToSvg, smoothPath } from './svgExport'
+
+describe('svgExport', () => {
+    const rect = {
+        id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, fill: '#ff0000', stroke: '#000000', strokeWidth: 2,
+        rotation: 45, opacity: 0.5, shadowColor: '#333333', shadowBlur: 10, shadowOffsetX: 4, shadowOffsetY: 4, shadowOpacity: 0.4
+    };
+    const circle = { id: 'c', type: 'circle', x: 200, y: 0, width: 100, height: 60, fill: '#00ff00' };
+
+    it('sizes the document to the content plus padding', () => {
+        const svg = exportToSvg([rect, circle], { padding: 10 });
+        expect(svg).toContain('viewBox="-10 -10 300 80"');
+        expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    });
+
+    it('keeps fill, stroke, opacity, rotation and shadow', () => {
+        const svg = exportToSvg([rect]);
+        expect(svg).toContain('<rect fill="#ff0000" stroke="#000000" stroke-width="2" opacity="0.5" filter="url(#shadow-0)" x="0" y="0" width="100" height="50" transform="rotate(45 0 0)"/>');
+        expect(svg).toContain('<feDropShadow dx="4" dy="4" stdDeviation="5" flood-color="#333333" flood-opacity="0.4"/>');
+    });
+
+    it('draws circles as ellipses and polygons around their centers', () => {
+        const triangle = { id: 't', type: 'triangle', x: 0, y: 0, width: 100, height: 100 };
+        const svg = exportToSvg([circle, triangle]);
+
+        expect(svg).toContain('<ellipse fill="#00ff00" stroke="#000000" stroke-width="2" cx="250" cy="30" rx="30" ry="30"/>');
+        expect(svg).toContain('points="50,0 93.3,75 6.7,75"');
+    });
+
+    it('writes text lines as escaped tspans', () => {
+        const text = { id: 'x', type: 'text', x: 10, y: 20, text: 'A & B\n<c>', fontSize: 20, fontStyle: 'bold', fill: '#111111' };
+        const svg = exportToSvg([text]);
+
+        expect(svg).toContain('font-weight="bold"');
+        expect(svg).toContain('<tspan x="10" y="30">A &amp; B</tspan><tspan x="10" y="50">&lt;c&gt;</tspan>');
+    });
+
+    it('smooths pen strokes like Konva and draws arrows with a head', () => {
+        expect(smoothPath([0, 0, 10, 0, 20, 0], 0.5)).toBe('M 0 0 Q 5 0 10 0 Q 15 0 20 0');
+        expect(smoothPath([0, 0, 10, 10], 0.5)).toBe('M 0 0 L 10 10');
+
+        const arrow = { id: 'a', type: 'arrow', points: [0, 0, 100, 0], stroke: '#222222', label: 'go' };
+        const svg = exportToSvg([arrow]);
+        expect(svg).toContain('d="M 0 0 L 100 0"');
+        expect(svg).toContain('points="100,0 80,10 80,-10"');
+        expect(svg).toContain('>go</text>');
+    });
+
+    it('fills the outline of pressure strokes with the stroke color', () => {
+        const pen = { id: 'p', type: 'pen', points: [0, 0, 100, 0], pressures: [0.5, 1], stroke: '#123456', strokeWidth: 10 };
+        const svg = exportToSvg([pen]);
+
+        expect(svg).toMatch(/<path fill="#123456" stroke="none" d="M 0 5 L 100 8 .* Z"\/>/);
+    });
+
+    it('draws highlighters translucent and multiplied beneath text, markers flat and dashed pens dashed', () => {
+        const text = { id: 'x', type: 'text', x: 0, y: 0, text: 'Note', fontSize: 20 };
+        const highlight = { id: 'h', type: 'pen', brush: 'highlighter', points: [0, 0, 100, 0], stroke: '#facc15', strokeWidth: 20 };
+        const svg = exportToSvg([text, highlight]);
+
+        expect(svg).toContain('opacity="0.4" style="mix-blend-mode:multiply"');
+        expect(svg.indexOf('<path')).toBeLessThan(svg.indexOf('<text'));
+        expect(exportToSvg([{ ...highlight, brush: 'marker' }])).toContain('stroke-linecap="butt"');
+        expect(exportToSvg([{ ...highlight, brush: 'dashed', strokeWidth: 2 }])).toContain('stroke-dasharray="6 6"');
+    });
+
+    it('clips frame children and exports a selection with only its ancestors\' transforms', () => {
+        const frame = { id: 'f', type: 'frame', x: 100, y: 100, width: 300, height: 200, name: 'F', fill: '#ffffff' };
+        const child = { ...circle, parentId: 'f', x: 10, y: 10 };
+        const other = { ...rect, id: 'o', rotation: 0, shadowColor: undefined };
+
+        const full = exportToSvg([frame, child, other]);
+        expect(full).toContain('<clipPath id="clip-0">');
+        expect(full).toContain('clip-path="url(#clip-0)"');
+
+        const selection = exportToSvg([frame, child, other], { ids: ['c'], padding: 0 });
+        expect(selection).toContain('viewBox="130 110 60 60"');
+        expect(selection).toContain('<g transform="translate(100 100)"><g clip-path');
+        expect(selection).not.toContain('#ff0000');
+    });
+
+    it('leaves out hidden elements and returns null when there is nothing to export', () => {
+        expect(exportToSvg([{ ...rect, visible: false }])).toBeNull();
+        expect(exportToSvg([])).toBeNull();
+    });
+});
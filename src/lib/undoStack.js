@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Operation-based undo/redo stack.
+ *
+ * Each entry stores the ops of one local change and their inverse, instead
+ * of a full copy of `elements`. Undo applies the inverse to the *current*
+ * elements, so in a shared session it only reverts this user's change and
+ * leaves everyone else's edits alone. A field is only reverted while it
+ * still holds the value we set; if a collaborator has changed it since,
+ * their value is kept.
+ *
+ * The in-memory stack is only capped by entry count, so the newest change can
+ * always be undone. The size cap applies to the copy that goes to
+ * sessionStorage; entries carry their serialized `size`, so fitting the
+ * stack doesn't re-serialize it.
+ *
+ * Pure module — the hook in src/hooks/useUndoManager.js persists it.
+ */
+
+import { diffElements, applyOps, OP_ADD, OP_UPDATE, OP_DELETE } from './canvasOps';
+
+/** Max number of undo steps kept */
+export const MAX_UNDO_ENTRIES = 100;
+
+/** Max serialized size (chars) of the stored stack — sessionStorage is ~5MB */
+export const MAX_UNDO_CHARS = 1000000;
+
+/**
+ * @returns {{ undo: Array<object>, redo: Array<object> }}
+ */
+export function createUndoStack() {
+    return { undo: [], redo: [] };
+}
+
+/**
+ * Drops the oldest entries beyond MAX_UNDO_ENTRIES.
+ *
+ * @param {{ undo: Array<object>, redo: Array<object> }} stack
+ * @returns {{ undo: Array<object>, redo: Array<object> }}
+ */
+export function trimStack(stack) {
+    return {
+        undo: stack.undo.slice(-MAX_UNDO_ENTRIES),
+        redo: stack.redo.slice(-MAX_UNDO_ENTRIES)
+    };
+}
+
+/** Serialized size of an entry; entries stored by older sessions lack `size` */
+function entrySize(entry) {
+    return entry.size ?? JSON.stringify(entry).length;
+}
+
+/**
+ * The part of the stack to persist: drops the oldest entries until it fits
+ * MAX_UNDO_CHARS. An entry bigger than the cap on its own is never stored.
+ *
+ * @param {{ undo: Array<object>, redo: Array<object> }} stack
+ * @returns {{ undo: Array<object>, redo: Array<object> }}
+ */
+export function fitForStorage(stack) {
+    let total = 0;
+    const fits = (entry) => {
+        if (total + entrySize(entry) > MAX_UNDO_CHARS) return false;
+        total += entrySize(entry);
+        return true;
+    };
+
+    // Keep the newest undo entries first, then the nearest redo entries
+    const undo = [];
+    for (let i = stack.undo.length - 1; i >= 0 && fits(stack.undo[i]); i--) undo.unshift(stack.undo[i]);
+    const redo = [];
+    for (let i = stack.redo.length - 1; i >= 0 && fits(stack.redo[i]); i--) redo.unshift(stack.redo[i]);
+    return { undo, redo };
+}
+
+/**
+ * Records a local change. Clears the redo stack.
+ *
+ * @param {{ undo: Array<object>, redo: Array<object> }} stack
+ * @param {Array<object>} prev - Elements before the change
+ * @param {Array<object>} next - Elements after the change
+ * @returns {{ undo: Array<object>, redo: Array<object> }} the same stack if nothing changed
+ */
+export function pushEntry(stack, prev, next) {
+    const forward = diffElements(prev, next);
+    if (forward.length === 0) return stack;
+
+    const inverse = diffElements(next, prev);
+    const size = JSON.stringify({ forward, inverse }).length;
+    return trimStack({ undo: [...stack.undo, { forward, inverse, size }], redo: [] });
+}
+
+function isSameValue(a, b) {
+    if (a === b) return true;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Filters `ops` down to what can still be applied to `elements` without
+ * clobbering someone else's later edits. `expected` holds the ops whose
+ * result we expect to find (forward ops when undoing, inverse when redoing).
+ */
+function guardOps(ops, expected, elements) {
+    const byId = new Map(elements.map(el => [el.id, el]));
+    const expectedUpdates = new Map(
+        expected.filter(op => op.type === OP_UPDATE).map(op => [op.elementId, op])
+    );
+
+    return ops.reduce((result, op) => {
+        switch (op.type) {
+            case OP_ADD:
+                if (!byId.has(op.elementId)) result.push(op);
+                break;
+
+            case OP_DELETE:
+                if (byId.has(op.elementId)) result.push(op);
+                break;
+
+            case OP_UPDATE: {
+                const current = byId.get(op.elementId);
+                const ours = expectedUpdates.get(op.elementId);
+                if (!current || !ours) break;
+
+                const stillOurs = (key) => {
+                    const value = (ours.removed || []).includes(key) ? undefined : ours.changes?.[key];
+                    return isSameValue(current[key], value);
+                };
+                const changes = {};
+                Object.entries(op.changes || {}).forEach(([key, value]) => {
+                    if (stillOurs(key)) changes[key] = value;
+                });
+                const removed = (op.removed || []).filter(stillOurs);
+
+                if (Object.keys(changes).length > 0 || removed.length > 0) {
+                    result.push({ ...op, changes, removed });
+                }
+                break;
+            }
+
+            default:
+                result.push(op);
+        }
+        return result;
+    }, []);
+}
+
+/**
+ * Undoes the latest entry against the current elements.
+ *
+ * @param {{ undo: Array<object>, redo: Array<object> }} stack
+ * @param {Array<object>} elements - Current elements (may include remote edits)
+ * @returns {{ stack: object, elements: Array<object> } | null} null if nothing to undo
+ */
+export function undoEntry(stack, elements) {
+    if (stack.undo.length === 0) return null;
+
+    const entry = stack.undo[stack.undo.length - 1];
+    return {
+        stack: { undo: stack.undo.slice(0, -1), redo: [...stack.redo, entry] },
+        elements: applyOps(elements, guardOps(entry.inverse, entry.forward, elements))
+    };
+}
+
+/**
+ * Redoes the latest undone entry against the current elements.
+ *
+ * @param {{ undo: Array<object>, redo: Array<object> }} stack
+ * @param {Array<object>} elements
+ * @returns {{ stack: object, elements: Array<object> } | null} null if nothing to redo
+ */
+export function redoEntry(stack, elements) {
+    if (stack.redo.length === 0) return null;
+
+    const entry = stack.redo[stack.redo.length - 1];
+    return {
+        stack: { undo: [...stack.undo, entry], redo: stack.redo.slice(0, -1) },
+        elements: applyOps(elements, guardOps(entry.forward, entry.inverse, elements))
+    };
+}
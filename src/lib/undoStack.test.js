@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest'
+import {
+    createUndoStack, pushEntry, undoEntry, redoEntry, trimStack, fitForStorage,
+    MAX_UNDO_ENTRIES, MAX_UNDO_CHARS
+} from './undoStack'
+
+describe('undoStack', () => {
+    const rect = { id: 1, type: 'rectangle', x: 0, y: 0, fill: '#ff0000' };
+    const circle = { id: 2, type: 'circle', x: 50, y: 50, fill: '#0000ff' };
+
+    it('ignores changes that produce no ops', () => {
+        const stack = createUndoStack();
+        expect(pushEntry(stack, [rect], [rect])).toBe(stack);
+    });
+
+    it('undoes and redoes an add', () => {
+        const stack = pushEntry(createUndoStack(), [rect], [rect, circle]);
+
+        const undone = undoEntry(stack, [rect, circle]);
+        expect(undone.elements).toEqual([rect]);
+
+        const redone = redoEntry(undone.stack, undone.elements);
+        expect(redone.elements).toEqual([rect, circle]);
+    });
+
+    it('clears redo when a new change is recorded', () => {
+        let stack = pushEntry(createUndoStack(), [], [rect]);
+        stack = undoEntry(stack, [rect]).stack;
+        stack = pushEntry(stack, [], [circle]);
+        expect(stack.redo).toEqual([]);
+    });
+
+    it('only reverts our own change, keeping a collaborator edit on another element', () => {
+        const stack = pushEntry(createUndoStack(), [rect, circle], [{ ...rect, fill: '#00ff00' }, circle]);
+
+        // Meanwhile a collaborator moved the circle
+        const current = [{ ...rect, fill: '#00ff00' }, { ...circle, x: 200 }];
+        const { elements } = undoEntry(stack, current);
+
+        expect(elements[0].fill).toBe('#ff0000');
+        expect(elements[1].x).toBe(200);
+    });
+
+    it('keeps a collaborator value written over our field', () => {
+        const stack = pushEntry(createUndoStack(), [rect], [{ ...rect, fill: '#00ff00' }]);
+
+        const current = [{ ...rect, fill: '#123456' }];
+        expect(undoEntry(stack, current).elements[0].fill).toBe('#123456');
+    });
+
+    it('does not resurrect an element deleted by someone else when undoing our edit', () => {
+        const stack = pushEntry(createUndoStack(), [rect], [{ ...rect, x: 10 }]);
+        expect(undoEntry(stack, []).elements).toEqual([]);
+    });
+
+    it('returns null when there is nothing to undo or redo', () => {
+        expect(undoEntry(createUndoStack(), [])).toBeNull();
+        expect(redoEntry(createUndoStack(), [])).toBeNull();
+    });
+
+    it('caps the number of entries', () => {
+        let stack = createUndoStack();
+        let elements = [];
+        for (let i = 0; i < MAX_UNDO_ENTRIES + 10; i++) {
+            const next = [...elements, { id: i, type: 'rectangle' }];
+            stack = pushEntry(stack, elements, next);
+            elements = next;
+        }
+        expect(stack.undo).toHaveLength(MAX_UNDO_ENTRIES);
+        // The oldest entries are the ones dropped
+        expect(stack.undo[0].forward[0].elementId).toBe(10);
+    });
+
+    it('keeps an oversized change undoable in memory', () => {
+        const huge = { id: 3, type: 'text', text: 'x'.repeat(MAX_UNDO_CHARS) };
+        const stack = pushEntry(createUndoStack(), [rect], [rect, huge]);
+        expect(trimStack(stack).undo).toHaveLength(1);
+        expect(undoEntry(stack, [rect, huge]).elements).toEqual([rect]);
+    });
+
+    it('stores only the newest entries that fit the size cap', () => {
+        const big = { forward: [], inverse: [], size: 600000 };
+        const small = { forward: [], inverse: [], size: 10 };
+        expect(fitForStorage({ undo: [big, big, small], redo: [small] })).toEqual({ undo: [big, small], redo: [small] });
+        expect(fitForStorage({ undo: [small, big, big], redo: [small] })).toEqual({ undo: [big], redo: [small] });
+
+        const oversized = { forward: [], inverse: [], size: MAX_UNDO_CHARS + 1 };
+        expect(fitForStorage({ undo: [small, oversized], redo: [] })).toEqual({ undo: [], redo: [] });
+    });
+
+    it('measures entries stored without a size', () => {
+        const unsized = { forward: [{ type: 'add', element: { text: 'x'.repeat(600000) } }], inverse: [] };
+        expect(fitForStorage({ undo: [unsized, unsized], redo: [] }).undo).toHaveLength(1);
+    });
+});
@@ -59,6 +59,7 @@ vi.mock('firebase/firestore', () => ({
     getFirestore: vi.fn(),
     doc: vi.fn(),
     setDoc: vi.fn(),
+    addDoc: vi.fn().mockResolvedValue({ id: 'new-doc-id' }),
     getDoc: vi.fn().mockResolvedValue({
         exists: () => true,
         data: () => ({
@@ -73,8 +74,11 @@ vi.mock('firebase/firestore', () => ({
     collection: vi.fn(),
     query: vi.fn(),
     where: vi.fn(),
+    orderBy: vi.fn(),
+    limit: vi.fn(),
     writeBatch: vi.fn(() => ({ delete: vi.fn(), commit: vi.fn().mockResolvedValue(undefined) })),
     serverTimestamp: vi.fn(),
+    Timestamp: { fromMillis: vi.fn() },
     onSnapshot: vi.fn(() => vi.fn()),
 }));
 
@@ -82,7 +86,10 @@ vi.mock('firebase/storage', () => ({
     getStorage: vi.fn(),
     ref: vi.fn(),
     uploadBytes: vi.fn(),
+    uploadBytesResumable: vi.fn(),
     getDownloadURL: vi.fn(),
+    getMetadata: vi.fn(),
+    getBytes: vi.fn(),
 }));
 
 vi.mock('firebase/auth', () => ({
@@ -119,6 +126,8 @@ vi.mock('react-konva', () => {
         Star: () => <div data-testid="star" />,
         RegularPolygon: () => <div data-testid="shape" />,
         Arrow: () => <div data-testid="arrow" />,
+        Label: ({ children }) => <div data-testid="label">{children}</div>,
+        Tag: () => <div data-testid="tag" />,
     }
 });
 